@@ -24,13 +24,84 @@ const MAX_COHORT_SIZE = 5;
 // ** STATE TRACKING **
 // Tracks user's membership status for quick access: { cluster_id: { ..., user_is_member: true } }
 let userClusterMemberships = {}; 
-// Tracks the overall cohort status: { cluster_id: { cohort_id: 'C_1_2', is_full: false, current_members: 3, vcf_uploaded: false, vcf_file_name: null, vcf_download_count: 0, max_members: 5, user_has_downloaded: false, spots_left: 2 } }
+// Tracks the overall cohort status: { cluster_id: { cohort_id: 'C_1_2', is_full: false, current_members: 3, vcf_uploaded: false, vcf_download_count: 0, max_members: 5, user_has_downloaded: false, spots_left: 2 } }
 let clusterStatusCache = {}; 
 
 // ** REFERRAL STATE TRACKING **
 let highlightedClusterId = null; // Cluster ID from referral link, used for UI highlight
 
 
+/**
+ * Builds request headers carrying the current session's bearer token.
+ * The backend takes the user's identity from this token, never from a user_id parameter.
+ * @param {Object} [extraHeaders] - Additional headers (e.g. Content-Type).
+ * @returns {Promise<Object>} - The headers object.
+ */
+async function getAuthHeaders(extraHeaders = {}) {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    return session
+        ? { ...extraHeaders, 'Authorization': `Bearer ${session.access_token}` }
+        : { ...extraHeaders };
+}
+
+/**
+ * User-facing messages for the backend's machine-readable error codes (see
+ * supabase-secure-backend/utils/errors.js). Codes not listed fall back to the server's message.
+ */
+const API_ERROR_MESSAGES = {
+    UNAUTHORIZED: 'Please log in to continue.',
+    INVALID_TOKEN: 'Your session has expired. Please log in again.',
+    COHORT_FULL: 'This cluster is full right now.',
+    CLUSTER_NOT_FOUND: 'This cluster no longer exists.',
+    NOT_A_MEMBER: 'You must join this cluster before downloading its contacts.',
+    FILE_NOT_IN_COHORT: 'This contact file belongs to a different cohort.',
+    VCF_NOT_READY: 'The contact file is not ready yet. Please try again shortly.',
+    COHORT_EXPIRED: "This cohort's contact file has expired.",
+    UPSTREAM_ERROR: 'The server is having trouble right now. Please try again later.',
+};
+
+/**
+ * Turns an API error body ({ success: false, code, message }) into a message for the user.
+ * @param {Object} result - Parsed JSON error body.
+ * @param {string} fallback - Used when the body has neither a known code nor a message.
+ * @returns {string}
+ */
+function describeApiError(result, fallback) {
+    return (result && (API_ERROR_MESSAGES[result.code] || result.message)) || fallback;
+}
+
+/**
+ * Offers to queue the user for a spot in a full cluster (POST /api/v1/cluster-queue/join).
+ * Queued users are placed automatically, oldest first, when a spot opens.
+ * @param {string|number} clusterId
+ * @param {boolean} displayProfession
+ */
+async function offerClusterQueue(clusterId, displayProfession) {
+    if (!confirm('This cluster is full. Join the queue and be placed automatically when the next cohort opens?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/v1/cluster-queue/join', {
+            method: 'POST',
+            headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ cluster_id: parseInt(clusterId), display_profession: displayProfession })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showNotification(describeApiError(result, 'Could not join the queue.'), 'error');
+            return;
+        }
+        showNotification(result.message, 'success');
+        await checkAllClusterStatuses();
+    } catch (error) {
+        console.error('Error joining cluster queue.', error);
+        showNotification('An internal error occurred. Check console for details.', 'error');
+    }
+}
+
+
 /**
  * Fetches all clusters from the dynamic_clusters Supabase table.
  * Populates the global dynamicClusters array.
@@ -365,7 +436,7 @@ async function viewClusterStats(clusterId, clusterName) {
     
     try {
         // NOTE: This assumes an existing server-side API endpoint for stats.
-        const response = await fetch(`/api/cluster-stats?cluster_id=${clusterId}&user_id=${userId}&user_country=${userCountry}`, {
+        const response = await fetch(`/api/v1/cluster-stats?cluster_id=${clusterId}&user_id=${userId}&user_country=${userCountry}`, {
             method: 'GET',
         });
         
@@ -454,7 +525,6 @@ function renderClusters() {
                 is_full: false, 
                 current_members: 0,
                 vcf_uploaded: false, 
-                vcf_file_name: null, 
                 vcf_download_count: 0, 
                 max_members: maxMembers, 
                 user_has_downloaded: false, // NEW METRIC
@@ -464,7 +534,7 @@ function renderClusters() {
             const userIsMember = userClusterMemberships[clusterId]?.user_is_member; 
             // CRITICAL FIX: Use the reliable spots_left from the cache (updated in checkAllClusterStatuses/handleFormSubmission)
             const remaining = state.spots_left !== undefined ? state.spots_left : (state.max_members - state.current_members);
-            const isDownloadReady = state.is_full && state.vcf_uploaded && state.vcf_file_name;
+            const isDownloadReady = state.is_full && state.vcf_uploaded;
             
             // NEW: Access the download property
             const userHasDownloaded = state.user_has_downloaded;
@@ -523,13 +593,11 @@ function renderClusters() {
 
                 } else if (isDownloadReady) {
                     // GOAL 1: Download VCF State (Cohort is full, VCF is ready, and user hasn't downloaded)
-                    const fileNameToUse = state.vcf_file_name || state.cohort_id; 
-                    
                     // NEW: Apply blinking class
                     const blinkingClass = ' download-vcf-urgent'; 
                     
                     // PRIMARY BUTTON: Download VCF (with blinking class)
-                    primaryButtonHTML = `<button id="downloadBtn_${clusterId}" class="download-btn hover:bg-emerald-600 w-full text-white font-semibold py-2 rounded-lg shadow-md${blinkingClass}" onclick="downloadContacts('${fileNameToUse}', ${clusterId})">Download VCF</button>`;
+                    primaryButtonHTML = `<button id="downloadBtn_${clusterId}" class="download-btn hover:bg-emerald-600 w-full text-white font-semibold py-2 rounded-lg shadow-md${blinkingClass}" onclick="downloadContacts(${clusterId})">Download VCF</button>`;
                     
                     // ACTION BUTTONS: Icon Buttons (Left) + Stats Text (Right) -- UPDATED LAYOUT
                     actionButtonsHTML = `
@@ -635,70 +703,136 @@ async function fetchUserProfile(currentUserId) {
 }
 
 /**
- * Checks the current status for all clusters, now including download count and max members.
+ * Loads the status of the given clusters into the caches with one request to
+ * /api/v1/cohorts/status, retrying with backoff. Does not re-render.
  */
-async function checkAllClusterStatuses() {
-    if (!userId) {
-        console.log("Skipping status check: User not logged in.");
-        return;
-    }
-    
-    showNotification('Checking cluster membership status...', 'info');
+async function loadClusterStatuses(categories) {
+    if (categories.length === 0) return;
+    const clusterIds = categories.map(category => category.id).join(',');
+
+    const MAX_RETRIES = 3;
+    for (let i = 0; i < MAX_RETRIES; i++) {
+        try {
+            const response = await fetch(`/api/v1/cohorts/status?cluster_ids=${clusterIds}`, {
+                method: 'GET',
+                headers: await getAuthHeaders(),
+            });
 
-    const statusChecks = dynamicClusters.map(async (category) => {
-        const clusterId = category.id;
-        
-        const MAX_RETRIES = 3;
-        for (let i = 0; i < MAX_RETRIES; i++) {
-            try {
-                // NOTE: This assumes an existing server-side API endpoint for cohort status.
-                const response = await fetch(`/api/cohort-status?cluster_id=${clusterId}&user_id=${userId}`, {
-                    method: 'GET',
-                });
+            const result = await response.json();
 
-                const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Unknown status check error');
+            }
+
+            // --- IMPORTANT: Update the global state caches with new metrics ---
+            result.statuses.forEach(status => {
+                const clusterId = status.cluster_id;
+                const category = categories.find(c => String(c.id) === String(clusterId));
 
-                if (!response.ok || !result.success) {
-                    throw new Error(result.message || 'Unknown status check error');
-                }
-                
-                // --- IMPORTANT: Update the global state caches with new metrics ---
                 clusterStatusCache[clusterId] = {
-                    cohort_id: result.cohort_id,
-                    is_full: result.is_full,
-                    current_members: result.current_members,
-                    vcf_uploaded: result.vcf_uploaded || false,
-                    vcf_file_name: result.vcf_file_name || null,
-                    vcf_download_count: result.vcf_download_count || 0,
-                    max_members: result.max_members || category.max_members,
-                    user_has_downloaded: result.user_has_downloaded || false, // NEW METRIC
-                    spots_left: result.spots_left, // CRITICAL FIX: Save spots_left from server
+                    cohort_id: status.cohort_id,
+                    is_full: status.is_full,
+                    current_members: status.current_members,
+                    vcf_uploaded: status.vcf_uploaded || false,
+                    vcf_download_count: status.vcf_download_count || 0,
+                    max_members: status.max_members || (category && category.max_members),
+                    user_has_downloaded: status.user_has_downloaded || false,
+                    spots_left: status.spots_left, // CRITICAL FIX: Save spots_left from server
                 };
 
-                if (result.user_is_member) {
+                if (status.user_is_member) {
                     userClusterMemberships[clusterId] = { ...clusterStatusCache[clusterId], user_is_member: true };
                 } else {
-                     delete userClusterMemberships[clusterId];
+                    delete userClusterMemberships[clusterId];
                 }
-                return; // Success, exit retry loop
+            });
+            return; // Success, exit retry loop
 
-            } catch (error) {
-                console.warn(`Status check failed for Cluster ${clusterId} (Attempt ${i + 1}/${MAX_RETRIES}):`, error.message);
-                if (i === MAX_RETRIES - 1) {
-                    console.error(`Status check ultimately failed for Cluster ${clusterId}.`);
-                    return;
-                }
-                // Exponential backoff
-                await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+        } catch (error) {
+            console.warn(`Status check failed for clusters ${clusterIds} (Attempt ${i + 1}/${MAX_RETRIES}):`, error.message);
+            if (i === MAX_RETRIES - 1) {
+                console.error(`Status check ultimately failed for clusters ${clusterIds}.`);
+                return;
             }
+            // Exponential backoff
+            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
         }
-    });
+    }
+}
+
+/**
+ * Checks the current status for all clusters, now including download count and max members.
+ */
+async function checkAllClusterStatuses() {
+    if (!userId) {
+        console.log("Skipping status check: User not logged in.");
+        return;
+    }
+    
+    showNotification('Checking cluster membership status...', 'info');
 
-    await Promise.all(statusChecks);
+    await loadClusterStatuses(dynamicClusters);
     console.log("All cluster statuses checked. Rendering final state.");
     renderClusters(); // Render once all checks are complete
 }
 
+// --- LIVE UPDATES (Server-Sent Events from /api/v1/cohorts/stream) ---
+let clusterEventSource = null;
+
+/**
+ * member_joined / member_left: the new counts come with the event, no request needed.
+ */
+function applyClusterCountEvent(data) {
+    const state = clusterStatusCache[data.cluster_id];
+    // Members of a completed cohort keep seeing their own cohort, not the one that opened after it
+    if (state && userClusterMemberships[data.cluster_id] && state.cohort_id !== data.cohort_id) return;
+
+    clusterStatusCache[data.cluster_id] = {
+        ...(state || { is_full: false, vcf_uploaded: false, vcf_download_count: 0, user_has_downloaded: false }),
+        cohort_id: data.cohort_id,
+        current_members: data.current_members,
+        max_members: data.max_members,
+        spots_left: data.spots_left,
+    };
+    renderClusters();
+}
+
+/**
+ * cohort_full / vcf_ready / cohort_reset change the user's own state, so the cluster is reloaded.
+ * Guests have no status to reload: the cluster simply starts over with an empty cohort.
+ */
+async function refreshClusterFromEvent(data) {
+    const category = dynamicClusters.find(c => String(c.id) === String(data.cluster_id));
+    if (!category) return;
+
+    if (userId) {
+        await loadClusterStatuses([category]);
+    } else if (data.type !== 'vcf_ready') {
+        delete clusterStatusCache[category.id];
+    }
+    renderClusters();
+}
+
+/**
+ * Subscribes to live updates for every listed cluster instead of polling /api/v1/cohort-status.
+ * EventSource reconnects by itself and resumes from the last event it received.
+ */
+function subscribeToClusterEvents() {
+    if (!window.EventSource || clusterEventSource || dynamicClusters.length === 0) return;
+
+    const clusterIds = dynamicClusters.map(category => category.id).join(',');
+    clusterEventSource = new EventSource(`/api/v1/cohorts/stream?cluster_ids=${clusterIds}`);
+
+    ['member_joined', 'member_left'].forEach(type => {
+        clusterEventSource.addEventListener(type, event => applyClusterCountEvent(JSON.parse(event.data)));
+    });
+    ['cohort_full', 'vcf_ready', 'cohort_reset'].forEach(type => {
+        clusterEventSource.addEventListener(type, event => refreshClusterFromEvent({ ...JSON.parse(event.data), type }));
+    });
+    // Some events were missed (e.g. the server restarted): reload everything once
+    clusterEventSource.addEventListener('resync', () => checkAllClusterStatuses());
+}
+
 async function handleFormSubmission(event) {
     event.preventDefault();
 
@@ -719,7 +853,6 @@ async function handleFormSubmission(event) {
     const joinData = {
         p_cluster_id: parseInt(clusterId),
         p_display_profession: displayProfession,
-        p_user_id: userId,
         p_ref_code: refCode,
     };
     
@@ -730,18 +863,23 @@ async function handleFormSubmission(event) {
 
     try {
         // NOTE: This assumes an existing server-side API endpoint for joining a cluster.
-        const response = await fetch('/api/join-cluster', {
+        const response = await fetch('/api/v1/join-cluster', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify(joinData)
         });
 
         const result = await response.json(); 
         
         if (!response.ok || !result.success) {
-            const errorMessage = result.message || 'Server error during cluster join.';
-            console.error(`API Call Failed: ${errorMessage}`);
-            showNotification(errorMessage, 'error');
+            const errorMessage = describeApiError(result, 'Server error during cluster join.');
+            console.error(`API Call Failed: ${result.code || response.status} ${errorMessage}`);
+
+            if (result.code === 'COHORT_FULL' && result.details?.can_enqueue) {
+                await offerClusterQueue(clusterId, displayProfession);
+            } else {
+                showNotification(errorMessage, 'error');
+            }
             
             await checkAllClusterStatuses(); // Retain for error cleanup
             return;
@@ -759,7 +897,6 @@ async function handleFormSubmission(event) {
             is_full: is_full,
             current_members: current_members,
             vcf_uploaded: result.vcf_uploaded || false,
-            vcf_file_name: result.vcf_file_name || null,
             vcf_download_count: result.vcf_download_count || 0,
             max_members: maxMembers,
             user_has_downloaded: result.user_has_downloaded || false,
@@ -789,10 +926,9 @@ async function handleFormSubmission(event) {
 /**
  * Initiates the download of the VCF file and increments the download count on the server.
  * GOAL 2: Implement download tracking logic.
- * @param {string} fileName - The full name of the VCF file in storage.
  * @param {number} clusterId - The ID of the cluster being downloaded.
  */
-async function downloadContacts(fileName, clusterId) { 
+async function downloadContacts(clusterId) { 
     if (!userId) {
         redirectToLogin();
         return;
@@ -806,23 +942,35 @@ async function downloadContacts(fileName, clusterId) {
         downloadButton.classList.remove('download-vcf-urgent');
     }
     
-    showNotification(`Requesting contact file: ${fileName}...`, 'info');
+    showNotification('Requesting contact file...', 'info');
 
     try {
-        // 1. Initiate Download of the VCF file
-        // NOTE: This assumes an existing server-side API endpoint for downloading contacts.
-        const response = await fetch(`/api/download-contacts?file_name=${fileName}&cluster_id=${clusterId}&user_id=${userId}`, {
-            method: 'GET',
+        // 1. Ask for a single-use download ticket (the user comes from the token)
+        const ticketResponse = await fetch('/api/v1/download-tickets', {
+            method: 'POST',
+            headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ cluster_id: clusterId })
         });
+        const ticketResult = await ticketResponse.json();
+
+        if (!ticketResponse.ok || !ticketResult.success) {
+            throw new Error(describeApiError(ticketResult, 'Could not start the download.'));
+        }
+
+        // 2. Redeem the ticket for the VCF file (the ticket is the credential and works once)
+        const response = await fetch(ticketResult.download_url);
 
         if (!response.ok) {
             const errorText = await response.text();
+            let errorJson = null;
             try {
-                const errorJson = JSON.parse(errorText);
-                throw new Error(errorJson.message || 'Server error during contact file retrieval.');
+                errorJson = JSON.parse(errorText);
             } catch {
-                 throw new Error(errorText || 'Failed to retrieve file. It may not be fully generated yet.');
+                // Plain-text error body
             }
+            throw new Error(errorJson
+                ? describeApiError(errorJson, 'Server error during contact file retrieval.')
+                : errorText || 'Failed to retrieve file. It may not be fully generated yet.');
         }
 
         const contentType = response.headers.get("Content-Type");
@@ -833,19 +981,19 @@ async function downloadContacts(fileName, clusterId) {
             const a = document.createElement('a');
             a.style.display = 'none';
             a.href = url;
-            a.download = fileName; 
+            a.download = `Cluster_${clusterId}_Contacts.vcf`; 
             document.body.appendChild(a);
             a.click();
             window.URL.revokeObjectURL(url);
             showNotification('Download started successfully! Tracking download...', 'success');
             
-            // 2. Track the Download Action
+            // 3. Track the Download Action
             try {
                  // NOTE: This assumes an existing server-side API endpoint for tracking downloads.
-                 const trackResponse = await fetch('/api/track-download', {
+                 const trackResponse = await fetch('/api/v1/track-download', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ cluster_id: clusterId, user_id: userId }) // GOAL 2: Request Body
+                    headers: await getAuthHeaders({ 'Content-Type': 'application/json' }),
+                    body: JSON.stringify({ cluster_id: clusterId }) // GOAL 2: Request Body (user comes from the token)
                  });
 
                  const trackResult = await trackResponse.json();
@@ -864,7 +1012,7 @@ async function downloadContacts(fileName, clusterId) {
                       }
 
                  } else {
-                    // 3. Update local state for Instant Feedback
+                    // 4. Update local state for Instant Feedback
                      
                      // Update local cache to reflect the new state immediately
                      // Crucially, use the updated counts returned from the server if available
@@ -994,6 +1142,7 @@ async function initializeSupabase() {
         } else {
             renderClusters(); 
         }
+        subscribeToClusterEvents();
     }
 }
 
@@ -0,0 +1,153 @@
+// app.js
+// Builds the Express application: middleware, the API (routes/apiRoutes.js) and the frontend pages.
+// createApp() does not listen or start background work; server.js does that. Tests call
+// createApp() and drive the returned app themselves.
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const fs = require('fs/promises');
+const apiRoutes = require('./routes/apiRoutes');
+const defaultAppConfig = require('./config/app');
+const { supabaseUrl, supabaseAnonKey, supabaseDriver } = require('./config/supabase');
+const { logger } = require('./utils/logger');
+const { requestLogger } = require('./middleware/requestLogger');
+const { apiNotFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { LOCAL_FILES_ROUTE } = require('./services/storage/localDiskAdapter');
+
+// Pages that get the Supabase config injected, by URL path -> template file in projectRoot
+const PAGES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/groups.html': 'groups.html',
+    '/cohort.html': 'cohort_template.html',
+    '/C_:clusterId': 'cohort_template.html',
+    '/login.html': 'login_template.html',
+    '/update-password.html': 'login_template.html',
+    '/admin.html': 'admin.html',
+    '/settings.html': 'settings.html',
+    '/dashboard.html': 'dashboard.html',
+    '/leaderboard.html': 'leaderboard.html',
+};
+
+// Requested file names that are answered by PAGES rather than served as plain files
+const INJECTED_FILES = [
+    'index.html', 'groups.html', 'cohort_template.html', 'login_template.html',
+    'update-password.html', 'admin.html', 'settings.html', 'dashboard.html',
+    'leaderboard.html'
+];
+
+/**
+ * Mounts the HTML pages (with Supabase config injection) and static assets.
+ */
+function mountFrontend(app, projectRoot) {
+    // Modular HTML fragments (nav-buttons.html, create-group-form.html, ...) are served as is
+    app.get('/*.html', async (req, res, next) => {
+        const fileName = path.basename(req.path);
+
+        // Main pages need config injection; they are handled by the page routes below
+        if (INJECTED_FILES.includes(fileName)) {
+            return next();
+        }
+
+        try {
+            const filePath = path.join(projectRoot, fileName);
+            await fs.access(filePath); // Check if file exists
+            res.sendFile(filePath);
+            logger.debug('Served modular component', { file: fileName });
+        } catch (error) {
+            // If file not found, pass to the next middleware (express.static)
+            if (error.code === 'ENOENT') {
+                return next();
+            }
+            logger.error('Error serving modular HTML fragment', { file: fileName, error: error.message });
+            res.status(500).send(`Server Error serving component: ${fileName}`);
+        }
+    });
+
+    /**
+     * Reads an HTML template, injects Supabase config placeholders, and serves it.
+     * @param {string} templateFileName The name of the HTML file (e.g., 'cohort_template.html').
+     */
+    const servePage = templateFileName => async (req, res) => {
+        try {
+            const filePath = path.join(projectRoot, templateFileName);
+            let htmlContent = await fs.readFile(filePath, 'utf-8');
+
+            // Replace the placeholders with actual configuration values
+            htmlContent = htmlContent.replace(
+                '__SUPABASE_URL_INJECTION__',
+                supabaseUrl || 'ERROR_SUPABASE_URL_MISSING'
+            );
+            htmlContent = htmlContent.replace(
+                '__SUPABASE_ANON_KEY_INJECTION__',
+                supabaseAnonKey || 'ERROR_SUPABASE_ANON_KEY_MISSING'
+            );
+
+            res.type('html').send(htmlContent);
+        } catch (error) {
+            logger.error('Error serving template', { file: templateFileName, error: error.message });
+            res.status(500).send(`Server Error: Could not load the required page (${templateFileName}). Check config/file paths.`);
+        }
+    };
+
+    // Registered before express.static, which would otherwise serve the raw templates
+    for (const [route, templateFileName] of Object.entries(PAGES)) {
+        app.get(route, servePage(templateFileName));
+    }
+
+    // General assets (CSS, JS, images, etc.)
+    app.use(express.static(projectRoot));
+}
+
+/**
+ * Creates the application.
+ * @param {Object} [config] - Overrides for config/app.js.
+ * @param {string} [config.projectRoot] - Directory with the frontend pages and assets.
+ * @param {boolean} [config.serveFrontend] - Mount the pages and static assets.
+ * @param {string|Array<string>} [config.corsOrigins] - '*' or the allowed origins.
+ * @param {number} [config.trustProxyHops] - Reverse proxies in front of the app.
+ * @returns {import('express').Express}
+ */
+function createApp(config = {}) {
+    const { projectRoot, serveFrontend, corsOrigins, trustProxyHops } = { ...defaultAppConfig, ...config };
+    const app = express();
+
+    // Behind a reverse proxy, req.ip (used to rate limit anonymous callers) must come from X-Forwarded-For
+    if (trustProxyHops > 0) {
+        app.set('trust proxy', trustProxyHops);
+    }
+
+    app.use(requestLogger);
+    app.use(cors({ origin: corsOrigins }));
+    // Uploads to local-disk signed URLs are stored byte for byte, whatever their Content-Type;
+    // parsed first so the JSON and form parsers below leave them alone
+    app.use(LOCAL_FILES_ROUTE, express.raw({ type: '*/*', limit: '5mb' }));
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // API
+    app.use('/api', apiRoutes);
+    // Unknown API paths get a JSON 404 rather than the HTML catch-all below
+    app.use('/api', apiNotFoundHandler);
+
+    if (serveFrontend) {
+        mountFrontend(app, projectRoot);
+        logger.debug('Config: serving frontend', { project_root: projectRoot });
+    }
+
+    // Catch-all for undefined routes
+    app.use((req, res) => {
+        res.status(404).send('404 Not Found');
+    });
+
+    // Uniform API error responses (see utils/errors.js); must be registered last
+    app.use(errorHandler);
+
+    logger.info('Config: Supabase', { supabase_url: supabaseUrl ? supabaseUrl.substring(0, 30) + '...' : 'NOT SET', driver: supabaseDriver });
+    return app;
+}
+
+module.exports = {
+    createApp,
+};
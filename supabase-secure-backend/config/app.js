@@ -0,0 +1,36 @@
+// config/app.js
+// Settings for the Express app built by createApp() (app.js). Any field can be overridden per call,
+// e.g. createApp({ serveFrontend: false }) in tests that only exercise the API.
+
+const path = require('path');
+const dotenv = require('dotenv');
+const rateLimitConfig = require('./rateLimit');
+
+dotenv.config();
+
+/**
+ * Parses CORS_ORIGINS: '*' (any origin, the default), or a comma-separated list of origins.
+ */
+function corsOrigins() {
+    const value = process.env.CORS_ORIGINS || '*';
+    return value === '*' ? '*' : value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+const appConfig = {
+    port: parseInt(process.env.PORT, 10) || 3000,
+
+    // Directory holding the HTML pages and static assets (the repository root by default)
+    projectRoot: process.env.FRONTEND_ROOT || path.join(__dirname, '..', '..'),
+
+    // Serve the pages and static assets next to the API. Set SERVE_FRONTEND=false when the
+    // frontend is hosted elsewhere.
+    serveFrontend: process.env.SERVE_FRONTEND !== 'false',
+
+    // Origins allowed to call the API from a browser
+    corsOrigins: corsOrigins(),
+
+    // See config/rateLimit.js
+    trustProxyHops: rateLimitConfig.trustProxyHops,
+};
+
+module.exports = appConfig;
@@ -0,0 +1,34 @@
+// config/cache.js
+// Read cache for the public cluster, stats and leaderboard endpoints (services/cache/).
+// Entries are dropped when a join, leave, reset, download or referral changes the data; the TTL bounds
+// how stale an entry can get when the change happens elsewhere (another instance, the database).
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Reads a TTL, letting CACHE_<NAME>_TTL_SECONDS override the default.
+ */
+function ttl(name, seconds) {
+    return parseInt(process.env[`CACHE_${name.toUpperCase()}_TTL_SECONDS`], 10) || seconds;
+}
+
+const cacheConfig = {
+    // Set CACHE_ENABLED=false to read through to Supabase on every request.
+    enabled: process.env.CACHE_ENABLED !== 'false',
+
+    // 'memory' (default) caches per process. Another backend can be plugged in with setCacheStore().
+    driver: process.env.CACHE_DRIVER || 'memory',
+
+    ttlSeconds: {
+        // GET /api/clusters
+        clusters: ttl('clusters', 60),
+        // GET /api/cluster-stats (and the deprecated /api/cluster-stats-v2)
+        cluster_stats: ttl('cluster_stats', 60),
+        // GET /api/secure-data (and the deprecated /api/leaderboard)
+        leaderboard: ttl('leaderboard', 5 * 60),
+    },
+};
+
+module.exports = cacheConfig;
@@ -0,0 +1,17 @@
+// config/deprecation.js
+// Dates announced on the legacy routes that /api/v1 replaced (middleware/deprecation.js).
+// Clients see them in the Deprecation and Sunset response headers.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const deprecationConfig = {
+    // When the legacy routes were deprecated (the release that introduced /api/v1)
+    deprecatedAt: new Date('2026-10-19T00:00:00Z'),
+
+    // When they are planned to be removed. Override with API_LEGACY_SUNSET (any date Date() parses).
+    sunsetAt: new Date(process.env.API_LEGACY_SUNSET || '2027-04-30T00:00:00Z'),
+};
+
+module.exports = deprecationConfig;
@@ -0,0 +1,18 @@
+// config/downloadTickets.js
+// Settings for the single-use contact file download tickets (services/downloadTickets.js).
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const downloadTicketConfig = {
+    // HMAC secret for tickets. A random per-process secret is fine for a single instance; set it
+    // explicitly when several instances serve /api/downloads, or tickets only work where they were issued.
+    secret: process.env.DOWNLOAD_TICKET_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    // How long a ticket stays redeemable. Clients redeem it right after asking for it.
+    ttlSeconds: parseInt(process.env.DOWNLOAD_TICKET_TTL_SECONDS, 10) || 60,
+};
+
+module.exports = downloadTicketConfig;
@@ -0,0 +1,25 @@
+// config/events.js
+// Settings for the live cohort/group event stream (services/cohortEvents.js,
+// routes/frontend/cohortStream.js).
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const eventsConfig = {
+    // A comment line is sent this often so proxies do not close an idle stream, and so the
+    // server notices clients that went away.
+    heartbeatSeconds: parseInt(process.env.EVENTS_HEARTBEAT_SECONDS, 10) || 25,
+
+    // How long browsers wait before reconnecting after the stream drops (the SSE `retry` field).
+    retryMs: parseInt(process.env.EVENTS_RETRY_MS, 10) || 3000,
+
+    // Recent events kept per cluster/group, replayed to clients that reconnect with Last-Event-ID.
+    // A client that missed more than this is told to reload its status instead.
+    replayLimit: parseInt(process.env.EVENTS_REPLAY_LIMIT, 10) || 50,
+
+    // Most clusters plus groups a single stream can subscribe to.
+    maxTopicsPerStream: parseInt(process.env.EVENTS_MAX_TOPICS_PER_STREAM, 10) || 100,
+};
+
+module.exports = eventsConfig;
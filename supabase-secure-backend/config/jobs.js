@@ -0,0 +1,31 @@
+// config/jobs.js
+// Settings for the background job queue and its in-process worker (services/jobs/).
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const jobsConfig = {
+    // Set JOB_WORKER_ENABLED=false on instances that should only enqueue (e.g. when a separate
+    // worker process runs the queue). Jobs stay in the database until some worker picks them up.
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+
+    // How often the worker looks for due jobs, and how many it takes per pass.
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+    batchSize: parseInt(process.env.JOB_BATCH_SIZE, 10) || 5,
+
+    // A claimed job that is not finished within this time (worker crashed or hung) is picked up again.
+    leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS, 10) || 5 * 60,
+
+    // Failed attempts are retried with exponential backoff (base * 2^(attempt - 1), capped at max);
+    // after maxAttempts the job is dead-lettered and reported.
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 6,
+    backoffBaseSeconds: parseInt(process.env.JOB_BACKOFF_BASE_SECONDS, 10) || 10,
+    backoffMaxSeconds: parseInt(process.env.JOB_BACKOFF_MAX_SECONDS, 10) || 30 * 60,
+
+    // How often the cluster_sync job creates the state rows of clusters added to dynamic_clusters
+    // (services/clusterSync.js). It also runs when the worker starts.
+    clusterSyncIntervalMs: parseInt(process.env.CLUSTER_SYNC_INTERVAL_MS, 10) || 5 * 60 * 1000,
+};
+
+module.exports = jobsConfig;
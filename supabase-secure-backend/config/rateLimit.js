@@ -0,0 +1,44 @@
+// config/rateLimit.js
+// Request budgets for the endpoints that create accounts, change membership or hand out contact files.
+// A budget allows `max` requests per `windowSeconds`; signed-in callers are counted per user,
+// anonymous callers per IP. Enforced by middleware/rateLimit.js.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Reads a budget, letting RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS override the defaults.
+ */
+function budget(name, max, windowSeconds) {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    return {
+        max: parseInt(process.env[`${prefix}_MAX`], 10) || max,
+        windowSeconds: parseInt(process.env[`${prefix}_WINDOW_SECONDS`], 10) || windowSeconds,
+    };
+}
+
+const rateLimitConfig = {
+    // Set RATE_LIMIT_ENABLED=false to switch every limiter off (e.g. for load tests).
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+    // 'memory' (default) counts per process; 'supabase' shares counters between instances.
+    driver: process.env.RATE_LIMIT_DRIVER || 'memory',
+
+    // Number of reverse proxies in front of the app. Needed for req.ip to be the client's address
+    // rather than the proxy's; leave at 0 when the app is reached directly.
+    trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0,
+
+    budgets: {
+        // POST /api/waitlist (creates auth users)
+        signup: budget('signup', 5, 60 * 60),
+        // POST /api/admin-login (password guessing)
+        login: budget('login', 10, 15 * 60),
+        // Cluster, queue and group joins
+        join: budget('join', 20, 10 * 60),
+        // Contact file downloads
+        download: budget('download', 30, 10 * 60),
+    },
+};
+
+module.exports = rateLimitConfig;
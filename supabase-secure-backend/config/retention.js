@@ -0,0 +1,60 @@
+// config/retention.js
+// When member data and contact files are purged (services/retention.js).
+// Each kind of resource has a rule: purge once every member has downloaded the file
+// (`allDownloaded`), and/or once `maxAgeHours` have passed since it completed (null = never by age).
+// Whichever condition is met first wins.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Reads a rule, letting RETENTION_<KIND>_ALL_DOWNLOADED (true/false) and
+ * RETENTION_<KIND>_MAX_AGE_HOURS (a number, or "never") override the defaults.
+ */
+function rule(kind, allDownloaded, maxAgeHours) {
+    const prefix = `RETENTION_${kind.toUpperCase()}`;
+    const allDownloadedEnv = process.env[`${prefix}_ALL_DOWNLOADED`];
+    const maxAgeEnv = process.env[`${prefix}_MAX_AGE_HOURS`];
+    return {
+        allDownloaded: allDownloadedEnv === undefined ? allDownloaded : allDownloadedEnv === 'true',
+        maxAgeHours: maxAgeEnv === 'never' ? null : (Number(maxAgeEnv) || maxAgeHours),
+    };
+}
+
+/**
+ * Parses RETENTION_CLUSTER_RULES, e.g. {"4": {"allDownloaded": false, "maxAgeHours": 168}}.
+ * Missing fields fall back to the cohort rule.
+ */
+function clusterRules() {
+    if (!process.env.RETENTION_CLUSTER_RULES) {
+        return {};
+    }
+    try {
+        return JSON.parse(process.env.RETENTION_CLUSTER_RULES);
+    } catch (error) {
+        throw new Error(`RETENTION_CLUSTER_RULES is not valid JSON: ${error.message}`);
+    }
+}
+
+const retentionConfig = {
+    rules: {
+        // Completed cluster cohorts
+        cohort: rule('cohort', true, 72),
+        // GENERAL groups share one stored file generated when the group fills
+        general_group: rule('general_group', true, 30 * 24),
+        // DIRECT groups have no stored file; only member rows are purged
+        direct_group: rule('direct_group', false, 30 * 24),
+    },
+
+    // Per-cluster overrides of the cohort rule, keyed by cluster_id
+    clusters: clusterRules(),
+
+    // Finished jobs (services/jobs/queue.js) are deleted by the sweep once they are this old
+    doneJobsMaxAgeHours: Number(process.env.RETENTION_DONE_JOBS_MAX_AGE_HOURS) || 7 * 24,
+
+    // How often the retention job runs
+    intervalMs: Number(process.env.RETENTION_INTERVAL_MS) || 15 * 60 * 1000,
+};
+
+module.exports = retentionConfig;
@@ -0,0 +1,30 @@
+// config/storage.js
+// Central configuration for where generated VCF files live.
+// Every route reads and writes VCF files through services/storage, which is built from these values,
+// so bucket and folder names are configured here and nowhere else.
+
+const path = require('path');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const storageConfig = {
+    // 'supabase' (default) stores files in Supabase Storage; 'local' stores them on disk for offline runs.
+    driver: process.env.VCF_STORAGE_DRIVER || 'supabase',
+
+    // Supabase Storage bucket and the folder inside it that holds all VCF files.
+    bucket: process.env.VCF_STORAGE_BUCKET || 'near_vcf_bucket',
+    prefix: process.env.VCF_STORAGE_PREFIX ?? 'vcf_exchange',
+
+    // Root directory used by the local-disk adapter.
+    localDir: process.env.VCF_STORAGE_LOCAL_DIR || path.join(__dirname, '..', '.vcf_storage'),
+
+    // Secret used to sign local-disk URLs. A random per-process secret is fine for development.
+    signingSecret: process.env.VCF_STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+
+    // Origin prepended to local-disk signed URLs (empty keeps them relative to this server).
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+};
+
+module.exports = storageConfig;
@@ -1,4 +1,8 @@
 // Initializes and exports the Supabase client instances.
+//
+// The exported `supabaseAdmin` and `supabaseAnon` are stable handles that forward to the currently
+// configured clients. Routes keep grabbing them at require time, while tests and offline runs can
+// swap the underlying clients with setSupabaseClients() (or SUPABASE_DRIVER=memory) at any point.
 
 const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
@@ -9,24 +13,84 @@ dotenv.config();
 // Supabase Configuration from .env
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY; 
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseServiceKey || !supabaseAnonKey) {
-    console.error("FATAL ERROR: Supabase environment variables are missing (URL, SERVICE_ROLE_KEY, or ANON_KEY).");
-    process.exit(1); 
+// 'supabase' (default) talks to the real project; 'memory' uses the in-process stand-in.
+const supabaseDriver = process.env.SUPABASE_DRIVER || 'supabase';
+
+let activeClients = null;
+
+/**
+ * Reports whether the environment has everything needed to reach a real Supabase project.
+ * Entry points call this at startup and exit when it returns false.
+ * @returns {boolean}
+ */
+function hasSupabaseConfig() {
+    return supabaseDriver === 'memory' || !!(supabaseUrl && supabaseServiceKey && supabaseAnonKey);
+}
+
+/**
+ * Builds the default clients from the environment.
+ */
+function createDefaultClients() {
+    if (supabaseDriver === 'memory') {
+        // Development stand-in shared with the test suites; only loaded when explicitly selected
+        const { createMemorySupabase } = require('../dev/memorySupabase');
+        const client = createMemorySupabase();
+        return { admin: client, anon: client };
+    }
+
+    if (!hasSupabaseConfig()) {
+        throw new Error("FATAL ERROR: Supabase environment variables are missing (URL, SERVICE_ROLE_KEY, or ANON_KEY).");
+    }
+
+    return {
+        // 1. Service Role client for Admin actions (server-side operations)
+        // This is used for all secure, administrative CRUD operations.
+        admin: createClient(supabaseUrl, supabaseServiceKey, {
+            auth: { persistSession: false },
+        }),
+        // 2. Anon client for client-side authentication/session creation and user token validation
+        // This is used internally by the server-side login/waitlist to mimic client behavior.
+        anon: createClient(supabaseUrl, supabaseAnonKey, {
+            auth: { persistSession: false },
+        }),
+    };
 }
 
-// 1. Initialize Supabase Client using the Service Role Key for Admin actions (server-side operations)
-// This is used for all secure, administrative CRUD operations.
-const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
-    auth: { persistSession: false },
-});
+function getClients() {
+    if (!activeClients) {
+        activeClients = createDefaultClients();
+    }
+    return activeClients;
+}
+
+/**
+ * Replaces the clients behind supabaseAdmin/supabaseAnon (e.g. with an in-memory stand-in).
+ * @param {Object} clients
+ * @param {Object} clients.admin - Client used for service-role operations.
+ * @param {Object} [clients.anon] - Client used for user token validation and sign-in (defaults to admin).
+ */
+function setSupabaseClients({ admin, anon }) {
+    activeClients = { admin, anon: anon || admin };
+}
 
-// 2. Initialize Supabase Client using the Anon Key for client-side authentication/session creation
-// This is used internally by the server-side login/waitlist to mimic client behavior.
-const supabaseAnon = createClient(supabaseUrl, supabaseAnonKey, {
-    auth: { persistSession: false },
-});
+/**
+ * Creates a stable handle that resolves the current client on every property access,
+ * so modules that captured it at require time still see injected clients.
+ */
+function createClientHandle(role) {
+    return new Proxy({}, {
+        get(_target, prop) {
+            const client = getClients()[role];
+            const value = client[prop];
+            return typeof value === 'function' ? value.bind(client) : value;
+        },
+    });
+}
+
+const supabaseAdmin = createClientHandle('admin');
+const supabaseAnon = createClientHandle('anon');
 
 // Export the necessary configuration variables and clients
 module.exports = {
@@ -34,5 +98,7 @@ module.exports = {
     supabaseAnon,
     supabaseUrl,
     supabaseAnonKey,
+    supabaseDriver,
+    hasSupabaseConfig,
+    setSupabaseClients,
 };
-
@@ -0,0 +1,822 @@
+// dev/memorySupabase.js
+// In-memory stand-in for the subset of supabase-js this backend uses.
+// Injected through setSupabaseClients() in config/supabase.js by the test suites (see
+// test/support/testApp.js), or enabled with SUPABASE_DRIVER=memory for offline development. Supports:
+//   from(table).select/insert/update/upsert/delete with eq/neq/in/gt/gte/lt/lte/is/like/ilike/or (and and() inside or),
+//   order/limit/range, single/maybeSingle, { count: 'exact', head }, one level of embedded
+//   relations ("user_profiles ( nickname )", "!inner"), rpc(), auth and storage.
+// Database functions documented as SQL next to their callers are mirrored in BUILTIN_RPCS,
+// column defaults and triggers of the production schema in COLUMN_DEFAULTS and TRIGGERS.
+
+const crypto = require('crypto');
+
+// Columns filled with an auto-incrementing integer when an insert omits them.
+const SERIAL_KEYS = {
+    cluster_metadata: 'cluster_id',
+    cluster_queue: 'id',
+    dynamic_clusters: 'id',
+    groups: 'group_id',
+    group_members: 'id',
+    jobs: 'id',
+};
+
+// Column sets that must be unique per table. Violations return Postgres error 23505.
+const UNIQUE_KEYS = {
+    cluster_metadata: [['cluster_id']],
+    cluster_cohorts: [['cohort_id']],
+    cluster_cohort_members: [['cluster_id', 'user_id']],
+    cluster_queue: [['cluster_id', 'user_id']],
+    cohort_history: [['cohort_id']],
+    cohort_member_receipts: [['cohort_id', 'user_id']],
+    dynamic_clusters: [['id']],
+    groups: [['group_id']],
+    group_members: [['group_id', 'user_id']],
+    jobs: [['id'], ['dedupe_key']],
+    user_profiles: [['user_id']],
+    user_roles: [['user_id', 'role']],
+    vcf_downloads: [['cohort_id', 'user_id']],
+};
+
+// Generated columns (GENERATED ALWAYS AS ... STORED), recomputed whenever a row is written.
+const GENERATED_COLUMNS = {
+    groups: { spots_left: row => (row.max_members || 0) - (row.current_members || 0) },
+};
+
+// Column defaults (DEFAULT ...) applied when an insert omits the column.
+const COLUMN_DEFAULTS = {
+    groups: { current_members: 0, members_downloaded: 0, is_full: false, vcf_uploaded: false },
+    group_members: { has_downloaded_vcf: false },
+};
+
+// Triggers of the production schema, run after every write to the table they are attached to.
+const TRIGGERS = {
+    // groups.current_members and is_full follow the group's member rows
+    group_members(db) {
+        for (const group of db.table('groups')) {
+            const count = db.table('group_members').filter(row => String(row.group_id) === String(group.group_id)).length;
+            Object.assign(group, { current_members: count, is_full: group.is_full || count >= group.max_members });
+            db.generateColumns('groups', group);
+        }
+    },
+};
+
+// Columns tried, in order, to join an embedded relation to its parent row.
+const JOIN_KEYS = ['user_id', 'cluster_id', 'group_id', 'cohort_id'];
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function pgError(code, message) {
+    return { code, message, details: null, hint: null };
+}
+
+// --- Select string parsing ---------------------------------------------------------------------
+
+/**
+ * Splits a PostgREST select string into top-level items, keeping "rel ( a, b )" groups intact.
+ */
+function splitTopLevel(columns) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of columns) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current);
+
+    return items.map(item => item.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+function parseSelect(columns = '*') {
+    return splitTopLevel(columns).map(item => {
+        const relation = item.match(/^([\w]+)(!inner)?\s*\((.*)\)$/s);
+        if (relation) {
+            return { relation: relation[1], inner: !!relation[2], columns: parseSelect(relation[3]) };
+        }
+        return { column: item };
+    });
+}
+
+// --- Filters ---------------------------------------------------------------------------------
+
+function likeToRegExp(pattern, flags) {
+    const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${escaped}$`, flags);
+}
+
+const OPERATORS = {
+    eq: (value, target) => value !== undefined && value !== null && String(value) === String(target),
+    neq: (value, target) => value === undefined || value === null || String(value) !== String(target),
+    gt: (value, target) => value !== null && value !== undefined && value > target,
+    gte: (value, target) => value !== null && value !== undefined && value >= target,
+    lt: (value, target) => value !== null && value !== undefined && value < target,
+    lte: (value, target) => value !== null && value !== undefined && value <= target,
+    in: (value, targets) => targets.some(target => OPERATORS.eq(value, target)),
+    is: (value, target) => (target === null ? value === null || value === undefined : value === target),
+    like: (value, pattern) => typeof value === 'string' && likeToRegExp(pattern, '').test(value),
+    ilike: (value, pattern) => typeof value === 'string' && likeToRegExp(pattern, 'i').test(value),
+};
+
+/**
+ * Parses a PostgREST `or` expression such as "name.ilike.%x%,description.ilike.%x%".
+ * Conditions may be grouped with "and(...)".
+ */
+function parseOrExpression(expression) {
+    return splitTopLevel(expression).map(part => {
+        if (/^and\(.*\)$/s.test(part)) {
+            return { column: null, operator: 'and', value: parseOrExpression(part.slice(4, -1)) };
+        }
+        const [column, operator, ...rest] = part.split('.');
+        let value = rest.join('.');
+        if (operator === 'in') {
+            value = value.replace(/^\(|\)$/g, '').split(',');
+        } else if (operator === 'is') {
+            value = value === 'null' ? null : value === 'true';
+        }
+        return { column, operator, value };
+    });
+}
+
+function matchesFilter(row, { column, operator, value }) {
+    if (operator === 'or') {
+        return value.some(condition => matchesFilter(row, condition));
+    }
+    if (operator === 'and') {
+        return value.every(condition => matchesFilter(row, condition));
+    }
+    const fn = OPERATORS[operator];
+    if (!fn) {
+        throw new Error(`memorySupabase: unsupported filter operator "${operator}"`);
+    }
+    return fn(row[column], value);
+}
+
+// --- Database ----------------------------------------------------------------------------------
+
+class MemoryDatabase {
+    constructor() {
+        this.tables = new Map();
+        this.serials = new Map();
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) {
+            this.tables.set(name, []);
+        }
+        return this.tables.get(name);
+    }
+
+    nextSerial(table) {
+        const column = SERIAL_KEYS[table];
+        const current = this.serials.get(table)
+            ?? this.table(table).reduce((max, row) => Math.max(max, Number(row[column]) || 0), 0);
+        this.serials.set(table, current + 1);
+        return current + 1;
+    }
+
+    /**
+     * Returns a Postgres-style unique violation if `row` collides with an existing row.
+     */
+    uniqueViolation(table, row, ignoreRows = []) {
+        for (const columns of UNIQUE_KEYS[table] || []) {
+            if (columns.some(column => row[column] === undefined || row[column] === null)) continue;
+            const clash = this.table(table).find(existing => !ignoreRows.includes(existing)
+                && columns.every(column => String(existing[column]) === String(row[column])));
+            if (clash) {
+                return pgError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+            }
+        }
+        return null;
+    }
+
+    insertRow(table, input) {
+        const row = { ...COLUMN_DEFAULTS[table], ...clone(input) };
+        const serialColumn = SERIAL_KEYS[table];
+        if (serialColumn && (row[serialColumn] === undefined || row[serialColumn] === null)) {
+            row[serialColumn] = this.nextSerial(table);
+        }
+        const violation = this.uniqueViolation(table, row);
+        if (violation) {
+            throw violation;
+        }
+        this.table(table).push(this.generateColumns(table, row));
+        this.runTriggers(table);
+        return row;
+    }
+
+    runTriggers(table) {
+        if (TRIGGERS[table]) TRIGGERS[table](this);
+    }
+
+    generateColumns(table, row) {
+        for (const [column, generate] of Object.entries(GENERATED_COLUMNS[table] || {})) {
+            row[column] = generate(row);
+        }
+        return row;
+    }
+}
+
+// --- Query builder -----------------------------------------------------------------------------
+
+class MemoryQuery {
+    constructor(db, tableName) {
+        this.db = db;
+        this.tableName = tableName;
+        this.action = 'select';
+        this.columns = parseSelect('*');
+        this.returning = false;
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.rangeBounds = null;
+        this.countMode = null;
+        this.head = false;
+        this.singleMode = null;
+        this.payload = null;
+        this.onConflict = null;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        this.columns = parseSelect(columns);
+        if (this.action === 'select') {
+            this.countMode = count;
+            this.head = head;
+        } else {
+            this.returning = true;
+            this.countMode = count || this.countMode;
+        }
+        return this;
+    }
+
+    insert(rows, { count = null } = {}) {
+        this.action = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.countMode = count;
+        return this;
+    }
+
+    upsert(rows, { onConflict = null, count = null } = {}) {
+        this.action = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.onConflict = onConflict ? onConflict.split(',').map(c => c.trim()) : null;
+        this.countMode = count;
+        return this;
+    }
+
+    update(patch, { count = null } = {}) {
+        this.action = 'update';
+        this.payload = patch;
+        this.countMode = count;
+        return this;
+    }
+
+    delete({ count = null } = {}) {
+        this.action = 'delete';
+        this.countMode = count;
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.filters.push({ column, operator, value });
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    like(column, pattern) { return this.filter(column, 'like', pattern); }
+    ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+    or(expression) {
+        this.filters.push({ column: null, operator: 'or', value: parseOrExpression(expression) });
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = false } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeBounds = [from, to];
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        let result;
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: error.code ? error : pgError('XX000', error.message), count: null };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    // --- Execution ---
+
+    embedRelations(row, columns) {
+        const output = {};
+        let keep = true;
+
+        for (const item of columns) {
+            if (item.column === '*') {
+                Object.assign(output, clone(row));
+            } else if (item.column) {
+                output[item.column] = clone(row[item.column]);
+            } else {
+                const related = this.db.table(item.relation);
+                const joinKey = JOIN_KEYS.find(key => row[key] !== undefined
+                    && related.some(candidate => candidate[key] !== undefined));
+                let matches = joinKey
+                    ? related.filter(candidate => String(candidate[joinKey]) === String(row[joinKey]))
+                    : [];
+
+                // Filters written as "relation.column" apply to the embedded rows.
+                this.filters
+                    .filter(f => f.column && f.column.startsWith(`${item.relation}.`))
+                    .forEach(f => {
+                        const column = f.column.slice(item.relation.length + 1);
+                        matches = matches.filter(candidate => matchesFilter(candidate, { ...f, column }));
+                    });
+
+                const toOne = (UNIQUE_KEYS[item.relation] || []).some(key => key.length === 1 && key[0] === joinKey);
+                const projected = matches.map(match => this.embedRelations(match, item.columns).row);
+
+                if (item.inner && projected.length === 0) keep = false;
+                output[item.relation] = toOne ? (projected[0] || null) : projected;
+            }
+        }
+
+        return { row: output, keep };
+    }
+
+    matchingRows() {
+        const ownFilters = this.filters.filter(f => !f.column || !f.column.includes('.'));
+        return this.db.table(this.tableName).filter(row => ownFilters.every(f => matchesFilter(row, f)));
+    }
+
+    sortRows(rows) {
+        if (this.orders.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of this.orders) {
+                const left = a[column];
+                const right = b[column];
+                if (left === right) continue;
+                if (left === null || left === undefined) return nullsFirst ? -1 : 1;
+                if (right === null || right === undefined) return nullsFirst ? 1 : -1;
+                const result = left < right ? -1 : 1;
+                return ascending ? result : -result;
+            }
+            return 0;
+        });
+    }
+
+    project(rows) {
+        return rows
+            .map(row => this.embedRelations(row, this.columns))
+            .filter(result => result.keep)
+            .map(result => result.row);
+    }
+
+    finish(rows, count) {
+        if (this.head) {
+            return { data: null, error: null, count };
+        }
+        if (this.singleMode) {
+            if (rows.length === 1) return { data: rows[0], error: null, count };
+            if (rows.length === 0 && this.singleMode === 'maybeSingle') return { data: null, error: null, count };
+            return {
+                data: null,
+                error: pgError('PGRST116', 'JSON object requested, multiple (or no) rows returned'),
+                count,
+            };
+        }
+        return { data: rows, error: null, count };
+    }
+
+    execute() {
+        const table = this.db.table(this.tableName);
+
+        if (this.action === 'select') {
+            let rows = this.project(this.sortRows(this.matchingRows()));
+            const count = this.countMode ? rows.length : null;
+            if (this.rangeBounds) rows = rows.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+            if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+            return this.finish(rows, count);
+        }
+
+        let affected = [];
+
+        if (this.action === 'insert') {
+            affected = this.payload.map(row => this.db.insertRow(this.tableName, row));
+        } else if (this.action === 'upsert') {
+            affected = this.payload.map(input => {
+                const keys = this.onConflict || (UNIQUE_KEYS[this.tableName] || [])[0] || [];
+                const existing = keys.length
+                    ? table.find(row => keys.every(key => String(row[key]) === String(input[key])))
+                    : null;
+                if (existing) {
+                    return this.db.generateColumns(this.tableName, Object.assign(existing, clone(input)));
+                }
+                return this.db.insertRow(this.tableName, input);
+            });
+        } else if (this.action === 'update') {
+            affected = this.matchingRows();
+            for (const row of affected) {
+                const violation = this.db.uniqueViolation(this.tableName, { ...row, ...this.payload }, [row]);
+                if (violation) throw violation;
+            }
+            affected.forEach(row => this.db.generateColumns(this.tableName, Object.assign(row, clone(this.payload))));
+        } else if (this.action === 'delete') {
+            affected = this.matchingRows();
+            this.db.tables.set(this.tableName, table.filter(row => !affected.includes(row)));
+        }
+        this.db.runTriggers(this.tableName);
+
+        const count = this.countMode ? affected.length : null;
+        if (!this.returning) {
+            return { data: null, error: null, count };
+        }
+        return this.finish(this.project(affected), count);
+    }
+}
+
+// --- Database functions --------------------------------------------------------------------------
+
+/**
+ * JavaScript mirrors of the SQL functions documented next to their callers.
+ * Each runs synchronously against the in-memory tables, which makes it atomic in this process.
+ */
+const BUILTIN_RPCS = {
+    // services/cohortService.js joinClusterCohort
+    join_cluster_cohort(db, { p_cluster_id, p_user_id, p_display_profession }) {
+        const meta = db.table('cluster_metadata').find(row => String(row.cluster_id) === String(p_cluster_id));
+        if (!meta) return { status: 'cluster_not_found' };
+
+        const membership = db.table('cluster_cohort_members')
+            .find(row => String(row.cluster_id) === String(p_cluster_id) && row.user_id === p_user_id);
+        if (membership) return { status: 'already_member', cohort_id: membership.cohort_id };
+
+        const openNextCohort = () => BUILTIN_RPCS.open_next_cluster_cohort(db, { p_cluster_id });
+
+        const cohortId = meta.active_cohort_id || openNextCohort();
+
+        let count = db.table('cluster_cohort_members').filter(row => row.cohort_id === cohortId).length;
+        if (count >= meta.max_members) return { status: 'cohort_full', cohort_id: cohortId };
+
+        db.insertRow('cluster_cohort_members', {
+            cluster_id: p_cluster_id,
+            cohort_id: cohortId,
+            user_id: p_user_id,
+            display_profession: p_display_profession,
+            joined_at: new Date().toISOString(),
+        });
+        count += 1;
+        Object.assign(meta, { current_members: count, last_updated: new Date().toISOString() });
+
+        const completed = count >= meta.max_members;
+        let nextCohortId = null;
+        if (completed) {
+            const cohort = db.table('cluster_cohorts').find(row => row.cohort_id === cohortId);
+            if (cohort) Object.assign(cohort, { is_full: true, completed_at: new Date().toISOString() });
+            nextCohortId = openNextCohort();
+        }
+
+        return {
+            status: 'joined',
+            cohort_id: cohortId,
+            current_members: count,
+            max_members: meta.max_members,
+            cohort_completed: completed,
+            next_cohort_id: nextCohortId,
+        };
+    },
+
+    // services/cohortService.js leaveClusterCohort
+    leave_cluster_cohort(db, { p_cluster_id, p_user_id }) {
+        const meta = db.table('cluster_metadata').find(row => String(row.cluster_id) === String(p_cluster_id));
+        if (!meta) return { status: 'cluster_not_found' };
+
+        const isMembership = row => String(row.cluster_id) === String(p_cluster_id) && row.user_id === p_user_id;
+        const membership = db.table('cluster_cohort_members').find(isMembership);
+        if (!membership) return { status: 'not_member' };
+
+        const cohortId = membership.cohort_id;
+        if (cohortId !== meta.active_cohort_id) return { status: 'cohort_completed', cohort_id: cohortId };
+
+        db.tables.set('cluster_cohort_members', db.table('cluster_cohort_members').filter(row => !isMembership(row)));
+
+        const count = db.table('cluster_cohort_members').filter(row => row.cohort_id === cohortId).length;
+        Object.assign(meta, { current_members: count, last_updated: new Date().toISOString() });
+
+        return { status: 'left', cohort_id: cohortId, current_members: count, max_members: meta.max_members };
+    },
+
+    // services/cohortService.js setClusterMaxMembers
+    set_cluster_max_members(db, { p_cluster_id, p_max_members }) {
+        const meta = db.table('cluster_metadata').find(row => String(row.cluster_id) === String(p_cluster_id));
+        if (!meta) return { status: 'cluster_not_found' };
+
+        const cohortId = meta.active_cohort_id;
+        const count = cohortId ? db.table('cluster_cohort_members').filter(row => row.cohort_id === cohortId).length : 0;
+        if (p_max_members < count) return { status: 'below_member_count', cohort_id: cohortId, current_members: count };
+
+        Object.assign(meta, { max_members: p_max_members, last_updated: new Date().toISOString() });
+
+        let nextCohortId = null;
+        if (count > 0 && count >= p_max_members) {
+            const cohort = db.table('cluster_cohorts').find(row => row.cohort_id === cohortId);
+            if (cohort) Object.assign(cohort, { is_full: true, completed_at: new Date().toISOString() });
+            nextCohortId = BUILTIN_RPCS.open_next_cluster_cohort(db, { p_cluster_id });
+        }
+
+        return {
+            status: 'updated',
+            cohort_id: cohortId,
+            current_members: count,
+            max_members: p_max_members,
+            cohort_completed: nextCohortId !== null,
+            next_cohort_id: nextCohortId,
+        };
+    },
+
+    // services/cohortService.js (also used by join_cluster_cohort above)
+    open_next_cluster_cohort(db, { p_cluster_id }) {
+        const meta = db.table('cluster_metadata').find(row => String(row.cluster_id) === String(p_cluster_id));
+        const nextCohortId = `C_${p_cluster_id}_${crypto.randomBytes(4).toString('hex')}`;
+        db.insertRow('cluster_cohorts', { cohort_id: nextCohortId, cluster_id: p_cluster_id, is_full: false, vcf_uploaded: false, expired: false });
+        if (meta) Object.assign(meta, { active_cohort_id: nextCohortId, current_members: 0, last_updated: new Date().toISOString() });
+        return nextCohortId;
+    },
+
+    // services/groupDownloads.js recordGroupDownload
+    increment_members_downloaded(db, { group_id_param }) {
+        const group = db.table('groups').find(row => String(row.group_id) === String(group_id_param));
+        if (!group) return null;
+
+        group.members_downloaded = (group.members_downloaded || 0) + 1;
+        return null;
+    },
+
+    // services/downloadLedger.js recordCohortDownload
+    record_vcf_download(db, { p_cohort_id, p_user_id, p_ticket_id }) {
+        const cohort = db.table('cluster_cohorts').find(row => row.cohort_id === p_cohort_id);
+        if (!cohort) return { status: 'cohort_not_found' };
+
+        const isMember = row => row.cohort_id === p_cohort_id && row.user_id === p_user_id;
+        const first = !db.table('vcf_downloads').some(isMember);
+
+        if (first) {
+            const downloadedAt = new Date().toISOString();
+            db.insertRow('vcf_downloads', {
+                cohort_id: p_cohort_id,
+                cluster_id: cohort.cluster_id,
+                user_id: p_user_id,
+                ticket_id: p_ticket_id || null,
+                downloaded_at: downloadedAt,
+            });
+            db.table('cluster_cohort_members').filter(row => isMember(row) && !row.vcf_downloaded_at)
+                .forEach(row => { row.vcf_downloaded_at = downloadedAt; });
+            db.table('cohort_member_receipts').filter(row => isMember(row) && !row.downloaded_at)
+                .forEach(row => { row.downloaded_at = downloadedAt; });
+        }
+
+        return {
+            status: 'recorded',
+            first_download: first,
+            vcf_download_count: db.table('vcf_downloads').filter(row => row.cohort_id === p_cohort_id).length,
+        };
+    },
+
+    // services/jobs/queue.js claimDueJobs
+    claim_jobs(db, { p_now, p_limit, p_lease_seconds }) {
+        const now = new Date(p_now).getTime();
+        const due = job => (job.status === 'pending' && new Date(job.run_at).getTime() <= now)
+            || (job.status === 'running' && new Date(job.locked_until).getTime() <= now);
+
+        return db.table('jobs')
+            .filter(due)
+            .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+            .slice(0, p_limit)
+            .map(job => Object.assign(job, {
+                status: 'running',
+                attempts: job.attempts + 1,
+                locked_until: new Date(now + p_lease_seconds * 1000).toISOString(),
+            }))
+            .map(clone);
+    },
+};
+
+// --- Auth ----------------------------------------------------------------------------------------
+
+function createMemoryAuth(state) {
+    const userForToken = token => {
+        const userId = state.tokens.get(token);
+        return userId ? state.users.get(userId) : null;
+    };
+
+    const getUser = async token => {
+        const user = userForToken(token);
+        if (!user) {
+            return { data: { user: null }, error: { status: 401, message: 'invalid JWT' } };
+        }
+        return { data: { user: clone(user) }, error: null };
+    };
+
+    return {
+        getUser,
+
+        async signInWithPassword({ email, password }) {
+            const user = [...state.users.values()].find(u => u.email === email);
+            if (!user || state.passwords.get(user.id) !== password) {
+                return { data: { user: null, session: null }, error: { status: 400, message: 'Invalid login credentials' } };
+            }
+            const access_token = state.issueToken(user.id);
+            return {
+                data: { user: clone(user), session: { access_token, refresh_token: crypto.randomUUID(), user: clone(user) } },
+                error: null,
+            };
+        },
+
+        admin: {
+            getUser,
+
+            async createUser({ email, password, user_metadata = {}, app_metadata = {} }) {
+                if ([...state.users.values()].some(u => u.email === email)) {
+                    return { data: { user: null }, error: { status: 422, message: 'A user with this email address has already been registered' } };
+                }
+                const user = { id: crypto.randomUUID(), email, user_metadata, app_metadata, created_at: new Date().toISOString() };
+                state.users.set(user.id, user);
+                state.passwords.set(user.id, password);
+                return { data: { user: clone(user) }, error: null };
+            },
+
+            async deleteUser(id) {
+                state.users.delete(id);
+                state.passwords.delete(id);
+                return { data: {}, error: null };
+            },
+        },
+    };
+}
+
+// --- Storage -------------------------------------------------------------------------------------
+
+function createMemoryStorage(buckets) {
+    const bucket = name => {
+        if (!buckets.has(name)) buckets.set(name, new Map());
+        return buckets.get(name);
+    };
+    const toDataUrl = object => `data:${object.contentType};base64,${object.content.toString('base64')}`;
+    const notFound = { statusCode: '404', message: 'Object not found' };
+
+    return {
+        from(name) {
+            const objects = bucket(name);
+            return {
+                async upload(path, content, { contentType = 'application/octet-stream', upsert = false } = {}) {
+                    if (objects.has(path) && !upsert) {
+                        return { data: null, error: { statusCode: '409', message: 'The resource already exists' } };
+                    }
+                    objects.set(path, { content: Buffer.from(content), contentType });
+                    return { data: { path }, error: null };
+                },
+                async download(path) {
+                    const object = objects.get(path);
+                    if (!object) return { data: null, error: notFound };
+                    return { data: new Blob([object.content], { type: object.contentType }), error: null };
+                },
+                async createSignedUrl(path) {
+                    const object = objects.get(path);
+                    if (!object) return { data: null, error: notFound };
+                    return { data: { signedUrl: toDataUrl(object) }, error: null };
+                },
+                async createSignedUploadUrl(path) {
+                    const token = crypto.randomBytes(16).toString('hex');
+                    return { data: { signedUrl: `memory://${name}/${path}?token=${token}`, path, token }, error: null };
+                },
+                getPublicUrl(path) {
+                    const object = objects.get(path);
+                    return { data: { publicUrl: object ? toDataUrl(object) : `memory://${name}/${path}` } };
+                },
+                async remove(paths) {
+                    const removed = paths.filter(path => objects.delete(path));
+                    return { data: removed.map(path => ({ name: path })), error: null };
+                },
+            };
+        },
+    };
+}
+
+// --- Client --------------------------------------------------------------------------------------
+
+/**
+ * Creates an in-memory client that mimics the supabase-js surface used by this backend.
+ * @param {Object} [seed] - Initial rows keyed by table name, e.g. { dynamic_clusters: [{ id: 1, ... }] }.
+ * @returns {Object} The client, plus helpers: seed(), rows(), snapshot(), registerRpc(), createSession().
+ */
+function createMemorySupabase(seed = {}) {
+    const db = new MemoryDatabase();
+    const rpcs = { ...BUILTIN_RPCS };
+    const buckets = new Map();
+    const authState = {
+        users: new Map(),
+        passwords: new Map(),
+        tokens: new Map(),
+        issueToken(userId) {
+            const token = crypto.randomBytes(24).toString('hex');
+            this.tokens.set(token, userId);
+            return token;
+        },
+    };
+
+    const client = {
+        from(table) {
+            return new MemoryQuery(db, table);
+        },
+
+        async rpc(name, params = {}) {
+            const fn = rpcs[name];
+            if (!fn) {
+                return { data: null, error: pgError('PGRST202', `Could not find the function public.${name}`) };
+            }
+            try {
+                return { data: clone(fn(db, params)) ?? null, error: null };
+            } catch (error) {
+                return { data: null, error: error.code ? error : pgError('P0001', error.message) };
+            }
+        },
+
+        auth: createMemoryAuth(authState),
+        storage: createMemoryStorage(buckets),
+
+        /** Inserts rows directly, bypassing the query builder. */
+        seed(table, rows) {
+            (Array.isArray(rows) ? rows : [rows]).forEach(row => db.insertRow(table, row));
+            return client;
+        },
+
+        /** Returns a copy of every row currently in a table. */
+        rows(table) {
+            return clone(db.table(table));
+        },
+
+        /**
+         * Returns a copy of every table, keyed by name (to check that a request wrote nothing).
+         * Empty tables are left out: reading a table that was never written creates it.
+         */
+        snapshot() {
+            return Object.fromEntries([...db.tables].filter(([, rows]) => rows.length > 0).map(([name, rows]) => [name, clone(rows)]));
+        },
+
+        /** Adds or replaces a database function reachable through rpc(). */
+        registerRpc(name, fn) {
+            rpcs[name] = fn;
+            return client;
+        },
+
+        /** Creates an auth user (if needed) and returns a bearer token for it. */
+        createSession({ id = crypto.randomUUID(), email = `${id}@example.test`, user_metadata = {}, app_metadata = {} } = {}) {
+            if (!authState.users.has(id)) {
+                authState.users.set(id, { id, email, user_metadata, app_metadata, created_at: new Date().toISOString() });
+            }
+            return { user: clone(authState.users.get(id)), access_token: authState.issueToken(id) };
+        },
+    };
+
+    Object.entries(seed).forEach(([table, rows]) => client.seed(table, rows));
+
+    return client;
+}
+
+module.exports = {
+    createMemorySupabase,
+    BUILTIN_RPCS,
+};
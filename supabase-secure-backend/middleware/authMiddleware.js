@@ -1,41 +1,64 @@
 // middleware/authMiddleware.js
 // Contains reusable authentication and authorization middleware.
 
-const { supabaseAdmin, supabaseUrl, supabaseAnonKey } = require('../config/supabase');
-const { createClient } = require('@supabase/supabase-js');
+const { supabaseAdmin, supabaseAnon } = require('../config/supabase');
+const { getUserRoles } = require('../services/roleService');
+const { logger, addContext, redactUserId } = require('../utils/logger');
+const { ERROR_CODES, UnauthorizedError, ForbiddenError, toAppError } = require('../utils/errors');
 
 // Supabase client for normal user token validation
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const supabase = supabaseAnon;
 
 /**
- * Express middleware to verify if the incoming request has a valid Admin bearer token.
- * Uses Supabase Service Role Key for verification.
+ * Builds an Express middleware that requires a valid bearer token AND at least one of `roles`.
+ * Roles are read server-side from the user_roles table (see services/roleService.js).
+ * Fails with 401 (UNAUTHORIZED) without a token, 403 (INVALID_TOKEN / ROLE_REQUIRED) for an invalid
+ * token or a user without a matching role.
+ * @param {...string} roles - Accepted roles, e.g. requireRole('admin', 'moderator').
+ * @returns {Function} Express middleware; sets req.user and req.userRoles.
  */
-async function requireAdminAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        console.warn('Admin access denied: Missing or invalid Authorization header.');
-        return res.status(401).json({ success: false, message: 'Authentication required.' });
-    }
+function requireRole(...roles) {
+    return async function requireRoleMiddleware(req, res, next) {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            logger.warn('Auth: missing or invalid Authorization header');
+            return next(new UnauthorizedError());
+        }
 
-    const token = authHeader.split(' ')[1];
+        const token = authHeader.split(' ')[1];
 
-    try {
-        const { data: { user }, error: authError } = await supabaseAdmin.auth.admin.getUser(token);
-        if (authError || !user) {
-            console.warn('Admin access denied: Token failed validation.', authError?.message);
-            return res.status(403).json({ success: false, message: 'Invalid or expired token.' });
-        }
+        try {
+            const { data: { user }, error: authError } = await supabaseAdmin.auth.admin.getUser(token);
+            if (authError || !user) {
+                logger.warn('Auth: admin token failed validation', { error: authError?.message });
+                return next(new ForbiddenError('Invalid or expired token.', { code: ERROR_CODES.INVALID_TOKEN }));
+            }
 
-        // Optional: check admin flag here if needed
-        req.user = user;
-        next();
-    } catch (e) {
-        console.error('Admin Auth Fatal Error:', e.message);
-        return res.status(500).json({ success: false, message: 'Internal authentication error.' });
-    }
+            const userRoles = await getUserRoles(user.id);
+            if (!roles.some(role => userRoles.includes(role))) {
+                logger.warn('Auth: missing required role', { user_id: user.id, required_roles: roles });
+                return next(new ForbiddenError('Forbidden: insufficient permissions.', {
+                    code: ERROR_CODES.ROLE_REQUIRED,
+                    details: { required_roles: roles },
+                }));
+            }
+
+            req.user = user;
+            req.userRoles = userRoles;
+            addContext({ user_id: redactUserId(user.id) });
+            next();
+        } catch (e) {
+            next(toAppError('verify admin token', e));
+        }
+    };
 }
 
+/**
+ * Express middleware to verify if the incoming request has a valid Admin bearer token
+ * belonging to a user with the admin role.
+ */
+const requireAdminAuth = requireRole('admin');
+
 /**
  * Express middleware to verify if the incoming request has a valid User bearer token.
  * Normal users use this to access protected endpoints.
@@ -43,7 +66,7 @@ async function requireAdminAuth(req, res, next) {
 async function requireUserAuth(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ success: false, message: 'Authentication required.' });
+        return next(new UnauthorizedError());
     }
 
     const token = authHeader.split(' ')[1];
@@ -52,20 +75,57 @@ async function requireUserAuth(req, res, next) {
         // Validate normal user token using public anon key
         const { data: { user }, error } = await supabase.auth.getUser(token);
         if (error || !user) {
-            console.warn('User token validation failed:', error?.message);
-            return res.status(403).json({ success: false, message: 'Invalid or expired token.' });
+            logger.warn('Auth: user token failed validation', { error: error?.message });
+            return next(new ForbiddenError('Invalid or expired token.', { code: ERROR_CODES.INVALID_TOKEN }));
         }
 
-        // Attach user info to req for downstream endpoints
+        // Attach user info to req for downstream endpoints (and to every log line of this request)
         req.user = user;
+        addContext({ user_id: redactUserId(user.id) });
         next();
     } catch (e) {
-        console.error('User Auth Fatal Error:', e.message);
-        return res.status(500).json({ success: false, message: 'Internal authentication error.' });
+        next(toAppError('verify user token', e));
+    }
+}
+
+/**
+ * Compatibility guard for routes that used to take the caller's identity from a `user_id` /
+ * `p_user_id` query or body parameter. Must run after requireUserAuth.
+ * Handlers read identity only from req.user.id; during the migration window older clients may
+ * still send the parameter, but it must match the token's user or the request is rejected with
+ * 403 (USER_ID_MISMATCH).
+ */
+function rejectMismatchedUserId(req, res, next) {
+    const claimedIds = [req.query.user_id, req.query.p_user_id, req.body?.user_id, req.body?.p_user_id]
+        .filter(id => id !== undefined && id !== null && id !== '');
+
+    if (claimedIds.some(id => String(id) !== req.user.id)) {
+        logger.warn('Auth: user_id does not match token', { user_id: req.user.id });
+        return next(new ForbiddenError('user_id does not match the authenticated user.', { code: ERROR_CODES.USER_ID_MISMATCH }));
+    }
+    next();
+}
+
+// Middleware chain for every user-scoped route: a valid user token, and no conflicting user_id.
+const requireUserIdentity = [requireUserAuth, rejectMismatchedUserId];
+
+/**
+ * For public routes that personalise the response for signed-in callers: applies
+ * requireUserIdentity when an Authorization header is sent, otherwise continues without req.user.
+ * A header with a bad token still fails; it is never silently treated as anonymous.
+ */
+function optionalUserIdentity(req, res, next) {
+    if (!req.headers.authorization) {
+        return next();
     }
+    requireUserAuth(req, res, error => (error ? next(error) : rejectMismatchedUserId(req, res, next)));
 }
 
 module.exports = {
+    requireRole,
     requireAdminAuth,
     requireUserAuth,
+    rejectMismatchedUserId,
+    requireUserIdentity,
+    optionalUserIdentity,
 };
@@ -0,0 +1,31 @@
+// middleware/conditionalGet.js
+// Answers GETs of cached data (services/cache/) with ETag and Last-Modified, and with
+// 304 Not Modified when the client's If-None-Match / If-Modified-Since still matches.
+
+/**
+ * Sends a cachedRead() entry. Use in place of res.json() in the route handler:
+ *   return sendCached(req, res, await cachedRead(leaderboardKey('secure_data'), 'leaderboard', load));
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{value: *, etag: string, lastModified: string}} entry
+ * @param {Object} [options]
+ * @param {boolean} [options.private=false] - The body depends on the caller (shared caches must not keep it).
+ */
+function sendCached(req, res, entry, { private: isPrivate = false } = {}) {
+    res.set({
+        ETag: entry.etag,
+        'Last-Modified': entry.lastModified,
+        // Clients may keep the body but must revalidate it on every use
+        'Cache-Control': isPrivate ? 'private, no-cache' : 'no-cache',
+    });
+
+    // req.fresh compares the request's validators with the ETag / Last-Modified set above
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    return res.json(entry.value);
+}
+
+module.exports = {
+    sendCached,
+};
@@ -0,0 +1,94 @@
+// middleware/deprecation.js
+// Marks legacy routes, and the unversioned aliases of the /api/v1 routes, as deprecated. The routes
+// keep working; every response carries the Deprecation (RFC 9745) and Sunset (RFC 8594) headers,
+// plus a Link to the /api/v1 route that replaces it, and every call is logged so we can see when
+// a route is no longer used.
+
+const deprecationConfig = require('../config/deprecation');
+const { logger } = require('../utils/logger');
+
+/**
+ * Builds the middleware for one legacy route. Mount it first in the route's chain:
+ *   router.get('/cohorts/:cluster_id/status', deprecated('/api/v1/cohort-status?cluster_id=:cluster_id'), ...)
+ * @param {string|null} successor - Path of the replacing route. `:name` placeholders are filled
+ *   from req.params. null when the route is going away without a replacement.
+ * @param {Object} [config] - Defaults to config/deprecation.js.
+ * @returns {Function} Express middleware.
+ */
+function deprecated(successor, config = deprecationConfig) {
+    const headers = deprecationHeaders(config);
+
+    return function deprecationMiddleware(req, res, next) {
+        let successorPath = null;
+        if (successor) {
+            successorPath = successor.replace(/:(\w+)/g, (placeholder, name) => (
+                req.params[name] !== undefined ? encodeURIComponent(req.params[name]) : placeholder
+            ));
+        }
+
+        markDeprecated(req, res, headers, successorPath);
+        logUse(req, `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`, successorPath);
+        next();
+    };
+}
+
+/**
+ * Builds the middleware for a router mounted a second time without its version prefix, so that
+ * every route it serves is a deprecated alias of the same path under `versionPrefix`:
+ *   router.use('/', deprecatedAlias('/api/v1'), v1Routes)
+ * Only responses from a matched route are marked and logged: requests the router does not answer
+ * fall through to the API 404 handler, which must not point to a successor that does not exist.
+ * @param {string} versionPrefix - Mount path of the versioned router, e.g. '/api/v1'.
+ * @param {Object} [config] - Defaults to config/deprecation.js.
+ * @returns {Function} Express middleware.
+ */
+function deprecatedAlias(versionPrefix, config = deprecationConfig) {
+    const headers = deprecationHeaders(config);
+
+    return function deprecatedAliasMiddleware(req, res, next) {
+        const successorPath = `${versionPrefix}${req.url}`;
+
+        // Whether a route matched is only known once the response starts (req.route is set by routing)
+        const writeHead = res.writeHead;
+        res.writeHead = function writeHeadWithDeprecation(...args) {
+            if (req.route) {
+                markDeprecated(req, res, headers, successorPath);
+            }
+            return writeHead.apply(this, args);
+        };
+
+        res.on('finish', () => {
+            if (req.route) {
+                logUse(req, `${req.method} ${req.baseUrl}${req.path}`, successorPath);
+            }
+        });
+        next();
+    };
+}
+
+function deprecationHeaders(config) {
+    return {
+        Deprecation: `@${Math.floor(config.deprecatedAt.getTime() / 1000)}`,
+        Sunset: config.sunsetAt.toUTCString(),
+    };
+}
+
+function markDeprecated(req, res, headers, successorPath) {
+    res.set(headers);
+    if (successorPath) {
+        res.set('Link', `<${successorPath}>; rel="successor-version"`);
+    }
+}
+
+function logUse(req, route, successorPath) {
+    logger.info('API: deprecated route used', {
+        route,
+        successor: successorPath,
+        user_agent: req.get('user-agent') || null,
+    });
+}
+
+module.exports = {
+    deprecated,
+    deprecatedAlias,
+};
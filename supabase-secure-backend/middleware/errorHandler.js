@@ -0,0 +1,84 @@
+// middleware/errorHandler.js
+// Turns thrown errors into the uniform API error response. Mounted last in app.js.
+
+const { AppError, ERROR_CODES, NotFoundError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Wraps an async route handler so a rejected promise reaches the error handler
+ * (Express 4 does not forward async errors on its own).
+ * @param {Function} handler - async (req, res, next) => {...}
+ * @returns {Function}
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Sends an AppError as `{ success: false, code, message, details?, request_id }`.
+ * Exposed for the few places that must answer without going through next() (e.g. inside streams).
+ * @param {Object} res - Express response.
+ * @param {AppError} error
+ */
+function sendError(res, error) {
+    const body = {
+        success: false,
+        code: error.code,
+        message: error.message,
+    };
+    if (error.details !== undefined) body.details = error.details;
+    if (res.req && res.req.id) body.request_id = res.req.id;
+
+    res.status(error.status).json(body);
+}
+
+/**
+ * Catch-all for /api paths no router handled, so API clients always get JSON.
+ */
+function apiNotFoundHandler(req, res, next) {
+    next(new NotFoundError(`No API route for ${req.method} ${req.baseUrl}${req.path}.`));
+}
+
+/**
+ * Final Express error handler. AppErrors are rendered as-is; anything else is logged with its
+ * stack and reported as a generic 500 so internal details never reach the client.
+ * Express recognizes error handlers by their four parameters, so `next` must stay in the signature.
+ */
+function errorHandler(err, req, res, next) {
+    let error = err;
+
+    // Malformed JSON bodies rejected by body-parser
+    if (err && err.type === 'entity.parse.failed') {
+        error = new ValidationError('The request body is not valid JSON.');
+    }
+
+    if (error instanceof AppError) {
+        if (error.cause) {
+            logger.error('Upstream failure', {
+                operation: error.operation,
+                error: error.cause.message || String(error.cause),
+                error_code: error.cause.code,
+            });
+        }
+    } else {
+        logger.error('Unhandled error', { error: err && err.message, stack: err && err.stack });
+        error = new AppError(500, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred.');
+    }
+
+    // Too late to send a JSON body once a stream has started; just end the connection.
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+
+    sendError(res, error);
+}
+
+module.exports = {
+    asyncHandler,
+    sendError,
+    apiNotFoundHandler,
+    errorHandler,
+};
@@ -0,0 +1,57 @@
+// middleware/rateLimit.js
+// Per-route request budgets (configured in config/rateLimit.js, counted by services/rateLimit).
+
+const rateLimitConfig = require('../config/rateLimit');
+const { getRateLimitStore } = require('../services/rateLimit');
+const { RateLimitError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Builds middleware that enforces the named budget. Requests over budget fail with
+ * 429 RATE_LIMITED and a Retry-After header (seconds until the window resets).
+ *   router.post('/join-cluster', requireUserIdentity, rateLimit('join'), validate(...), handler)
+ * Mount it after authentication, so signed-in callers are counted by user ID; requests without
+ * req.user are counted by IP. Budgets are independent: a user's joins do not use up their downloads.
+ * If the store is unreachable the request is let through rather than locking everyone out.
+ * @param {string} budgetName - A key of rateLimitConfig.budgets, e.g. 'signup'.
+ * @param {Object} [config] - Defaults to config/rateLimit.js.
+ * @returns {Function} Express middleware.
+ */
+function rateLimit(budgetName, config = rateLimitConfig) {
+    const budget = config.budgets[budgetName];
+    if (!budget) {
+        throw new Error(`Unknown rate limit budget "${budgetName}".`);
+    }
+
+    return async function rateLimitMiddleware(req, res, next) {
+        if (!config.enabled) return next();
+
+        const subject = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+        let result;
+        try {
+            result = await getRateLimitStore().hit(`${budgetName}:${subject}`, budget.windowSeconds);
+        } catch (error) {
+            logger.warn('Rate limit: store unavailable, request allowed', { budget: budgetName, error: error.message });
+            return next();
+        }
+
+        if (result.count <= budget.max) return next();
+
+        const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+
+        logger.warn('Rate limit: budget exceeded', {
+            budget: budgetName,
+            keyed_by: req.user ? 'user' : 'ip',
+            retry_after_seconds: retryAfter,
+        });
+        next(new RateLimitError(`Too many requests. Please try again in ${retryAfter} seconds.`, {
+            details: { retry_after_seconds: retryAfter },
+        }));
+    };
+}
+
+module.exports = {
+    rateLimit,
+};
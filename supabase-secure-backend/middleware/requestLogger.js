@@ -0,0 +1,74 @@
+// middleware/requestLogger.js
+// Assigns every request a correlation ID and writes one structured summary line when it finishes.
+
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+
+// Incoming X-Request-Id values are reused (e.g. from a load balancer) only if they look sane.
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Extracts the cluster/group the request is about, wherever the route takes it from.
+ */
+function pickResourceIds(req) {
+    const sources = [req.params || {}, req.query || {}, req.body || {}];
+    const find = (...names) => {
+        for (const source of sources) {
+            for (const name of names) {
+                if (source[name] !== undefined && source[name] !== '') return String(source[name]);
+            }
+        }
+        return undefined;
+    };
+
+    return {
+        cluster_id: find('cluster_id', 'p_cluster_id'),
+        group_id: find('group_id'),
+    };
+}
+
+/**
+ * Express middleware: sets req.id and the X-Request-Id response header, runs the rest of the
+ * request inside a logging context, and logs route, user, resource IDs, status, latency and
+ * outcome once the response has been sent.
+ */
+function requestLogger(req, res, next) {
+    const incomingId = req.get('x-request-id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    runWithContext({ request_id: requestId, method: req.method, path: req.originalUrl.split('?')[0] }, () => {
+        res.on('finish', () => {
+            const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            const status = res.statusCode;
+            const outcome = status >= 500 ? 'server_error' : status >= 400 ? 'client_error' : 'success';
+
+            // The route pattern and user are only known once routing and auth have run.
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+            const fields = {
+                // Set explicitly: 'finish' may fire outside the request's async context
+                request_id: requestId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                route,
+                user_id: req.user ? req.user.id : null, // redacted by the logger
+                ...pickResourceIds(req),
+                status,
+                latency_ms: Math.round(latencyMs * 10) / 10,
+                outcome,
+            };
+
+            const level = outcome === 'server_error' ? 'error' : outcome === 'client_error' ? 'warn' : 'info';
+            logger[level]('request completed', fields);
+        });
+
+        next();
+    });
+}
+
+module.exports = {
+    requestLogger,
+};
@@ -0,0 +1,42 @@
+// middleware/validate.js
+// Route-level schema enforcement (schemas are described in utils/validation.js).
+
+const { validateObject } = require('../utils/validation');
+const { ValidationError } = require('../utils/errors');
+
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Builds middleware that validates req.params, req.query and/or req.body against the given
+ * schemas and replaces each with its cleaned copy (coerced values, defaults, unknown fields removed).
+ * Any failure is reported as 400 VALIDATION_ERROR with every problem listed in `details.errors`:
+ *   router.post('/join', validate({ body: { group_id: { ...rules.groupId, required: true } } }), handler)
+ * Run it after authentication, so a rejected token is reported before bad input.
+ * @param {{params?: Object, query?: Object, body?: Object}} schemas
+ * @returns {Function} Express middleware.
+ */
+function validate(schemas) {
+    return function validateMiddleware(req, res, next) {
+        const errors = [];
+        const cleaned = {};
+
+        for (const part of PARTS) {
+            if (!schemas[part]) continue;
+            const result = validateObject(schemas[part], req[part]);
+            cleaned[part] = result.value;
+            errors.push(...result.errors.map(error => ({ field: `${part}.${error.field}`, message: error.message })));
+        }
+
+        if (errors.length > 0) {
+            const first = errors[0];
+            return next(new ValidationError(`${first.field} ${first.message}.`, { details: { errors } }));
+        }
+
+        Object.assign(req, cleaned);
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+};
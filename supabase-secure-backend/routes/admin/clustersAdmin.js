@@ -0,0 +1,175 @@
+// routes/admin/clustersAdmin.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../../config/supabase');
+const { requireRole } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { invalidateClusterReads } = require('../../services/cache');
+const { setMaxMembers } = require('../../services/clusterMembership');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError, UpstreamError, toAppError } = require('../../utils/errors');
+
+const supabase = supabaseAdmin;
+
+// ----------------------------------------------------
+// ADMIN CLUSTER CRUD ENDPOINTS (used by admin.html)
+// ----------------------------------------------------
+
+const clusterFields = {
+    cluster_name: { type: 'string', minLength: 1, maxLength: 100 },
+    cluster_region: { type: 'string', minLength: 1, maxLength: 100 },
+    max_members: { type: 'integer', min: 2, max: 10000 },
+};
+const clusterIdParams = { id: { ...rules.clusterId, required: true } };
+const createClusterSchema = {
+    body: {
+        cluster_name: { ...clusterFields.cluster_name, required: true },
+        cluster_region: { ...clusterFields.cluster_region, required: true },
+        max_members: { ...clusterFields.max_members, required: true },
+    },
+};
+
+/**
+ * List Clusters (Admin Only)
+ * Route: GET /api/admin/clusters
+ */
+router.get('/admin/clusters', requireRole('admin'), asyncHandler(async (req, res) => {
+    try {
+        const { data: clusters, error } = await supabase
+            .from('cluster_metadata')
+            .select('*')
+            .order('cluster_id', { ascending: true });
+
+        if (error) throw error;
+
+        return res.json({ success: true, clusters });
+    } catch (error) {
+        throw toAppError('fetch cluster list', error);
+    }
+}));
+
+/**
+ * Create Cluster (Admin Only)
+ * Route: POST /api/admin/clusters  { cluster_name, cluster_region, max_members }
+ * Creates the cluster_metadata (state) row directly; the first join opens its first cohort.
+ */
+router.post('/admin/clusters', requireRole('admin'), validate(createClusterSchema), asyncHandler(async (req, res) => {
+    const { cluster_name, cluster_region, max_members } = req.body;
+
+    try {
+        const { data: cluster, error } = await supabase
+            .from('cluster_metadata')
+            .insert([{
+                cluster_name,
+                cluster_region,
+                max_members,
+                cluster_category_id: 1, // Default category, as required by the schema
+                current_members: 0,
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await invalidateClusterReads(cluster.cluster_id);
+        return res.status(201).json({ success: true, message: 'Cluster created successfully.', cluster });
+    } catch (error) {
+        throw toAppError('create cluster', error);
+    }
+}));
+
+/**
+ * Update Cluster (Admin Only)
+ * Route: PUT /api/admin/clusters/:id  { cluster_name?, cluster_region?, max_members? }
+ * A new max_members applies to the open cohort right away: it cannot go below the cohort's member
+ * count (409 MAX_MEMBERS_BELOW_COHORT_SIZE), setting it to that count completes the cohort, and
+ * raising it places queued users.
+ */
+router.put('/admin/clusters/:id', requireRole('admin'), validate({ params: clusterIdParams, body: clusterFields }), asyncHandler(async (req, res) => {
+    const clusterId = req.params.id;
+    const { max_members, ...updatePayload } = Object.fromEntries(
+        Object.keys(clusterFields)
+            .filter(field => req.body[field] !== undefined)
+            .map(field => [field, req.body[field]])
+    );
+
+    if (max_members === undefined && Object.keys(updatePayload).length === 0) {
+        throw new ValidationError('No fields provided for update.');
+    }
+
+    try {
+        // Checked and applied under the cluster lock, together with the completion it may cause
+        if (max_members !== undefined) {
+            const resized = await setMaxMembers(clusterId, max_members);
+
+            if (resized.reason === 'cluster_not_found') {
+                throw new NotFoundError(`Cluster ${clusterId} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+            }
+            if (resized.reason === 'below_member_count') {
+                throw new ConflictError(`max_members cannot be lower than the ${resized.current_members} members of the open cohort.`, {
+                    code: ERROR_CODES.MAX_MEMBERS_BELOW_COHORT_SIZE,
+                    details: { current_members: resized.current_members },
+                });
+            }
+            if (!resized.success) {
+                throw new UpstreamError('update max_members', resized);
+            }
+        }
+
+        if (Object.keys(updatePayload).length > 0) {
+            const { data: updated, error } = await supabase
+                .from('cluster_metadata')
+                .update(updatePayload)
+                .eq('cluster_id', clusterId)
+                .select('cluster_id');
+
+            if (error) throw error;
+            if (!updated || updated.length === 0) {
+                throw new NotFoundError(`Cluster ${clusterId} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+            }
+
+            await invalidateClusterReads(clusterId);
+        }
+
+        return res.json({ success: true, message: `Cluster ${clusterId} updated successfully.` });
+    } catch (error) {
+        throw toAppError('update cluster', error);
+    }
+}));
+
+/**
+ * Delete Cluster (Admin Only)
+ * Route: DELETE /api/admin/clusters/:id
+ * Also deletes the cluster's cohort memberships.
+ */
+router.delete('/admin/clusters/:id', requireRole('admin'), validate({ params: clusterIdParams }), asyncHandler(async (req, res) => {
+    const clusterId = req.params.id;
+
+    try {
+        const { error: membersError } = await supabase
+            .from('cluster_cohort_members')
+            .delete()
+            .eq('cluster_id', clusterId);
+
+        if (membersError) throw membersError;
+
+        const { data: deleted, error } = await supabase
+            .from('cluster_metadata')
+            .delete()
+            .eq('cluster_id', clusterId)
+            .select('cluster_id');
+
+        if (error) throw error;
+        if (!deleted || deleted.length === 0) {
+            throw new NotFoundError(`Cluster ${clusterId} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+        }
+
+        await invalidateClusterReads(clusterId);
+        return res.json({ success: true, message: `Cluster ${clusterId} deleted successfully.` });
+    } catch (error) {
+        throw toAppError('delete cluster', error);
+    }
+}));
+
+module.exports = router;
@@ -2,30 +2,31 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
 const { extractClusterIdFromFileName } = require('../../utils/cohortUtils');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin;
 
 /**
  * Endpoint 11: Commit VCF Upload (Admin Only)
  */
-router.post('/cohorts/:cluster_id/vcf-commit', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
-    const { file_name } = req.body; 
+const commitSchema = {
+    params: { cluster_id: { ...rules.clusterId, required: true } },
+    body: { file_name: { ...rules.fileName, required: true } },
+};
 
-    if (!file_name) {
-        return res.status(400).json({ success: false, message: 'file_name is required in the body.' });
-    }
-    
-    const clusterIdNum = parseInt(cluster_id, 10);
-    if (isNaN(clusterIdNum)) {
-        return res.status(400).json({ success: false, message: 'Invalid cluster ID format.' });
-    }
+router.post('/cohorts/:cluster_id/vcf-commit', requireRole('admin'), validate(commitSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const { file_name } = req.body; 
     
     const fileClusterId = extractClusterIdFromFileName(file_name);
     if (fileClusterId !== clusterIdNum) {
-        console.warn(`VCF Commit Mismatch: URL ID ${clusterIdNum} does not match file ID ${fileClusterId}`);
+        logger.warn('VCF commit: file name does not match cluster', { cluster_id: clusterIdNum, file_cluster_id: fileClusterId });
     }
 
     try {
@@ -49,10 +50,9 @@ router.post('/cohorts/:cluster_id/vcf-commit', requireAdminAuth, async (req, res
         });
 
     } catch (error) {
-        console.error(`Error committing VCF upload for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Database commit failed: ${error.message}` });
+        throw toAppError('commit VCF upload', error);
     }
-});
+}));
 
 module.exports = router;
 
@@ -2,16 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
+const { getVcfStorage } = require('../../services/storage');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 6: Download VCF (Admin Only)
  */
-router.get('/cohorts/:cluster_id/download-vcf', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
-    const clusterIdNum = parseInt(cluster_id, 10);
+router.get('/cohorts/:cluster_id/download-vcf', requireRole('admin'), validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
 
     try {
         const { data: meta, error: metaError } = await supabase
@@ -22,41 +27,34 @@ router.get('/cohorts/:cluster_id/download-vcf', requireAdminAuth, async (req, re
 
         if (metaError) throw metaError;
         if (!meta || !meta.vcf_uploaded || !meta.vcf_file_name) {
-            return res.status(404).json({ success: false, message: 'VCF file not uploaded or metadata missing.' });
+            throw new NotFoundError('VCF file not uploaded or metadata missing.', { code: ERROR_CODES.VCF_NOT_READY });
         }
 
         const fileName = meta.vcf_file_name;
         
-        const { data, error: urlError } = await supabase.storage
-            .from('vcf_files')
-            .createSignedUrl(fileName, 60);
-
-        if (urlError) throw urlError;
+        const downloadUrl = await getVcfStorage().getSignedUrl(fileName, 60);
         
-         const { error: countError } = await supabase
+        // Admin downloads are not member downloads, so they stay out of the download ledger
+        const { error: touchError } = await supabase
             .from('cluster_metadata')
-            .update({ 
-                vcf_download_count: supabase.select_cast('vcf_download_count + 1'),
-                last_downloaded_at: new Date().toISOString()
-            })
+            .update({ last_downloaded_at: new Date().toISOString() })
             .eq('cluster_id', clusterIdNum);
             
-        if (countError) {
-             console.error(`Warning: Failed to increment VCF download count for cluster ${clusterIdNum}:`, countError.message);
+        if (touchError) {
+             logger.warn('Admin download: failed to stamp last_downloaded_at', { cluster_id: clusterIdNum, error: touchError.message });
         }
         
         return res.json({ 
             success: true, 
-            download_url: data.signedUrl, 
+            download_url: downloadUrl, 
             filename: fileName,
             message: `Signed URL generated for VCF download for ${meta.cluster_name}.` 
         });
 
     } catch (error) {
-        console.error(`Error generating VCF download URL for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error during VCF download preparation: ${error.message}` });
+        throw toAppError('prepare admin VCF download', error);
     }
-});
+}));
 
 module.exports = router;
 
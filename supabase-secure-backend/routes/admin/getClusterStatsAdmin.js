@@ -3,23 +3,31 @@ const express = require('express');
 const router = express.Router();
 const { getCohortStatus } = require('../../services/cohortService');
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
 const { calculateClusterStats } = require('../../utils/cohortUtils');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 9: Get Cluster Statistics (Admin Only)
  */
-router.get('/cohorts/:cluster_id/stats', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
+const clusterStatsSchema = {
+    params: { cluster_id: { ...rules.clusterId, required: true } },
+    query: { user_country: rules.country },
+};
+
+router.get('/cohorts/:cluster_id/stats', requireRole('admin', 'moderator'), validate(clusterStatsSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
     const { user_country } = req.query; 
 
     try {
-        const clusterIdNum = parseInt(cluster_id, 10);
         const status = await getCohortStatus(clusterIdNum, req.user.id); 
         if (!status.success || !status.cohort_id) {
-             return res.status(404).json({ success: false, message: 'Active cohort not found.' });
+             throw new NotFoundError('Active cohort not found.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         const { data: members, error } = await supabase
@@ -41,10 +49,9 @@ router.get('/cohorts/:cluster_id/stats', requireAdminAuth, async (req, res) => {
         return res.json({ success: true, stats: stats });
 
     } catch (error) {
-        console.error(`Error calculating cluster stats for ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+        throw toAppError('calculate admin cluster stats', error);
     }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,34 @@
+// routes/admin/getCohortHistoryAdmin.js
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../../middleware/authMiddleware');
+const { getClusterCohortHistory } = require('../../services/cohortHistory');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * Get Completed Cohort History (Admin Only)
+ * Route: GET /api/cohorts/:cluster_id/history?limit=50
+ * Returns the cluster's completed cohorts (newest first) with member, download and throughput totals.
+ */
+const historySchema = {
+    params: { cluster_id: { ...rules.clusterId, required: true } },
+    query: { limit: { type: 'integer', min: 1, max: 500, default: 50 } },
+};
+
+router.get('/cohorts/:cluster_id/history', requireRole('admin', 'moderator'), validate(historySchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const { limit } = req.query;
+
+    const result = await getClusterCohortHistory(clusterIdNum, { limit });
+
+    if (!result.success) {
+        throw new UpstreamError('load cluster cohort history', result);
+    }
+
+    return res.json({ success: true, cluster_id: clusterIdNum, totals: result.totals, cohorts: result.cohorts });
+}));
+
+module.exports = router;
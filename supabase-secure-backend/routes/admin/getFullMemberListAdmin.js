@@ -2,23 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
 const { getCohortStatus } = require('../../services/cohortService');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 8: Get Combined Member List (Admin Only)
  */
-router.get('/cohorts/:cluster_id/members', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
-    const clusterIdNum = parseInt(cluster_id, 10);
+router.get('/cohorts/:cluster_id/members', requireRole('admin'), validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
     
     try {
-        // req.user.id is available from requireAdminAuth
+        // req.user.id is available from requireRole
         const status = await getCohortStatus(clusterIdNum, req.user.id); 
         if (!status.success || !status.cohort_id) {
-             return res.status(404).json({ success: false, message: status.message || 'Active cohort not found.' });
+             throw new NotFoundError('Active cohort not found.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         const active_cohort_id = status.cohort_id;
@@ -56,9 +59,8 @@ router.get('/cohorts/:cluster_id/members', requireAdminAuth, async (req, res) =>
         return res.json({ success: true, members: combinedMembers });
 
     } catch (error) {
-        console.error(`Error fetching combined member list for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+        throw toAppError('fetch admin member list', error);
     }
-});
+}));
 
 module.exports = router;
@@ -2,43 +2,61 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
+const { getCohortDownloadCount } = require('../../services/downloadLedger');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 7: Check VCF Upload Status (Admin Only)
+ * `vcf_download_count` is the number of members of the cohort the latest file belongs to who downloaded it.
  */
-router.get('/cohorts/:cluster_id/vcf-upload-status', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
-    const clusterIdNum = parseInt(cluster_id, 10);
+router.get('/cohorts/:cluster_id/vcf-upload-status', requireRole('admin', 'moderator'), validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
     
     try {
          const { data, error } = await supabase
             .from('cluster_metadata') 
-            .select('vcf_uploaded, vcf_file_name, vcf_download_count, current_members, max_members') 
+            .select('vcf_uploaded, vcf_file_name, current_members, max_members') 
             .eq('cluster_id', clusterIdNum)
             .maybeSingle();
 
         if (error) throw error;
         
         if (!data) {
-            return res.status(404).json({ success: false, message: 'Cluster metadata not found.' });
+            throw new NotFoundError('Cluster metadata not found.', { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+        }
+
+        let vcf_download_count = 0;
+        if (data.vcf_file_name) {
+            const { data: cohort, error: cohortError } = await supabase
+                .from('cluster_cohorts')
+                .select('cohort_id')
+                .eq('vcf_file_name', data.vcf_file_name)
+                .maybeSingle();
+
+            if (cohortError) throw cohortError;
+            if (cohort) {
+                vcf_download_count = await getCohortDownloadCount(cohort.cohort_id);
+            }
         }
 
         return res.json({ 
             success: true, 
             status: data.vcf_uploaded ? 'uploaded' : 'pending',
             vcf_file_name: data.vcf_file_name,
-            vcf_download_count: data.vcf_download_count,
+            vcf_download_count,
             current_members: data.current_members,
             max_members: data.max_members,
         });
 
     } catch (error) {
-        console.error(`Error checking VCF upload status for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+        throw toAppError('check VCF upload status', error);
     }
-});
+}));
 
 module.exports = router;
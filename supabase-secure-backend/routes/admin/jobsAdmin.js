@@ -0,0 +1,58 @@
+// routes/admin/jobsAdmin.js
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../../middleware/authMiddleware');
+const { listJobs, retryDeadJob } = require('../../services/jobs/queue');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { ERROR_CODES, NotFoundError, ConflictError, UpstreamError, toAppError } = require('../../utils/errors');
+
+/**
+ * List Background Jobs (Admin Only)
+ * Route: GET /api/admin/jobs?status=dead&limit=50
+ * Dead jobs are the dead-letter report: work that failed on every attempt and needs attention.
+ */
+const listJobsSchema = {
+    query: {
+        status: { type: 'string', enum: ['pending', 'running', 'done', 'dead'], default: 'dead' },
+        limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    },
+};
+
+router.get('/admin/jobs', requireRole('admin'), validate(listJobsSchema), asyncHandler(async (req, res) => {
+    const { status, limit } = req.query;
+
+    try {
+        const jobs = await listJobs(status, { limit });
+        return res.json({ success: true, status, jobs });
+    } catch (error) {
+        throw toAppError('list jobs', error);
+    }
+}));
+
+/**
+ * Retry a Dead Job (Admin Only)
+ * Route: POST /api/admin/jobs/:job_id/retry
+ * Puts the job back in the queue with a fresh set of attempts, e.g. after fixing storage.
+ */
+const retryJobSchema = {
+    params: { job_id: { type: 'integer', min: 1, required: true } },
+};
+
+router.post('/admin/jobs/:job_id/retry', requireRole('admin'), validate(retryJobSchema), asyncHandler(async (req, res) => {
+    const result = await retryDeadJob(req.params.job_id);
+
+    if (!result.success) {
+        if (result.reason === 'not_found') {
+            throw new NotFoundError('Job not found.', { code: ERROR_CODES.JOB_NOT_FOUND });
+        }
+        if (result.reason === 'not_dead') {
+            throw new ConflictError('Only dead jobs can be retried.', { code: ERROR_CODES.JOB_NOT_DEAD });
+        }
+        throw new UpstreamError('retry job', result);
+    }
+
+    return res.json({ success: true, job: result.job });
+}));
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// routes/admin/manageRoles.js
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../../middleware/authMiddleware');
+const { ROLES, getUserRoles, grantRole, revokeRole } = require('../../services/roleService');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, ValidationError, ForbiddenError, UpstreamError, toAppError } = require('../../utils/errors');
+
+/**
+ * List a user's roles (Admin Only)
+ * Route: GET /api/admin/roles/:user_id
+ */
+router.get('/admin/roles/:user_id', requireRole('admin'), validate({ params: { user_id: { ...rules.userId, required: true } } }), asyncHandler(async (req, res) => {
+    try {
+        const roles = await getUserRoles(req.params.user_id);
+        return res.json({ success: true, user_id: req.params.user_id, roles, available_roles: ROLES });
+    } catch (error) {
+        throw toAppError('look up user roles', error);
+    }
+}));
+
+/**
+ * Maps a failed grantRole/revokeRole result to the matching application error.
+ */
+function roleChangeError(result, operation) {
+    if (result.reason === 'unknown_role') {
+        return new ValidationError(result.message, { code: ERROR_CODES.UNKNOWN_ROLE, details: { available_roles: ROLES } });
+    }
+    if (result.reason === 'self_revoke') {
+        return new ForbiddenError(result.message, { code: ERROR_CODES.SELF_REVOKE });
+    }
+    return new UpstreamError(operation, result);
+}
+
+const roleChangeSchema = {
+    body: {
+        user_id: { ...rules.userId, required: true },
+        role: { type: 'string', required: true, maxLength: 32 },
+    },
+};
+
+/**
+ * Grant a role (Admin Only)
+ * Route: POST /api/admin/roles/grant  { user_id, role }
+ */
+router.post('/admin/roles/grant', requireRole('admin'), validate(roleChangeSchema), asyncHandler(async (req, res) => {
+    const { user_id, role } = req.body;
+
+    const result = await grantRole(user_id, role, req.user.id);
+    if (!result.success) {
+        throw roleChangeError(result, 'grant role');
+    }
+
+    return res.json({ success: true, user_id, roles: result.roles });
+}));
+
+/**
+ * Revoke a role (Admin Only)
+ * Route: POST /api/admin/roles/revoke  { user_id, role }
+ */
+router.post('/admin/roles/revoke', requireRole('admin'), validate(roleChangeSchema), asyncHandler(async (req, res) => {
+    const { user_id, role } = req.body;
+
+    const result = await revokeRole(user_id, role, req.user.id);
+    if (!result.success) {
+        throw roleChangeError(result, 'revoke role');
+    }
+
+    return res.json({ success: true, user_id, roles: result.roles });
+}));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/admin/reconciliationAdmin.js
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../../middleware/authMiddleware');
+const { reconcileCohorts } = require('../../services/reconciliation');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * Report Inconsistent Cluster/Cohort State (Admin Only)
+ * Route: GET /api/admin/reconciliation?cluster_id=X
+ * Read-only: lists the issues found and the repair each would get (see services/reconciliation.js).
+ */
+router.get('/admin/reconciliation', requireRole('admin'), validate({ query: { cluster_id: rules.clusterId } }), asyncHandler(async (req, res) => {
+    const result = await reconcileCohorts({ cluster_id: req.query.cluster_id ?? null });
+
+    if (!result.success) {
+        throw new UpstreamError('scan cohorts', result);
+    }
+
+    return res.json({ success: true, issues: result.issues });
+}));
+
+/**
+ * Repair Inconsistent Cluster/Cohort State (Admin Only)
+ * Route: POST /api/admin/reconciliation/repair  { cluster_id? }
+ * Scans again and applies every safe repair; each issue reports 'repaired', 'failed' or 'manual'.
+ */
+router.post('/admin/reconciliation/repair', requireRole('admin'), validate({ body: { cluster_id: rules.clusterId } }), asyncHandler(async (req, res) => {
+    const result = await reconcileCohorts({ cluster_id: req.body.cluster_id ?? null, repair: true });
+
+    if (!result.success) {
+        throw new UpstreamError('repair cohorts', result);
+    }
+
+    return res.json({ success: true, issues: result.issues });
+}));
+
+module.exports = router;
@@ -2,23 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
-const { requireAdminAuth } = require('../../middleware/authMiddleware');
+const { requireRole } = require('../../middleware/authMiddleware');
 const { generateVcfContent } = require('../../utils/cohortUtils');
 const { getCohortStatus } = require('../../services/cohortService');
+const { getVcfStorage, createStorageKey } = require('../../services/storage');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ConflictError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 10: Request VCF Upload URL (Admin Only)
+ * Body (optional): { vcard_version: '3.0' | '4.0' } for the generated content; defaults to VCARD_VERSION.
  */
-router.post('/cohorts/:cluster_id/vcf-upload-request', requireAdminAuth, async (req, res) => {
-    const { cluster_id } = req.params;
-    const clusterIdNum = parseInt(cluster_id, 10);
+const vcfUploadRequestSchema = {
+    params: { cluster_id: { ...rules.clusterId, required: true } },
+    body: { vcard_version: rules.vcardVersion },
+};
+
+router.post('/cohorts/:cluster_id/vcf-upload-request', requireRole('admin'), validate(vcfUploadRequestSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const { vcard_version } = req.body;
     
     try {
         const status = await getCohortStatus(clusterIdNum, req.user.id);
         if (!status.success || !status.cohort_id) {
-             return res.status(404).json({ success: false, message: 'Active cohort not found for VCF generation.' });
+             throw new NotFoundError('Active cohort not found for VCF generation.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         const { data: members, error } = await supabase
@@ -39,33 +50,27 @@ router.post('/cohorts/:cluster_id/vcf-upload-request', requireAdminAuth, async (
         const combinedContacts = members.map(member => member.user_profiles);
         
         if (combinedContacts.length === 0) {
-            return res.status(400).json({ success: false, message: 'Cannot generate VCF: No members found in the cohort.' });
+            throw new ConflictError('Cannot generate VCF: No members found in the cohort.', { code: ERROR_CODES.COHORT_EMPTY });
         }
 
-        const vcfContent = generateVcfContent(combinedContacts);
+        const vcfContent = generateVcfContent(combinedContacts, { version: vcard_version });
 
-        const uuid = Math.random().toString(36).substring(2, 10);
-        const fileName = `Cluster_Contacts_C_${clusterIdNum}_${uuid}.vcf`;
+        const fileName = createStorageKey(`Cluster_Contacts_C_${clusterIdNum}`);
         
-        const { data: uploadData, error: uploadUrlError } = await supabase.storage
-            .from('vcf_files')
-            .createSignedUploadUrl(fileName);
-
-        if (uploadUrlError) throw uploadUrlError;
+        const uploadUrl = await getVcfStorage().getSignedUploadUrl(fileName);
         
         return res.json({ 
             success: true, 
-            upload_url: uploadData.signedUrl,
+            upload_url: uploadUrl,
             file_path: fileName,
             vcf_content: vcfContent,
             message: 'VCF content and signed upload URL generated.'
         });
 
     } catch (error) {
-        console.error(`Error requesting VCF upload URL for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error during VCF request: ${error.message}` });
+        throw toAppError('request VCF upload URL', error);
     }
-});
+}));
 
 module.exports = router;
 
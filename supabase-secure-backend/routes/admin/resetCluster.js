@@ -0,0 +1,77 @@
+// routes/admin/resetCluster.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../../config/supabase');
+const { publishCohortEvent } = require('../../services/cohortEvents');
+const { invalidateClusterReads } = require('../../services/cache');
+const { requireRole } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+const supabase = supabaseAdmin;
+
+const resetClusterSchema = {
+    body: {
+        cluster_id: { ...rules.clusterId, required: true },
+        cohort_id: { type: 'string', required: true, maxLength: 64 },
+    },
+};
+
+/**
+ * Reset Cluster (Admin Only)
+ * Route: POST /api/reset-cluster  { cluster_id, cohort_id }
+ * Manual recovery tool: cohorts roll over automatically on completion, and
+ * GET /api/admin/reconciliation covers most stuck states. Discards the cohort's memberships,
+ * marks the cohort expired and clears the cluster's active cohort so the next join opens a new one.
+ */
+router.post('/reset-cluster', requireRole('admin'), validate(resetClusterSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum, cohort_id } = req.body;
+
+    logger.info('Reset cluster: requested', { cluster_id: clusterIdNum, cohort_id });
+
+    try {
+        // 1. Delete the cohort's memberships
+        const { error: deleteError } = await supabase
+            .from('cluster_cohort_members')
+            .delete()
+            .eq('cohort_id', cohort_id)
+            .eq('cluster_id', clusterIdNum);
+
+        if (deleteError) throw deleteError;
+
+        // 2. The cohort is discarded; reconciliation and retention skip expired cohorts
+        const { error: cohortError } = await supabase
+            .from('cluster_cohorts')
+            .update({ expired: true, vcf_uploaded: false })
+            .eq('cohort_id', cohort_id)
+            .eq('cluster_id', clusterIdNum);
+
+        if (cohortError) throw cohortError;
+
+        // 3. Open the cluster for the next group
+        const { error: statusUpdateError } = await supabase
+            .from('cluster_metadata')
+            .update({
+                vcf_uploaded: false,
+                vcf_file_name: null,
+                active_cohort_id: null,
+                current_members: 0,
+                last_updated: new Date().toISOString()
+            })
+            .eq('cluster_id', clusterIdNum);
+
+        if (statusUpdateError) throw statusUpdateError;
+    } catch (error) {
+        throw toAppError('reset cluster', error);
+    }
+
+    await invalidateClusterReads(clusterIdNum);
+    publishCohortEvent('cohort_reset', { cluster_id: clusterIdNum, cohort_id });
+    logger.info('Reset cluster: cluster reopened', { cluster_id: clusterIdNum, cohort_id });
+    return res.json({ success: true, message: 'Cluster successfully reset and ready for new cohort.' });
+}));
+
+module.exports = router;
@@ -1,82 +1,43 @@
 // routes/apiRoutes.js (UPDATED MAIN FILE)
+// Everything under /api. Clients use /api/v1 (routes/v1Routes.js). The unversioned paths serve the
+// legacy routes that /api/v1 replaced, plus deprecated aliases of the /api/v1 routes.
 const express = require('express');
 const router = express.Router();
+const { deprecatedAlias } = require('../middleware/deprecation');
 
 // =================================================================
-// 0. NEW GROUP MANAGEMENT ROUTES (The new addition)
+// 1. VERSIONED API (one canonical route per action)
 // =================================================================
-const groupsRouter = require('./groupsRouter'); // <<< NEW IMPORT
+const v1Routes = require('./v1Routes');
 
 // =================================================================
-// 1. AUTH ROUTES
-// =================================================================
-const tokenSignIn = require('./auth/tokenSignIn');
-
-// =================================================================
-// 2. FRONTEND INTEGRATION ROUTES (Fixes/Simpler Routes)
-// =================================================================
-const secureDataLeaderboard = require('./frontend/secureDataLeaderboard');
-const getCohortStatusFix = require('./frontend/getCohortStatusFix');
-const joinClusterFix = require('./frontend/joinClusterFix');
-const getClusterStatsFix = require('./frontend/getClusterStatsFix');
-const clusterStatsV2 = require('./frontend/clusterStatsV2'); 
-const downloadVCFStream = require('./frontend/downloadVCFStream');
-const trackDownload = require('./frontend/trackDownload');
-
-// =================================================================
-// 3. LEGACY/ORIGINAL ROUTES (Backward Compatibility)
+// 2. LEGACY/ORIGINAL ROUTES (Deprecated, see middleware/deprecation.js)
 // =================================================================
+// Each route sends Deprecation/Sunset headers and a Link to its /api/v1 replacement, and logs
+// every call ('API: deprecated route used') so we can tell when it is safe to delete.
 const getCohortStatusLegacy = require('./legacy/getCohortStatusLegacy');
 const joinClusterLegacy = require('./legacy/joinClusterLegacy');
 const leaveClusterLegacy = require('./legacy/leaveClusterLegacy');
 const getLeaderboardLegacy = require('./legacy/getLeaderboardLegacy');
-const getDisplayMemberList = require('./legacy/getDisplayMemberList'); 
-
-// =================================================================
-// 4. ADMIN ROUTES (Secure Endpoints)
-// =================================================================
-const downloadVcfAdmin = require('./admin/downloadVcfAdmin');
-const getVcfStatusAdmin = require('./admin/getVcfStatusAdmin');
-const getFullMemberListAdmin = require('./admin/getFullMemberListAdmin');
-const getClusterStatsAdmin = require('./admin/getClusterStatsAdmin');
-const requestVcfUpload = require('./admin/requestVcfUpload');
-const commitVcfUpload = require('./admin/commitVcfUpload');
+const clusterStatsV2 = require('./legacy/clusterStatsV2');
 
 
 // =================================================================
-// ROUTE MOUNTING (The order here does not matter)
+// ROUTE MOUNTING
 // =================================================================
 
-// 🛑 NEW GROUP ROUTES MOUNTED HERE
-router.use('/groups', groupsRouter); // <<< MOUNTED AT /api/groups
+router.use('/v1', v1Routes);
 
-// AUTH
-router.use('/', tokenSignIn);
-
-// FRONTEND INTEGRATION
-router.use('/', secureDataLeaderboard);
-router.use('/', getCohortStatusFix);
-router.use('/', joinClusterFix);
-router.use('/', getClusterStatsFix);
-router.use('/', clusterStatsV2); 
-router.use('/', downloadVCFStream);
-router.use('/', trackDownload);
-
-// LEGACY ROUTES
+// LEGACY ROUTES (unversioned only; not part of /api/v1)
 router.use('/', getCohortStatusLegacy);
 router.use('/', joinClusterLegacy);
 router.use('/', leaveClusterLegacy);
 router.use('/', getLeaderboardLegacy);
-router.use('/', getDisplayMemberList);
+router.use('/', clusterStatsV2);
 
-// ADMIN ROUTES
-router.use('/', downloadVcfAdmin);
-router.use('/', getVcfStatusAdmin);
-router.use('/', getFullMemberListAdmin);
-router.use('/', getClusterStatsAdmin);
-router.use('/', requestVcfUpload);
-router.use('/', commitVcfUpload);
+// Unversioned aliases of the v1 routes, deprecated: each response links to the /api/v1 path.
+// Mounted after the legacy routes so those keep their own successor links.
+router.use('/', deprecatedAlias('/api/v1'), v1Routes);
 
 
 module.exports = router;
-
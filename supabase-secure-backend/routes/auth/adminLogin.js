@@ -0,0 +1,58 @@
+// routes/auth/adminLogin.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAnon } = require('../../config/supabase');
+const { getUserRoles } = require('../../services/roleService');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { EMAIL_PATTERN } = require('../../utils/validation');
+const { ERROR_CODES, UnauthorizedError, ForbiddenError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+// Both failures get the same message, so the response does not reveal which accounts are admins
+const LOGIN_FAILED_MESSAGE = 'Login failed: Invalid credentials or user is not an active admin.';
+
+const adminLoginSchema = {
+    body: {
+        email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' },
+        password: { type: 'string', required: true, trim: false, maxLength: 72 },
+    },
+};
+
+/**
+ * ADMIN LOGIN (used by admin.html)
+ * Route: POST /api/admin-login  { email, password }
+ * Signs in with the anon client and returns the session tokens, but only for accounts holding the
+ * admin role (user_roles table, see services/roleService.js).
+ */
+router.post('/admin-login', rateLimit('login'), validate(adminLoginSchema), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    try {
+        const { data: signInData, error: signInError } = await supabaseAnon.auth.signInWithPassword({ email, password });
+
+        if (signInError || !signInData.session) {
+            logger.warn('Admin login: sign-in failed', { error: signInError?.message || 'Invalid credentials.' });
+            throw new UnauthorizedError(LOGIN_FAILED_MESSAGE, { code: ERROR_CODES.INVALID_CREDENTIALS });
+        }
+
+        // Valid credentials are not enough: the account must hold the admin role
+        const roles = await getUserRoles(signInData.user.id);
+        if (!roles.includes('admin')) {
+            logger.warn('Admin login: refused, user does not have the admin role', { user_id: signInData.user.id });
+            throw new ForbiddenError(LOGIN_FAILED_MESSAGE, { code: ERROR_CODES.ROLE_REQUIRED });
+        }
+
+        return res.json({
+            success: true,
+            message: 'Admin login successful.',
+            access_token: signInData.session.access_token,
+            refresh_token: signInData.session.refresh_token,
+        });
+    } catch (error) {
+        throw toAppError('admin login', error);
+    }
+}));
+
+module.exports = router;
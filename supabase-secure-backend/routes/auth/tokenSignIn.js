@@ -2,25 +2,25 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { ERROR_CODES, UnauthorizedError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 1: Authenticate a user token (Standard Supabase Auth)
  */
-router.post('/auth/token-sign-in', async (req, res) => {
+router.post('/auth/token-sign-in', validate({ body: { token: { type: 'string', required: true, maxLength: 4096 } } }), asyncHandler(async (req, res) => {
     const { token } = req.body;
 
-    if (!token) {
-        return res.status(400).json({ success: false, message: 'Token is required' });
-    }
-
     try {
         const { data: { user }, error: authError } = await supabase.auth.admin.getUser(token);
 
         if (authError || !user) {
-            console.error('Token validation failed:', authError?.message);
-            return res.status(401).json({ success: false, message: 'Invalid token' });
+            logger.warn('Token sign-in: validation failed', { error: authError?.message });
+            throw new UnauthorizedError('Invalid token', { code: ERROR_CODES.INVALID_TOKEN });
         }
         
         return res.json({ success: true, user: { 
@@ -30,10 +30,9 @@ router.post('/auth/token-sign-in', async (req, res) => {
         } });
 
     } catch (e) {
-        console.error('Error during token sign-in:', e.message);
-        return res.status(500).json({ success: false, message: 'Internal Server Error' });
+        throw toAppError('validate sign-in token', e);
     }
-});
+}));
 
 module.exports = router;
 
@@ -0,0 +1,131 @@
+// routes/auth/waitlist.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin, supabaseAnon } = require('../../config/supabase');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules, EMAIL_PATTERN } = require('../../utils/validation');
+const { ERROR_CODES, ConflictError, UpstreamError } = require('../../utils/errors');
+const { invalidateLeaderboard } = require('../../services/cache');
+const { logger } = require('../../utils/logger');
+
+const supabase = supabaseAdmin;
+
+// Supabase reports a duplicate email as 422 "...has already been registered"
+const ALREADY_REGISTERED_PATTERN = /already (been )?registered/i;
+
+const profileTags = { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1, maxLength: 100 } };
+
+/**
+ * Registration fields. Everything except the credentials is copied into user_profiles, so only
+ * columns listed here can ever be written by the client.
+ */
+const waitlistSchema = {
+    body: {
+        email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' },
+        // Passwords are used exactly as typed; 72 bytes is the bcrypt limit
+        password: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 72 },
+        nickname: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+        whatsapp_number: { type: 'string', required: true, pattern: /^\+?[0-9]{6,20}$/, patternMessage: 'must be a phone number in international format' },
+        full_name: { type: 'string', maxLength: 100 },
+        profession: { type: 'string', nullable: true, maxLength: 100 },
+        age: { type: 'integer', min: 18, max: 100 },
+        gender: { type: 'string', enum: ['male', 'female'] },
+        country: rules.country,
+        state: { type: 'string', maxLength: 100 },
+        city: { type: 'string', maxLength: 100 },
+        hobbies: profileTags,
+        services: profileTags,
+        friend_reasons: profileTags,
+    },
+};
+
+/**
+ * SINGLE-STEP REGISTRATION ROUTE
+ * Route: POST /api/waitlist  { email, password, nickname, whatsapp_number, ...profile fields }
+ * Profile fields are whitelisted by waitlistSchema; anything else in the body is ignored.
+ * Creates the auth user and profile, then signs the user in and sets the Supabase session cookies.
+ * If the profile insert fails the auth user is deleted again, so a retry can succeed.
+ */
+router.post('/waitlist', rateLimit('signup'), validate(waitlistSchema), asyncHandler(async (req, res) => {
+    const { email, password, nickname, ...otherProfileFields } = req.body;
+
+    // --- STEP 1: CREATE USER IN AUTH.USERS ---
+    const { data: userData, error: authError } = await supabase.auth.admin.createUser({
+        email: email,
+        password: password,
+        email_confirm: true
+    });
+
+    if (authError) {
+        if (authError.status === 422 || ALREADY_REGISTERED_PATTERN.test(authError.message)) {
+            throw new ConflictError('This email is already registered.', { code: ERROR_CODES.EMAIL_ALREADY_REGISTERED });
+        }
+        throw new UpstreamError('create auth user', authError);
+    }
+
+    const newUser = userData.user;
+
+    // --- STEP 2: CREATE PROFILE IN public.user_profiles ---
+    const profileToInsert = {
+        user_id: newUser.id,
+        email: email,
+        nickname: nickname,
+        referrals: 0,
+        ...otherProfileFields
+    };
+
+    try {
+        const { error: profileError } = await supabase
+            .from('user_profiles')
+            .insert([profileToInsert]);
+
+        if (profileError) throw new UpstreamError('create user profile', profileError);
+    } catch (error) {
+        // 🛑 CRITICAL CLEANUP: Delete the user account if profile insertion fails
+        await supabase.auth.admin.deleteUser(newUser.id);
+        throw error;
+    }
+
+    // The new profile is listed on the leaderboard
+    await invalidateLeaderboard();
+
+    // --- STEP 3: ESTABLISH ACTIVE SESSION ---
+    const { data: signInData, error: signInError } = await supabaseAnon.auth.signInWithPassword({
+        email: email,
+        password: password,
+    });
+
+    if (signInError || !signInData.session) {
+        logger.error('Waitlist: failed to sign in newly created user', { user_id: newUser.id, error: signInError?.message });
+        // We still confirm success but warn that a manual login might be needed
+        return res.status(201).json({
+            success: true,
+            message: 'Successfully joined the waitlist, but please log in manually due to session error.',
+            user_id: newUser.id
+        });
+    }
+
+    const session = signInData.session;
+
+    // Set the required Supabase authentication cookies on the browser
+    const cookieOptions = {
+        maxAge: 1000 * 60 * 60 * 24 * 7, // 7 days
+        httpOnly: false,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'Lax'
+    };
+
+    res.cookie('sb-access-token', session.access_token, cookieOptions);
+    res.cookie('sb-refresh-token', session.refresh_token, cookieOptions);
+
+    logger.info('Waitlist: profile created and session established', { user_id: newUser.id });
+    res.status(201).json({
+        success: true,
+        message: 'Successfully joined the waitlist and session established!',
+        user_id: newUser.id
+    });
+}));
+
+module.exports = router;
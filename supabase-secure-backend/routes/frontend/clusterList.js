@@ -0,0 +1,74 @@
+// routes/frontend/clusterList.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../../config/supabase');
+const { optionalUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { sendCached } = require('../../middleware/conditionalGet');
+const { cachedRead, clusterListKey } = require('../../services/cache');
+const { getDownloadedCohortIds } = require('../../services/downloadLedger');
+const { UpstreamError } = require('../../utils/errors');
+
+const supabase = supabaseAdmin;
+
+// cluster_metadata columns that are safe to publish. VCF state (vcf_uploaded, vcf_file_name) stays
+// server-side: members get their file through a download ticket (routes/frontend/downloadTickets.js).
+const CLUSTER_LIST_COLUMNS = 'cluster_id, cluster_name, max_members, current_members, active_cohort_id, cluster_category_id, last_updated';
+
+/**
+ * GET ALL CLUSTERS WITH USER DOWNLOAD STATUS
+ * Route: GET /api/clusters  (Authorization: Bearer <token> optional)
+ * Anonymous callers get every cluster with `user_has_downloaded: false`. Signed-in callers get the
+ * clusters they are a member of, with `user_has_downloaded` from the download ledger
+ * (services/downloadLedger.js) for the cohort they belong to.
+ * The caller is identified by the token only; a `user_id` parameter must match it.
+ * Cached per caller (services/cache/); supports conditional GETs (ETag / Last-Modified).
+ */
+router.get('/clusters', optionalUserIdentity, asyncHandler(async (req, res) => {
+    const entry = await cachedRead(clusterListKey(req.user?.id), 'clusters', () => loadClusters(req.user));
+    return sendCached(req, res, entry, { private: !!req.user });
+}));
+
+/**
+ * The /api/clusters body for a signed-in user, or for anonymous callers when user is undefined.
+ */
+async function loadClusters(user) {
+    let memberships = null;
+    let downloadedCohortIds = new Set();
+
+    if (user) {
+        const { data, error: membershipError } = await supabase
+            .from('cluster_cohort_members')
+            .select('cluster_id, cohort_id')
+            .eq('user_id', user.id);
+
+        if (membershipError) throw new UpstreamError('fetch cluster memberships', membershipError);
+        memberships = data || [];
+
+        try {
+            downloadedCohortIds = await getDownloadedCohortIds(memberships.map(membership => membership.cohort_id), user.id);
+        } catch (ledgerError) {
+            throw new UpstreamError('fetch cohort downloads', ledgerError);
+        }
+    }
+
+    let query = supabase
+        .from('cluster_metadata')
+        .select(CLUSTER_LIST_COLUMNS)
+        .order('cluster_id', { ascending: true });
+    if (memberships) {
+        query = query.in('cluster_id', memberships.map(membership => membership.cluster_id));
+    }
+
+    const { data: clusterRows, error } = await query;
+    if (error) throw new UpstreamError('fetch cluster list', error);
+
+    const clusters = (clusterRows || []).map(cluster => {
+        const membership = memberships?.find(row => String(row.cluster_id) === String(cluster.cluster_id));
+        return { ...cluster, user_has_downloaded: !!membership && downloadedCohortIds.has(membership.cohort_id) };
+    });
+
+    return { success: true, clusters };
+}
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// routes/frontend/clusterQueue.js
+const express = require('express');
+const router = express.Router();
+const { getCohortStatus, toClientStatus } = require('../../services/cohortService');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { enqueueForCluster, leaveClusterQueue, promoteClusterQueue } = require('../../services/clusterQueue');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ConflictError, UpstreamError } = require('../../utils/errors');
+
+/**
+ * JOIN CLUSTER QUEUE
+ * Route: POST /api/cluster-queue/join  { cluster_id, display_profession }
+ * Queues the user for a spot in a full cluster (see services/clusterQueue.js for when that happens).
+ * A cluster with a free spot fails with 409 COHORT_NOT_FULL: join it with POST /api/join-cluster.
+ * Queued users are placed in FIFO order when a spot opens, so the response may already show them
+ * as members if one opened while they were being queued.
+ */
+const joinQueueSchema = {
+    body: {
+        cluster_id: { ...rules.clusterId, required: true },
+        display_profession: rules.displayProfession,
+    },
+};
+
+router.post('/cluster-queue/join', requireUserIdentity, rateLimit('join'), validate(joinQueueSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum, display_profession } = req.body;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const status = await getCohortStatus(clusterIdNum, user_id);
+    if (status.status === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+    }
+    if (!status.success) {
+        throw new UpstreamError('fetch cohort status', status);
+    }
+    if (status.user_is_member) {
+        throw new ConflictError('You are already a member of this cluster.', { code: ERROR_CODES.ALREADY_MEMBER });
+    }
+    if (!status.is_full) {
+        throw new ConflictError('This cluster has a free spot. Join it directly.', { code: ERROR_CODES.COHORT_NOT_FULL });
+    }
+
+    const queued = await enqueueForCluster(clusterIdNum, user_id, display_profession);
+    if (!queued.success) {
+        throw new UpstreamError('join cluster queue', queued);
+    }
+
+    // A spot may have opened (and its promotion run) between the check above and the insert
+    await promoteClusterQueue(clusterIdNum);
+
+    const updatedStatus = await getCohortStatus(clusterIdNum, user_id);
+    return res.json({
+        success: true,
+        message: updatedStatus.user_is_member ? 'A spot opened up. You have joined the cluster.' : 'You are in the queue for the next cohort.',
+        ...toClientStatus(updatedStatus),
+    });
+}));
+
+/**
+ * LEAVE CLUSTER QUEUE
+ * Route: POST /api/cluster-queue/leave  { cluster_id }
+ */
+router.post('/cluster-queue/leave', requireUserIdentity, validate({ body: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id } = req.body;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const result = await leaveClusterQueue(cluster_id, user_id);
+
+    if (!result.success) {
+        throw new UpstreamError('leave cluster queue', result);
+    }
+    if (!result.removed) {
+        throw new NotFoundError('You are not in the queue for this cluster.', { code: ERROR_CODES.NOT_QUEUED });
+    }
+
+    return res.json({ success: true, queue_position: null, message: 'You have left the queue.' });
+}));
+
+module.exports = router;
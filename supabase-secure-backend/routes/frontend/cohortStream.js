@@ -0,0 +1,87 @@
+// routes/frontend/cohortStream.js
+const express = require('express');
+const router = express.Router();
+const eventsConfig = require('../../config/events');
+const { clusterTopic, groupTopic, subscribe, eventsSince } = require('../../services/cohortEvents');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ValidationError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+const streamSchema = {
+    query: {
+        cluster_ids: { type: 'array', items: rules.clusterId, maxItems: eventsConfig.maxTopicsPerStream, default: [] },
+        group_ids: { type: 'array', items: rules.groupId, maxItems: eventsConfig.maxTopicsPerStream, default: [] },
+        last_event_id: { type: 'string', maxLength: 64 },
+    },
+};
+
+/**
+ * Formats one Server-Sent Events message.
+ */
+function sseMessage({ id, event, data }) {
+    let message = '';
+    if (id) message += `id: ${id}\n`;
+    if (event) message += `event: ${event}\n`;
+    return `${message}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * LIVE COHORT/GROUP EVENTS (Server-Sent Events)
+ * Route: GET /api/cohorts/stream?cluster_ids=1,2&group_ids=7
+ * Pushes member_joined, member_left, cohort_full, vcf_ready and cohort_reset events for the listed
+ * clusters and groups (see services/cohortEvents.js for their data). Opens with a `ready` event.
+ * No sign-in: EventSource cannot send an Authorization header, and the events only carry counts
+ * and IDs that GET /api/clusters already shows to everyone.
+ * Reconnecting clients send Last-Event-ID (or ?last_event_id=) and get the events they missed; if
+ * those are no longer available they get a `resync` event and should reload their status.
+ * A comment line is sent every EVENTS_HEARTBEAT_SECONDS to keep the connection open.
+ */
+router.get('/cohorts/stream', validate(streamSchema), (req, res, next) => {
+    const { cluster_ids, group_ids } = req.query;
+    const topics = [...cluster_ids.map(clusterTopic), ...group_ids.map(groupTopic)];
+
+    if (topics.length === 0) {
+        return next(new ValidationError('Subscribe to at least one cluster_ids or group_ids entry.'));
+    }
+    if (topics.length > eventsConfig.maxTopicsPerStream) {
+        return next(new ValidationError(`A stream can follow at most ${eventsConfig.maxTopicsPerStream} clusters and groups.`));
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = event => res.write(sseMessage({ id: event.id, event: event.type, data: event.data }));
+
+    res.write(`retry: ${eventsConfig.retryMs}\n\n`);
+    res.write(sseMessage({ event: 'ready', data: { cluster_ids, group_ids } }));
+
+    // Replay and subscribe run in the same tick, so no event can fall between them
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    if (lastEventId) {
+        const missed = eventsSince(topics, lastEventId);
+        if (missed.complete) {
+            missed.events.forEach(send);
+        } else {
+            res.write(sseMessage({ event: 'resync', data: { reason: 'events_unavailable' } }));
+        }
+    }
+    const unsubscribe = subscribe(topics, send);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), eventsConfig.heartbeatSeconds * 1000);
+
+    logger.debug('Events: stream opened', { topics: topics.length, resumed: !!lastEventId });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.debug('Events: stream closed', { topics: topics.length });
+    });
+});
+
+module.exports = router;
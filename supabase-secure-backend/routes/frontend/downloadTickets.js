@@ -0,0 +1,164 @@
+// routes/frontend/downloadTickets.js
+const express = require('express');
+const router = express.Router();
+const { getCohortStatus } = require('../../services/cohortService');
+const { getVcfStorage } = require('../../services/storage');
+const { isCohortExpired } = require('../../services/cohortLifecycle');
+const { issueDownloadTicket, redeemDownloadTicket, releaseDownloadTicket } = require('../../services/downloadTickets');
+const { getGroupDownloadAccess, buildDirectGroupVcf, recordGroupDownload } = require('../../services/groupDownloads');
+const { recordCohortDownload } = require('../../services/downloadLedger');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, ForbiddenError, NotFoundError, GoneError, UpstreamError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
+
+/**
+ * REQUEST A COHORT DOWNLOAD TICKET (Matches cohort_template.html)
+ * Route: POST /api/download-tickets  { cluster_id }  (Authorization: Bearer <token>)
+ * Checks that the caller is a member of the cluster's cohort and its VCF is ready and not expired,
+ * then returns a single-use ticket and the URL that redeems it. The storage key never leaves the server.
+ */
+router.post('/download-tickets', requireUserIdentity, rateLimit('download'), validate({ body: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id } = req.body;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const status = await getCohortStatus(cluster_id, user_id);
+    if (!status.success && status.status !== 'cluster_not_found') {
+        throw new UpstreamError('fetch cohort status', status);
+    }
+    if (!status.user_is_member) {
+        throw new ForbiddenError('You must be a member to download contacts for this cluster.', { code: ERROR_CODES.NOT_A_MEMBER });
+    }
+    if (!status.vcf_uploaded || !status.vcf_file_name) {
+        throw new NotFoundError('Contact file not yet generated or found.', { code: ERROR_CODES.VCF_NOT_READY });
+    }
+    if (isCohortExpired(status.cohort_expires_at)) {
+        throw new GoneError("This cohort's contact file has expired.", { code: ERROR_CODES.COHORT_EXPIRED });
+    }
+
+    const issued = await issueDownloadTicket({
+        user_id,
+        resource_type: 'cohort',
+        resource_id: status.cohort_id,
+        storage_key: status.vcf_file_name,
+        download_name: `Cluster_${cluster_id}_Contacts.vcf`,
+    });
+
+    if (!issued.success) {
+        throw new UpstreamError('issue cohort download ticket', issued);
+    }
+
+    return res.status(201).json({
+        success: true,
+        ticket: issued.ticket,
+        download_url: `/api/v1/downloads/${issued.ticket}`,
+        expires_at: issued.expires_at,
+    });
+}));
+
+/**
+ * Maps a failed redemption to the matching application error.
+ */
+function ticketError(redemption) {
+    if (redemption.reason === 'expired') {
+        return new GoneError('This download link has expired. Please request a new one.', { code: ERROR_CODES.TICKET_EXPIRED });
+    }
+    if (redemption.reason === 'used') {
+        return new GoneError('This download link has already been used. Please request a new one.', { code: ERROR_CODES.TICKET_ALREADY_USED });
+    }
+    if (redemption.reason === 'invalid') {
+        return new ForbiddenError('This download link is not valid.', { code: ERROR_CODES.INVALID_TICKET });
+    }
+    return new UpstreamError('redeem download ticket', redemption);
+}
+
+/**
+ * REDEEM A DOWNLOAD TICKET
+ * Route: GET /api/downloads/:ticket[?vcard_version=4.0]
+ * No bearer token: the ticket is the credential, so the URL also works as a plain link. It is
+ * bound to the user it was issued to and works once. Serves cohort files and both kinds of group file.
+ * vcard_version applies to DIRECT group files, which are built here; stored files keep the version
+ * they were generated with (VCARD_VERSION).
+ */
+const redeemSchema = {
+    params: { ticket: { type: 'string', required: true, maxLength: 128 } },
+    query: { vcard_version: rules.vcardVersion },
+};
+
+router.get('/downloads/:ticket', rateLimit('download'), validate(redeemSchema), asyncHandler(async (req, res) => {
+    const redemption = await redeemDownloadTicket(req.params.ticket, { ip: req.ip, user_agent: req.get('user-agent') });
+    if (!redemption.success) {
+        throw ticketError(redemption);
+    }
+
+    const { ticket } = redemption;
+
+    // DIRECT group files are built for the ticket's user on the spot and never stored
+    if (ticket.resource_type === 'group' && !ticket.storage_key) {
+        let content;
+        try {
+            const access = await getGroupDownloadAccess(parseInt(ticket.resource_id, 10), ticket.user_id);
+            if (!access.success) {
+                throw new ForbiddenError('Access denied. You are not a member of this group.', { code: ERROR_CODES.NOT_A_MEMBER });
+            }
+            const built = await buildDirectGroupVcf(access.group, access.member, ticket.user_id, { version: req.query.vcard_version });
+            if (!built.success) {
+                throw new NotFoundError('Creator profile not found.', { code: ERROR_CODES.PROFILE_NOT_FOUND });
+            }
+            content = built.content;
+        } catch (error) {
+            await releaseDownloadTicket(ticket);
+            throw toAppError('build direct group VCF', error);
+        }
+
+        await recordGroupDownload(parseInt(ticket.resource_id, 10), ticket.user_id);
+
+        res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${ticket.download_name}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.send(content);
+    }
+
+    // Stored files (cohort VCFs and GENERAL group VCFs) are streamed from storage
+    let fileStream;
+    try {
+        fileStream = await getVcfStorage().stream(ticket.storage_key);
+    } catch (storageError) {
+        // Nothing was sent: the ticket stays usable for a retry
+        await releaseDownloadTicket(ticket);
+        if (storageError.code === 'ENOENT') {
+            throw new NotFoundError('Contact file not yet generated or found.', { code: ERROR_CODES.VCF_NOT_READY });
+        }
+        throw new UpstreamError('open VCF stream', storageError);
+    }
+
+    // The file exists and is about to be sent: this is the download that counts
+    if (ticket.resource_type === 'group') {
+        await recordGroupDownload(parseInt(ticket.resource_id, 10), ticket.user_id);
+    } else {
+        const recorded = await recordCohortDownload({ cohort_id: ticket.resource_id, user_id: ticket.user_id, ticket_id: ticket.ticket_id });
+        if (!recorded.success) {
+            logger.warn('Download: cohort download not recorded', { ticket_id: ticket.ticket_id, cohort_id: ticket.resource_id, error: recorded.message });
+        }
+    }
+
+    // IMPORTANT: Set headers before piping the stream
+    res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${ticket.download_name}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Once piping has started the status line is gone, so a read failure can only end the connection.
+    // The ticket is given back so that the user can retry the interrupted download.
+    fileStream.on('error', (streamError) => {
+        logger.error('Download: error after streaming started, connection may be interrupted', { ticket_id: ticket.ticket_id, error: streamError.message });
+        res.destroy(streamError);
+        releaseDownloadTicket(ticket);
+    });
+
+    fileStream.pipe(res);
+}));
+
+module.exports = router;
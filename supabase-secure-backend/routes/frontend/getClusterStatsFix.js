@@ -2,12 +2,19 @@ const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
 const { calculateClusterStats } = require('../../utils/cohortUtils');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { sendCached } = require('../../middleware/conditionalGet');
+const { cachedRead, clusterStatsKey } = require('../../services/cache');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * FIX: CLUSTER STATS (Matches cohort_template.html query params)
  * Route: /api/cluster-stats?cluster_id=X&user_country=Y
+ * Cached per cluster and country (services/cache/); supports conditional GETs (ETag / Last-Modified).
  *
  * * FIX IMPLEMENTED: 
  * 1. Removed 'display_profession' from the user_profiles select, as confirmed not to exist.
@@ -19,10 +26,24 @@ const supabase = supabaseAdmin;
  * and the merged 'display_profession'. This guarantees that no null/undefined value reaches the 
  * function that calls `.split()`.
  */
-router.get('/cluster-stats', async (req, res) => {
-    const { cluster_id, user_country } = req.query;
-    const clusterIdNum = parseInt(cluster_id, 10);
+const clusterStatsSchema = {
+    query: {
+        cluster_id: { ...rules.clusterId, required: true },
+        user_country: rules.country,
+    },
+};
 
+router.get('/cluster-stats', validate(clusterStatsSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum, user_country } = req.query;
+
+    const entry = await cachedRead(clusterStatsKey(clusterIdNum, 'v1', user_country), 'cluster_stats', () => loadClusterStats(clusterIdNum, user_country));
+    return sendCached(req, res, entry);
+}));
+
+/**
+ * The response body for one cluster and country. Throws NotFoundError when the cluster has no active cohort.
+ */
+async function loadClusterStats(clusterIdNum, user_country) {
     try {
         // Step 1: Find the active cohort ID
         const { data: meta, error: metaError } = await supabase.from('cluster_metadata').select('active_cohort_id').eq('cluster_id', clusterIdNum).single();
@@ -30,7 +51,7 @@ router.get('/cluster-stats', async (req, res) => {
         if (metaError && metaError.code !== 'PGRST116') throw metaError; // PGRST116 = no rows found
         
         if (!meta || !meta.active_cohort_id) {
-             return res.json({ success: false, message: 'No active cohort found.' });
+             throw new NotFoundError('No active cohort found.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         const cohortId = meta.active_cohort_id;
@@ -49,7 +70,7 @@ router.get('/cluster-stats', async (req, res) => {
         if (memberUserIds.length === 0) {
              // Return success with empty stats/members if cohort is empty
              const stats = calculateClusterStats([], user_country);
-             return res.json({ success: true, cluster_stats: stats, cohort_members: [] });
+             return { success: true, cluster_stats: stats, cohort_members: [] };
         }
         
         // Create a map for quick lookup of display_profession by user_id
@@ -93,14 +114,11 @@ router.get('/cluster-stats', async (req, res) => {
         // Calculate and return results
         const stats = calculateClusterStats(flatMembers, user_country);
 
-        return res.json({ success: true, cluster_stats: stats, cohort_members: flatList });
+        return { success: true, cluster_stats: stats, cohort_members: flatList };
 
     } catch (error) {
-        console.error("Error fetching cluster stats:", error);
-        // Ensure the error response is useful
-        const errorMessage = error.message || 'An unknown error occurred on the server.';
-        return res.status(500).json({ success: false, message: errorMessage });
+        throw toAppError('fetch cluster stats', error);
     }
-});
+}
 
 module.exports = router;
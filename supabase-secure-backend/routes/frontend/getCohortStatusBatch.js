@@ -0,0 +1,41 @@
+// routes/frontend/getCohortStatusBatch.js
+const express = require('express');
+const router = express.Router();
+const { getCohortStatuses, toClientStatus } = require('../../services/cohortService');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { UpstreamError } = require('../../utils/errors');
+
+// The cluster list page shows every cluster at once; this bounds a single request
+const MAX_CLUSTERS = 100;
+
+const batchStatusSchema = {
+    query: {
+        cluster_ids: { type: 'array', items: rules.clusterId, minItems: 1, maxItems: MAX_CLUSTERS, required: true },
+    },
+};
+
+/**
+ * BATCH COHORT STATUS (cluster list page)
+ * Route: GET /api/cohorts/status?cluster_ids=1,2,3  (Authorization: Bearer <token>)
+ * Every listed cluster's status, with the caller's membership and download state, in one request
+ * and a fixed number of queries. Entries have the /api/cohort-status fields plus cluster_id;
+ * IDs that match no cluster are returned in not_found.
+ */
+router.get('/cohorts/status', requireUserIdentity, validate(batchStatusSchema), asyncHandler(async (req, res) => {
+    const result = await getCohortStatuses(req.query.cluster_ids, req.user.id);
+
+    if (!result.success) {
+        throw new UpstreamError('fetch cohort statuses', result);
+    }
+
+    return res.json({
+        success: true,
+        statuses: result.statuses.map(toClientStatus),
+        not_found: result.not_found,
+    });
+}));
+
+module.exports = router;
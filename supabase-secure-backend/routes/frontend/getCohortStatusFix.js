@@ -1,28 +1,31 @@
 // routes/frontend/getCohortStatusFix.js
 const express = require('express');
 const router = express.Router();
-const { getCohortStatus } = require('../../services/cohortService');
+const { getCohortStatus, toClientStatus } = require('../../services/cohortService');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, UpstreamError } = require('../../utils/errors');
 
 /**
  * FIX: COHORT STATUS (Matches cohort_template.html query params)
- * Route: /api/cohort-status?cluster_id=X&user_id=Y
+ * Route: /api/cohort-status?cluster_id=X  (Authorization: Bearer <token>)
  */
-router.get('/cohort-status', async (req, res) => {
-    const { cluster_id, user_id } = req.query;
+router.get('/cohort-status', requireUserIdentity, validate({ query: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const clusterIdNum = req.query.cluster_id;
+    const user_id = req.user.id; // Identity comes from the bearer token only
 
-    if (!user_id || !cluster_id) {
-         return res.status(400).json({ success: false, message: 'user_id and cluster_id required.' });
-    }
-
-    const clusterIdNum = parseInt(cluster_id, 10);
     const result = await getCohortStatus(clusterIdNum, user_id);
     
-    if (result.success) {
-        return res.json(result);
-    } else {
-        return res.status(500).json(result);
+    if (result.status === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+    }
+    if (!result.success) {
+        throw new UpstreamError('fetch cohort status', result);
     }
-});
+    return res.json(toClientStatus(result));
+}));
 
 module.exports = router;
 
@@ -1,31 +1,37 @@
-// routes/legacy/getDisplayMemberList.js
+// routes/frontend/getDisplayMemberList.js
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
 const { getCohortStatus } = require('../../services/cohortService');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, ForbiddenError, NotFoundError, UpstreamError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 12: Get Member List for Display (Not Admin-gated)
  */
-router.get('/cohorts/:cluster_id/members/display', async (req, res) => {
-    const { cluster_id } = req.params;
-    const clusterIdNum = parseInt(cluster_id, 10);
-    const { user_id } = req.query; 
-
-    if (!user_id) {
-         return res.status(400).json({ success: false, message: 'user_id query parameter is required.' });
-    }
+router.get('/cohorts/:cluster_id/members/display', requireUserIdentity, validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const user_id = req.user.id; // Identity comes from the bearer token only
 
     try {
         const status = await getCohortStatus(clusterIdNum, user_id);
-        if (!status.success || !status.cohort_id) {
-             return res.status(404).json({ success: false, message: status.message || 'Active cohort not found.' });
+        if (status.status === 'cluster_not_found') {
+            throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+        }
+        if (!status.success) {
+            throw new UpstreamError('fetch cohort status', status);
+        }
+        if (!status.cohort_id) {
+             throw new NotFoundError('Active cohort not found.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         if (!status.user_is_member) {
-            return res.status(403).json({ success: false, message: 'Access denied. You must be a member of this cluster to view the member list.' });
+            throw new ForbiddenError('Access denied. You must be a member of this cluster to view the member list.', { code: ERROR_CODES.NOT_A_MEMBER });
         }
 
         const active_cohort_id = status.cohort_id;
@@ -59,10 +65,9 @@ router.get('/cohorts/:cluster_id/members/display', async (req, res) => {
         return res.json({ success: true, members: combinedMembers });
 
     } catch (error) {
-        console.error(`Error fetching display member list for cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error: ${error.message}` });
+        throw toAppError('fetch display member list', error);
     }
-});
+}));
 
 module.exports = router;
 
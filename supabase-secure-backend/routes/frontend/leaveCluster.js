@@ -0,0 +1,47 @@
+// routes/frontend/leaveCluster.js
+const express = require('express');
+const router = express.Router();
+const { leaveCluster } = require('../../services/clusterMembership');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ForbiddenError, UpstreamError } = require('../../utils/errors');
+
+/**
+ * LEAVE A CLUSTER
+ * Route: POST /api/leave-cluster  { cluster_id }  (Authorization: Bearer <token>)
+ * Removes the caller from their cohort of the cluster. A completed cohort cannot be left: 403
+ * COHORT_COMPLETED, or VCF_ALREADY_GENERATED once its file is stored. Leaving a cluster you are
+ * not in is a no-op.
+ */
+router.post('/leave-cluster', requireUserIdentity, validate({ body: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.body;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const left = await leaveCluster(clusterIdNum, user_id);
+
+    if (left.reason === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+    }
+    if (left.reason === 'vcf_already_generated') {
+        throw new ForbiddenError('Cannot leave after VCF has been generated and uploaded.', { code: ERROR_CODES.VCF_ALREADY_GENERATED });
+    }
+    if (left.reason === 'cohort_completed') {
+        throw new ForbiddenError('Cannot leave a completed cohort.', { code: ERROR_CODES.COHORT_COMPLETED });
+    }
+    if (!left.success) {
+        throw new UpstreamError('leave cluster', left);
+    }
+    if (left.status === 'not_member') {
+        return res.json({ success: true, message: 'User was not a member.' });
+    }
+
+    return res.json({
+        success: true,
+        message: 'Successfully left cluster.',
+        current_members: left.current_members,
+    });
+}));
+
+module.exports = router;
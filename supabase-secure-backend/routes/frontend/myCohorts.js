@@ -0,0 +1,25 @@
+// routes/frontend/myCohorts.js
+const express = require('express');
+const router = express.Router();
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { getUserCohortHistory } = require('../../services/cohortHistory');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { UpstreamError } = require('../../utils/errors');
+
+/**
+ * MY PAST COHORTS
+ * Route: GET /api/my-cohorts
+ * Lists every completed cohort the signed-in user took part in, newest first. Cohorts still inside
+ * their retention window are flagged `downloadable`; their files are fetched with a ticket from POST /api/download-tickets.
+ */
+router.get('/my-cohorts', requireUserIdentity, asyncHandler(async (req, res) => {
+    const result = await getUserCohortHistory(req.user.id);
+
+    if (!result.success) {
+        throw new UpstreamError('load cohort history', result);
+    }
+
+    return res.json({ success: true, cohorts: result.cohorts });
+}));
+
+module.exports = router;
@@ -2,28 +2,31 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { sendCached } = require('../../middleware/conditionalGet');
+const { cachedRead, leaderboardKey } = require('../../services/cache');
+const { UpstreamError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * FIX: LEADERBOARD ENDPOINT (Matches leaderboard.html fetch of /api/secure-data)
+ * Cached until a referral or signup changes it; supports conditional GETs.
  */
-router.get('/secure-data', async (req, res) => {
-    try {
+router.get('/secure-data', asyncHandler(async (req, res) => {
+    const entry = await cachedRead(leaderboardKey('secure_data'), 'leaderboard', async () => {
         const { data: leaderboardData, error } = await supabase
             .from('user_profiles')
             .select('user_id, nickname, referrals, country, gender, referral_code')
             .order('referrals', { ascending: false }) 
             .limit(100); 
 
-        if (error) throw error;
+        if (error) throw new UpstreamError('fetch leaderboard', error);
+        return leaderboardData;
+    });
 
-        return res.json(leaderboardData); 
-    } catch (error) {
-        console.error('Leaderboard /secure-data Error:', error.message);
-        return res.status(500).json({ error: error.message });
-    }
-});
+    return sendCached(req, res, entry);
+}));
 
 module.exports = router;
 
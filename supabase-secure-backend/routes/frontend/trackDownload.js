@@ -2,37 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { getCohortDownloadCount, hasDownloaded } = require('../../services/downloadLedger');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, ForbiddenError, UpstreamError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * FIX: TRACK DOWNLOAD (Matches cohort_template.html)
  * Route: /api/track-download
+ * Reports the member's download state for their cohort: whether they have downloaded the file and
+ * how many members of the cohort have. Read-only: downloads are recorded by the server when
+ * GET /api/downloads/:ticket serves the file (services/downloadLedger.js), never on the client's word.
  */
-router.post('/track-download', async (req, res) => {
-    const { cluster_id } = req.body;
-    
-    try {
-        const { data, error } = await supabase
-            .from('cluster_metadata')
-            .update({ 
-                vcf_download_count: supabase.select_cast('vcf_download_count + 1'),
-                last_downloaded_at: new Date().toISOString()
-            })
-            .eq('cluster_id', cluster_id)
-            .select('vcf_download_count')
-            .single();
+router.post('/track-download', requireUserIdentity, validate({ body: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.body;
+    const user_id = req.user.id; // Identity comes from the bearer token only
 
-        return res.json({ 
-            success: true, 
-            vcf_download_count: data ? data.vcf_download_count : 0 
-        });
+    const { data: member, error: memberError } = await supabase
+        .from('cluster_cohort_members')
+        .select('cohort_id')
+        .eq('cluster_id', clusterIdNum)
+        .eq('user_id', user_id)
+        .maybeSingle();
 
-    } catch (e) {
-        console.error("Tracking Error:", e);
-        return res.status(500).json({ success: false });
+    if (memberError) throw new UpstreamError('fetch cohort membership', memberError);
+    if (!member) {
+        throw new ForbiddenError('You are not a member of this cluster.', { code: ERROR_CODES.NOT_A_MEMBER });
     }
-});
 
-module.exports = router;
+    let user_has_downloaded, vcf_download_count;
+    try {
+        user_has_downloaded = await hasDownloaded(member.cohort_id, user_id);
+        vcf_download_count = await getCohortDownloadCount(member.cohort_id);
+    } catch (error) {
+        throw new UpstreamError('read download ledger', error);
+    }
+
+    return res.json({ 
+        success: true, 
+        user_has_downloaded,
+        vcf_download_count,
+    });
+}));
 
+module.exports = router;
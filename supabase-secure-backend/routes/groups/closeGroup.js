@@ -1,26 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { getUserRoles } = require('../../services/roleService');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ForbiddenError, ConflictError, UpstreamError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
 
+// Roles that may close a group they did not create (see services/roleService.js)
+const GROUP_MANAGER_ROLES = ['group-owner', 'admin'];
+
 /**
  * POST /api/groups/close
  * Allows the creator of a 'direct' group to close it, triggering the deletion 
  * of all member data from the 'group_members' table for that cohort.
  * * Required Body: {
- * group_id: number,
- * user_id: string (must be the creator_user_id)
+ * group_id: number
  * }
+ * The caller (from the bearer token) must be the group's creator_user_id, or hold the
+ * group-owner or admin role.
  */
-router.post('/close', async (req, res) => {
-    const { group_id, user_id } = req.body; 
-
-    if (!group_id || !user_id) {
-        return res.status(400).json({ success: false, message: 'Group ID and User ID are required.' });
-    }
-    
-    const groupIdNum = parseInt(group_id, 10);
+router.post('/close', validate({ body: { group_id: { ...rules.groupId, required: true } } }), asyncHandler(async (req, res) => {
+    const { group_id: groupIdNum } = req.body; 
+    const user_id = req.user.id; // Set by requireUserIdentity in groupsRouter
 
     try {
         // 1. Authorization Check: Fetch group data to verify user is the creator and check group type
@@ -31,17 +36,21 @@ router.post('/close', async (req, res) => {
             .single();
 
         if (fetchError || !group) {
-            return res.status(404).json({ success: false, message: 'Group not found.' });
+            throw new NotFoundError('Group not found.', { code: ERROR_CODES.GROUP_NOT_FOUND });
         }
 
-        if (group.creator_user_id !== user_id) {
-            return res.status(403).json({ success: false, message: 'Forbidden: Only the group creator can close the group.' });
+        const isCreator = group.creator_user_id === user_id;
+        if (!isCreator) {
+            const roles = await getUserRoles(user_id);
+            if (!roles.some(role => GROUP_MANAGER_ROLES.includes(role))) {
+                throw new ForbiddenError('Forbidden: Only the group creator or a group owner can close the group.', { code: ERROR_CODES.NOT_GROUP_CREATOR });
+            }
         }
         
         // This closure is designed specifically for direct groups as per requirement.
-        // General groups are cleaned up automatically upon final download.
+        // General groups are cleaned up by the retention job (services/retention.js).
         if (group.vcf_type !== 'direct') {
-            return res.status(400).json({ success: false, message: 'This action is only supported for "direct" VCF groups.' });
+            throw new ConflictError('This action is only supported for "direct" VCF groups.', { code: ERROR_CODES.UNSUPPORTED_GROUP_TYPE });
         }
 
         // 2. Perform Data Deletion (The core action)
@@ -53,8 +62,7 @@ router.post('/close', async (req, res) => {
             .select('*', { count: 'exact' });
 
         if (deleteError) {
-            console.error('Database Error deleting members on close:', deleteError.message);
-            return res.status(500).json({ success: false, message: 'Failed to clean up group member data.' });
+            throw new UpstreamError('delete group members on close', deleteError);
         }
 
         // 3. Update Group Status (Mark the group as closed/inactive)
@@ -67,11 +75,11 @@ router.post('/close', async (req, res) => {
             .eq('group_id', groupIdNum);
 
         if (updateError) {
-            console.error('Database Error updating group status:', updateError.message);
+            logger.error('Close group: failed to update group status', { group_id: groupIdNum, error: updateError.message });
             // This is non-critical to the response but should be logged
         }
         
-        console.log(`Direct Group ${groupIdNum} closed by creator ${user_id.substring(0, 8)}. ${deletedCount} members deleted.`);
+        logger.info(isCreator ? 'Group closed by creator' : 'Group closed by group owner', { group_id: groupIdNum, members_deleted: deletedCount });
 
         return res.json({ 
             success: true, 
@@ -79,10 +87,9 @@ router.post('/close', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Unexpected error in closeGroup:', error);
-        return res.status(500).json({ success: false, message: 'Internal server error during group closure.' });
+        throw toAppError('close group', error);
     }
-});
+}));
 
 module.exports = router;
 
@@ -1,42 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, ForbiddenError, NotFoundError, UpstreamError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
 
+const createGroupSchema = {
+    body: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        description: { type: 'string', maxLength: 1000 },
+        max_members: { type: 'integer', required: true, min: 2, max: 1000 },
+        referral_message_template: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+        is_paid: { type: 'boolean', default: false },
+        is_incentivized: { type: 'boolean', default: false },
+        vcf_type: { type: 'string', enum: ['direct', 'general'], default: 'direct' },
+        // Optional; only accepted when it names the caller
+        creator_user_id: rules.userId,
+    },
+};
+
 /**
  * POST /api/groups/create
  * Creates a new, empty group/cohort in the 'groups' table.
  */
-router.post('/create', async (req, res) => {
+router.post('/create', validate(createGroupSchema), asyncHandler(async (req, res) => {
     const { 
-        creator_user_id, 
         name, 
         description, 
-        max_members, 
+        max_members: maxMembersNum, 
         referral_message_template,
-        is_paid = false,       
-        is_incentivized = false,
-        vcf_type = 'direct' 
+        is_paid,
+        is_incentivized,
+        vcf_type
     } = req.body;
 
-    // Basic Input Validation
-    if (!creator_user_id || !name || !max_members || !referral_message_template) {
-        return res.status(400).json({ success: false, message: 'Missing required fields: creator, name, max_members, or referral_message.' });
-    }
-    
-    const maxMembersNum = parseInt(max_members, 10);
-    if (isNaN(maxMembersNum) || maxMembersNum < 2) {
-        return res.status(400).json({ success: false, message: 'Max members must be a number greater than 1.' });
-    }
-
-    // VCF Type Validation
-    const validVcfTypes = ['direct', 'general'];
-    if (!validVcfTypes.includes(vcf_type)) {
-        return res.status(400).json({ 
-            success: false, 
-            message: `Invalid vcf_type specified. Must be one of: ${validVcfTypes.join(', ')}.` 
-        });
+    // The creator is always the authenticated caller (set by requireUserIdentity in groupsRouter)
+    const creator_user_id = req.user.id;
+    if (req.body.creator_user_id && req.body.creator_user_id !== creator_user_id) {
+        throw new ForbiddenError('creator_user_id does not match the authenticated user.', { code: ERROR_CODES.USER_ID_MISMATCH });
     }
 
     try {
@@ -48,15 +53,15 @@ router.post('/create', async (req, res) => {
             .single();
 
         if (profileError || !userProfile) {
-            console.warn('Failed to fetch creator nickname:', profileError?.message);
-            return res.status(400).json({ success: false, message: 'Invalid creator_user_id or user not found.' });
+            logger.warn('Create group: creator profile not found', { error: profileError?.message });
+            throw new NotFoundError('Your user profile was not found.', { code: ERROR_CODES.PROFILE_NOT_FOUND });
         }
 
         const creatorNickname = userProfile.nickname;
 
         const newGroupData = {
             creator_user_id,
-            creator_nickname,         // Store nickname for frontend display
+            creator_nickname: creatorNickname, // Store nickname for frontend display
             name,
             description,
             max_members: maxMembersNum,
@@ -74,11 +79,10 @@ router.post('/create', async (req, res) => {
             .single();
 
         if (insertError) {
-            console.error('Database Error creating group:', insertError.message);
-            return res.status(500).json({ success: false, message: `Failed to create group: ${insertError.message}` });
+            throw new UpstreamError('create group', insertError);
         }
         
-        console.log(`Successfully created new Group ID: ${createdGroup.group_id} (Type: ${createdGroup.vcf_type}) by @${creatorNickname}.`);
+        logger.info('Groups: created', { group_id: createdGroup.group_id, vcf_type: createdGroup.vcf_type, user_id: creator_user_id });
 
         return res.status(201).json({ 
             success: true, 
@@ -87,9 +91,8 @@ router.post('/create', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Unexpected error in createGroup:', error);
-        return res.status(500).json({ success: false, message: 'Internal server error during group creation.' });
+        throw toAppError('create group', error);
     }
-});
+}));
 
 module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { getGroupDownloadAccess, groupDownloadName } = require('../../services/groupDownloads');
+const { issueDownloadTicket } = require('../../services/downloadTickets');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ForbiddenError, UpstreamError, toAppError } = require('../../utils/errors');
+
+/**
+ * POST /api/groups/download-ticket  { group_id }  (Authorization: Bearer <token>)
+ * Issues a single-use ticket for the group's VCF. The file itself is served by
+ * GET /api/downloads/:ticket (routes/frontend/downloadTickets.js); DIRECT group files are built there.
+ */
+router.post('/download-ticket', rateLimit('download'), validate({ body: { group_id: { ...rules.groupId, required: true } } }), asyncHandler(async (req, res) => {
+    const { group_id: groupIdNum } = req.body;
+    const user_id = req.user.id; // Set by requireUserIdentity in groupsRouter
+
+    let access;
+    try {
+        access = await getGroupDownloadAccess(groupIdNum, user_id);
+    } catch (error) {
+        throw toAppError('check group download access', error);
+    }
+
+    if (access.reason === 'group_not_found') {
+        throw new NotFoundError('Group not found.', { code: ERROR_CODES.GROUP_NOT_FOUND });
+    }
+    if (access.reason === 'not_a_member') {
+        throw new ForbiddenError('Access denied. You are not a member of this group.', { code: ERROR_CODES.NOT_A_MEMBER });
+    }
+    if (access.reason === 'vcf_not_ready') {
+        throw new NotFoundError('General VCF not ready. Group may not be full yet.', { code: ERROR_CODES.VCF_NOT_READY });
+    }
+
+    const { group } = access;
+    const issued = await issueDownloadTicket({
+        user_id,
+        resource_type: 'group',
+        resource_id: groupIdNum,
+        // DIRECT files are generated per user at redemption, so there is nothing stored to point at
+        storage_key: group.vcf_type === 'general' ? group.vcf_file_name : null,
+        download_name: groupDownloadName(group, user_id),
+    });
+
+    if (!issued.success) {
+        throw new UpstreamError('issue group download ticket', issued);
+    }
+
+    return res.status(201).json({
+        success: true,
+        ticket: issued.ticket,
+        download_url: `/api/v1/downloads/${issued.ticket}`,
+        expires_at: issued.expires_at,
+    });
+}));
+
+module.exports = router;
@@ -1,22 +1,95 @@
 const express = require('express');
 const router = express.Router();
-const { supabaseAdmin } = require('../../config/supabase'); 
+const { supabaseAdmin } = require('../../config/supabase');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ValidationError, UpstreamError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
-const supabase = supabaseAdmin; 
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: Sorting by fewest spots left needs a stored column (PostgREST cannot order by an expression):
+ *
+ *   ALTER TABLE groups
+ *       ADD COLUMN IF NOT EXISTS spots_left INT GENERATED ALWAYS AS (max_members - current_members) STORED;
+ *   CREATE INDEX IF NOT EXISTS groups_spots_left_idx ON groups (spots_left, group_id);
+ *   CREATE INDEX IF NOT EXISTS groups_current_members_idx ON groups (current_members DESC, group_id);
+ */
+
+// Each sort orders by `column`, then by group_id so that every position is unique
+const SORTS = {
+    oldest: { column: 'group_id', ascending: true },
+    newest: { column: 'group_id', ascending: false },
+    fewest_spots: { column: 'spots_left', ascending: true },
+    popular: { column: 'current_members', ascending: false },
+};
+
+const listGroupsSchema = {
+    query: {
+        q: { type: 'string', maxLength: 100 },
+        status: { type: 'string', enum: ['open', 'full'] },
+        is_paid: { type: 'boolean' },
+        is_incentivized: { type: 'boolean' },
+        vcf_type: { type: 'string', enum: ['direct', 'general'] },
+        creator_user_id: rules.userId,
+        include_completed: { type: 'boolean', default: false },
+        sort: { type: 'string', enum: Object.keys(SORTS), default: 'oldest' },
+        limit: { type: 'integer', min: 1, max: 100, default: 20 },
+        cursor: { type: 'string', maxLength: 200 },
+    },
+};
+
+/**
+ * Cursors are opaque to clients: the sort they belong to and the position of the last group returned.
+ */
+function encodeCursor(sort, group) {
+    const value = group[SORTS[sort].column];
+    return Buffer.from(JSON.stringify({ sort, value, group_id: group.group_id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        position = null;
+    }
+    if (!position || position.sort !== sort || !Number.isInteger(position.value) || !Number.isInteger(position.group_id)) {
+        throw new ValidationError('cursor is invalid or belongs to a different sort.', {
+            details: { errors: [{ field: 'query.cursor', message: 'is invalid or belongs to a different sort' }] },
+        });
+    }
+    return position;
+}
+
+/**
+ * Restricts a boolean column. Columns are nullable, and null counts as false.
+ */
+function whereFlag(query, column, value) {
+    return value ? query.eq(column, true) : query.or(`${column}.is.null,${column}.is.false`);
+}
 
 /**
- * GET /api/groups
- * Fetches all available groups and their core status for the main page display.
+ * GET /api/groups?q=&status=open|full&is_paid=&is_incentivized=&vcf_type=&creator_user_id=
+ *                &include_completed=&sort=oldest|newest|fewest_spots|popular&limit=&cursor=
+ * Fetches one page of groups and their core status for the main page display.
+ * Completed (closed or purged) groups are left out unless include_completed=true.
+ * `q` searches name and description. Pass the returned next_cursor to get the following page
+ * (with the same filters and sort); it is null on the last page.
  * This endpoint does NOT require a user to be logged in (guest viewing is allowed).
  */
-router.get('/', async (req, res) => {
-    console.log('API: Fetching all groups and status...');
-    
+router.get('/', validate(listGroupsSchema), asyncHandler(async (req, res) => {
+    const { q, status, is_paid, is_incentivized, vcf_type, creator_user_id, include_completed, sort, limit, cursor } = req.query;
+    const { column, ascending } = SORTS[sort];
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+
     try {
-        // Fetch all required data from the 'groups' table.
-        // We exclude sensitive data like creator_user_id and only fetch fields necessary 
+        // Fetch the fields needed to render the cards from the 'groups' table.
+        // We exclude sensitive data like creator_user_id and only fetch fields necessary
         // for rendering the card and determining its state.
-        const { data, error } = await supabase
+        let query = supabase
             .from('groups')
             .select(`
                 group_id,
@@ -24,38 +97,63 @@ router.get('/', async (req, res) => {
                 description,
                 max_members,
                 current_members,
+                spots_left,
                 is_full,
                 vcf_uploaded,
                 is_paid,
                 is_incentivized,
+                vcf_type,
                 referral_message_template
-            `)
-            .order('group_id', { ascending: true }); // Order by ID to ensure consistent display
+            `);
+
+        if (!include_completed) query = whereFlag(query, 'is_completed_and_inactive', false);
+        if (status) query = whereFlag(query, 'is_full', status === 'full');
+        if (is_paid !== undefined) query = whereFlag(query, 'is_paid', is_paid);
+        if (is_incentivized !== undefined) query = whereFlag(query, 'is_incentivized', is_incentivized);
+        if (vcf_type) query = query.eq('vcf_type', vcf_type);
+        if (creator_user_id) query = query.eq('creator_user_id', creator_user_id);
+
+        // Characters with a meaning in filter expressions or LIKE patterns are searched as spaces
+        const term = (q || '').replace(/[%_*,()\\"]/g, ' ').trim();
+        if (term) query = query.or(`name.ilike.%${term}%,description.ilike.%${term}%`);
+
+        // Keyset pagination: only groups positioned after the cursor
+        if (after && column === 'group_id') {
+            query = ascending ? query.gt('group_id', after.group_id) : query.lt('group_id', after.group_id);
+        } else if (after) {
+            query = query.or(`${column}.${ascending ? 'gt' : 'lt'}.${after.value},and(${column}.eq.${after.value},group_id.gt.${after.group_id})`);
+        }
+
+        if (column !== 'group_id') query = query.order(column, { ascending });
+        query = query.order('group_id', { ascending: column === 'group_id' ? ascending : true });
+
+        // One extra row tells whether another page follows
+        const { data, error } = await query.limit(limit + 1);
 
         if (error) {
-            console.error('Database Error fetching groups:', error.message);
-            return res.status(500).json({ success: false, message: 'Could not retrieve group data.' });
+            throw new UpstreamError('fetch groups', error);
         }
 
-        console.log(`Successfully retrieved ${data.length} groups.`);
-        
+        const page = data.slice(0, limit);
+        logger.debug('Groups: page listed', { count: page.length, sort, has_more: data.length > limit });
+
         // Transform the data to include a spots_left field for the frontend
-        const groupsWithSpots = data.map(group => ({
+        const groupsWithSpots = page.map(group => ({
             ...group,
             spots_left: group.max_members - group.current_members,
             // A group is only 'available' if it's not full
-            is_available: !group.is_full, 
+            is_available: !group.is_full,
         }));
 
-        return res.json({ 
-            success: true, 
-            groups: groupsWithSpots 
+        return res.json({
+            success: true,
+            groups: groupsWithSpots,
+            next_cursor: data.length > limit ? encodeCursor(sort, page[page.length - 1]) : null,
         });
 
     } catch (error) {
-        console.error('Unexpected error in getAllGroups:', error);
-        return res.status(500).json({ success: false, message: 'Internal server error.' });
+        throw toAppError('fetch groups', error);
     }
-});
+}));
 
 module.exports = router;
@@ -1,22 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { groupVcfJobKey } = require('../../services/groupCompletion');
+const { getVcfStatus } = require('../../services/jobs/queue');
+const { ERROR_CODES, NotFoundError, UpstreamError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
 
 /**
- * GET /api/groups/status?group_id=X&user_id=Y
+ * GET /api/groups/status?group_id=X  (Authorization: Bearer <token>)
  * Fetches the detailed status of a single group and the requesting user's membership status.
  */
-router.get('/status', async (req, res) => {
-    const { group_id, user_id } = req.query;
+router.get('/status', validate({ query: { group_id: { ...rules.groupId, required: true } } }), asyncHandler(async (req, res) => {
+    const { group_id: groupIdNum } = req.query;
+    const user_id = req.user.id; // Set by requireUserIdentity in groupsRouter
 
-    if (!group_id || !user_id) {
-        return res.status(400).json({ success: false, message: 'Group ID and User ID are required.' });
-    }
-
-    const groupIdNum = parseInt(group_id, 10);
-    console.log(`API: Getting status for Group ${groupIdNum} and User ${user_id.substring(0, 8)}...`);
+    logger.debug('Group status: fetching', { group_id: groupIdNum });
 
     try {
         // 1. Fetch the Core Group Status
@@ -28,16 +31,16 @@ router.get('/status', async (req, res) => {
                 max_members,
                 current_members,
                 is_full,
+                vcf_type,
                 vcf_uploaded,
-                vcf_file_name,
                 members_downloaded
             `)
             .eq('group_id', groupIdNum)
             .single();
 
         if (groupError || !groupData) {
-            console.warn(`Group ${groupIdNum} not found or database error:`, groupError?.message);
-            return res.status(404).json({ success: false, message: 'Group not found or inaccessible.' });
+            logger.warn('Group status: group not found or database error', { group_id: groupIdNum, error: groupError?.message });
+            throw new NotFoundError('Group not found or inaccessible.', { code: ERROR_CODES.GROUP_NOT_FOUND });
         }
         
         // 2. Check User Membership Status
@@ -49,8 +52,7 @@ router.get('/status', async (req, res) => {
             .single();
 
         if (memberError && memberError.code !== 'PGRST116') { // PGRST116 means 'no rows found'
-            console.error('Error checking membership:', memberError);
-            return res.status(500).json({ success: false, message: 'Error checking membership status.' });
+            throw new UpstreamError('check group membership', memberError);
         }
         
         const userIsMember = !!memberData;
@@ -63,7 +65,8 @@ router.get('/status', async (req, res) => {
             current_members: groupData.current_members,
             is_full: groupData.is_full,
             vcf_uploaded: groupData.vcf_uploaded,
-            vcf_file_name: groupData.vcf_file_name || null, // Ensure null if not set
+            // GENERAL groups only: the file is built by the group_vcf job after the group fills
+            vcf_status: groupData.vcf_type === 'general' ? await getVcfStatus(groupVcfJobKey(groupData.group_id), groupData) : null,
             vcf_download_count: groupData.members_downloaded,
             spots_left: groupData.max_members - groupData.current_members,
             
@@ -78,10 +81,9 @@ router.get('/status', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Unexpected error in getGroupStatus:', error);
-        return res.status(500).json({ success: false, message: 'Internal server error.' });
+        throw toAppError('fetch group status', error);
     }
-});
+}));
 
 module.exports = router;
 
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { groupVcfJobKey, queueGroupVcf } = require('../../services/groupCompletion');
+const { getVcfStatus } = require('../../services/jobs/queue');
+const { publishCohortEvent } = require('../../services/cohortEvents');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ConflictError, toAppError } = require('../../utils/errors');
+const { logger } = require('../../utils/logger');
 
 const supabase = supabaseAdmin; 
-const VCF_BUCKET_NAME = 'near_vcf_bucket'; // Define bucket name once
 
 // =================================================================
 // 1. HELPER FUNCTION DEFINITION (MOVED HERE TO PREVENT OUTPUT ISSUES)
@@ -17,7 +25,7 @@ async function getUpdatedGroupStatus(groupIdNum, user_id, groupData) {
     // Note: Re-fetching is crucial to get the most updated counts/VCF status
     const { data: updatedGroupData } = await supabase
         .from('groups')
-        .select('vcf_file_name, vcf_uploaded, current_members, members_downloaded, is_full')
+        .select('vcf_type, vcf_uploaded, current_members, members_downloaded, is_full')
         .eq('group_id', groupIdNum)
         .single();
         
@@ -34,7 +42,9 @@ async function getUpdatedGroupStatus(groupIdNum, user_id, groupData) {
         current_members: updatedGroupData.current_members,
         is_full: updatedGroupData.is_full,
         vcf_uploaded: updatedGroupData.vcf_uploaded,
-        vcf_file_name: updatedGroupData.vcf_file_name || null,
+        vcf_status: updatedGroupData.vcf_type === 'general'
+            ? await getVcfStatus(groupVcfJobKey(groupIdNum), updatedGroupData)
+            : null,
         vcf_download_count: updatedGroupData.members_downloaded,
         spots_left: groupData.max_members - updatedGroupData.current_members,
         user_is_member: true,
@@ -44,153 +54,37 @@ async function getUpdatedGroupStatus(groupIdNum, user_id, groupData) {
 
 
 // =================================================================
-// 2. VCF UTILITY FUNCTIONS 
+// 2. MAIN ROUTE HANDLER
 // =================================================================
 
-/**
- * Generates the VCF filename. For GENERAL, it's Cohort_Contacts_[group_id].vcf.
- */
-function generateVcfFileName(groupId, vcfType) {
-    if (vcfType === 'direct') {
-        // NOTE: Direct VCF file naming is handled dynamically in the download endpoint.
-        // We define the name here only for the persistent GENERAL file status.
-        return `Creator_Contacts_${groupId}.vcf`; 
-    }
-    // General type: All members' contacts, generated on full (PERSISTENT NAME)
-    return `Cohort_Contacts_${groupId}.vcf`;
-}
-
-/**
- * Utility function to generate VCF content string from contacts array. 
- * (Same as previous logic)
- */
-function generateVcfContent(contacts) {
-    let vcfContent = '';
-    
-    contacts.forEach(contact => {
-        let profession = contact.display_profession;
-        if (profession === null || profession === undefined || profession === 'false') {
-             profession = 'NEARR';
-        }
-        
-        const name = contact.nickname || `User ${contact.user_id.substring(0, 8)}`;
-        const phone = contact.whatsapp_number || '';
-
-        vcfContent += 'BEGIN:VCARD\nVERSION:3.0\n';
-        vcfContent += `FN:${name} (${profession})\n`;
-        vcfContent += `N:${name};;;\n`; 
-        vcfContent += `TITLE:${profession}\n`;
-        if (phone) {
-            const cleanPhone = phone.replace(/[^0-9+]/g, ''); 
-            vcfContent += `TEL;TYPE=CELL:${cleanPhone}\n`;
-        }
-        vcfContent += 'END:VCARD\n';
-    });
-    return vcfContent;
-}
-
-/**
- * Handles the VCF generation, upload, and status update for the GENERAL VCF type 
- * when the group becomes full.
- */
-async function handleGeneralGroupCompletion(group, supabase) {
-    const groupId = group.group_id;
-    const maxMembers = group.max_members;
-    const vcfFileName = generateVcfFileName(groupId, 'general');
-
-    console.log(`GENERAL Group ${groupId} is full. Generating VCF...`);
-
-    // 1. Fetch All Member Data (including the just-joined member)
-    const { data: allMemberData, error: memberFetchError } = await supabase
-        .from('group_members')
-        .select('user_id, display_profession') 
-        .eq('group_id', groupId);
-    
-    if (memberFetchError || !allMemberData || allMemberData.length !== maxMembers) {
-        console.error('VCF Error: Failed to fetch exact member count for generation.', memberFetchError);
-        return false;
-    }
-
-    const userIds = allMemberData.map(m => m.user_id);
-    const { data: profiles, error: profileError } = await supabase
-        .from('user_profiles')
-        .select('user_id, nickname, profession, whatsapp_number')
-        .in('user_id', userIds);
-    
-    if (profileError || !profiles) {
-        console.error('VCF Error: Failed to fetch user profiles for VCF.', profileError);
-        return false;
-    }
-    
-    const vcfContacts = allMemberData.map(member => {
-        const profile = profiles.find(p => p.user_id === member.user_id);
-        return profile ? { ...profile, display_profession: member.display_profession } : null;
-    }).filter(c => c !== null); 
-
-    // 2. Generate and Upload
-    const vcfContent = generateVcfContent(vcfContacts); 
-    const storagePath = `vcf_exchange/${vcfFileName}`;
-    
-    const { error: uploadError } = await supabase.storage
-        .from(VCF_BUCKET_NAME) 
-        .upload(storagePath, vcfContent, {
-            contentType: 'text/vcard',
-            upsert: true 
-        });
-
-    if (uploadError) {
-        console.error('VCF Upload Error:', uploadError);
-        return false;
-    }
-
-    // 3. Update Group Status (Mark VCF Ready)
-    const { error: updateError } = await supabase
-        .from('groups')
-        .update({ 
-            vcf_uploaded: true,
-            vcf_file_name: vcfFileName,
-        })
-        .eq('group_id', groupId);
-        
-    if (updateError) {
-         console.error(`Failed to update group status with VCF metadata: ${updateError.message}`);
-         return false;
-    }
-    
-    console.log(`GENERAL VCF successfully generated and stored: ${vcfFileName}`);
-    return true;
-}
-
-
-// =================================================================
-// 3. MAIN ROUTE HANDLER
-// =================================================================
+const joinGroupSchema = {
+    body: {
+        group_id: { ...rules.groupId, required: true },
+        p_display_profession: rules.displayProfession,
+    },
+};
 
 /**
  * POST /api/groups/join
- * Handles member insertion and triggers GENERAL VCF generation on group completion.
+ * Handles member insertion and queues GENERAL VCF generation on group completion
+ * (services/groupCompletion.js); the response reports vcf_status 'generating' until the file is stored.
  */
-router.post('/join', async (req, res) => {
-    const { group_id, user_id, p_display_profession } = req.body; 
-    
-    if (!user_id || !group_id) {
-        return res.status(400).json({ success: false, message: 'User ID and Group ID required.' });
-    }
-    
-    const groupIdNum = parseInt(group_id, 10);
+router.post('/join', rateLimit('join'), validate(joinGroupSchema), asyncHandler(async (req, res) => {
+    const { group_id: groupIdNum, p_display_profession } = req.body; 
+    const user_id = req.user.id; // Set by requireUserIdentity in groupsRouter
 
     try {
         // 1. Fetch Group Status
         const { data: groupData, error: statusError } = await supabase
             .from('groups')
             .select(`
-                group_id, is_full, max_members, current_members, vcf_type, vcf_uploaded, vcf_file_name
+                group_id, is_full, max_members, current_members, vcf_type, vcf_uploaded
             `)
             .eq('group_id', groupIdNum)
             .single();
 
         if (statusError || !groupData) {
-            return res.status(404).json({ success: false, message: 'Group not found.' });
+            throw new NotFoundError('Group not found.', { code: ERROR_CODES.GROUP_NOT_FOUND });
         }
 
         // --- 1a. Pre-Join Checks ---
@@ -207,7 +101,7 @@ router.post('/join', async (req, res) => {
         }
 
         if (groupData.is_full) {
-            return res.status(409).json({ success: false, message: 'Group is full.' });
+            throw new ConflictError('Group is full.', { code: ERROR_CODES.GROUP_FULL });
         }
         
         // --- 2. Insert New Member ---
@@ -223,7 +117,7 @@ router.post('/join', async (req, res) => {
         
         if (insertError) {
             if (insertError.code === '23505') { 
-                 return res.status(409).json({ success: false, message: 'You have already joined this group (race condition resolved).' });
+                 throw new ConflictError('You have already joined this group (race condition resolved).', { code: ERROR_CODES.ALREADY_IN_GROUP });
             }
             throw insertError;
         }
@@ -232,20 +126,35 @@ router.post('/join', async (req, res) => {
         const currentMembersAfterInsert = groupData.current_members + 1;
         const maxMembers = groupData.max_members; 
         const isNowFull = currentMembersAfterInsert >= maxMembers;
-        let vcf_status = { vcf_uploaded: groupData.vcf_uploaded, vcf_file_name: groupData.vcf_file_name || null, is_full: groupData.is_full };
+        let vcf_status = null;
 
-        if (groupData.vcf_type === 'general' && isNowFull) {
-            const vcfSuccess = await handleGeneralGroupCompletion(groupData, supabase);
-            
-            if (vcfSuccess) {
-                 vcf_status = { 
-                     vcf_uploaded: true, 
-                     vcf_file_name: generateVcfFileName(groupIdNum, 'general'),
-                     is_full: true // Must be true if generation succeeded
-                 };
+        if (isNowFull) {
+            // Starts the group's retention clock (services/retention.js)
+            const { error: completedError } = await supabase
+                .from('groups')
+                .update({ completed_at: new Date().toISOString() })
+                .eq('group_id', groupIdNum);
+
+            if (completedError) {
+                logger.error('Join group: failed to stamp completed_at', { group_id: groupIdNum, error: completedError.message });
             }
         }
 
+        publishCohortEvent('member_joined', {
+            group_id: groupIdNum,
+            current_members: currentMembersAfterInsert,
+            max_members: maxMembers,
+            spots_left: Math.max(0, maxMembers - currentMembersAfterInsert),
+        });
+        if (isNowFull) {
+            publishCohortEvent('cohort_full', { group_id: groupIdNum });
+        }
+
+        if (groupData.vcf_type === 'general' && isNowFull) {
+            await queueGroupVcf(groupData);
+            vcf_status = await getVcfStatus(groupVcfJobKey(groupIdNum), { is_full: true, vcf_uploaded: groupData.vcf_uploaded });
+        }
+
         // --- 4. Return Final Status ---
         const finalResponse = { 
             success: true, 
@@ -253,20 +162,20 @@ router.post('/join', async (req, res) => {
             user_is_member: true,
             current_members: currentMembersAfterInsert,
             max_members: maxMembers,
-            ...vcf_status,
-            is_full: vcf_status.is_full || isNowFull // Reflect current status or new full status
+            vcf_uploaded: groupData.vcf_uploaded,
+            vcf_status,
+            is_full: groupData.is_full || isNowFull // Reflect current status or new full status
         };
 
         return res.json(finalResponse);
 
     } catch (error) {
-        console.error(`Join Error:`, error.message);
-        return res.status(500).json({ success: false, message: `Server error during join: ${error.message}` });
+        throw toAppError('join group', error);
     }
-});
+}));
 
 // =================================================================
-// 4. MODULE EXPORT (Ensure this is the final executable statement)
+// 3. MODULE EXPORT (Ensure this is the final executable statement)
 // =================================================================
 
 module.exports = router;
@@ -5,8 +5,9 @@ const router = express.Router();
 // =================================================================
 // Middleware
 // =================================================================
-const { requireUserAuth } = require('../middleware/authMiddleware'); 
-// requireUserAuth verifies the token from the frontend and populates req.user
+const { requireUserIdentity } = require('../middleware/authMiddleware'); 
+// requireUserIdentity verifies the token from the frontend, populates req.user and rejects
+// requests whose user_id parameter names someone else
 
 // =================================================================
 // Import all Group Management Endpoints
@@ -16,30 +17,31 @@ const createGroup = require('./groups/createGroup');
 const getAllGroups = require('./groups/getAllGroups');
 const getGroupStatus = require('./groups/getGroupStatus');
 const joinGroup = require('./groups/joinGroup');
-const downloadVCF = require('./groups/directVCFdownload'); 
+const downloadTicket = require('./groups/downloadTicket');
 const closeGroup = require('./groups/closeGroup');
 
 // =================================================================
 // Apply User Auth Middleware to Sensitive Endpoints
 // =================================================================
-// All actions that modify or download data require a valid user
-router.use(['/create', '/join', '/close', '/download'], requireUserAuth);
+// All actions that read the caller's membership, modify or download data require a valid user
+router.use(['/create', '/join', '/close', '/download-ticket', '/status'], requireUserIdentity);
 
 // =================================================================
 // Mount Endpoints
 // =================================================================
 
 // 1. Group Creation and Management
+// Each endpoint router declares its own full path ('/create', '/status', ...), so all mount at '/'.
 // Hybrid: creator_user_id is enforced from req.user.id inside createGroup
-router.use('/create', createGroup);
-router.use('/close', closeGroup);
+router.use('/', createGroup);
+router.use('/', closeGroup);
 
-// 2. Read Endpoints (can be public or require auth depending on design)
+// 2. Read Endpoints (the group list is public; status is per-user)
 router.use('/', getAllGroups); 
-router.use('/status', getGroupStatus);
+router.use('/', getGroupStatus);
 
 // 3. Action Endpoints
-router.use('/join', joinGroup);
-router.use('/download', downloadVCF);
+router.use('/', joinGroup);
+router.use('/', downloadTicket); // The file itself is served by GET /api/v1/downloads/:ticket
 
 module.exports = router;
@@ -4,26 +4,43 @@ const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
 // CRITICAL FIX 2: Corrected path to utils folder
 const { calculateClusterStats } = require('../../utils/cohortUtils');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { sendCached } = require('../../middleware/conditionalGet');
+const { cachedRead, clusterStatsKey } = require('../../services/cache');
+const { deprecated } = require('../../middleware/deprecation');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, toAppError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * NEW ROUTE: CLUSTER STATS V2
  * Route: /api/cluster-stats-v2?cluster_id=X&user_country=Y
+ * Cached like /api/cluster-stats.
  * * Purpose: This route is designed to be highly robust and defensively fetch all
  * required profile and cohort data, coercing potential null values to safe formats
  * to prevent the original 'split is not a function' error within the utility function.
+ * DEPRECATED: duplicates GET /api/v1/cluster-stats?cluster_id=X&user_country=Y.
  */
-router.get('/cluster-stats-v2', async (req, res) => {
-    // CRITICAL FIX 1: Add input validation to prevent crashes from bad query params
-    const { cluster_id, user_country } = req.query;
-    
-    if (!cluster_id || isNaN(parseInt(cluster_id, 10))) {
-        return res.status(400).json({ success: false, message: 'Invalid or missing cluster_id parameter.' });
-    }
-    
-    const clusterIdNum = parseInt(cluster_id, 10);
+const clusterStatsSchema = {
+    query: {
+        cluster_id: { ...rules.clusterId, required: true },
+        user_country: rules.country,
+    },
+};
+
+router.get('/cluster-stats-v2', deprecated('/api/v1/cluster-stats'), validate(clusterStatsSchema), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum, user_country } = req.query;
+
+    const entry = await cachedRead(clusterStatsKey(clusterIdNum, 'v2', user_country), 'cluster_stats', () => loadClusterStats(clusterIdNum, user_country));
+    return sendCached(req, res, entry);
+}));
 
+/**
+ * The response body for one cluster and country. Throws NotFoundError when the cluster has no active cohort.
+ */
+async function loadClusterStats(clusterIdNum, user_country) {
     try {
         // Step 1: Find the active cohort ID from cluster_metadata
         const { data: meta, error: metaError } = await supabase
@@ -35,7 +52,7 @@ router.get('/cluster-stats-v2', async (req, res) => {
         if (metaError && metaError.code !== 'PGRST116') throw metaError; 
         
         if (!meta || !meta.active_cohort_id) {
-             return res.json({ success: false, message: 'No active cohort found.' });
+             throw new NotFoundError('No active cohort found.', { code: ERROR_CODES.NO_ACTIVE_COHORT });
         }
         
         const cohortId = meta.active_cohort_id;
@@ -54,7 +71,7 @@ router.get('/cluster-stats-v2', async (req, res) => {
         if (memberUserIds.length === 0) {
              // Return success with empty stats/members if cohort is empty
              const stats = calculateClusterStats([], user_country);
-             return res.json({ success: true, cluster_stats: stats, cohort_members: [] });
+             return { success: true, cluster_stats: stats, cohort_members: [] };
         }
         
         // Map display_profession for merging
@@ -106,14 +123,11 @@ router.get('/cluster-stats-v2', async (req, res) => {
         // Step 5: Calculate and return results
         const stats = calculateClusterStats(flatMembers, user_country);
 
-        return res.json({ success: true, cluster_stats: stats, cohort_members: flatMembers });
+        return { success: true, cluster_stats: stats, cohort_members: flatMembers };
 
     } catch (error) {
-        console.error("Error fetching cluster stats V2:", error);
-        // CRITICAL FIX 4: Ensure the error message is always a string and not null
-        const errorMessage = (error.message || String(error)) || 'An unknown error occurred on the server.';
-        return res.status(500).json({ success: false, message: errorMessage });
+        throw toAppError('fetch cluster stats', error);
     }
-});
+}
 
 module.exports = router;
@@ -2,34 +2,31 @@
 // routes/legacy/getCohortStatusLegacy.js
 const express = require('express');
 const router = express.Router();
-const { getCohortStatus } = require('../../services/cohortService');
+const { getCohortStatus, toClientStatus } = require('../../services/cohortService');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { deprecated } = require('../../middleware/deprecation');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, UpstreamError } = require('../../utils/errors');
 
 /**
  * Endpoint 2: Get Cluster Status (Membership, VCF Upload State)
+ * DEPRECATED: replaced by GET /api/v1/cohort-status?cluster_id=X (same response).
  */
-router.get('/cohorts/:cluster_id/status', async (req, res) => {
-    const { cluster_id } = req.params;
-    const { user_id } = req.query;
-
-    if (!user_id) {
-         return res.status(400).json({ success: false, message: 'user_id query parameter is required.' });
-    }
-
-    const clusterIdNum = parseInt(cluster_id, 10);
-    if (isNaN(clusterIdNum)) {
-        return res.status(400).json({ success: false, message: 'Invalid cluster ID format.' });
-    }
+router.get('/cohorts/:cluster_id/status', deprecated('/api/v1/cohort-status?cluster_id=:cluster_id'), requireUserIdentity, validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const user_id = req.user.id; // Identity comes from the bearer token only
 
     const result = await getCohortStatus(clusterIdNum, user_id);
     
-    if (result.success) {
-        return res.json(result);
-    } else {
-        if (result.message.includes('not found')) {
-             return res.status(404).json(result);
-        }
-        return res.status(500).json(result);
+    if (result.status === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
+    }
+    if (!result.success) {
+        throw new UpstreamError('fetch cohort status', result);
     }
-});
+    return res.json(toClientStatus(result));
+}));
 
 module.exports = router;
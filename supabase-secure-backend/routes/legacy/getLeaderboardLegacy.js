@@ -2,37 +2,35 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../config/supabase'); 
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { deprecated } = require('../../middleware/deprecation');
+const { sendCached } = require('../../middleware/conditionalGet');
+const { cachedRead, leaderboardKey } = require('../../services/cache');
+const { UpstreamError } = require('../../utils/errors');
 
 const supabase = supabaseAdmin; 
 
 /**
  * Endpoint 5: GET the Global Leaderboard Data.
+ * DEPRECATED: replaced by GET /api/v1/secure-data (a plain array with more profile fields).
  */
-router.get('/leaderboard', async (req, res) => {
-    try {
+router.get('/leaderboard', deprecated('/api/v1/secure-data'), asyncHandler(async (req, res) => {
+    const entry = await cachedRead(leaderboardKey('legacy'), 'leaderboard', async () => {
         const { data: leaderboardData, error } = await supabase
             .from('user_profiles')
             .select('user_id, nickname, referrals, country')
             .order('referrals', { ascending: false })
             .limit(100);
 
-        if (error) {
-            console.error('Supabase Leaderboard Fetch Error:', error.message);
-            throw new Error('Database query failed.');
-        }
+        if (error) throw new UpstreamError('fetch leaderboard', error);
 
-        return res.json({ 
+        return { 
             success: true, 
             leaderboard: leaderboardData
-        });
+        };
+    });
 
-    } catch (error) {
-        console.error('Error fetching leaderboard data:', error.message);
-        return res.status(500).json({ 
-            success: false, 
-            message: `Failed to retrieve leaderboard data: ${error.message}` 
-        });
-    }
-});
+    return sendCached(req, res, entry);
+}));
 
 module.exports = router;
@@ -1,80 +1,50 @@
 // routes/legacy/joinClusterLegacy.js
 const express = require('express');
 const router = express.Router();
-const { supabaseAdmin } = require('../../config/supabase'); 
 const { getCohortStatus } = require('../../services/cohortService');
-
-const supabase = supabaseAdmin; 
+const { joinCluster } = require('../../services/clusterMembership');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { deprecated } = require('../../middleware/deprecation');
+const { validate } = require('../../middleware/validate');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ConflictError, UpstreamError } = require('../../utils/errors');
 
 /**
  * Endpoint 3: Join a Cluster
+ * DEPRECATED: replaced by POST /api/v1/join-cluster { p_cluster_id }. Joins through the same
+ * service (services/clusterMembership.js), so capacity, cohort completion and queue placement
+ * behave identically; only the response keeps its legacy shape.
  */
-router.post('/cohorts/:cluster_id/join', async (req, res) => {
-    const { cluster_id } = req.params;
-    const { user_id, user_email } = req.body; 
+router.post('/cohorts/:cluster_id/join', deprecated('/api/v1/join-cluster'), requireUserIdentity, rateLimit('join'), validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const joined = await joinCluster(clusterIdNum, user_id);
 
-    if (!user_id || !user_email) {
-        return res.status(400).json({ success: false, message: 'user_id and user_email are required.' });
+    if (joined.reason === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
     }
-    
-    const clusterIdNum = parseInt(cluster_id, 10);
-    if (isNaN(clusterIdNum)) {
-        return res.status(400).json({ success: false, message: 'Invalid cluster ID format.' });
+    if (joined.reason === 'cohort_full' || joined.reason === 'cohort_filled') {
+        throw new ConflictError('Cluster is full or VCF uploaded. Cannot join.', { code: ERROR_CODES.COHORT_FULL, details: { can_enqueue: joined.reason === 'cohort_full' } });
+    }
+    if (!joined.success) {
+        throw new UpstreamError('join cluster cohort', joined);
+    }
+    if (joined.status === 'already_member') {
+        return res.json({ success: true, message: 'Already a member.' });
     }
 
-    try {
-        const status = await getCohortStatus(clusterIdNum, user_id);
-        
-        if (!status.success) {
-            return res.status(404).json({ success: false, message: status.message });
-        }
-
-        if (status.user_is_member) {
-            return res.json({ success: true, message: 'Already a member.' });
-        }
-        
-        if (status.is_full) {
-            return res.status(409).json({ success: false, message: 'Cluster is full or VCF uploaded. Cannot join.' });
-        }
-        
-        if (!status.cohort_id) {
-             return res.status(500).json({ success: false, message: 'Could not determine active cohort ID.' });
-        }
-        
-        const newMember = {
-            cluster_id: clusterIdNum,
-            cohort_id: status.cohort_id,
-            user_id: user_id,
-            email: user_email,
-            cluster_name: status.cluster_name || `Cluster ${clusterIdNum}`, 
-        };
-
-        const { error: insertError } = await supabase
-            .from('cluster_cohort_members')
-            .insert([newMember]);
-
-        if (insertError) {
-            if (insertError.code === '23505') { 
-                return res.json({ success: true, message: 'Already a member.' });
-            }
-            throw insertError;
-        }
-
-        const updatedStatus = await getCohortStatus(clusterIdNum, user_id);
-        const isNowFull = updatedStatus.current_members >= status.max_members;
-        
-        return res.json({ 
-            success: true, 
-            message: 'Successfully joined cluster.', 
-            is_full: isNowFull,
-            current_members: updatedStatus.current_members,
-            max_members: status.max_members
-        });
+    const updatedStatus = await getCohortStatus(clusterIdNum, user_id);
 
-    } catch (error) {
-        console.error(`Error joining cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Database operation failed: ${error.message}` });
-    }
-});
+    return res.json({
+        success: true,
+        message: 'Successfully joined cluster.',
+        is_full: updatedStatus.is_full,
+        current_members: updatedStatus.current_members,
+        max_members: updatedStatus.max_members
+    });
+}));
 
 module.exports = router;
@@ -1,64 +1,45 @@
 // routes/legacy/leaveClusterLegacy.js
 const express = require('express');
 const router = express.Router();
-const { supabaseAdmin } = require('../../config/supabase'); 
-const { getCohortStatus } = require('../../services/cohortService');
-
-const supabase = supabaseAdmin; 
+const { leaveCluster } = require('../../services/clusterMembership');
+const { requireUserIdentity } = require('../../middleware/authMiddleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { deprecated } = require('../../middleware/deprecation');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ERROR_CODES, NotFoundError, ForbiddenError, UpstreamError } = require('../../utils/errors');
 
 /**
  * Endpoint 4: Leave a Cluster
+ * DEPRECATED: replaced by POST /api/v1/leave-cluster { cluster_id } (same response).
  */
-router.post('/cohorts/:cluster_id/leave', async (req, res) => {
-    const { cluster_id } = req.params;
-    const { user_id } = req.body; 
+router.post('/cohorts/:cluster_id/leave', deprecated('/api/v1/leave-cluster'), requireUserIdentity, validate({ params: { cluster_id: { ...rules.clusterId, required: true } } }), asyncHandler(async (req, res) => {
+    const { cluster_id: clusterIdNum } = req.params;
+    const user_id = req.user.id; // Identity comes from the bearer token only
+
+    const left = await leaveCluster(clusterIdNum, user_id);
 
-    if (!user_id) {
-        return res.status(400).json({ success: false, message: 'user_id is required.' });
+    if (left.reason === 'cluster_not_found') {
+        throw new NotFoundError(`Cluster ID ${clusterIdNum} not found.`, { code: ERROR_CODES.CLUSTER_NOT_FOUND });
     }
-    
-    const clusterIdNum = parseInt(cluster_id, 10);
-    if (isNaN(clusterIdNum)) {
-        return res.status(400).json({ success: false, message: 'Invalid cluster ID format.' });
+    if (left.reason === 'vcf_already_generated') {
+        throw new ForbiddenError('Cannot leave after VCF has been generated and uploaded.', { code: ERROR_CODES.VCF_ALREADY_GENERATED });
     }
-
-    try {
-        const status = await getCohortStatus(clusterIdNum, user_id);
-        
-        if (!status.success) {
-            return res.status(404).json({ success: false, message: status.message });
-        }
-        
-        if (status.vcf_uploaded) {
-            return res.status(403).json({ success: false, message: 'Cannot leave after VCF has been generated and uploaded.' });
-        }
-
-        const { count, error: deleteError } = await supabase
-            .from('cluster_cohort_members')
-            .delete({ count: 'exact' })
-            .eq('cluster_id', clusterIdNum)
-            .eq('user_id', user_id);
-
-        if (deleteError) {
-            throw deleteError;
-        }
-        
-        if (count === 0) {
-            return res.json({ success: true, message: 'User was not a member.' });
-        }
-
-        const updatedStatus = await getCohortStatus(clusterIdNum, user_id);
-        
-        return res.json({ 
-            success: true, 
-            message: 'Successfully left cluster.',
-            current_members: updatedStatus.current_members,
-        });
-
-    } catch (error) {
-        console.error(`Error leaving cluster ${cluster_id}:`, error.message);
-        return res.status(500).json({ success: false, message: `Database operation failed: ${error.message}` });
+    if (left.reason === 'cohort_completed') {
+        throw new ForbiddenError('Cannot leave a completed cohort.', { code: ERROR_CODES.COHORT_COMPLETED });
+    }
+    if (!left.success) {
+        throw new UpstreamError('leave cluster', left);
     }
-});
+    if (left.status === 'not_member') {
+        return res.json({ success: true, message: 'User was not a member.' });
+    }
+
+    return res.json({ 
+        success: true, 
+        message: 'Successfully left cluster.',
+        current_members: left.current_members,
+    });
+}));
 
 module.exports = router;
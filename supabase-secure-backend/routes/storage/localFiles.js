@@ -0,0 +1,66 @@
+// routes/storage/localFiles.js
+const express = require('express');
+const router = express.Router();
+const { getVcfStorage } = require('../../services/storage');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validate } = require('../../middleware/validate');
+const { rules } = require('../../utils/validation');
+const { ForbiddenError, NotFoundError, toAppError } = require('../../utils/errors');
+
+const signedUrlSchema = {
+    params: { key: { ...rules.fileName, required: true } },
+    query: {
+        expires: { type: 'integer', required: true, min: 0 },
+        signature: { type: 'string', required: true, maxLength: 256 },
+    },
+};
+
+/**
+ * Serves signed URLs issued by the local-disk storage adapter.
+ * Only answers while that adapter is in use; mirrors what Supabase Storage does for signed URLs.
+ * Upload bodies arrive as a Buffer: app.js parses them raw before the JSON parser runs.
+ * Route: GET /api/storage/local/:key?expires=X&signature=Y  (download)
+ *        PUT /api/storage/local/:key?expires=X&signature=Y  (upload from a signed upload URL)
+ */
+// Any other adapter has no files here
+router.use('/storage/local', (req, res, next) => next(getVcfStorage().driver === 'local' ? undefined : 'router'));
+
+router.get('/storage/local/:key', validate(signedUrlSchema), asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+    const storage = getVcfStorage();
+
+    if (!storage.verifySignature(key, 'GET', expires, signature)) {
+        throw new ForbiddenError('Invalid or expired signed URL.');
+    }
+
+    try {
+        const fileStream = await storage.stream(key);
+        res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+        fileStream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new NotFoundError('File not found.');
+        }
+        throw toAppError('read local file', error);
+    }
+}));
+
+router.put('/storage/local/:key', validate(signedUrlSchema), asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+    const storage = getVcfStorage();
+
+    if (!storage.verifySignature(key, 'PUT', expires, signature)) {
+        throw new ForbiddenError('Invalid or expired signed upload URL.');
+    }
+
+    try {
+        await storage.put(key, req.body);
+        return res.json({ success: true, key });
+    } catch (error) {
+        throw toAppError('store local file', error);
+    }
+}));
+
+module.exports = router;
@@ -0,0 +1,104 @@
+// routes/v1Routes.js
+// The /api/v1 surface: one canonical route per action. Mounted by routes/apiRoutes.js at /api/v1,
+// and at /api as deprecated aliases (middleware/deprecation.js) for clients still on the unversioned paths.
+const express = require('express');
+const router = express.Router();
+
+// =================================================================
+// 0. GROUP MANAGEMENT ROUTES
+// =================================================================
+const groupsRouter = require('./groupsRouter');
+
+// =================================================================
+// 1. AUTH ROUTES
+// =================================================================
+const tokenSignIn = require('./auth/tokenSignIn');
+const waitlist = require('./auth/waitlist');
+const adminLogin = require('./auth/adminLogin');
+
+// =================================================================
+// 2. FRONTEND INTEGRATION ROUTES (Fixes/Simpler Routes)
+// =================================================================
+const secureDataLeaderboard = require('./frontend/secureDataLeaderboard');
+const getCohortStatusFix = require('./frontend/getCohortStatusFix');
+const getCohortStatusBatch = require('./frontend/getCohortStatusBatch');
+const joinClusterFix = require('./frontend/joinClusterFix');
+const leaveCluster = require('./frontend/leaveCluster');
+const getClusterStatsFix = require('./frontend/getClusterStatsFix');
+const downloadTickets = require('./frontend/downloadTickets');
+const trackDownload = require('./frontend/trackDownload');
+const myCohorts = require('./frontend/myCohorts');
+const clusterQueue = require('./frontend/clusterQueue');
+const clusterList = require('./frontend/clusterList');
+const getDisplayMemberList = require('./frontend/getDisplayMemberList');
+const cohortStream = require('./frontend/cohortStream');
+
+// =================================================================
+// 3. ADMIN ROUTES (Secure Endpoints)
+// =================================================================
+const downloadVcfAdmin = require('./admin/downloadVcfAdmin');
+const getVcfStatusAdmin = require('./admin/getVcfStatusAdmin');
+const getFullMemberListAdmin = require('./admin/getFullMemberListAdmin');
+const getClusterStatsAdmin = require('./admin/getClusterStatsAdmin');
+const requestVcfUpload = require('./admin/requestVcfUpload');
+const commitVcfUpload = require('./admin/commitVcfUpload');
+const getCohortHistoryAdmin = require('./admin/getCohortHistoryAdmin');
+const manageRoles = require('./admin/manageRoles');
+const jobsAdmin = require('./admin/jobsAdmin');
+const reconciliationAdmin = require('./admin/reconciliationAdmin');
+const clustersAdmin = require('./admin/clustersAdmin');
+const resetCluster = require('./admin/resetCluster');
+
+// =================================================================
+// 4. STORAGE ROUTES (Local-disk adapter only)
+// =================================================================
+const localFiles = require('./storage/localFiles');
+
+
+// =================================================================
+// ROUTE MOUNTING (The order here does not matter)
+// =================================================================
+
+// GROUPS
+router.use('/groups', groupsRouter); // /api/v1/groups
+
+// AUTH
+router.use('/', tokenSignIn);
+router.use('/', waitlist);
+router.use('/', adminLogin);
+
+// FRONTEND INTEGRATION
+router.use('/', secureDataLeaderboard);
+router.use('/', getCohortStatusFix);
+router.use('/', getCohortStatusBatch);
+router.use('/', joinClusterFix);
+router.use('/', leaveCluster);
+router.use('/', getClusterStatsFix);
+router.use('/', downloadTickets);
+router.use('/', trackDownload);
+router.use('/', myCohorts);
+router.use('/', clusterQueue);
+router.use('/', clusterList);
+router.use('/', getDisplayMemberList);
+router.use('/', cohortStream);
+
+// ADMIN ROUTES
+router.use('/', downloadVcfAdmin);
+router.use('/', getVcfStatusAdmin);
+router.use('/', getFullMemberListAdmin);
+router.use('/', getClusterStatsAdmin);
+router.use('/', requestVcfUpload);
+router.use('/', commitVcfUpload);
+router.use('/', getCohortHistoryAdmin);
+router.use('/', manageRoles);
+router.use('/', jobsAdmin);
+router.use('/', reconciliationAdmin);
+router.use('/', clustersAdmin);
+router.use('/', resetCluster);
+
+// STORAGE ROUTES: serves signed URLs when VCF files are kept on local disk
+router.use('/', localFiles);
+
+
+module.exports = router;
+
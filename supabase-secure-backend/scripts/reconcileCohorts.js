@@ -0,0 +1,67 @@
+// scripts/reconcileCohorts.js
+// Command-line front end for services/reconciliation.js.
+//
+//   node scripts/reconcileCohorts.js                  report issues in every cluster
+//   node scripts/reconcileCohorts.js --cluster 4      report issues in cluster 4 only
+//   node scripts/reconcileCohorts.js --repair         report and repair
+//
+// Uses the same environment as the server (.env). VCFs queued by a repair are built by the job
+// worker of a running server instance. Exits with 1 if the scan fails or a repair fails.
+
+const { hasSupabaseConfig } = require('../config/supabase');
+const { reconcileCohorts } = require('../services/reconciliation');
+
+function parseArgs(argv) {
+    const options = { cluster_id: null, repair: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--repair') {
+            options.repair = true;
+        } else if (argv[i] === '--cluster') {
+            options.cluster_id = parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.cluster_id) || options.cluster_id < 1) {
+                throw new Error('--cluster needs a cluster id.');
+            }
+        } else {
+            throw new Error(`Unknown argument "${argv[i]}".`);
+        }
+    }
+    return options;
+}
+
+function printIssue(issue) {
+    const status = issue.status ? ` [${issue.status}${issue.error ? `: ${issue.error}` : ''}]` : '';
+    const repair = issue.repair || 'none (fix manually)';
+    console.log(`cluster ${issue.cluster_id}  ${issue.cohort_id}  ${issue.type}  -> ${repair}${status}`);
+    console.log(`    ${JSON.stringify(issue.details)}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!hasSupabaseConfig()) {
+        throw new Error('Supabase environment variables are missing (URL, SERVICE_ROLE_KEY, or ANON_KEY).');
+    }
+
+    const result = await reconcileCohorts(options);
+    if (!result.success) {
+        throw new Error(`Scan failed: ${result.message}`);
+    }
+
+    if (result.issues.length === 0) {
+        console.log('No inconsistencies found.');
+        return 0;
+    }
+
+    result.issues.forEach(printIssue);
+    console.log(`${result.issues.length} issue(s) found.${options.repair ? '' : ' Run with --repair to fix them.'}`);
+    return result.issues.some(issue => issue.status === 'failed') ? 1 : 0;
+}
+
+if (require.main === module) {
+    main()
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,124 @@
+// services/cache/index.js
+// Read cache for data that only changes on join, leave, reset, download or referral: the cluster list, the
+// public cluster stats and the leaderboard. Routes read through cachedRead() and answer with
+// sendCached() (middleware/conditionalGet.js); the code paths that change the data call the
+// invalidate* hooks below. The store is selected by config/cache.js and uses the interface:
+//   get(key) -> value | undefined, set(key, value, ttlSeconds), deletePrefix(prefix)
+//
+// Keys: clusters:<user_id|all>, cluster_stats:<cluster_id>:<variant>:<country>, leaderboard:<variant>
+
+const crypto = require('crypto');
+const cacheConfig = require('../../config/cache');
+const { createMemoryCacheStore } = require('./memoryStore');
+const { logger } = require('../../utils/logger');
+
+let cacheStore = null;
+
+/**
+ * Builds the store selected by config/cache.js.
+ */
+function createCacheStore(config = cacheConfig) {
+    if (config.driver === 'memory') {
+        return createMemoryCacheStore();
+    }
+
+    throw new Error(`Unknown CACHE_DRIVER "${config.driver}". Use "memory", or plug a store in with setCacheStore().`);
+}
+
+/**
+ * Returns the process-wide store, creating it on first use.
+ */
+function getCacheStore() {
+    if (!cacheStore) {
+        cacheStore = createCacheStore();
+    }
+    return cacheStore;
+}
+
+/**
+ * Replaces the process-wide store (e.g. with a shared backend, or a memory store on a fake clock in tests).
+ */
+function setCacheStore(store) {
+    cacheStore = store;
+}
+
+const clusterListKey = user_id => `clusters:${user_id || 'all'}`;
+const clusterStatsKey = (cluster_id, variant, user_country) => `cluster_stats:${cluster_id}:${variant}:${user_country || ''}`;
+const leaderboardKey = variant => `leaderboard:${variant}`;
+
+/**
+ * Wraps a freshly loaded value with the validators sent as ETag and Last-Modified.
+ */
+function createEntry(value) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+    return { value, etag: `"${hash}"`, lastModified: new Date().toUTCString() };
+}
+
+/**
+ * Returns the cached entry for `key`, loading and storing it on a miss. A failing store is logged
+ * and bypassed: the cache must never make a read fail. Values that `load` throws for are not cached.
+ * @param {string} key - From clusterListKey(), clusterStatsKey() or leaderboardKey().
+ * @param {string} kind - The config/cache.js TTL to use ('clusters', 'cluster_stats', 'leaderboard').
+ * @param {Function} load - Async; returns the response body.
+ * @param {Object} [config] - Defaults to config/cache.js.
+ * @returns {Promise<{value: *, etag: string, lastModified: string}>}
+ */
+async function cachedRead(key, kind, load, config = cacheConfig) {
+    if (!config.enabled) {
+        return createEntry(await load());
+    }
+
+    const store = getCacheStore();
+    try {
+        const cached = await store.get(key);
+        if (cached) return cached;
+    } catch (error) {
+        logger.warn('Cache: read failed', { key, error: error.message });
+    }
+
+    const entry = createEntry(await load());
+    try {
+        await store.set(key, entry, config.ttlSeconds[kind]);
+    } catch (error) {
+        logger.warn('Cache: write failed', { key, error: error.message });
+    }
+    return entry;
+}
+
+async function deletePrefixes(prefixes) {
+    try {
+        for (const prefix of prefixes) {
+            await getCacheStore().deletePrefix(prefix);
+        }
+    } catch (error) {
+        logger.warn('Cache: invalidation failed', { prefixes, error: error.message });
+    }
+}
+
+/**
+ * Membership or cluster settings changed: drops the cluster list and the cluster's stats
+ * (every cluster's stats when cluster_id is omitted).
+ * @param {number} [cluster_id]
+ */
+function invalidateClusterReads(cluster_id) {
+    return deletePrefixes(['clusters:', cluster_id === undefined ? 'cluster_stats:' : `cluster_stats:${cluster_id}:`]);
+}
+
+/**
+ * Referral counts or the set of profiles changed: drops the leaderboard.
+ */
+function invalidateLeaderboard() {
+    return deletePrefixes(['leaderboard:']);
+}
+
+module.exports = {
+    createCacheStore,
+    getCacheStore,
+    setCacheStore,
+    clusterListKey,
+    clusterStatsKey,
+    leaderboardKey,
+    cachedRead,
+    invalidateClusterReads,
+    invalidateLeaderboard,
+};
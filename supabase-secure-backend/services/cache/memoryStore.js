@@ -0,0 +1,58 @@
+// services/cache/memoryStore.js
+// Cache entries kept in process memory. Entries are not shared between instances, so an
+// invalidation only reaches the instance that made the change; others catch up when the TTL ends.
+
+// How often expired entries are dropped, so keys nobody reads again do not pile up.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates the in-memory store.
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock returning epoch milliseconds; tests pass a fake one.
+ * @returns {Object} The store: get(key), set(key, value, ttlSeconds), deletePrefix(prefix), reset().
+ */
+function createMemoryCacheStore({ now = Date.now } = {}) {
+    const entries = new Map();
+    let nextSweepAt = 0;
+
+    const sweep = time => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= time) entries.delete(key);
+        }
+        nextSweepAt = time + SWEEP_INTERVAL_MS;
+    };
+
+    return {
+        driver: 'memory',
+
+        /**
+         * @returns {Promise<*>} The stored value, or undefined when missing or expired.
+         */
+        async get(key) {
+            const time = now();
+            if (time >= nextSweepAt) sweep(time);
+
+            const entry = entries.get(key);
+            if (!entry || entry.expiresAt <= time) return undefined;
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+        },
+
+        async deletePrefix(prefix) {
+            for (const key of entries.keys()) {
+                if (key.startsWith(prefix)) entries.delete(key);
+            }
+        },
+
+        async reset() {
+            entries.clear();
+        },
+    };
+}
+
+module.exports = {
+    createMemoryCacheStore,
+};
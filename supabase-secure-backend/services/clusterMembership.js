@@ -0,0 +1,186 @@
+// services/clusterMembership.js
+// Joining and leaving a cluster, shared by POST /api/v1/join-cluster and /api/v1/leave-cluster and
+// their legacy counterparts (POST /api/cohorts/:cluster_id/join and /leave).
+// The capacity check, insert and recount happen atomically in join_cluster_cohort (services/cohortService.js),
+// a leave's checks, delete and recount in leave_cluster_cohort;
+// this module adds everything a join triggers: queue cleanup, the profile preference, referrals and,
+// for the join that fills the cohort, its completion and the placement of queued users. A leave
+// hands the freed spot to the queue. Changing max_members (set_cluster_max_members) can complete
+// the open cohort as well, and a larger one may make room for queued users.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { getCohortStatus, joinClusterCohort, leaveClusterCohort, setClusterMaxMembers } = require('./cohortService');
+const { handleCohortCompletion } = require('./cohortCompletion');
+const { leaveClusterQueue, promoteClusterQueue } = require('./clusterQueue');
+const { invalidateLeaderboard } = require('./cache');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/**
+ * Joins a user to the cluster's open cohort.
+ * @param {number} cluster_id
+ * @param {string} user_id
+ * @param {Object} [options]
+ * @param {boolean} [options.display_profession] - Show the user's profession in this cohort's VCF.
+ * @param {string} [options.ref_code] - Referral code the user arrived with.
+ * @returns {Promise<{success: boolean, status?: 'joined'|'already_member', cohort_id?: string, next_cohort_id?: string|null,
+ *   reason?: 'cluster_not_found'|'cohort_full'|'cohort_filled', message?: string}>}
+ *   `reason` is 'cohort_full' when the cohort was already full, 'cohort_filled' when another join took
+ *   the last spot while this one ran. Without a reason, success false is a database error.
+ */
+async function joinCluster(cluster_id, user_id, { display_profession, ref_code } = {}) {
+    // 1. Fast path; the RPC result below is the authoritative answer
+    const status = await getCohortStatus(cluster_id, user_id);
+
+    if (status.status === 'cluster_not_found') {
+        return { success: false, reason: 'cluster_not_found', message: status.message };
+    }
+    if (!status.success) {
+        return { success: false, message: status.message };
+    }
+    if (status.user_is_member) {
+        return { success: true, status: 'already_member', cohort_id: status.cohort_id };
+    }
+    if (status.is_full) {
+        return { success: false, reason: 'cohort_full', cohort_id: status.cohort_id, message: 'Cluster is full.' };
+    }
+
+    // 2. Atomic join: capacity check, insert, recount and completion flag in one transaction
+    const joinResult = await joinClusterCohort(cluster_id, user_id, display_profession);
+
+    if (!joinResult.success) {
+        return { success: false, message: joinResult.message };
+    }
+    if (joinResult.status === 'cluster_not_found') {
+        return { success: false, reason: 'cluster_not_found', message: `Cluster ID ${cluster_id} not found.` };
+    }
+    if (joinResult.status === 'already_member') {
+        return { success: true, status: 'already_member', cohort_id: joinResult.cohort_id };
+    }
+    if (joinResult.status === 'cohort_full') {
+        // The cohort had a free spot when we checked, but another join took it first.
+        logger.warn('Join: cohort filled during join', { cluster_id, cohort_id: joinResult.cohort_id, user_id });
+        return { success: false, reason: 'cohort_filled', cohort_id: joinResult.cohort_id, message: 'The cohort filled up during the join.' };
+    }
+
+    // A direct join supersedes any queue entry the user still had for this cluster
+    if (status.queue_position) {
+        await leaveClusterQueue(cluster_id, user_id);
+    }
+
+    // 3. Update user profile's preference (for future cohorts/default)
+    if (display_profession !== undefined) {
+        await supabase.from('user_profiles').update({ display_profession }).eq('user_id', user_id);
+    }
+
+    // 4. Optionally process referral code
+    if (ref_code) {
+        logger.info('Join: referral code used', { cluster_id, user_id, ref_code });
+        await invalidateLeaderboard();
+    }
+
+    // 5. Only the join that filled the cohort sees cohort_completed, so this runs exactly once.
+    // The VCF is built by the job worker; until then the status reports vcf_status 'generating'.
+    if (joinResult.cohort_completed) {
+        await handleCohortCompletion(cluster_id, joinResult.cohort_id, joinResult.max_members, supabase);
+
+        // The next cohort is open: place queued users first, oldest entry first
+        await promoteClusterQueue(cluster_id);
+    }
+
+    return { success: true, status: 'joined', cohort_id: joinResult.cohort_id, next_cohort_id: joinResult.next_cohort_id };
+}
+
+/**
+ * Removes a user from their cohort of the cluster and gives the freed spot to the cluster queue.
+ * A completed cohort is frozen: its contact file is built from exactly max_members members, so
+ * nobody can leave it. The removal and recount happen atomically in leave_cluster_cohort
+ * (services/cohortService.js), under the same lock as joins.
+ * @param {number} cluster_id
+ * @param {string} user_id
+ * @returns {Promise<{success: boolean, status?: 'left'|'not_member', current_members?: number,
+ *   reason?: 'cluster_not_found'|'vcf_already_generated'|'cohort_completed', message?: string}>}
+ */
+async function leaveCluster(cluster_id, user_id) {
+    // 1. Fast path; the RPC result below is the authoritative answer
+    const status = await getCohortStatus(cluster_id, user_id);
+
+    if (status.status === 'cluster_not_found') {
+        return { success: false, reason: 'cluster_not_found', message: status.message };
+    }
+    if (!status.success) {
+        return { success: false, message: status.message };
+    }
+    if (!status.user_is_member) {
+        return { success: true, status: 'not_member' };
+    }
+
+    // 2. Atomic leave: membership and completion checks, delete and recount in one transaction
+    const leaveResult = await leaveClusterCohort(cluster_id, user_id);
+
+    if (!leaveResult.success) {
+        return { success: false, message: leaveResult.message };
+    }
+    // Only the open cohort can be left, even when it is full without having completed (see
+    // services/clusterQueue.js): leaving it is what makes room again.
+    if (leaveResult.status === 'cohort_completed') {
+        // Once the completed cohort's file is stored, say so
+        if (status.vcf_uploaded) {
+            return { success: false, reason: 'vcf_already_generated', message: 'Cannot leave after VCF has been generated and uploaded.' };
+        }
+        return { success: false, reason: 'cohort_completed', message: 'Cannot leave a completed cohort.' };
+    }
+    // Unsynced clusters (no cluster_metadata row) have no members
+    if (leaveResult.status !== 'left') {
+        return { success: true, status: 'not_member' };
+    }
+
+    // 3. The freed spot goes to the oldest queue entry
+    await promoteClusterQueue(cluster_id);
+
+    const updatedStatus = await getCohortStatus(cluster_id, user_id);
+
+    return { success: true, status: 'left', current_members: updatedStatus.current_members };
+}
+
+/**
+ * Changes the cohort size of a cluster. Setting it to the open cohort's member count completes that
+ * cohort (VCF job, rollover, queue placement) like the join that fills it; a smaller value is refused.
+ * @param {number} cluster_id
+ * @param {number} max_members
+ * @returns {Promise<{success: boolean, cohort_completed?: boolean, current_members?: number,
+ *   reason?: 'cluster_not_found'|'below_member_count', message?: string}>}
+ */
+async function setMaxMembers(cluster_id, max_members) {
+    const result = await setClusterMaxMembers(cluster_id, max_members);
+
+    if (!result.success) {
+        return { success: false, message: result.message };
+    }
+    if (result.status === 'cluster_not_found') {
+        return { success: false, reason: 'cluster_not_found', message: `Cluster ${cluster_id} not found.` };
+    }
+    if (result.status === 'below_member_count') {
+        return {
+            success: false,
+            reason: 'below_member_count',
+            current_members: result.current_members,
+            message: `The open cohort already has ${result.current_members} members.`,
+        };
+    }
+
+    if (result.cohort_completed) {
+        await handleCohortCompletion(cluster_id, result.cohort_id, result.max_members, supabase);
+    }
+    // A completed cohort opened a new one, a larger one has free spots: either way the queue can move
+    await promoteClusterQueue(cluster_id);
+
+    return { success: true, cohort_completed: result.cohort_completed, current_members: result.current_members };
+}
+
+module.exports = {
+    joinCluster,
+    leaveCluster,
+    setMaxMembers,
+};
@@ -0,0 +1,132 @@
+// services/clusterQueue.js
+// FIFO queue for users who could not join a cluster because its open cohort was full.
+// Completing a cohort rolls the cluster over to a fresh one, and max_members can only be lowered to the
+// open cohort's member count by completing it (services/cohortService.js setClusterMaxMembers), so the
+// open cohort is only full when it holds max_members without having completed: state written before
+// that rule, which reconciliation (services/reconciliation.js) reports as completion_not_recorded.
+// Queued users are placed, oldest first, whenever a spot may have opened: a member leaves the open
+// cohort, max_members changes, or a cohort completes. The chosen display_profession is stored with
+// the queue entry and used when the user is placed.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { getQueuePosition, joinClusterCohort } = require('./cohortService');
+const { handleCohortCompletion } = require('./cohortCompletion');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase table:
+ *
+ *   CREATE TABLE IF NOT EXISTS cluster_queue (
+ *       id BIGSERIAL PRIMARY KEY,
+ *       cluster_id INT NOT NULL,
+ *       user_id UUID NOT NULL,
+ *       display_profession BOOLEAN NOT NULL DEFAULT FALSE,
+ *       enqueued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       UNIQUE (cluster_id, user_id)
+ *   );
+ */
+
+/**
+ * Adds a user to the end of a cluster's queue. Enqueueing twice keeps the original position.
+ * @param {number} cluster_id
+ * @param {string} user_id
+ * @param {boolean} display_profession - The user's choice for the cohort they will be placed in.
+ * @returns {Promise<{success: boolean, queue_position?: number, message?: string}>}
+ */
+async function enqueueForCluster(cluster_id, user_id, display_profession) {
+    try {
+        const { error } = await supabase
+            .from('cluster_queue')
+            .insert([{
+                cluster_id,
+                user_id,
+                display_profession: !!display_profession,
+                enqueued_at: new Date().toISOString(),
+            }]);
+
+        // 23505: already queued for this cluster
+        if (error && error.code !== '23505') throw error;
+
+        return { success: true, queue_position: await getQueuePosition(cluster_id, user_id) };
+    } catch (error) {
+        logger.error('Queue: enqueue failed', { cluster_id, user_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Removes a user from a cluster's queue.
+ * @param {number} cluster_id
+ * @param {string} user_id
+ * @returns {Promise<{success: boolean, removed?: boolean, message?: string}>}
+ */
+async function leaveClusterQueue(cluster_id, user_id) {
+    const { data, error } = await supabase
+        .from('cluster_queue')
+        .delete()
+        .eq('cluster_id', cluster_id)
+        .eq('user_id', user_id)
+        .select('id');
+
+    if (error) {
+        logger.error('Queue: leave failed', { cluster_id, user_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+    return { success: true, removed: (data || []).length > 0 };
+}
+
+/**
+ * Places queued users into the cluster's open cohort in FIFO order until the queue is empty.
+ * A placement that completes a cohort triggers the normal completion work, and the cluster's
+ * rollover cohort keeps taking queued users.
+ * Safe to run concurrently: joins are idempotent and each entry is deleted once placed.
+ * @param {number} cluster_id
+ * @returns {Promise<{success: boolean, placed: Array<string>, message?: string}>}
+ */
+async function promoteClusterQueue(cluster_id) {
+    const placed = [];
+
+    try {
+        for (;;) {
+            const { data: next, error } = await supabase
+                .from('cluster_queue')
+                .select('id, user_id, display_profession')
+                .eq('cluster_id', cluster_id)
+                .order('id', { ascending: true })
+                .limit(1)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!next) break;
+
+            const joinResult = await joinClusterCohort(cluster_id, next.user_id, next.display_profession);
+            if (!joinResult.success) throw new Error(joinResult.message);
+
+            // No spot right now; whoever completes the current cohort promotes the queue again.
+            if (joinResult.status === 'cohort_full' || joinResult.status === 'cluster_not_found') break;
+
+            await supabase.from('cluster_queue').delete().eq('id', next.id);
+            placed.push(next.user_id);
+
+            if (joinResult.cohort_completed) {
+                await handleCohortCompletion(cluster_id, joinResult.cohort_id, joinResult.max_members);
+            }
+        }
+    } catch (error) {
+        logger.error('Queue: promotion stopped', { cluster_id, placed: placed.length, error: error.message });
+        return { success: false, placed, message: error.message };
+    }
+
+    if (placed.length > 0) {
+        logger.info('Queue: placed queued users', { cluster_id, placed: placed.length });
+    }
+    return { success: true, placed };
+}
+
+module.exports = {
+    enqueueForCluster,
+    leaveClusterQueue,
+    promoteClusterQueue,
+};
@@ -0,0 +1,85 @@
+// services/clusterSync.js
+// Creates the cluster_metadata (state) row of every cluster listed in dynamic_clusters.
+// Status reads (services/cohortService.js) never write: a cluster nobody has synced yet is reported
+// as open from its dynamic_clusters row. The rows are created by the periodic `cluster_sync` job
+// (services/jobs/) and, for a single cluster, by the join when it finds no row to lock.
+// Existing rows are never changed here: admins edit them through /api/admin/clusters, and member
+// counts that drifted are repaired by services/reconciliation.js (member_count_drift).
+
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateClusterReads } = require('./cache');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/**
+ * The initial state of a cluster: no cohort yet, the first join opens one.
+ */
+function initialMetadata(dynamicCluster) {
+    return {
+        cluster_id: dynamicCluster.id,
+        cluster_name: dynamicCluster.name,
+        max_members: dynamicCluster.max_members,
+        vcf_uploaded: false,
+        active_cohort_id: null,
+        cluster_category_id: 1,
+        current_members: 0,
+        is_ready_for_deletion: false,
+    };
+}
+
+/**
+ * Creates the missing cluster_metadata rows from dynamic_clusters. Safe to run concurrently:
+ * a row another instance created first is skipped.
+ * @param {Object} [options]
+ * @param {number|null} [options.cluster_id] - Sync one cluster (default: all clusters).
+ * @returns {Promise<{success: boolean, created?: Array<number>, message?: string}>}
+ *   created lists the clusters whose row was created by this call.
+ */
+async function syncClusterMetadata({ cluster_id = null } = {}) {
+    try {
+        let dynamicQuery = supabase
+            .from('dynamic_clusters')
+            .select('id, name, max_members');
+        if (cluster_id !== null) dynamicQuery = dynamicQuery.eq('id', cluster_id);
+
+        const { data: dynamicClusters, error: dynamicError } = await dynamicQuery;
+        if (dynamicError) throw dynamicError;
+        if (!dynamicClusters || dynamicClusters.length === 0) {
+            return { success: true, created: [] };
+        }
+
+        const { data: existing, error: metaError } = await supabase
+            .from('cluster_metadata')
+            .select('cluster_id')
+            .in('cluster_id', dynamicClusters.map(cluster => cluster.id));
+        if (metaError) throw metaError;
+
+        const synced = new Set((existing || []).map(meta => String(meta.cluster_id)));
+        const created = [];
+
+        // One insert per cluster, so that a row created concurrently only skips that cluster
+        for (const dynamicCluster of dynamicClusters.filter(cluster => !synced.has(String(cluster.id)))) {
+            const { error: insertError } = await supabase
+                .from('cluster_metadata')
+                .insert([initialMetadata(dynamicCluster)]);
+
+            if (insertError && insertError.code !== '23505') throw insertError;
+            if (!insertError) created.push(dynamicCluster.id);
+        }
+
+        if (created.length > 0) {
+            await invalidateClusterReads();
+            logger.info('Cluster sync: metadata created', { clusters: created });
+        }
+        return { success: true, created };
+
+    } catch (error) {
+        logger.error('Cluster sync: failed', { cluster_id, error: error.message, error_code: error.code });
+        return { success: false, message: error.message };
+    }
+}
+
+module.exports = {
+    syncClusterMetadata,
+};
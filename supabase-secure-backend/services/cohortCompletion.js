@@ -0,0 +1,191 @@
+// services/cohortCompletion.js
+// Work done once per cohort when it fills up. The join that fills the cohort only freezes the
+// cohort row, records it in the permanent history and queues a `cohort_vcf` job; the VCF is built
+// and stored by the job worker (services/jobs/), which retries it until it succeeds.
+// Shared by the cluster joins (services/clusterMembership.js) and the cluster queue.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { generateVcfContent } = require('../utils/vcardBuilder');
+const { getVcfStorage, createStorageKey } = require('./storage');
+const { getCohortExpiry } = require('./cohortLifecycle');
+const { recordCohortCompletion, setCohortHistoryVcf } = require('./cohortHistory');
+const { enqueueJob } = require('./jobs/queue');
+const { publishCohortEvent } = require('./cohortEvents');
+const { logger } = require('../utils/logger');
+
+/**
+ * Dedupe key of a cohort's VCF job, also used to look up its progress (services/cohortService.js).
+ * @param {string} cohortId
+ * @returns {string}
+ */
+const cohortVcfJobKey = cohortId => `cohort_vcf:${cohortId}`;
+
+/**
+ * Freezes a cohort that just reached its maximum capacity and queues its VCF build.
+ * Runs inside the request of whichever join filled the cohort, so it does no storage work.
+ * @returns {Promise<{success: boolean, message?: string}>} success is false only if the VCF job could not be queued.
+ */
+async function handleCohortCompletion(clusterIdNum, cohortId, maxMembers, supabase = supabaseAdmin) {
+    logger.info('Cohort full, queueing VCF exchange', { cluster_id: clusterIdNum, cohort_id: cohortId, max_members: maxMembers });
+
+    // CRITICAL: Freeze the completed cohort. The cluster itself already rolled over to a new
+    // active cohort inside join_cluster_cohort, so nothing is paused here.
+    const completedAt = new Date();
+    const cohortUpdatePayload = {
+        is_full: true,
+        vcf_uploaded: false, // Set by the cohort_vcf job once the file is stored
+        completed_at: completedAt.toISOString(),
+        expires_at: getCohortExpiry(completedAt, clusterIdNum), // Members can download until the retention window ends
+    };
+
+    const { error: cohortUpdateError } = await supabase
+        .from('cluster_cohorts')
+        .update(cohortUpdatePayload)
+        .eq('cohort_id', cohortId);
+
+    if (cohortUpdateError) {
+        logger.error('Cohort: failed to update cluster_cohorts', { cluster_id: clusterIdNum, cohort_id: cohortId, error: cohortUpdateError.message });
+    }
+
+    // Permanent history row and member receipts (these survive the cohort's expiry)
+    const { data: cohortMembers } = await supabase
+        .from('cluster_cohort_members')
+        .select('user_id, display_profession')
+        .eq('cohort_id', cohortId);
+
+    const { data: clusterMeta } = await supabase
+        .from('cluster_metadata')
+        .select('cluster_name')
+        .eq('cluster_id', clusterIdNum)
+        .maybeSingle();
+
+    await recordCohortCompletion({
+        cluster_id: clusterIdNum,
+        cluster_name: clusterMeta?.cluster_name,
+        cohort_id: cohortId,
+        max_members: maxMembers,
+        members: cohortMembers || [],
+        vcf_file_name: null,
+        completed_at: cohortUpdatePayload.completed_at,
+        expires_at: cohortUpdatePayload.expires_at,
+    });
+
+    publishCohortEvent('cohort_full', { cluster_id: clusterIdNum, cohort_id: cohortId });
+
+    return queueCohortVcf(clusterIdNum, cohortId, maxMembers);
+}
+
+/**
+ * Queues the `cohort_vcf` job of a completed cohort. A no-op if the cohort already has one.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+async function queueCohortVcf(clusterIdNum, cohortId, maxMembers) {
+    // The storage key is chosen here so that every attempt of the job writes the same file
+    const queued = await enqueueJob('cohort_vcf', {
+        cluster_id: clusterIdNum,
+        cohort_id: cohortId,
+        max_members: maxMembers,
+        storage_key: createStorageKey(`Cluster_Contacts_${cohortId}`),
+    }, { dedupeKey: cohortVcfJobKey(cohortId) });
+
+    if (!queued.success) {
+        logger.error('Cohort: failed to queue VCF job', { cluster_id: clusterIdNum, cohort_id: cohortId, error: queued.message });
+        return { success: false, message: queued.message };
+    }
+
+    return { success: true };
+}
+
+/**
+ * `cohort_vcf` job handler: builds the cohort's VCF, stores it and marks the cohort ready.
+ * Throws on any failure so the queue retries it; safe to run again after a partial success.
+ * @param {Object} payload
+ * @param {number} payload.cluster_id
+ * @param {string} payload.cohort_id
+ * @param {number} payload.max_members
+ * @param {string} payload.storage_key
+ */
+async function generateCohortVcf({ cluster_id, cohort_id, max_members, storage_key }, supabase = supabaseAdmin) {
+    const { data: cohort, error: cohortError } = await supabase
+        .from('cluster_cohorts')
+        .select('vcf_uploaded, expired')
+        .eq('cohort_id', cohort_id)
+        .maybeSingle();
+
+    if (cohortError) throw cohortError;
+    if (!cohort) throw new Error(`Cohort ${cohort_id} not found.`);
+
+    // Already done by an earlier attempt, or purged before the file was ever needed
+    if (cohort.vcf_uploaded || cohort.expired) {
+        return;
+    }
+
+    // 1. Robust Two-Step Fetch for VCF Data
+    const { data: cohortMembers, error: membersFetchError } = await supabase
+        .from('cluster_cohort_members')
+        .select('user_id, display_profession') // Fetches the user's specific profession choice for this cohort
+        .eq('cohort_id', cohort_id);
+
+    if (membersFetchError) throw membersFetchError;
+
+    const userIds = (cohortMembers || []).map(m => m.user_id);
+
+    // Fetch full user profiles
+    const { data: profiles, error: profilesFetchError } = await supabase
+        .from('user_profiles')
+        .select('user_id, nickname, profession, whatsapp_number')
+        .in('user_id', userIds);
+
+    if (profilesFetchError) throw profilesFetchError;
+
+    // Combine cohort-specific profession with profile data
+    const vcfContacts = (cohortMembers || []).map(member => {
+        const profile = (profiles || []).find(p => p.user_id === member.user_id);
+        return profile ? {
+            ...profile,
+            display_profession: member.display_profession
+        } : null;
+    }).filter(c => c !== null);
+
+    // Members cannot leave a completed cohort (services/clusterMembership.js), so a shortfall
+    // means a member has no profile; fail rather than hand out a partial file.
+    if (vcfContacts.length !== max_members) {
+        throw new Error(`Contact count mismatch: ${vcfContacts.length} of ${max_members} members have a profile.`);
+    }
+
+    // 2. Generate VCF and Upload through the configured storage adapter (see config/storage.js)
+    await getVcfStorage().put(storage_key, generateVcfContent(vcfContacts), { contentType: 'text/vcard; charset=utf-8' });
+    logger.info('VCF: uploaded', { cluster_id, cohort_id, file_name: storage_key, contacts: vcfContacts.length });
+
+    // 3. Mark the cohort ready (cluster_cohorts is the source of truth for the file name)
+    const { error: cohortUpdateError } = await supabase
+        .from('cluster_cohorts')
+        .update({ vcf_uploaded: true, vcf_file_name: storage_key })
+        .eq('cohort_id', cohort_id);
+
+    if (cohortUpdateError) throw cohortUpdateError;
+
+    await setCohortHistoryVcf(cohort_id, storage_key);
+    publishCohortEvent('vcf_ready', { cluster_id, cohort_id });
+
+    // Records the latest completed VCF for the admin views only
+    const { error: metadataUpdateError } = await supabase
+        .from('cluster_metadata')
+        .update({
+            vcf_uploaded: true,
+            vcf_file_name: storage_key,
+            last_updated: new Date().toISOString()
+        })
+        .eq('cluster_id', cluster_id);
+
+    if (metadataUpdateError) {
+        logger.error('Cohort: failed to update cluster_metadata', { cluster_id, cohort_id, error: metadataUpdateError.message });
+    }
+}
+
+module.exports = {
+    cohortVcfJobKey,
+    handleCohortCompletion,
+    queueCohortVcf,
+    generateCohortVcf,
+};
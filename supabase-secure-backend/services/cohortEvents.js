@@ -0,0 +1,123 @@
+// services/cohortEvents.js
+// Live updates for clusters and groups. The join, leave, completion, VCF and reset code paths
+// publish events here; routes/frontend/cohortStream.js pushes them to subscribed browsers.
+//
+// Event types (data always carries cluster_id or group_id):
+//   member_joined  someone joined        { cohort_id?, current_members, max_members, spots_left }
+//   member_left    someone left          { cohort_id?, current_members, max_members, spots_left }
+//   cohort_full    the cohort/group filled up; vcf_ready follows once its file is stored  { cohort_id? }
+//   vcf_ready      the contact file can be downloaded                     { cohort_id? }
+//   cohort_reset   an admin discarded the cohort; the cluster starts over { cohort_id }
+//
+// Events only reach streams connected to the instance that published them. With several
+// instances, clients still converge: they reload their status whenever they reconnect.
+
+const crypto = require('crypto');
+const eventsConfig = require('../config/events');
+const { logger } = require('../utils/logger');
+
+const EVENT_TYPES = ['member_joined', 'member_left', 'cohort_full', 'vcf_ready', 'cohort_reset'];
+
+// Event IDs are `<boot>.<sequence>`: an ID from before a restart is recognised as unknown
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+
+const subscribers = new Set(); // { topics: Set<string>, listener }
+const recentEvents = new Map(); // topic -> { events (oldest first, at most replayLimit), droppedSeq }
+
+const clusterTopic = clusterId => `cluster:${clusterId}`;
+const groupTopic = groupId => `group:${groupId}`;
+
+/**
+ * Publishes an event to every stream subscribed to its cluster or group.
+ * A failing subscriber is logged and skipped: a push must not fail the join or job that triggered it.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} data - Must include cluster_id or group_id.
+ * @param {Object} [config] - Defaults to config/events.js.
+ */
+function publishCohortEvent(type, data, config = eventsConfig) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown cohort event type "${type}".`);
+    }
+
+    const topic = data.group_id !== undefined ? groupTopic(data.group_id) : clusterTopic(data.cluster_id);
+    sequence += 1;
+    const event = { id: `${BOOT_ID}.${sequence}`, seq: sequence, type, topic, data: { ...data, at: new Date().toISOString() } };
+
+    const recent = recentEvents.get(topic) || { events: [], droppedSeq: 0 };
+    recent.events.push(event);
+    if (recent.events.length > config.replayLimit) {
+        recent.droppedSeq = recent.events.shift().seq;
+    }
+    recentEvents.set(topic, recent);
+
+    for (const subscriber of subscribers) {
+        if (!subscriber.topics.has(topic)) continue;
+        try {
+            subscriber.listener(event);
+        } catch (error) {
+            logger.warn('Events: subscriber failed', { type, topic, error: error.message });
+        }
+    }
+}
+
+/**
+ * Calls `listener(event)` for every event published to the given topics.
+ * @param {Array<string>} topics - From clusterTopic() / groupTopic().
+ * @param {Function} listener
+ * @returns {Function} Unsubscribes.
+ */
+function subscribe(topics, listener) {
+    const subscriber = { topics: new Set(topics), listener };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Number of live subscriptions (open streams on this instance).
+ * @returns {number}
+ */
+function countSubscribers() {
+    return subscribers.size;
+}
+
+/**
+ * Events on the given topics published after `lastEventId`, for a client that reconnects.
+ * @param {Array<string>} topics
+ * @param {string} lastEventId - The Last-Event-ID the client sent.
+ * @returns {{complete: boolean, events: Array<Object>}} complete is false when some events may be
+ *   missing (unknown ID, server restarted, or older than the replay buffer); the client must
+ *   then reload its status instead.
+ */
+function eventsSince(topics, lastEventId) {
+    const [boot, seqText] = String(lastEventId).split('.');
+    const lastSeq = parseInt(seqText, 10);
+    if (boot !== BOOT_ID || !Number.isInteger(lastSeq) || lastSeq > sequence) {
+        return { complete: false, events: [] };
+    }
+
+    const events = [];
+    let complete = true;
+    for (const topic of new Set(topics)) {
+        const recent = recentEvents.get(topic);
+        if (!recent) continue;
+        // An event the client has not seen was already dropped from the buffer
+        if (recent.droppedSeq > lastSeq) {
+            complete = false;
+        }
+        events.push(...recent.events.filter(event => event.seq > lastSeq));
+    }
+
+    events.sort((a, b) => a.seq - b.seq);
+    return { complete, events };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    clusterTopic,
+    groupTopic,
+    publishCohortEvent,
+    subscribe,
+    countSubscribers,
+    eventsSince,
+};
@@ -0,0 +1,199 @@
+// services/cohortHistory.js
+// Permanent record of completed cohorts.
+// `cluster_cohort_members` only lives until a completed cohort expires, so every completion is
+// copied into `cohort_history` (one row per cohort) and `cohort_member_receipts` (one row per member).
+// Neither table is ever purged: users can list their past cohorts and admins can audit throughput.
+// Download counts come from the download ledger (services/downloadLedger.js).
+
+const { supabaseAdmin } = require('../config/supabase');
+const { isCohortExpired } = require('./cohortLifecycle');
+const { getCohortDownloadCounts } = require('./downloadLedger');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase tables:
+ *
+ *   CREATE TABLE IF NOT EXISTS cohort_history (
+ *       cohort_id TEXT PRIMARY KEY,
+ *       cluster_id INT NOT NULL,
+ *       cluster_name TEXT,
+ *       member_count INT NOT NULL,
+ *       max_members INT NOT NULL,
+ *       vcf_file_name TEXT,
+ *       completed_at TIMESTAMPTZ NOT NULL,
+ *       expires_at TIMESTAMPTZ
+ *   );
+ *   CREATE INDEX IF NOT EXISTS cohort_history_cluster_idx ON cohort_history (cluster_id, completed_at DESC);
+ *
+ *   CREATE TABLE IF NOT EXISTS cohort_member_receipts (
+ *       cohort_id TEXT NOT NULL REFERENCES cohort_history (cohort_id),
+ *       cluster_id INT NOT NULL,
+ *       user_id UUID NOT NULL,
+ *       display_profession BOOLEAN NOT NULL DEFAULT FALSE,
+ *       completed_at TIMESTAMPTZ NOT NULL,
+ *       downloaded_at TIMESTAMPTZ,      -- stamped by record_vcf_download (services/downloadLedger.js)
+ *       PRIMARY KEY (cohort_id, user_id)
+ *   );
+ *   CREATE INDEX IF NOT EXISTS cohort_member_receipts_user_idx ON cohort_member_receipts (user_id, completed_at DESC);
+ */
+
+/**
+ * Records a completed cohort and issues a receipt to each of its members.
+ * Safe to call more than once for the same cohort (rows are upserted).
+ * @param {Object} cohort
+ * @param {number} cohort.cluster_id
+ * @param {string} cohort.cluster_name
+ * @param {string} cohort.cohort_id
+ * @param {number} cohort.max_members
+ * @param {Array<{user_id: string, display_profession: boolean}>} cohort.members
+ * @param {string|null} cohort.vcf_file_name
+ * @param {string} cohort.completed_at - ISO timestamp.
+ * @param {string|null} cohort.expires_at - ISO timestamp.
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+async function recordCohortCompletion({ cluster_id, cluster_name, cohort_id, max_members, members, vcf_file_name, completed_at, expires_at }) {
+    const { error: historyError } = await supabase
+        .from('cohort_history')
+        .upsert({
+            cohort_id,
+            cluster_id,
+            cluster_name: cluster_name || null,
+            member_count: members.length,
+            max_members,
+            vcf_file_name: vcf_file_name || null,
+            completed_at,
+            expires_at: expires_at || null,
+        }, { onConflict: 'cohort_id' });
+
+    if (historyError) {
+        logger.error('History: failed to record cohort', { cluster_id, cohort_id, error: historyError.message });
+        return { success: false, message: historyError.message };
+    }
+
+    const receipts = members.map(member => ({
+        cohort_id,
+        cluster_id,
+        user_id: member.user_id,
+        display_profession: !!member.display_profession,
+        completed_at,
+    }));
+
+    const { error: receiptsError } = await supabase
+        .from('cohort_member_receipts')
+        .upsert(receipts, { onConflict: 'cohort_id,user_id' });
+
+    if (receiptsError) {
+        logger.error('History: failed to issue receipts', { cluster_id, cohort_id, error: receiptsError.message });
+        return { success: false, message: receiptsError.message };
+    }
+
+    return { success: true };
+}
+
+/**
+ * Records the stored VCF of a cohort whose history row was written before the file existed
+ * (the file is built afterwards by the cohort_vcf job, see services/cohortCompletion.js).
+ * @param {string} cohort_id
+ * @param {string} vcf_file_name
+ */
+async function setCohortHistoryVcf(cohort_id, vcf_file_name) {
+    const { error } = await supabase
+        .from('cohort_history')
+        .update({ vcf_file_name })
+        .eq('cohort_id', cohort_id);
+
+    if (error) throw error;
+}
+
+/**
+ * Lists the cohorts a user took part in, newest first.
+ * `downloadable` tells the client whether the VCF can still be fetched (via POST /api/download-tickets).
+ * @param {string} user_id
+ * @returns {Promise<{success: boolean, cohorts?: Array<Object>, message?: string}>}
+ */
+async function getUserCohortHistory(user_id) {
+    try {
+        // Two-step fetch: receipts first, then the matching history rows
+        const { data: receipts, error: receiptsError } = await supabase
+            .from('cohort_member_receipts')
+            .select('cohort_id, cluster_id, display_profession, completed_at, downloaded_at')
+            .eq('user_id', user_id)
+            .order('completed_at', { ascending: false });
+
+        if (receiptsError) throw receiptsError;
+        if (!receipts || receipts.length === 0) {
+            return { success: true, cohorts: [] };
+        }
+
+        const { data: history, error: historyError } = await supabase
+            .from('cohort_history')
+            .select('cohort_id, cluster_name, member_count, max_members, vcf_file_name, expires_at')
+            .in('cohort_id', receipts.map(receipt => receipt.cohort_id));
+
+        if (historyError) throw historyError;
+
+        const downloadCounts = await getCohortDownloadCounts(receipts.map(receipt => receipt.cohort_id));
+
+        const now = new Date();
+        const cohorts = receipts.map(receipt => {
+            const cohort = (history || []).find(row => row.cohort_id === receipt.cohort_id) || {};
+            return {
+                ...receipt,
+                cluster_name: cohort.cluster_name || `Cluster ${receipt.cluster_id}`,
+                member_count: cohort.member_count ?? null,
+                max_members: cohort.max_members ?? null,
+                vcf_download_count: downloadCounts[receipt.cohort_id],
+                expires_at: cohort.expires_at || null,
+                downloadable: !!cohort.vcf_file_name && !isCohortExpired(cohort.expires_at, now),
+            };
+        });
+
+        return { success: true, cohorts };
+    } catch (error) {
+        logger.error('History: failed to load user history', { user_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+}
+
+/**
+ * Lists the completed cohorts of a cluster, newest first, with throughput totals for admins.
+ * @param {number} cluster_id
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{success: boolean, cohorts?: Array<Object>, totals?: Object, message?: string}>}
+ */
+async function getClusterCohortHistory(cluster_id, { limit = 50 } = {}) {
+    try {
+        const { data: cohorts, error } = await supabase
+            .from('cohort_history')
+            .select('cohort_id, member_count, max_members, vcf_file_name, completed_at, expires_at')
+            .eq('cluster_id', cluster_id)
+            .order('completed_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        const downloadCounts = await getCohortDownloadCounts((cohorts || []).map(cohort => cohort.cohort_id));
+        const rows = (cohorts || []).map(cohort => ({ ...cohort, vcf_download_count: downloadCounts[cohort.cohort_id] }));
+        const totals = {
+            cohorts_completed: rows.length,
+            members: rows.reduce((sum, row) => sum + (row.member_count || 0), 0),
+            downloads: rows.reduce((sum, row) => sum + (row.vcf_download_count || 0), 0),
+            last_completed_at: rows.length > 0 ? rows[0].completed_at : null,
+        };
+
+        return { success: true, cohorts: rows, totals };
+    } catch (error) {
+        logger.error('History: failed to load cluster history', { cluster_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+}
+
+module.exports = {
+    recordCohortCompletion,
+    setCohortHistoryVcf,
+    getUserCohortHistory,
+    getClusterCohortHistory,
+};
@@ -0,0 +1,36 @@
+// services/cohortLifecycle.js
+// Expiry of completed cohorts.
+// A cohort that fills up is frozen (the cluster immediately rolls over to a fresh cohort) and stays
+// downloadable for its own members until `expires_at`. After that, or once every member has
+// downloaded it, its VCF and member rows are purged by the retention job (services/retention.js).
+
+const { getRetentionRule } = require('./retention');
+
+/**
+ * Computes the expiry timestamp for a cohort completed at `completedAt`, from the cluster's retention rule.
+ * @param {Date} [completedAt]
+ * @param {number} [cluster_id]
+ * @returns {string|null} ISO timestamp, or null when the rule sets no age limit.
+ */
+function getCohortExpiry(completedAt = new Date(), cluster_id = null) {
+    const { maxAgeHours } = getRetentionRule('cohort', { cluster_id });
+    if (maxAgeHours === null) {
+        return null;
+    }
+    return new Date(completedAt.getTime() + maxAgeHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Reports whether a completed cohort's retention window has passed.
+ * @param {string|null} expiresAt - The cohort's `expires_at` (null for open cohorts and cohorts without an age limit).
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isCohortExpired(expiresAt, now = new Date()) {
+    return !!expiresAt && new Date(expiresAt).getTime() <= now.getTime();
+}
+
+module.exports = {
+    getCohortExpiry,
+    isCohortExpired,
+};
@@ -1,22 +1,32 @@
 // Centralized database logic for managing cluster and cohort state.
 
 const { supabaseAdmin } = require('../config/supabase'); // Use Admin client for service operations
+const { getCohortDownloadCount, getCohortDownloadCounts, getDownloadedCohortIds, hasDownloaded } = require('./downloadLedger');
+const { getVcfStatus, getVcfStatuses } = require('./jobs/queue');
+const { cohortVcfJobKey } = require('./cohortCompletion');
+const { publishCohortEvent } = require('./cohortEvents');
+const { syncClusterMetadata } = require('./clusterSync');
+const { invalidateClusterReads } = require('./cache');
+const { logger } = require('../utils/logger');
 
 /**
- * Retrieves the current status of a cluster and its active cohort, handling synchronization and counting.
- * This is the critical service function that ensures cluster_metadata is consistent with dynamic_clusters.
+ * Retrieves the current status of a cluster and its active cohort.
+ * Read-only: a cluster without a cluster_metadata row yet is reported as open from dynamic_clusters
+ * (services/clusterSync.js creates the row), and the member count is computed, not persisted.
+ * Members of a completed cohort are reported against their own cohort (VCF state from cluster_cohorts)
+ * until it expires, while newcomers see the cohort that is currently open.
  * * FIX IMPLEMENTED:
  * 1. Separated the check for the user's membership status (user_is_member, user_has_downloaded) 
  * from the check for the active cohort's member count.
  * 2. User membership is now checked using ONLY cluster_id and user_id, ensuring correctness 
  * even during cohort transitions.
- * 3. The calculated member count for the *active* cohort is still used to update cluster_metadata.
  * * @param {number} cluster_id - The ID of the cluster.
  * @param {string} user_id - The ID of the user checking the status.
  * @returns {Object} Status object including cohort state, membership, and metadata.
+ *   On failure `{ success: false, message }`, with `status: 'cluster_not_found'` for an unknown cluster.
  */
 async function getCohortStatus(cluster_id, user_id) {
-    console.log(`[DB] Fetching status for Cluster: ${cluster_id}, User: ${user_id.substring(0, 8)}...`);
+    logger.debug('Cohort status: fetching', { cluster_id, user_id });
     
     // We use the supabaseAdmin client (Service Role Key) to bypass RLS and perform admin checks.
     const supabase = supabaseAdmin; 
@@ -30,7 +40,7 @@ async function getCohortStatus(cluster_id, user_id) {
         // Step 1: Get Metadata from cluster_metadata (the state table)
         const { data: existingMeta, error: metaError } = await supabase
             .from('cluster_metadata') 
-            .select('active_cohort_id, vcf_uploaded, vcf_file_name, max_members, cluster_name, vcf_download_count, current_members') 
+            .select('active_cohort_id, vcf_uploaded, vcf_file_name, max_members, cluster_name') 
             .eq('cluster_id', cluster_id)
             .limit(1)
             .maybeSingle();
@@ -40,9 +50,7 @@ async function getCohortStatus(cluster_id, user_id) {
         if (existingMeta) {
             clusterMeta = existingMeta;
         } else {
-            // --- CRITICAL FIX: SYNCHRONIZATION LOGIC (Kept as provided) ---
-            console.log(`[DB] Metadata missing for Cluster ID ${cluster_id}. Attempting synchronization from dynamic_clusters.`);
-
+            // Not synced into cluster_metadata yet (services/clusterSync.js): the cluster has no cohort
             const { data: dynamicCluster, error: dynamicError } = await supabase
                 .from('dynamic_clusters')
                 .select('id, name, max_members')
@@ -53,43 +61,25 @@ async function getCohortStatus(cluster_id, user_id) {
             if (dynamicError) throw dynamicError;
 
             if (!dynamicCluster) {
-                return { success: false, message: `Cluster ID ${cluster_id} not found in dynamic_clusters.` };
+                return { success: false, status: 'cluster_not_found', message: `Cluster ID ${cluster_id} not found in dynamic_clusters.` };
             }
-            
-            const initialMetadata = {
-                cluster_id: dynamicCluster.id,
-                cluster_name: dynamicCluster.name,
-                max_members: dynamicCluster.max_members,
-                vcf_uploaded: false,
-                vcf_download_count: 0,
+
+            clusterMeta = {
                 active_cohort_id: null,
-                cluster_category_id: 1, 
-                current_members: 0, 
-                is_ready_for_deletion: false, 
+                vcf_uploaded: false,
+                vcf_file_name: null,
+                max_members: dynamicCluster.max_members,
+                cluster_name: dynamicCluster.name,
             };
-            
-            const { data: newMeta, error: insertError } = await supabase
-                .from('cluster_metadata')
-                .insert([initialMetadata])
-                .select('active_cohort_id, vcf_uploaded, vcf_file_name, max_members, cluster_name, vcf_download_count, current_members')
-                .single();
-                
-            if (insertError) throw insertError;
-            
-            clusterMeta = newMeta;
-            console.log(`[DB] Successfully synchronized and created metadata for Cluster ID ${cluster_id}.`);
-            // --- END CRITICAL FIX ---
         }
         
         // --- Continue processing with clusterMeta ---
 
-        const target_cohort_id = clusterMeta.active_cohort_id;
-        vcf_uploaded = clusterMeta.vcf_uploaded || false; 
-        vcf_file_name = clusterMeta.vcf_file_name || null;
+        const active_cohort_id = clusterMeta.active_cohort_id;
         max_members = clusterMeta.max_members || 5; 
         cluster_name = clusterMeta.cluster_name || `Cluster ${cluster_id}`;
-        const vcf_downloads_count = clusterMeta.vcf_download_count || 0;
-        let persisted_member_count = clusterMeta.current_members || 0; // The count currently in the DB
+        let vcf_download_count = 0;
+        let cohort_expires_at = null;
 
 
         // =========================================================
@@ -99,7 +89,7 @@ async function getCohortStatus(cluster_id, user_id) {
         // Step 2: Check User's Membership (Source of truth for client state: user_is_member, user_has_downloaded)
         const { data: userMemberEntry, error: userMemberError } = await supabase
             .from('cluster_cohort_members') 
-            .select('cohort_id, vcf_downloaded_at') 
+            .select('cohort_id') 
             // Crucially, we only filter by cluster_id and user_id (the PK) to find the user immediately.
             .eq('cluster_id', cluster_id)
             .eq('user_id', user_id)
@@ -109,47 +99,50 @@ async function getCohortStatus(cluster_id, user_id) {
         if (userMemberError) throw userMemberError;
 
         user_is_member = !!userMemberEntry;
-        user_has_downloaded = !!userMemberEntry?.vcf_downloaded_at;
+        // Downloads come from the ledger, which is written when the file is actually served
+        user_has_downloaded = user_is_member ? await hasDownloaded(userMemberEntry.cohort_id, user_id) : false;
+
+        // Step 2b: Queue position for users waiting for the next cohort (see services/clusterQueue.js)
+        const queue_position = user_is_member ? null : await getQueuePosition(cluster_id, user_id);
         
         // =========================================================
         // END FIX IMPLEMENTATION
         // =========================================================
 
+        // Members see their own cohort (which may already be completed and rolled over);
+        // everyone else sees the cohort that is currently accepting newcomers.
+        const target_cohort_id = userMemberEntry?.cohort_id || active_cohort_id;
 
         if (target_cohort_id) {
             
-            // Step 3: Check Active Cohort Member Count (Source of truth for server state: current_members, is_full)
-            const { data: activeCohortMembers, error: activeCohortMembersError } = await supabase
+            // Step 3: Count the target cohort's members (Source of truth for server state: current_members, is_full)
+            const { data: cohortMembers, error: cohortMembersError } = await supabase
                 .from('cluster_cohort_members') 
-                // We must filter by active_cohort_id here to only count members in the currently active cohort
                 .select('user_id') 
                 .eq('cluster_id', cluster_id)
                 .eq('cohort_id', target_cohort_id); 
 
-            if (activeCohortMembersError) throw activeCohortMembersError;
+            if (cohortMembersError) throw cohortMembersError;
             
-            // Calculate state based on the active cohort's membership
-            calculated_member_count = activeCohortMembers.length;
+            calculated_member_count = cohortMembers.length;
+            vcf_download_count = await getCohortDownloadCount(target_cohort_id);
             is_full = calculated_member_count >= max_members;
             cohort_id = target_cohort_id;
 
-            
-            // --- PROACTIVE STATE PERSISTENCE (Kept as provided) ---
-            // If the calculated count doesn't match the persisted count, update the DB.
-            if (persisted_member_count !== calculated_member_count) {
-                 const { error: countUpdateError } = await supabase
-                    .from('cluster_metadata')
-                    .update({ 
-                        current_members: calculated_member_count,
-                        last_updated: new Date().toISOString()
-                    })
-                    .eq('cluster_id', cluster_id);
-                
-                if (countUpdateError) {
-                    console.error(`Warning: Failed to update current_members count for cluster ${cluster_id}`, countUpdateError.message);
-                } else {
-                     console.log(`Updated cluster_metadata.current_members for ${cluster_id} to ${calculated_member_count}.`);
-                }
+            if (target_cohort_id !== active_cohort_id) {
+                // Step 3b: The user's cohort has completed; its VCF state lives on the cluster_cohorts row.
+                const { data: completedCohort, error: completedCohortError } = await supabase
+                    .from('cluster_cohorts')
+                    .select('is_full, vcf_uploaded, vcf_file_name, expires_at')
+                    .eq('cohort_id', target_cohort_id)
+                    .maybeSingle();
+
+                if (completedCohortError) throw completedCohortError;
+
+                is_full = true;
+                vcf_uploaded = !!completedCohort?.vcf_uploaded;
+                vcf_file_name = completedCohort?.vcf_file_name || null;
+                cohort_expires_at = completedCohort?.expires_at || null;
             }
 
 
@@ -160,39 +153,546 @@ async function getCohortStatus(cluster_id, user_id) {
             is_full = false;
         }
 
-        // CRITICAL LOGIC: If VCF is uploaded, force is_full to true to maintain pause state
-        if (vcf_uploaded) {
-            is_full = true;
-        }
-
         // *** START CRITICAL FIX: Pre-calculate spots_left for frontend compatibility ***
         const spots_left = Math.max(0, max_members - calculated_member_count); 
         // *** END CRITICAL FIX ***
 
+        // A full cohort's VCF is built by the cohort_vcf job; report its progress until it is stored
+        const vcf_status = await getVcfStatus(cohortVcfJobKey(cohort_id), { is_full, vcf_uploaded });
+
         return {
             success: true,
             cohort_id,
+            active_cohort_id: active_cohort_id || null,
             is_full,
             // CRITICAL FIX: Add the spots_left field here
             spots_left: spots_left,
-            current_members: calculated_member_count, // Uses the fresh calculated count for the active cohort
+            current_members: calculated_member_count, // Fresh count for the cohort being reported
             user_is_member, // FIXED: Now uses the robust check from Step 2
+            queue_position, // 1-based position in the cluster queue, null when not queued
             vcf_uploaded,
+            vcf_status, // null (not full yet), 'generating', 'ready' or 'failed'
             vcf_file_name,
+            cohort_expires_at,
             max_members,
             cluster_name,
-            vcf_download_count: vcf_downloads_count, 
+            vcf_download_count, 
             user_has_downloaded: user_has_downloaded, // FIXED: Now uses the robust check from Step 2
             message: "Cohort status retrieved successfully (deep fix implemented)."
         };
 
     } catch (error) {
-        console.error(`Error in getCohortStatus for Cluster ${cluster_id}:`, error.message);
+        logger.error('Cohort status: failed', { cluster_id, user_id, error: error.message, error_code: error.code });
+        return { success: false, message: `Database error: ${error.message}` };
+    }
+}
+
+/**
+ * Returns the user's 1-based position in a cluster's queue (services/clusterQueue.js), or null when not queued.
+ * @param {number} cluster_id
+ * @param {string} user_id
+ * @returns {Promise<number|null>}
+ */
+async function getQueuePosition(cluster_id, user_id) {
+    const supabase = supabaseAdmin;
+
+    const { data: entry, error } = await supabase
+        .from('cluster_queue')
+        .select('id')
+        .eq('cluster_id', cluster_id)
+        .eq('user_id', user_id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!entry) return null;
+
+    // Entries are served in id order, so the position is the number of entries up to and including ours.
+    const { count, error: countError } = await supabase
+        .from('cluster_queue')
+        .select('id', { count: 'exact', head: true })
+        .eq('cluster_id', cluster_id)
+        .lte('id', entry.id);
+
+    if (countError) throw countError;
+    return count;
+}
+
+/**
+ * getQueuePosition() for several clusters, in at most two queries.
+ * @param {Array<number>} cluster_ids
+ * @param {string} user_id
+ * @returns {Promise<Object>} cluster_id -> 1-based position; clusters the user is not queued in are absent.
+ */
+async function getQueuePositions(cluster_ids, user_id) {
+    const supabase = supabaseAdmin;
+    if (cluster_ids.length === 0) return {};
+
+    const { data: entries, error } = await supabase
+        .from('cluster_queue')
+        .select('cluster_id, id')
+        .in('cluster_id', cluster_ids)
+        .eq('user_id', user_id);
+
+    if (error) throw error;
+    if (!entries || entries.length === 0) return {};
+
+    const { data: ahead, error: aheadError } = await supabase
+        .from('cluster_queue')
+        .select('cluster_id, id')
+        .in('cluster_id', entries.map(entry => entry.cluster_id))
+        .lte('id', Math.max(...entries.map(entry => entry.id)));
+
+    if (aheadError) throw aheadError;
+
+    const positions = {};
+    for (const entry of entries) {
+        positions[entry.cluster_id] = (ahead || []).filter(row => String(row.cluster_id) === String(entry.cluster_id) && row.id <= entry.id).length;
+    }
+    return positions;
+}
+
+/**
+ * The status of many clusters for one user, for the cluster list page. Each entry has the same
+ * fields as getCohortStatus() plus cluster_id, but the whole batch takes a fixed number of
+ * queries (at most ten, whatever the number of clusters). Read-only, like getCohortStatus().
+ * @param {Array<number>} cluster_ids
+ * @param {string} user_id
+ * @returns {Promise<{success: boolean, statuses?: Array<Object>, not_found?: Array<number>, message?: string}>}
+ *   statuses follow the order of cluster_ids; unknown clusters are listed in not_found.
+ */
+async function getCohortStatuses(cluster_ids, user_id) {
+    const supabase = supabaseAdmin;
+    const ids = [...new Set(cluster_ids.map(Number))];
+
+    try {
+        // 1. Cluster state, falling back to dynamic_clusters for clusters nobody has opened yet
+        const { data: metas, error: metaError } = await supabase
+            .from('cluster_metadata')
+            .select('cluster_id, active_cohort_id, max_members, cluster_name')
+            .in('cluster_id', ids);
+        if (metaError) throw metaError;
+
+        const clusters = new Map((metas || []).map(meta => [Number(meta.cluster_id), meta]));
+        const missing = ids.filter(id => !clusters.has(id));
+        if (missing.length > 0) {
+            const { data: dynamicClusters, error: dynamicError } = await supabase
+                .from('dynamic_clusters')
+                .select('id, name, max_members')
+                .in('id', missing);
+            if (dynamicError) throw dynamicError;
+
+            (dynamicClusters || []).forEach(cluster => clusters.set(Number(cluster.id), {
+                cluster_id: cluster.id, active_cohort_id: null, max_members: cluster.max_members, cluster_name: cluster.name,
+            }));
+        }
+        const found = ids.filter(id => clusters.has(id));
+        if (found.length === 0) {
+            return { success: true, statuses: [], not_found: ids };
+        }
+
+        // 2. The user's memberships: members see their own cohort, everyone else the active one
+        const { data: memberships, error: membershipError } = await supabase
+            .from('cluster_cohort_members')
+            .select('cluster_id, cohort_id')
+            .in('cluster_id', found)
+            .eq('user_id', user_id);
+        if (membershipError) throw membershipError;
+
+        const userCohorts = new Map((memberships || []).map(row => [Number(row.cluster_id), row.cohort_id]));
+        const targetCohort = id => userCohorts.get(id) || clusters.get(id).active_cohort_id || null;
+        const targetIds = [...new Set(found.map(targetCohort).filter(Boolean))];
+
+        // 3. Member counts of every reported cohort
+        const memberCounts = {};
+        if (targetIds.length > 0) {
+            const { data: members, error: membersError } = await supabase
+                .from('cluster_cohort_members')
+                .select('cohort_id')
+                .in('cohort_id', targetIds);
+            if (membersError) throw membersError;
+            (members || []).forEach(row => { memberCounts[row.cohort_id] = (memberCounts[row.cohort_id] || 0) + 1; });
+        }
+
+        // 4. Completed cohorts of members keep their VCF state on the cluster_cohorts row
+        const completedIds = found.filter(id => userCohorts.has(id) && userCohorts.get(id) !== clusters.get(id).active_cohort_id).map(id => userCohorts.get(id));
+        const completedCohorts = new Map();
+        if (completedIds.length > 0) {
+            const { data: cohorts, error: cohortsError } = await supabase
+                .from('cluster_cohorts')
+                .select('cohort_id, vcf_uploaded, vcf_file_name, expires_at')
+                .in('cohort_id', completedIds);
+            if (cohortsError) throw cohortsError;
+            (cohorts || []).forEach(cohort => completedCohorts.set(cohort.cohort_id, cohort));
+        }
+
+        // 5. Downloads and queue positions
+        const downloadCounts = await getCohortDownloadCounts(targetIds);
+        const downloaded = await getDownloadedCohortIds([...userCohorts.values()], user_id);
+        const queuePositions = await getQueuePositions(found.filter(id => !userCohorts.has(id)), user_id);
+
+        const statuses = found.map(id => {
+            const meta = clusters.get(id);
+            const max_members = meta.max_members || 5;
+            const target_cohort_id = targetCohort(id);
+            const completed = target_cohort_id ? completedCohorts.get(target_cohort_id) : null;
+            const isCompleted = userCohorts.has(id) && target_cohort_id !== meta.active_cohort_id;
+            const current_members = target_cohort_id ? (memberCounts[target_cohort_id] || 0) : 0;
+
+            return {
+                cluster_id: id,
+                cohort_id: target_cohort_id || `C_OPEN_${id}`,
+                active_cohort_id: meta.active_cohort_id || null,
+                is_full: isCompleted || current_members >= max_members,
+                spots_left: Math.max(0, max_members - current_members),
+                current_members,
+                user_is_member: userCohorts.has(id),
+                queue_position: queuePositions[id] || null,
+                vcf_uploaded: isCompleted ? !!completed?.vcf_uploaded : false,
+                vcf_file_name: isCompleted ? completed?.vcf_file_name || null : null,
+                cohort_expires_at: isCompleted ? completed?.expires_at || null : null,
+                max_members,
+                cluster_name: meta.cluster_name || `Cluster ${id}`,
+                vcf_download_count: target_cohort_id ? downloadCounts[target_cohort_id] : 0,
+                user_has_downloaded: userCohorts.has(id) && downloaded.has(userCohorts.get(id)),
+            };
+        });
+
+        // 6. VCF progress of the full cohorts
+        const vcfStatuses = await getVcfStatuses(statuses.map(status => ({
+            dedupeKey: cohortVcfJobKey(status.cohort_id), is_full: status.is_full, vcf_uploaded: status.vcf_uploaded,
+        })));
+        statuses.forEach(status => { status.vcf_status = vcfStatuses[cohortVcfJobKey(status.cohort_id)]; });
+
+        return { success: true, statuses, not_found: ids.filter(id => !clusters.has(id)) };
+
+    } catch (error) {
+        logger.error('Cohort status: batch failed', { clusters: ids.length, user_id, error: error.message, error_code: error.code });
+        return { success: false, message: `Database error: ${error.message}` };
+    }
+}
+
+/**
+ * Atomically joins a user to the active cohort of a cluster.
+ * The capacity check, the insert, the recount and the completion flag all run inside a single
+ * database transaction (the `join_cluster_cohort` RPC), so two concurrent joins can never both
+ * take the last spot and exactly one caller is told that it completed the cohort.
+ * Completing a cohort also rolls the cluster over: a fresh active cohort opens in the same
+ * transaction, so newcomers never see a paused cluster.
+ * The first join of a cluster that is not in cluster_metadata yet creates its row from
+ * dynamic_clusters (services/clusterSync.js).
+ *
+ * NOTE: For this RPC to work, you must create the following Supabase function:
+ *
+ *   CREATE OR REPLACE FUNCTION join_cluster_cohort(
+ *       p_cluster_id INT,
+ *       p_user_id UUID,
+ *       p_display_profession BOOLEAN
+ *   )
+ *   RETURNS JSONB AS $$
+ *   DECLARE
+ *       v_meta cluster_metadata%ROWTYPE;
+ *       v_cohort_id TEXT;
+ *       v_next_cohort_id TEXT;
+ *       v_count INT;
+ *   BEGIN
+ *       -- Row lock on the cluster: every other join for this cluster waits here until COMMIT.
+ *       SELECT * INTO v_meta FROM cluster_metadata WHERE cluster_id = p_cluster_id FOR UPDATE;
+ *       IF NOT FOUND THEN
+ *           RETURN jsonb_build_object('status', 'cluster_not_found');
+ *       END IF;
+ *
+ *       SELECT cohort_id INTO v_cohort_id FROM cluster_cohort_members
+ *       WHERE cluster_id = p_cluster_id AND user_id = p_user_id;
+ *       IF FOUND THEN
+ *           RETURN jsonb_build_object('status', 'already_member', 'cohort_id', v_cohort_id);
+ *       END IF;
+ *
+ *       -- Open a new cohort if the cluster has none yet.
+ *       v_cohort_id := v_meta.active_cohort_id;
+ *       IF v_cohort_id IS NULL THEN
+ *           v_cohort_id := open_next_cluster_cohort(p_cluster_id);
+ *       END IF;
+ *
+ *       SELECT COUNT(*) INTO v_count FROM cluster_cohort_members WHERE cohort_id = v_cohort_id;
+ *       IF v_count >= v_meta.max_members THEN
+ *           RETURN jsonb_build_object('status', 'cohort_full', 'cohort_id', v_cohort_id);
+ *       END IF;
+ *
+ *       INSERT INTO cluster_cohort_members (cluster_id, cohort_id, user_id, display_profession)
+ *       VALUES (p_cluster_id, v_cohort_id, p_user_id, p_display_profession);
+ *       v_count := v_count + 1;
+ *
+ *       UPDATE cluster_metadata SET current_members = v_count, last_updated = NOW()
+ *       WHERE cluster_id = p_cluster_id;
+ *
+ *       -- Completed: freeze this cohort and roll the cluster over to a fresh one.
+ *       IF v_count >= v_meta.max_members THEN
+ *           UPDATE cluster_cohorts SET is_full = TRUE, completed_at = NOW() WHERE cohort_id = v_cohort_id;
+ *           v_next_cohort_id := open_next_cluster_cohort(p_cluster_id);
+ *       END IF;
+ *
+ *       RETURN jsonb_build_object(
+ *           'status', 'joined',
+ *           'cohort_id', v_cohort_id,
+ *           'current_members', v_count,
+ *           'max_members', v_meta.max_members,
+ *           'cohort_completed', v_count >= v_meta.max_members,
+ *           'next_cohort_id', v_next_cohort_id
+ *       );
+ *   END;
+ *   $$ LANGUAGE plpgsql;
+ *
+ *   -- Opens a new empty cohort and makes it the cluster's active one.
+ *   CREATE OR REPLACE FUNCTION open_next_cluster_cohort(p_cluster_id INT)
+ *   RETURNS TEXT AS $$
+ *   DECLARE
+ *       v_cohort_id TEXT := 'C_' || p_cluster_id || '_' || substr(md5(random()::TEXT || clock_timestamp()::TEXT), 1, 8);
+ *   BEGIN
+ *       INSERT INTO cluster_cohorts (cohort_id, cluster_id, is_full, vcf_uploaded)
+ *       VALUES (v_cohort_id, p_cluster_id, FALSE, FALSE);
+ *       UPDATE cluster_metadata
+ *       SET active_cohort_id = v_cohort_id, current_members = 0, last_updated = NOW()
+ *       WHERE cluster_id = p_cluster_id;
+ *       RETURN v_cohort_id;
+ *   END;
+ *   $$ LANGUAGE plpgsql;
+ *
+ * @param {number} cluster_id - The ID of the cluster.
+ * @param {string} user_id - The ID of the joining user.
+ * @param {boolean} display_profession - Whether the user shows their profession in this cohort.
+ * @returns {Object} `{ success, status, cohort_id, current_members, max_members, cohort_completed, next_cohort_id }`
+ * where status is one of 'joined', 'already_member', 'cohort_full' or 'cluster_not_found'.
+ */
+async function joinClusterCohort(cluster_id, user_id, display_profession) {
+    logger.debug('Join: calling join_cluster_cohort', { cluster_id, user_id });
+
+    const join = () => supabaseAdmin.rpc('join_cluster_cohort', {
+        p_cluster_id: cluster_id,
+        p_user_id: user_id,
+        p_display_profession: !!display_profession,
+    });
+
+    let { data, error } = await join();
+
+    // The cluster may be listed in dynamic_clusters without being synced yet: sync it and retry once
+    if (!error && data.status === 'cluster_not_found') {
+        const synced = await syncClusterMetadata({ cluster_id });
+        if (!synced.success) {
+            return { success: false, message: `Database error: ${synced.message}` };
+        }
+        ({ data, error } = await join());
+    }
+
+    if (error) {
+        logger.error('Join: join_cluster_cohort failed', { cluster_id, user_id, error: error.message, error_code: error.code });
+        return { success: false, message: `Database error: ${error.message}` };
+    }
+
+    if (data.status === 'joined') {
+        await invalidateClusterReads(cluster_id);
+        publishCohortEvent('member_joined', {
+            cluster_id,
+            cohort_id: data.cohort_id,
+            current_members: data.current_members,
+            max_members: data.max_members,
+            spots_left: Math.max(0, data.max_members - data.current_members),
+        });
+    }
+
+    return {
+        success: true,
+        status: data.status,
+        cohort_id: data.cohort_id || null,
+        current_members: data.current_members,
+        max_members: data.max_members,
+        cohort_completed: !!data.cohort_completed,
+        next_cohort_id: data.next_cohort_id || null,
+    };
+}
+
+/**
+ * Atomically removes a user from the active cohort of a cluster.
+ * Runs under the same cluster_metadata row lock as `join_cluster_cohort`, so a leave can never slip
+ * in while a join completes the cohort: once the lock is released the member either left the open
+ * cohort or belongs to a completed (frozen) one and is refused. The stored member count is
+ * updated in the same transaction.
+ *
+ * NOTE: For this RPC to work, you must create the following Supabase function:
+ *
+ *   CREATE OR REPLACE FUNCTION leave_cluster_cohort(p_cluster_id INT, p_user_id UUID)
+ *   RETURNS JSONB AS $$
+ *   DECLARE
+ *       v_meta cluster_metadata%ROWTYPE;
+ *       v_cohort_id TEXT;
+ *       v_count INT;
+ *   BEGIN
+ *       -- Same row lock as join_cluster_cohort: joins and leaves of a cluster run one at a time.
+ *       SELECT * INTO v_meta FROM cluster_metadata WHERE cluster_id = p_cluster_id FOR UPDATE;
+ *       IF NOT FOUND THEN
+ *           RETURN jsonb_build_object('status', 'cluster_not_found');
+ *       END IF;
+ *
+ *       SELECT cohort_id INTO v_cohort_id FROM cluster_cohort_members
+ *       WHERE cluster_id = p_cluster_id AND user_id = p_user_id;
+ *       IF NOT FOUND THEN
+ *           RETURN jsonb_build_object('status', 'not_member');
+ *       END IF;
+ *
+ *       -- Completed cohorts are frozen: their file is built from exactly max_members members.
+ *       -- (cluster_metadata.vcf_uploaded describes the latest completed cohort, not the open one.)
+ *       IF v_cohort_id IS DISTINCT FROM v_meta.active_cohort_id THEN
+ *           RETURN jsonb_build_object('status', 'cohort_completed', 'cohort_id', v_cohort_id);
+ *       END IF;
+ *
+ *       DELETE FROM cluster_cohort_members WHERE cluster_id = p_cluster_id AND user_id = p_user_id;
+ *
+ *       SELECT COUNT(*) INTO v_count FROM cluster_cohort_members WHERE cohort_id = v_cohort_id;
+ *       UPDATE cluster_metadata SET current_members = v_count, last_updated = NOW()
+ *       WHERE cluster_id = p_cluster_id;
+ *
+ *       RETURN jsonb_build_object(
+ *           'status', 'left',
+ *           'cohort_id', v_cohort_id,
+ *           'current_members', v_count,
+ *           'max_members', v_meta.max_members
+ *       );
+ *   END;
+ *   $$ LANGUAGE plpgsql;
+ *
+ * @param {number} cluster_id - The ID of the cluster.
+ * @param {string} user_id - The ID of the leaving user.
+ * @returns {Object} `{ success, status, cohort_id, current_members, max_members }` where status is one of
+ * 'left', 'not_member', 'cohort_completed' or 'cluster_not_found'.
+ */
+async function leaveClusterCohort(cluster_id, user_id) {
+    logger.debug('Leave: calling leave_cluster_cohort', { cluster_id, user_id });
+
+    const { data, error } = await supabaseAdmin.rpc('leave_cluster_cohort', {
+        p_cluster_id: cluster_id,
+        p_user_id: user_id,
+    });
+
+    if (error) {
+        logger.error('Leave: leave_cluster_cohort failed', { cluster_id, user_id, error: error.message, error_code: error.code });
         return { success: false, message: `Database error: ${error.message}` };
     }
+
+    if (data.status === 'left') {
+        await invalidateClusterReads(cluster_id);
+        publishCohortEvent('member_left', {
+            cluster_id,
+            cohort_id: data.cohort_id,
+            current_members: data.current_members,
+            max_members: data.max_members,
+            spots_left: Math.max(0, data.max_members - data.current_members),
+        });
+    }
+
+    return {
+        success: true,
+        status: data.status,
+        cohort_id: data.cohort_id || null,
+        current_members: data.current_members,
+        max_members: data.max_members,
+    };
+}
+
+/**
+ * Atomically changes a cluster's max_members, under the same cluster_metadata row lock as joins.
+ * The open cohort must keep fitting: a max_members below its member count is refused, and one equal
+ * to it completes the cohort and rolls the cluster over exactly like the join that fills it
+ * (see joinClusterCohort). The open cohort is therefore never left full without having completed.
+ *
+ * NOTE: For this RPC to work, you must create the following Supabase function:
+ *
+ *   CREATE OR REPLACE FUNCTION set_cluster_max_members(p_cluster_id INT, p_max_members INT)
+ *   RETURNS JSONB AS $$
+ *   DECLARE
+ *       v_meta cluster_metadata%ROWTYPE;
+ *       v_count INT := 0;
+ *       v_next_cohort_id TEXT;
+ *   BEGIN
+ *       SELECT * INTO v_meta FROM cluster_metadata WHERE cluster_id = p_cluster_id FOR UPDATE;
+ *       IF NOT FOUND THEN
+ *           RETURN jsonb_build_object('status', 'cluster_not_found');
+ *       END IF;
+ *
+ *       IF v_meta.active_cohort_id IS NOT NULL THEN
+ *           SELECT COUNT(*) INTO v_count FROM cluster_cohort_members WHERE cohort_id = v_meta.active_cohort_id;
+ *       END IF;
+ *       IF p_max_members < v_count THEN
+ *           RETURN jsonb_build_object('status', 'below_member_count', 'cohort_id', v_meta.active_cohort_id, 'current_members', v_count);
+ *       END IF;
+ *
+ *       UPDATE cluster_metadata SET max_members = p_max_members, last_updated = NOW()
+ *       WHERE cluster_id = p_cluster_id;
+ *
+ *       -- The open cohort is now exactly full: complete it and roll over, as the filling join would.
+ *       IF v_count > 0 AND v_count >= p_max_members THEN
+ *           UPDATE cluster_cohorts SET is_full = TRUE, completed_at = NOW() WHERE cohort_id = v_meta.active_cohort_id;
+ *           v_next_cohort_id := open_next_cluster_cohort(p_cluster_id);
+ *       END IF;
+ *
+ *       RETURN jsonb_build_object(
+ *           'status', 'updated',
+ *           'cohort_id', v_meta.active_cohort_id,
+ *           'current_members', v_count,
+ *           'max_members', p_max_members,
+ *           'cohort_completed', v_next_cohort_id IS NOT NULL,
+ *           'next_cohort_id', v_next_cohort_id
+ *       );
+ *   END;
+ *   $$ LANGUAGE plpgsql;
+ *
+ * @param {number} cluster_id - The ID of the cluster.
+ * @param {number} max_members - The new cohort size.
+ * @returns {Object} `{ success, status, cohort_id, current_members, max_members, cohort_completed, next_cohort_id }`
+ * where status is one of 'updated', 'below_member_count' or 'cluster_not_found'.
+ */
+async function setClusterMaxMembers(cluster_id, max_members) {
+    const { data, error } = await supabaseAdmin.rpc('set_cluster_max_members', {
+        p_cluster_id: cluster_id,
+        p_max_members: max_members,
+    });
+
+    if (error) {
+        logger.error('Cluster: set_cluster_max_members failed', { cluster_id, max_members, error: error.message, error_code: error.code });
+        return { success: false, message: `Database error: ${error.message}` };
+    }
+
+    if (data.status === 'updated') {
+        await invalidateClusterReads(cluster_id);
+    }
+
+    return {
+        success: true,
+        status: data.status,
+        cohort_id: data.cohort_id || null,
+        current_members: data.current_members,
+        max_members: data.max_members,
+        cohort_completed: !!data.cohort_completed,
+        next_cohort_id: data.next_cohort_id || null,
+    };
+}
+
+/**
+ * Copy of a getCohortStatus() result that is safe to send to the browser: the VCF storage key is
+ * removed (downloads go through single-use tickets, see services/downloadTickets.js).
+ * @param {Object} status
+ * @returns {Object}
+ */
+function toClientStatus(status) {
+    const { vcf_file_name, ...clientStatus } = status;
+    return clientStatus;
 }
 
 module.exports = {
     getCohortStatus,
+    toClientStatus,
+    getQueuePosition,
+    getCohortStatuses,
+    joinClusterCohort,
+    leaveClusterCohort,
+    setClusterMaxMembers,
 };
 
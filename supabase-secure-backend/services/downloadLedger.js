@@ -0,0 +1,170 @@
+// services/downloadLedger.js
+// Per-member record of cohort VCF downloads.
+// One row per (cohort, member), written by the server when GET /api/downloads/:ticket actually serves
+// the file. Download counts and `user_has_downloaded` are derived from these rows; the old shared
+// counters (cluster_metadata.vcf_download_count, cohort_history.vcf_download_count) are no longer written.
+// Like cohort_history, rows outlive the cohort's membership rows.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { invalidateClusterReads } = require('./cache');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase table and function:
+ *
+ *   CREATE TABLE IF NOT EXISTS vcf_downloads (
+ *       cohort_id TEXT NOT NULL,
+ *       cluster_id INT NOT NULL,
+ *       user_id UUID NOT NULL,
+ *       ticket_id UUID,                  -- download_tickets row that served the first download
+ *       downloaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       PRIMARY KEY (cohort_id, user_id)
+ *   );
+ *   CREATE INDEX IF NOT EXISTS vcf_downloads_cluster_idx ON vcf_downloads (cluster_id);
+ *
+ *   -- Records a member's first download and mirrors it onto their membership and receipt,
+ *   -- all in one transaction. Later downloads by the same member change nothing.
+ *   CREATE OR REPLACE FUNCTION record_vcf_download(p_cohort_id TEXT, p_user_id UUID, p_ticket_id UUID)
+ *   RETURNS JSONB AS $$
+ *   DECLARE
+ *       v_cluster_id INT;
+ *       v_downloaded_at TIMESTAMPTZ := NOW();
+ *       v_first BOOLEAN;
+ *   BEGIN
+ *       SELECT cluster_id INTO v_cluster_id FROM cluster_cohorts WHERE cohort_id = p_cohort_id;
+ *       IF v_cluster_id IS NULL THEN
+ *           RETURN jsonb_build_object('status', 'cohort_not_found');
+ *       END IF;
+ *
+ *       INSERT INTO vcf_downloads (cohort_id, cluster_id, user_id, ticket_id, downloaded_at)
+ *       VALUES (p_cohort_id, v_cluster_id, p_user_id, p_ticket_id, v_downloaded_at)
+ *       ON CONFLICT (cohort_id, user_id) DO NOTHING;
+ *       v_first := FOUND;
+ *
+ *       IF v_first THEN
+ *           UPDATE cluster_cohort_members SET vcf_downloaded_at = v_downloaded_at
+ *           WHERE cohort_id = p_cohort_id AND user_id = p_user_id AND vcf_downloaded_at IS NULL;
+ *           UPDATE cohort_member_receipts SET downloaded_at = v_downloaded_at
+ *           WHERE cohort_id = p_cohort_id AND user_id = p_user_id AND downloaded_at IS NULL;
+ *       END IF;
+ *
+ *       RETURN jsonb_build_object(
+ *           'status', 'recorded',
+ *           'first_download', v_first,
+ *           'vcf_download_count', (SELECT COUNT(*) FROM vcf_downloads WHERE cohort_id = p_cohort_id)
+ *       );
+ *   END;
+ *   $$ LANGUAGE plpgsql;
+ */
+
+/**
+ * Records that a cohort's VCF was served to one of its members. Idempotent per (cohort, member).
+ * @param {Object} download
+ * @param {string} download.cohort_id
+ * @param {string} download.user_id
+ * @param {string|null} [download.ticket_id] - The download ticket that served the file.
+ * @returns {Promise<{success: boolean, first_download?: boolean, vcf_download_count?: number, reason?: 'cohort_not_found', message?: string}>}
+ */
+async function recordCohortDownload({ cohort_id, user_id, ticket_id = null }) {
+    const { data, error } = await supabase.rpc('record_vcf_download', {
+        p_cohort_id: cohort_id,
+        p_user_id: user_id,
+        p_ticket_id: ticket_id,
+    });
+
+    if (error) {
+        logger.error('Download ledger: failed to record download', { cohort_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+    if (data?.status !== 'recorded') {
+        return { success: false, reason: 'cohort_not_found', message: `Cohort ${cohort_id} not found.` };
+    }
+
+    // The cluster list reports user_has_downloaded and the stats count downloads
+    if (data.first_download) {
+        await invalidateClusterReads();
+    }
+
+    return { success: true, first_download: !!data.first_download, vcf_download_count: data.vcf_download_count };
+}
+
+/**
+ * Counts the members who downloaded each of the given cohorts' VCFs.
+ * @param {Array<string>} cohortIds
+ * @returns {Promise<Object<string, number>>} Count per cohort_id (cohorts without downloads map to 0).
+ */
+async function getCohortDownloadCounts(cohortIds) {
+    const counts = Object.fromEntries(cohortIds.map(cohortId => [cohortId, 0]));
+    if (cohortIds.length === 0) {
+        return counts;
+    }
+
+    const { data, error } = await supabase
+        .from('vcf_downloads')
+        .select('cohort_id')
+        .in('cohort_id', cohortIds);
+
+    if (error) throw error;
+
+    (data || []).forEach(row => { counts[row.cohort_id] += 1; });
+    return counts;
+}
+
+/**
+ * Counts the members who downloaded a single cohort's VCF.
+ * @param {string} cohort_id
+ * @returns {Promise<number>}
+ */
+async function getCohortDownloadCount(cohort_id) {
+    const counts = await getCohortDownloadCounts([cohort_id]);
+    return counts[cohort_id];
+}
+
+/**
+ * Whether a member has downloaded their cohort's VCF.
+ * @param {string} cohort_id
+ * @param {string} user_id
+ * @returns {Promise<boolean>}
+ */
+async function hasDownloaded(cohort_id, user_id) {
+    const { data, error } = await supabase
+        .from('vcf_downloads')
+        .select('cohort_id')
+        .eq('cohort_id', cohort_id)
+        .eq('user_id', user_id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+}
+
+/**
+ * Which of the given cohorts a user has downloaded, in one query.
+ * @param {Array<string>} cohortIds
+ * @param {string} user_id
+ * @returns {Promise<Set<string>>}
+ */
+async function getDownloadedCohortIds(cohortIds, user_id) {
+    if (cohortIds.length === 0) {
+        return new Set();
+    }
+
+    const { data, error } = await supabase
+        .from('vcf_downloads')
+        .select('cohort_id')
+        .in('cohort_id', cohortIds)
+        .eq('user_id', user_id);
+
+    if (error) throw error;
+    return new Set((data || []).map(row => row.cohort_id));
+}
+
+module.exports = {
+    recordCohortDownload,
+    getCohortDownloadCounts,
+    getCohortDownloadCount,
+    getDownloadedCohortIds,
+    hasDownloaded,
+};
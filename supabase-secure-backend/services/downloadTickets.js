@@ -0,0 +1,195 @@
+// services/downloadTickets.js
+// Single-use download tickets for contact files.
+// A signed-in member asks for a ticket (POST /api/download-tickets, POST /api/groups/download-ticket)
+// and redeems it exactly once at GET /api/downloads/:ticket. What a ticket grants (user, cohort or
+// group, storage key) stays in the download_tickets row; the client only holds an opaque id, the
+// expiry and an HMAC over the row, so storage keys are never sent to the browser and a ticket cannot
+// be forged or altered. Redeeming stamps the row, which doubles as the record of the download;
+// a redemption whose file could not be served is released again.
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const downloadTicketConfig = require('../config/downloadTickets');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase table:
+ *
+ *   CREATE TABLE IF NOT EXISTS download_tickets (
+ *       ticket_id UUID PRIMARY KEY,
+ *       user_id UUID NOT NULL,
+ *       resource_type TEXT NOT NULL,     -- 'cohort' or 'group'
+ *       resource_id TEXT NOT NULL,       -- cohort_id or group_id
+ *       storage_key TEXT,                -- NULL when the file is built at redemption (direct groups)
+ *       download_name TEXT NOT NULL,
+ *       issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       expires_at TIMESTAMPTZ NOT NULL,
+ *       redeemed_at TIMESTAMPTZ,
+ *       redeemed_ip TEXT,
+ *       redeemed_user_agent TEXT
+ *   );
+ *   CREATE INDEX IF NOT EXISTS download_tickets_user_idx ON download_tickets (user_id, issued_at DESC);
+ */
+
+// <ticket_id>.<expires (epoch seconds)>.<signature>
+const TICKET_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.(\d{1,12})\.([A-Za-z0-9_-]{43})$/;
+
+/**
+ * HMAC over every field the ticket grants, so changing any of them invalidates it.
+ */
+function signTicket(ticket, expires, secret) {
+    const payload = [
+        ticket.ticket_id,
+        ticket.user_id,
+        ticket.resource_type,
+        ticket.resource_id,
+        ticket.storage_key || '',
+        ticket.download_name,
+        expires,
+    ].join('\n');
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a ticket. Callers must have checked that the user may download the file.
+ * @param {Object} grant
+ * @param {string} grant.user_id
+ * @param {'cohort'|'group'} grant.resource_type
+ * @param {string|number} grant.resource_id - cohort_id or group_id.
+ * @param {string|null} [grant.storage_key] - Storage key of the file; null if it is built at redemption.
+ * @param {string} grant.download_name - File name shown to the user (must not reveal the storage key).
+ * @param {Object} [config] - Defaults to config/downloadTickets.js.
+ * @returns {Promise<{success: boolean, ticket?: string, expires_at?: string, message?: string}>}
+ */
+async function issueDownloadTicket({ user_id, resource_type, resource_id, storage_key = null, download_name }, config = downloadTicketConfig) {
+    const expires = Math.floor(Date.now() / 1000) + config.ttlSeconds;
+    const row = {
+        ticket_id: crypto.randomUUID(),
+        user_id,
+        resource_type,
+        resource_id: String(resource_id),
+        storage_key,
+        download_name,
+        expires_at: new Date(expires * 1000).toISOString(),
+    };
+
+    const { error } = await supabase
+        .from('download_tickets')
+        .insert([row]);
+
+    if (error) {
+        logger.error('Download ticket: failed to issue', { resource_type, resource_id: row.resource_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    return {
+        success: true,
+        ticket: `${row.ticket_id}.${expires}.${signTicket(row, expires, config.secret)}`,
+        expires_at: row.expires_at,
+    };
+}
+
+/**
+ * Validates a ticket and marks it redeemed. Only the first redemption succeeds, even under
+ * concurrent requests (the claim is a conditional update on redeemed_at).
+ * @param {string} token - The ticket as handed to the client.
+ * @param {Object} [client] - Recorded on the ticket row.
+ * @param {string} [client.ip]
+ * @param {string} [client.user_agent]
+ * @param {Object} [config] - Defaults to config/downloadTickets.js.
+ * @returns {Promise<{success: boolean, ticket?: Object, reason?: 'invalid'|'expired'|'used'|'error', message?: string}>}
+ *   On success `ticket` is the download_tickets row.
+ */
+async function redeemDownloadTicket(token, { ip = null, user_agent = null } = {}, config = downloadTicketConfig) {
+    const match = TICKET_PATTERN.exec(String(token));
+    if (!match) {
+        return { success: false, reason: 'invalid', message: 'Malformed ticket.' };
+    }
+    const [, ticket_id, expiresText, signature] = match;
+    const expires = parseInt(expiresText, 10);
+
+    const { data: ticket, error: fetchError } = await supabase
+        .from('download_tickets')
+        .select('*')
+        .eq('ticket_id', ticket_id)
+        .maybeSingle();
+
+    if (fetchError) {
+        return { success: false, reason: 'error', message: fetchError.message };
+    }
+
+    const expected = Buffer.from(ticket ? signTicket(ticket, expires, config.secret) : '');
+    const received = Buffer.from(signature);
+    if (!ticket || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        logger.warn('Download ticket: rejected invalid ticket', { ticket_id });
+        return { success: false, reason: 'invalid', message: 'Unknown or tampered ticket.' };
+    }
+
+    if (ticket.redeemed_at) {
+        logger.warn('Download ticket: reuse attempt', { ticket_id, user_id: ticket.user_id });
+        return { success: false, reason: 'used', message: 'Ticket already redeemed.' };
+    }
+    if (expires * 1000 <= Date.now()) {
+        return { success: false, reason: 'expired', message: 'Ticket expired.' };
+    }
+
+    const redemption = {
+        redeemed_at: new Date().toISOString(),
+        redeemed_ip: ip,
+        redeemed_user_agent: user_agent ? String(user_agent).slice(0, 500) : null,
+    };
+
+    const { data: claimed, error: claimError } = await supabase
+        .from('download_tickets')
+        .update(redemption)
+        .eq('ticket_id', ticket_id)
+        .is('redeemed_at', null)
+        .select('ticket_id');
+
+    if (claimError) {
+        return { success: false, reason: 'error', message: claimError.message };
+    }
+    if (!claimed || claimed.length === 0) {
+        // Another request redeemed it between the read and the claim
+        return { success: false, reason: 'used', message: 'Ticket already redeemed.' };
+    }
+
+    logger.info('Download ticket: redeemed', {
+        ticket_id,
+        user_id: ticket.user_id,
+        resource_type: ticket.resource_type,
+        resource_id: ticket.resource_id,
+    });
+    return { success: true, ticket: { ...ticket, ...redemption } };
+}
+
+/**
+ * Gives a redeemed ticket back when its file could not be served (storage unavailable, stream
+ * failed), so the user can retry with the same link. Only undoes this redemption: the update is
+ * conditional on the redeemed_at it set.
+ * @param {Object} ticket - The row returned by redeemDownloadTicket().
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+async function releaseDownloadTicket(ticket) {
+    const { error } = await supabase
+        .from('download_tickets')
+        .update({ redeemed_at: null, redeemed_ip: null, redeemed_user_agent: null })
+        .eq('ticket_id', ticket.ticket_id)
+        .eq('redeemed_at', ticket.redeemed_at);
+
+    if (error) {
+        logger.error('Download ticket: release failed', { ticket_id: ticket.ticket_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    logger.info('Download ticket: released after a failed download', { ticket_id: ticket.ticket_id, user_id: ticket.user_id });
+    return { success: true };
+}
+
+module.exports = {
+    issueDownloadTicket,
+    redeemDownloadTicket,
+    releaseDownloadTicket,
+};
@@ -0,0 +1,108 @@
+// services/groupCompletion.js
+// VCF generation for GENERAL groups, run by the job worker (services/jobs/) as `group_vcf` jobs.
+// routes/groups/joinGroup.js queues the job when the group fills; DIRECT groups have no stored
+// file, theirs is built per download (services/groupDownloads.js).
+
+const { supabaseAdmin } = require('../config/supabase');
+const { generateVcfContent } = require('../utils/vcardBuilder');
+const { getVcfStorage, createStorageKey } = require('./storage');
+const { enqueueJob } = require('./jobs/queue');
+const { publishCohortEvent } = require('./cohortEvents');
+const { logger } = require('../utils/logger');
+
+/**
+ * Dedupe key of a group's VCF job, also used to look up its progress.
+ * @param {number} groupId
+ * @returns {string}
+ */
+const groupVcfJobKey = groupId => `group_vcf:${groupId}`;
+
+/**
+ * Queues the VCF build of a GENERAL group that just filled up.
+ * @param {{group_id: number, max_members: number}} group
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+async function queueGroupVcf(group) {
+    // The storage key is chosen here so that every attempt of the job writes the same file
+    const queued = await enqueueJob('group_vcf', {
+        group_id: group.group_id,
+        max_members: group.max_members,
+        storage_key: createStorageKey(`Group_Contacts_${group.group_id}`),
+    }, { dedupeKey: groupVcfJobKey(group.group_id) });
+
+    if (!queued.success) {
+        logger.error('Group: failed to queue VCF job', { group_id: group.group_id, error: queued.message });
+        return { success: false, message: queued.message };
+    }
+    return { success: true };
+}
+
+/**
+ * `group_vcf` job handler: builds the group's VCF, stores it and marks the group ready.
+ * Throws on any failure so the queue retries it; safe to run again after a partial success.
+ * @param {Object} payload
+ * @param {number} payload.group_id
+ * @param {number} payload.max_members
+ * @param {string} payload.storage_key
+ */
+async function generateGroupVcf({ group_id, max_members, storage_key }, supabase = supabaseAdmin) {
+    const { data: group, error: groupError } = await supabase
+        .from('groups')
+        .select('vcf_uploaded, is_completed_and_inactive')
+        .eq('group_id', group_id)
+        .maybeSingle();
+
+    if (groupError) throw groupError;
+    if (!group) throw new Error(`Group ${group_id} not found.`);
+
+    // Already done by an earlier attempt, or purged before the file was ever needed
+    if (group.vcf_uploaded || group.is_completed_and_inactive) {
+        return;
+    }
+
+    // 1. Fetch All Member Data
+    const { data: allMemberData, error: memberFetchError } = await supabase
+        .from('group_members')
+        .select('user_id, display_profession')
+        .eq('group_id', group_id);
+
+    if (memberFetchError) throw memberFetchError;
+    if (!allMemberData || allMemberData.length !== max_members) {
+        throw new Error(`Member count mismatch: ${(allMemberData || []).length} of ${max_members}.`);
+    }
+
+    const { data: profiles, error: profileError } = await supabase
+        .from('user_profiles')
+        .select('user_id, nickname, profession, whatsapp_number')
+        .in('user_id', allMemberData.map(m => m.user_id));
+
+    if (profileError) throw profileError;
+
+    const vcfContacts = allMemberData.map(member => {
+        const profile = (profiles || []).find(p => p.user_id === member.user_id);
+        return profile ? { ...profile, display_profession: member.display_profession } : null;
+    }).filter(c => c !== null);
+
+    // 2. Generate and Upload
+    await getVcfStorage().put(storage_key, generateVcfContent(vcfContacts), { contentType: 'text/vcard; charset=utf-8' });
+
+    // 3. Update Group Status (Mark VCF Ready)
+    const { error: updateError } = await supabase
+        .from('groups')
+        .update({
+            vcf_uploaded: true,
+            vcf_file_name: storage_key,
+        })
+        .eq('group_id', group_id);
+
+    if (updateError) throw updateError;
+
+    publishCohortEvent('vcf_ready', { group_id });
+    logger.info('GENERAL VCF successfully generated and stored', { group_id });
+}
+
+module.exports = {
+    groupVcfJobKey,
+    queueGroupVcf,
+    generateGroupVcf,
+};
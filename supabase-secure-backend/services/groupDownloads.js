@@ -0,0 +1,191 @@
+// services/groupDownloads.js
+// Who may download which group VCF, and how it is produced.
+// GENERAL groups share one stored file, generated when the group fills (see routes/groups/joinGroup.js).
+// DIRECT groups have no stored file: the VCF is built per request, with the creator's contact for
+// invited members and every member's contact for the creator.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { generateVcfContent } = require('../utils/vcardBuilder');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/**
+ * Helper to fetch profiles required for VCF generation.
+ * @param {Array<Object>} groupMembers - List of {user_id, display_profession}
+ * @returns {Array<Object>} Contacts ready for VCF generation.
+ */
+async function getVcfContacts(groupMembers) {
+    const userIds = groupMembers.map(m => m.user_id);
+
+    const { data: profiles, error: profileError } = await supabase
+        .from('user_profiles')
+        .select('user_id, nickname, profession, whatsapp_number')
+        .in('user_id', userIds);
+
+    if (profileError) {
+        throw new Error('Failed to fetch user profiles for VCF.');
+    }
+
+    // Merge group-specific profession with profile data
+    return groupMembers.map(member => {
+        const profile = profiles.find(p => p.user_id === member.user_id);
+        return profile ? { ...profile, display_profession: member.display_profession } : null;
+    }).filter(c => c !== null);
+}
+
+/**
+ * Checks that a user may download a group's VCF right now.
+ * @param {number} group_id
+ * @param {string} user_id
+ * @returns {Promise<{success: boolean, reason?: 'group_not_found'|'not_a_member'|'vcf_not_ready', group?: Object, member?: Object}>}
+ */
+async function getGroupDownloadAccess(group_id, user_id) {
+    const { data: group, error: groupError } = await supabase
+        .from('groups')
+        .select('*')
+        .eq('group_id', group_id)
+        .single();
+
+    if (groupError || !group) {
+        return { success: false, reason: 'group_not_found' };
+    }
+
+    const { data: member, error: memberError } = await supabase
+        .from('group_members')
+        .select('has_downloaded_vcf, display_profession')
+        .eq('group_id', group_id)
+        .eq('user_id', user_id)
+        .single();
+
+    if (memberError || !member) {
+        return { success: false, reason: 'not_a_member', group };
+    }
+
+    if (group.vcf_type === 'general' && (!group.vcf_uploaded || !group.vcf_file_name)) {
+        return { success: false, reason: 'vcf_not_ready', group, member };
+    }
+
+    return { success: true, group, member };
+}
+
+/**
+ * Builds a DIRECT group's VCF for one user.
+ * @param {Object} group - groups row.
+ * @param {Object} member - The user's group_members row.
+ * @param {string} user_id
+ * @param {Object} [options]
+ * @param {string} [options.version] - vCard version ('3.0' or '4.0'); defaults to the builder's.
+ * @returns {Promise<{success: boolean, content?: string, reason?: 'profile_not_found'}>}
+ */
+async function buildDirectGroupVcf(group, member, user_id, { version } = {}) {
+    const groupIdNum = group.group_id;
+    let contactsToInclude = [];
+
+    if (group.creator_user_id !== user_id) {
+        // Invited User: Download Creator's contact
+        logger.info('Group download: invited member downloading creator VCF', { group_id: groupIdNum });
+        const { data: creatorProfile } = await supabase
+            .from('user_profiles')
+            .select('user_id, nickname, profession, whatsapp_number')
+            .eq('user_id', group.creator_user_id)
+            .single();
+
+        if (!creatorProfile) {
+            return { success: false, reason: 'profile_not_found' };
+        }
+
+        contactsToInclude.push({
+            ...creatorProfile,
+            display_profession: member.display_profession // Use the user's setting for the label
+        });
+
+    } else {
+        // Creator: Download All Current Members' contacts
+        logger.info('Group download: creator downloading all-members VCF', { group_id: groupIdNum });
+
+        const { data: allMembers } = await supabase
+            .from('group_members')
+            .select('user_id, display_profession')
+            .eq('group_id', groupIdNum)
+            .neq('user_id', user_id); // Exclude creator from the VCF list
+
+        contactsToInclude = await getVcfContacts(allMembers || []);
+
+        // Add the creator's own profile to the VCF list for their own download
+        const { data: creatorProfile } = await supabase
+            .from('user_profiles')
+            .select('user_id, nickname, profession, whatsapp_number')
+            .eq('user_id', user_id)
+            .single();
+
+        if (creatorProfile) {
+            contactsToInclude.push({
+                ...creatorProfile,
+                display_profession: member.display_profession
+            });
+        }
+    }
+
+    return { success: true, content: generateVcfContent(contactsToInclude, { version }) };
+}
+
+/**
+ * Name the user sees for a group download. Never the storage key.
+ */
+function groupDownloadName(group, user_id) {
+    if (group.vcf_type === 'general') {
+        return `Group_${group.group_id}_Contacts.vcf`;
+    }
+    return group.creator_user_id === user_id
+        ? `All_Members_Contacts_${group.group_id}.vcf`
+        : `Creator_Contacts_${group.group_id}.vcf`;
+}
+
+/**
+ * Records a member's first download of a group VCF: marks the member and bumps the group's download
+ * count. Repeat downloads change nothing. Once everyone has downloaded, the retention job
+ * (services/retention.js) may purge the group's member rows and file.
+ */
+async function recordGroupDownload(groupIdNum, user_id) {
+    // 1. Mark the user as having downloaded the VCF
+    const { data: marked, error: memberUpdateError } = await supabase
+        .from('group_members')
+        .update({ has_downloaded_vcf: true })
+        .eq('group_id', groupIdNum)
+        .eq('user_id', user_id)
+        .eq('has_downloaded_vcf', false) // Only update if not already downloaded
+        .select('user_id');
+
+    if (memberUpdateError) {
+        logger.error('Group download: failed to mark member as downloaded', { group_id: groupIdNum, error: memberUpdateError.message });
+        return;
+    }
+    if (!marked || marked.length === 0) {
+        return; // Already counted
+    }
+
+    // 2. Update the total download count for the group
+    const { error: groupIncrementError } = await supabase.rpc('increment_members_downloaded', { group_id_param: groupIdNum });
+
+    if (groupIncrementError) {
+        logger.error('Group download: failed to increment download count', { group_id: groupIdNum, error: groupIncrementError.message });
+    }
+
+    // NOTE: For this RPC to work, you must create the following Supabase function:
+    /*
+    CREATE OR REPLACE FUNCTION increment_members_downloaded(group_id_param INT)
+    RETURNS VOID AS $$
+        UPDATE groups
+        SET members_downloaded = members_downloaded + 1
+        WHERE group_id = group_id_param;
+    $$ LANGUAGE sql;
+    */
+}
+
+module.exports = {
+    getGroupDownloadAccess,
+    buildDirectGroupVcf,
+    groupDownloadName,
+    recordGroupDownload,
+};
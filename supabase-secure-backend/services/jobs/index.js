@@ -0,0 +1,97 @@
+// services/jobs/index.js
+// Job types handled by the background worker, and the entry point that starts it.
+//   cohort_vcf      - build and store a completed cohort's VCF (services/cohortCompletion.js)
+//   group_vcf       - build and store a full GENERAL group's VCF (services/groupCompletion.js)
+//   retention_sweep - purge member data by the rules in config/retention.js (services/retention.js)
+//   cluster_sync    - create cluster_metadata rows for new dynamic_clusters (services/clusterSync.js)
+
+const jobsConfig = require('../../config/jobs');
+const retentionConfig = require('../../config/retention');
+const { generateCohortVcf } = require('../cohortCompletion');
+const { generateGroupVcf } = require('../groupCompletion');
+const { runRetentionSweep } = require('../retention');
+const { syncClusterMetadata } = require('../clusterSync');
+const { enqueueJob } = require('./queue');
+const { createJobWorker } = require('./worker');
+const { logger } = require('../../utils/logger');
+
+const handlers = {
+    cohort_vcf: payload => generateCohortVcf(payload),
+    group_vcf: payload => generateGroupVcf(payload),
+    retention_sweep: async () => {
+        const result = await runRetentionSweep();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+    },
+    cluster_sync: async () => {
+        const result = await syncClusterMetadata();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+    },
+};
+
+/**
+ * Queues the retention sweep for the current interval. Every instance calls this on its own
+ * schedule; the dedupe key makes sure the sweep runs once per interval across all of them.
+ * @param {Date} now
+ * @param {Object} [config] - Defaults to config/retention.js.
+ */
+function scheduleRetentionSweep(now, config = retentionConfig) {
+    const slot = Math.floor(now.getTime() / config.intervalMs);
+    return enqueueJob('retention_sweep', {}, { dedupeKey: `retention_sweep:${slot}`, runAt: now });
+}
+
+/**
+ * Queues the cluster sync for the current interval, once across all instances like the retention sweep.
+ * @param {Date} now
+ * @param {Object} [config] - Defaults to config/jobs.js.
+ */
+function scheduleClusterSync(now, config = jobsConfig) {
+    const slot = Math.floor(now.getTime() / config.clusterSyncIntervalMs);
+    return enqueueJob('cluster_sync', {}, { dedupeKey: `cluster_sync:${slot}`, runAt: now });
+}
+
+/**
+ * Starts the in-process job worker and the retention and cluster sync schedules (unless JOB_WORKER_ENABLED=false).
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Returns the current Date; tests pass a fake one.
+ * @param {Object} [options.config] - Defaults to config/jobs.js.
+ * @returns {{runOnce: Function, start: Function, stop: Function}|null} The worker, or null when disabled.
+ */
+function startJobWorker({ clock = () => new Date(), config = jobsConfig } = {}) {
+    if (!config.workerEnabled) {
+        logger.info('Jobs: worker disabled on this instance');
+        return null;
+    }
+
+    const worker = createJobWorker({ handlers, clock, config });
+    worker.start();
+
+    const retentionTimer = setInterval(() => {
+        scheduleRetentionSweep(clock()).catch(error => logger.error('Jobs: failed to schedule retention sweep', { error: error.message }));
+    }, retentionConfig.intervalMs);
+    retentionTimer.unref();
+
+    const syncClusters = () => scheduleClusterSync(clock(), config).catch(error => logger.error('Jobs: failed to schedule cluster sync', { error: error.message }));
+    syncClusters();
+    const clusterSyncTimer = setInterval(syncClusters, config.clusterSyncIntervalMs);
+    clusterSyncTimer.unref();
+
+    return {
+        ...worker,
+        stop() {
+            worker.stop();
+            clearInterval(retentionTimer);
+            clearInterval(clusterSyncTimer);
+        },
+    };
+}
+
+module.exports = {
+    handlers,
+    scheduleRetentionSweep,
+    scheduleClusterSync,
+    startJobWorker,
+};
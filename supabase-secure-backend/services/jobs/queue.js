@@ -0,0 +1,317 @@
+// services/jobs/queue.js
+// Database-backed job queue. Jobs survive restarts: a job is only removed from the pending set when
+// a worker finishes it, and a claimed job whose lease runs out (the worker died) is claimed again.
+
+const { supabaseAdmin } = require('../../config/supabase');
+const jobsConfig = require('../../config/jobs');
+const { logger } = require('../../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/*
+ * NOTE: For the queue to work, you must create the following Supabase table and function:
+ *
+ *   CREATE TABLE IF NOT EXISTS jobs (
+ *       id BIGSERIAL PRIMARY KEY,
+ *       type TEXT NOT NULL,
+ *       payload JSONB NOT NULL DEFAULT '{}',
+ *       dedupe_key TEXT UNIQUE,          -- at most one job per key, e.g. 'cohort_vcf:C_1_ab12cd34'
+ *       status TEXT NOT NULL DEFAULT 'pending',   -- pending | running | done | dead
+ *       attempts INT NOT NULL DEFAULT 0,
+ *       max_attempts INT NOT NULL,
+ *       run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       locked_until TIMESTAMPTZ,
+ *       last_error TEXT,
+ *       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       finished_at TIMESTAMPTZ
+ *   );
+ *   CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (status, run_at);
+ *
+ *   -- Claims up to p_limit due jobs (pending and due, or running with an expired lease).
+ *   -- SKIP LOCKED lets several workers claim concurrently without taking the same job.
+ *   CREATE OR REPLACE FUNCTION claim_jobs(p_now TIMESTAMPTZ, p_limit INT, p_lease_seconds INT)
+ *   RETURNS SETOF jobs AS $$
+ *       UPDATE jobs
+ *       SET status = 'running',
+ *           attempts = attempts + 1,
+ *           locked_until = p_now + make_interval(secs => p_lease_seconds)
+ *       WHERE id IN (
+ *           SELECT id FROM jobs
+ *           WHERE (status = 'pending' AND run_at <= p_now)
+ *              OR (status = 'running' AND locked_until <= p_now)
+ *           ORDER BY run_at
+ *           LIMIT p_limit
+ *           FOR UPDATE SKIP LOCKED
+ *       )
+ *       RETURNING *;
+ *   $$ LANGUAGE sql;
+ */
+
+/**
+ * Adds a job. With a dedupe key, enqueueing the same work twice is a no-op.
+ * @param {string} type - Handler name (see services/jobs/index.js).
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey]
+ * @param {Date} [options.runAt] - Defaults to now.
+ * @param {Object} [config] - Defaults to config/jobs.js.
+ * @returns {Promise<{success: boolean, job?: Object, duplicate?: boolean, message?: string}>}
+ */
+async function enqueueJob(type, payload = {}, { dedupeKey = null, runAt = new Date() } = {}, config = jobsConfig) {
+    const { data: job, error } = await supabase
+        .from('jobs')
+        .insert([{
+            type,
+            payload,
+            dedupe_key: dedupeKey,
+            status: 'pending',
+            attempts: 0,
+            max_attempts: config.maxAttempts,
+            run_at: runAt.toISOString(),
+            created_at: new Date().toISOString(),
+        }])
+        .select('*')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { success: true, duplicate: true, job: await findJobByKey(dedupeKey) };
+        }
+        logger.error('Jobs: failed to enqueue', { type, dedupe_key: dedupeKey, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    logger.info('Jobs: enqueued', { job_id: job.id, type, dedupe_key: dedupeKey });
+    return { success: true, job };
+}
+
+/**
+ * @param {string} dedupeKey
+ * @returns {Promise<Object|null>} The job row, or null.
+ */
+async function findJobByKey(dedupeKey) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('dedupe_key', dedupeKey)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Client-facing state of a file that a job builds once its cohort/group fills up.
+ * @param {string} dedupeKey - Key the job was queued with.
+ * @param {{is_full: boolean, vcf_uploaded: boolean}} state
+ * @returns {Promise<'ready'|'generating'|'failed'|null>} null while not full; 'generating' while the
+ * job is queued, running or waiting for a retry; 'failed' once it has been dead-lettered.
+ */
+async function getVcfStatus(dedupeKey, { is_full, vcf_uploaded }) {
+    if (vcf_uploaded) return 'ready';
+    if (!is_full) return null;
+
+    const job = await findJobByKey(dedupeKey);
+    return job?.status === 'dead' ? 'failed' : 'generating';
+}
+
+/**
+ * getVcfStatus() for many files at once, with at most one query.
+ * @param {Array<{dedupeKey: string, is_full: boolean, vcf_uploaded: boolean}>} entries
+ * @returns {Promise<Object>} dedupeKey -> 'ready' | 'generating' | 'failed' | null.
+ */
+async function getVcfStatuses(entries) {
+    const statuses = {};
+    const pending = [];
+    for (const { dedupeKey, is_full, vcf_uploaded } of entries) {
+        if (vcf_uploaded) statuses[dedupeKey] = 'ready';
+        else if (!is_full) statuses[dedupeKey] = null;
+        else pending.push(dedupeKey);
+    }
+    if (pending.length === 0) {
+        return statuses;
+    }
+
+    const { data: jobs, error } = await supabase
+        .from('jobs')
+        .select('dedupe_key, status')
+        .in('dedupe_key', pending);
+
+    if (error) throw error;
+
+    const dead = new Set((jobs || []).filter(job => job.status === 'dead').map(job => job.dedupe_key));
+    pending.forEach(dedupeKey => { statuses[dedupeKey] = dead.has(dedupeKey) ? 'failed' : 'generating'; });
+    return statuses;
+}
+
+/**
+ * Claims due jobs for this worker.
+ * @param {Date} now
+ * @param {Object} [config] - Defaults to config/jobs.js.
+ * @returns {Promise<Array<Object>>} The claimed job rows (status 'running', attempts already counted).
+ */
+async function claimDueJobs(now, config = jobsConfig) {
+    const { data, error } = await supabase.rpc('claim_jobs', {
+        p_now: now.toISOString(),
+        p_limit: config.batchSize,
+        p_lease_seconds: config.leaseSeconds,
+    });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Narrows an update to the claim that `job` came from. Every claim counts an attempt and sets a new
+ * lease, so once the lease has run out and another worker claimed the job, the first worker's
+ * update matches nothing instead of overwriting the newer claim's result.
+ */
+function ownClaim(query, job) {
+    return query
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('attempts', job.attempts)
+        .eq('locked_until', job.locked_until);
+}
+
+/**
+ * Marks a claimed job as done.
+ * @returns {Promise<boolean>} False when the claim was lost (the job was claimed again meanwhile).
+ */
+async function completeJob(job, now) {
+    const { data, error } = await ownClaim(supabase
+        .from('jobs')
+        .update({ status: 'done', locked_until: null, last_error: null, finished_at: now.toISOString() }), job)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Seconds to wait before the next attempt of a job that has failed `attempts` times.
+ */
+function backoffSeconds(attempts, config = jobsConfig) {
+    return Math.min(config.backoffBaseSeconds * 2 ** (attempts - 1), config.backoffMaxSeconds);
+}
+
+/**
+ * Records a failed attempt: schedules a retry with backoff, or dead-letters the job once it has
+ * used all its attempts.
+ * @returns {Promise<'retry'|'dead'|'lost'>} 'lost' when the claim was lost, as for completeJob().
+ */
+async function failJob(job, failure, now, config = jobsConfig) {
+    const dead = job.attempts >= job.max_attempts;
+    const update = dead
+        ? { status: 'dead', locked_until: null, last_error: failure.message, finished_at: now.toISOString() }
+        : {
+            status: 'pending',
+            locked_until: null,
+            last_error: failure.message,
+            run_at: new Date(now.getTime() + backoffSeconds(job.attempts, config) * 1000).toISOString(),
+        };
+
+    const { data, error } = await ownClaim(supabase
+        .from('jobs')
+        .update(update), job)
+        .select('id');
+
+    if (error) throw error;
+    if ((data || []).length === 0) return 'lost';
+    return dead ? 'dead' : 'retry';
+}
+
+/**
+ * Removes a job that is not currently running, so its dedupe key can be queued again later.
+ * @param {string} dedupeKey
+ * @returns {Promise<boolean>} Whether a job was removed.
+ */
+async function cancelJob(dedupeKey) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .delete()
+        .eq('dedupe_key', dedupeKey)
+        .neq('status', 'running')
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+/**
+ * Deletes jobs that finished successfully before the given time. Recurring jobs (cluster_sync,
+ * retention_sweep) add a row every interval; dead jobs are kept until someone looks at them.
+ * @param {Date} before
+ * @returns {Promise<number>} How many jobs were deleted.
+ */
+async function pruneDoneJobs(before) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .delete()
+        .eq('status', 'done')
+        .lt('finished_at', before.toISOString())
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+}
+
+/**
+ * Lists jobs by status, newest first (admin reporting).
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs(status, { limit = 50 } = {}) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('status', status)
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Puts a dead job back in the queue with a fresh set of attempts.
+ * @param {number} jobId
+ * @returns {Promise<{success: boolean, job?: Object, reason?: 'not_found'|'not_dead', message?: string}>}
+ */
+async function retryDeadJob(jobId) {
+    const { data: job, error } = await supabase
+        .from('jobs')
+        .update({ status: 'pending', attempts: 0, run_at: new Date().toISOString(), finished_at: null })
+        .eq('id', jobId)
+        .eq('status', 'dead')
+        .select('*')
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, message: error.message };
+    }
+    if (!job) {
+        const { data: existing } = await supabase.from('jobs').select('id').eq('id', jobId).maybeSingle();
+        return { success: false, reason: existing ? 'not_dead' : 'not_found' };
+    }
+
+    logger.info('Jobs: dead job requeued', { job_id: job.id, type: job.type });
+    return { success: true, job };
+}
+
+module.exports = {
+    enqueueJob,
+    findJobByKey,
+    getVcfStatus,
+    getVcfStatuses,
+    claimDueJobs,
+    completeJob,
+    failJob,
+    backoffSeconds,
+    cancelJob,
+    pruneDoneJobs,
+    listJobs,
+    retryDeadJob,
+};
@@ -0,0 +1,94 @@
+// services/jobs/worker.js
+// In-process worker for the job queue: polls for due jobs and runs them through their handler.
+// A handler that throws fails the attempt; the queue retries it with backoff and dead-letters it
+// after the last attempt. Several workers (one per server instance) can share the queue; a worker
+// whose lease ran out before it finished cannot overwrite the result of the claim that replaced it.
+
+const jobsConfig = require('../../config/jobs');
+const queue = require('./queue');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Creates a worker.
+ * @param {Object} options
+ * @param {Object<string, Function>} options.handlers - Job type -> async (payload, job) => void.
+ * @param {Function} [options.clock] - Returns the current Date; tests pass a fake one.
+ * @param {Object} [options.config] - Defaults to config/jobs.js.
+ * @returns {{runOnce: Function, start: Function, stop: Function}}
+ */
+function createJobWorker({ handlers, clock = () => new Date(), config = jobsConfig }) {
+    let timer = null;
+    let running = null;
+
+    // The lease ran out and another worker claimed the job; its result is the one that counts
+    function leaseLost(job) {
+        logger.warn('Jobs: lease lost, result discarded', { job_id: job.id, type: job.type, attempts: job.attempts });
+        return 'lost';
+    }
+
+    async function runJob(job) {
+        const handler = handlers[job.type];
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type "${job.type}"`);
+            }
+            await handler(job.payload || {}, job);
+            if (!await queue.completeJob(job, clock())) {
+                return leaseLost(job);
+            }
+            logger.info('Jobs: done', { job_id: job.id, type: job.type, attempts: job.attempts });
+            return 'done';
+        } catch (failure) {
+            const outcome = await queue.failJob(job, failure, clock(), config);
+            if (outcome === 'lost') {
+                return leaseLost(job);
+            }
+            if (outcome === 'dead') {
+                // Dead-letter report: the job needs attention (GET /api/admin/jobs?status=dead)
+                logger.error('Jobs: dead-lettered after final attempt', { job_id: job.id, type: job.type, dedupe_key: job.dedupe_key, attempts: job.attempts, error: failure.message });
+            } else {
+                logger.warn('Jobs: attempt failed, will retry', { job_id: job.id, type: job.type, attempts: job.attempts, max_attempts: job.max_attempts, error: failure.message });
+            }
+            return outcome;
+        }
+    }
+
+    /**
+     * Claims one batch of due jobs and runs them one after another.
+     * @returns {Promise<Array<{job_id: number, type: string, outcome: 'done'|'retry'|'dead'|'lost'}>>}
+     */
+    async function runOnce() {
+        const jobs = await queue.claimDueJobs(clock(), config);
+        const results = [];
+        for (const job of jobs) {
+            results.push({ job_id: job.id, type: job.type, outcome: await runJob(job) });
+        }
+        return results;
+    }
+
+    function tick() {
+        // Skip the tick if the previous batch is still running
+        if (running) return;
+        running = runOnce()
+            .catch(error => logger.error('Jobs: worker pass failed', { error: error.message }))
+            .finally(() => { running = null; });
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(tick, config.pollIntervalMs);
+            timer.unref();
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { runOnce, start, stop };
+}
+
+module.exports = {
+    createJobWorker,
+};
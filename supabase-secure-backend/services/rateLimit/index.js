@@ -0,0 +1,51 @@
+// services/rateLimit/index.js
+// Entry point for rate limit counters. middleware/rateLimit.js calls getRateLimitStore() and uses
+// the store interface:
+//   hit(key, windowSeconds) -> { count, resetAt }
+// `count` includes the current request; `resetAt` is when the window ends (epoch ms).
+
+const rateLimitConfig = require('../../config/rateLimit');
+const { createMemoryRateLimitStore } = require('./memoryStore');
+const { createSupabaseRateLimitStore } = require('./supabaseStore');
+
+let rateLimitStore = null;
+
+/**
+ * Builds the store selected by config/rateLimit.js.
+ */
+function createRateLimitStore(config = rateLimitConfig) {
+    if (config.driver === 'memory') {
+        return createMemoryRateLimitStore();
+    }
+
+    if (config.driver === 'supabase') {
+        // Required lazily so the memory driver can run without Supabase credentials.
+        const { supabaseAdmin } = require('../../config/supabase');
+        return createSupabaseRateLimitStore({ client: supabaseAdmin });
+    }
+
+    throw new Error(`Unknown RATE_LIMIT_DRIVER "${config.driver}". Use "memory" or "supabase".`);
+}
+
+/**
+ * Returns the process-wide store, creating it on first use.
+ */
+function getRateLimitStore() {
+    if (!rateLimitStore) {
+        rateLimitStore = createRateLimitStore();
+    }
+    return rateLimitStore;
+}
+
+/**
+ * Replaces the process-wide store (e.g. with a memory store on a fake clock in tests).
+ */
+function setRateLimitStore(store) {
+    rateLimitStore = store;
+}
+
+module.exports = {
+    createRateLimitStore,
+    getRateLimitStore,
+    setRateLimitStore,
+};
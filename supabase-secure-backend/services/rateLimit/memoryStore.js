@@ -0,0 +1,55 @@
+// services/rateLimit/memoryStore.js
+// Rate limit counters kept in process memory. Counts are lost on restart and are not shared
+// between instances; use the Supabase store when running more than one.
+
+// How often expired buckets are dropped, so keys from one-off visitors do not pile up.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates the in-memory store (fixed windows).
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock returning epoch milliseconds; tests pass a fake one.
+ * @returns {Object} The store: hit(key, windowSeconds), reset().
+ */
+function createMemoryRateLimitStore({ now = Date.now } = {}) {
+    const buckets = new Map();
+    let nextSweepAt = 0;
+
+    const sweep = time => {
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= time) buckets.delete(key);
+        }
+        nextSweepAt = time + SWEEP_INTERVAL_MS;
+    };
+
+    return {
+        driver: 'memory',
+
+        /**
+         * Counts one request against `key`.
+         * @returns {Promise<{count: number, resetAt: number}>} Requests so far in the current window
+         *   and when that window ends (epoch ms).
+         */
+        async hit(key, windowSeconds) {
+            const time = now();
+            if (time >= nextSweepAt) sweep(time);
+
+            let bucket = buckets.get(key);
+            if (!bucket || bucket.resetAt <= time) {
+                bucket = { count: 0, resetAt: time + windowSeconds * 1000 };
+                buckets.set(key, bucket);
+            }
+            bucket.count += 1;
+
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        },
+
+        async reset() {
+            buckets.clear();
+        },
+    };
+}
+
+module.exports = {
+    createMemoryRateLimitStore,
+};
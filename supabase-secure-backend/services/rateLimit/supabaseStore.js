@@ -0,0 +1,50 @@
+// services/rateLimit/supabaseStore.js
+// Rate limit counters kept in Postgres, so every app instance draws on the same budget.
+
+/**
+ * NOTE: For this store to work, you must create the following Supabase table and function:
+ *
+ *   CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+ *       key TEXT PRIMARY KEY,
+ *       hit_count INT NOT NULL,
+ *       reset_at TIMESTAMPTZ NOT NULL
+ *   );
+ *
+ *   CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_window_seconds INT)
+ *   RETURNS TABLE (hit_count INT, reset_at TIMESTAMPTZ)
+ *   LANGUAGE sql AS $$
+ *       INSERT INTO rate_limit_buckets AS b (key, hit_count, reset_at)
+ *       VALUES (p_key, 1, NOW() + make_interval(secs => p_window_seconds))
+ *       ON CONFLICT (key) DO UPDATE SET
+ *           hit_count = CASE WHEN b.reset_at <= NOW() THEN 1 ELSE b.hit_count + 1 END,
+ *           reset_at = CASE WHEN b.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE b.reset_at END
+ *       RETURNING b.hit_count, b.reset_at;
+ *   $$;
+ *
+ * Expired rows are reused on the next hit; `DELETE FROM rate_limit_buckets WHERE reset_at < NOW()`
+ * can be scheduled to keep the table small.
+ */
+
+/**
+ * Creates the Supabase-backed store.
+ * @param {Object} options
+ * @param {Object} options.client - Service-role Supabase client.
+ * @returns {Object} The store: hit(key, windowSeconds).
+ */
+function createSupabaseRateLimitStore({ client }) {
+    return {
+        driver: 'supabase',
+
+        async hit(key, windowSeconds) {
+            const { data, error } = await client.rpc('rate_limit_hit', { p_key: key, p_window_seconds: windowSeconds });
+            if (error) throw new Error(`rate_limit_hit failed: ${error.message}`);
+
+            const row = Array.isArray(data) ? data[0] : data;
+            return { count: row.hit_count, resetAt: new Date(row.reset_at).getTime() };
+        },
+    };
+}
+
+module.exports = {
+    createSupabaseRateLimitStore,
+};
@@ -0,0 +1,256 @@
+// services/reconciliation.js
+// Finds clusters and cohorts left in an inconsistent state (e.g. a completion that failed partway,
+// or rows written by older versions of the join code) and optionally repairs them.
+// Reads cluster_metadata, cluster_cohorts, cluster_cohort_members and the cohort_vcf jobs.
+// Used by GET/POST /api/admin/reconciliation and scripts/reconcileCohorts.js.
+//
+// Issue types and their repairs:
+//   completion_not_recorded  cohort reached max_members but is not marked full  -> complete_cohort (then places queued users)
+//   vcf_missing              full cohort without a VCF and no live VCF job      -> regenerate_vcf
+//   underfilled_full_cohort  cohort marked full with fewer than max_members     -> reopen_cohort
+//   active_cohort_unusable   cluster's active cohort is full or missing          -> open_next_cohort
+//   member_count_drift       cluster_metadata.current_members is out of date     -> sync_member_count
+// Issues that cannot be repaired safely are reported with repair: null.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { handleCohortCompletion, queueCohortVcf, cohortVcfJobKey } = require('./cohortCompletion');
+const { cancelJob, retryDeadJob } = require('./jobs/queue');
+const { promoteClusterQueue } = require('./clusterQueue');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/**
+ * Loads everything the checks need for the given clusters (all clusters when cluster_id is null).
+ */
+async function loadState(cluster_id) {
+    let metaQuery = supabase
+        .from('cluster_metadata')
+        .select('cluster_id, max_members, active_cohort_id, current_members');
+    if (cluster_id !== null) metaQuery = metaQuery.eq('cluster_id', cluster_id);
+
+    const { data: clusters, error: metaError } = await metaQuery;
+    if (metaError) throw metaError;
+    if (!clusters || clusters.length === 0) {
+        return { clusters: [], cohorts: [], members: [], jobs: [] };
+    }
+
+    const clusterIds = clusters.map(cluster => cluster.cluster_id);
+
+    const { data: cohorts, error: cohortsError } = await supabase
+        .from('cluster_cohorts')
+        .select('cohort_id, cluster_id, is_full, vcf_uploaded, vcf_file_name, expired')
+        .in('cluster_id', clusterIds);
+    if (cohortsError) throw cohortsError;
+
+    const { data: members, error: membersError } = await supabase
+        .from('cluster_cohort_members')
+        .select('cluster_id, cohort_id')
+        .in('cluster_id', clusterIds);
+    if (membersError) throw membersError;
+
+    const { data: jobs, error: jobsError } = await supabase
+        .from('jobs')
+        .select('id, dedupe_key, status')
+        .in('dedupe_key', (cohorts || []).map(cohort => cohortVcfJobKey(cohort.cohort_id)));
+    if (jobsError) throw jobsError;
+
+    return { clusters, cohorts: cohorts || [], members: members || [], jobs: jobs || [] };
+}
+
+/**
+ * Runs the checks against a loaded state.
+ * @returns {Array<Object>} Issues: `{ type, cluster_id, cohort_id, repair, details }`.
+ */
+function findIssues({ clusters, cohorts, members, jobs }) {
+    const issues = [];
+    const memberCount = cohortId => members.filter(member => member.cohort_id === cohortId).length;
+
+    for (const cluster of clusters) {
+        const { cluster_id, max_members } = cluster;
+        const active = cohorts.find(cohort => cohort.cohort_id === cluster.active_cohort_id);
+        // Expired cohorts have been purged on purpose (services/retention.js)
+        const live = cohorts.filter(cohort => String(cohort.cluster_id) === String(cluster_id) && !cohort.expired);
+        let replacementClaimed = false;
+
+        for (const cohort of live) {
+            const count = memberCount(cohort.cohort_id);
+            const isActive = cohort.cohort_id === cluster.active_cohort_id;
+            const issue = (type, repair, details) => issues.push({ type, cluster_id, cohort_id: cohort.cohort_id, repair, details: { member_count: count, max_members, ...details } });
+
+            if (!cohort.is_full && count >= max_members) {
+                issue('completion_not_recorded', 'complete_cohort', { active: isActive });
+            } else if (cohort.is_full && !cohort.vcf_uploaded && count < max_members) {
+                // Reopening a completed cohort means making it the active one again, which is only
+                // safe while the cohort that replaced it has no members yet
+                const canReopen = isActive || (!replacementClaimed && (!active || memberCount(active.cohort_id) === 0));
+                if (canReopen && !isActive) replacementClaimed = true;
+                issue('underfilled_full_cohort', canReopen ? 'reopen_cohort' : null, { active: isActive });
+            } else if (cohort.is_full && (!cohort.vcf_uploaded || !cohort.vcf_file_name)) {
+                const job = jobs.find(candidate => candidate.dedupe_key === cohortVcfJobKey(cohort.cohort_id));
+                // A pending or running job will produce the file; nothing to repair yet
+                if (!job || job.status === 'dead' || job.status === 'done') {
+                    issue('vcf_missing', 'regenerate_vcf', { job_id: job?.id || null, job_status: job?.status || null });
+                }
+            }
+        }
+
+        const activeCount = active ? memberCount(active.cohort_id) : 0;
+        const activeUnderfilled = active && active.is_full && !active.vcf_uploaded && activeCount < max_members;
+        if (replacementClaimed) {
+            // The active cohort is replaced by the reopened one
+        } else if (cluster.active_cohort_id && (!active || active.expired || (active.is_full && !activeUnderfilled))) {
+            issues.push({
+                type: 'active_cohort_unusable',
+                cluster_id,
+                cohort_id: cluster.active_cohort_id,
+                repair: 'open_next_cohort',
+                details: { reason: !active || active.expired ? 'missing' : 'full' },
+            });
+        } else if (active && !active.is_full && activeCount < max_members && cluster.current_members !== activeCount) {
+            issues.push({
+                type: 'member_count_drift',
+                cluster_id,
+                cohort_id: active.cohort_id,
+                repair: 'sync_member_count',
+                details: { current_members: cluster.current_members, member_count: activeCount },
+            });
+        }
+    }
+
+    return issues;
+}
+
+// --- Repairs ---------------------------------------------------------------------------------
+
+async function openNextCohort(cluster_id) {
+    const { error } = await supabase.rpc('open_next_cluster_cohort', { p_cluster_id: cluster_id });
+    if (error) throw error;
+}
+
+async function reopenCohort(issue, state) {
+    const cluster = state.clusters.find(candidate => String(candidate.cluster_id) === String(issue.cluster_id));
+    const { cohort_id } = issue;
+
+    const { error: cohortError } = await supabase
+        .from('cluster_cohorts')
+        .update({ is_full: false, vcf_uploaded: false, vcf_file_name: null, completed_at: null, expires_at: null })
+        .eq('cohort_id', cohort_id);
+    if (cohortError) throw cohortError;
+
+    // The cohort is no longer completed: drop what its completion recorded
+    await cancelJob(cohortVcfJobKey(cohort_id));
+    await supabase.from('cohort_member_receipts').delete().eq('cohort_id', cohort_id);
+    await supabase.from('cohort_history').delete().eq('cohort_id', cohort_id);
+
+    // Newcomers join the reopened cohort again
+    const { error: metaError } = await supabase
+        .from('cluster_metadata')
+        .update({ active_cohort_id: cohort_id, current_members: issue.details.member_count, last_updated: new Date().toISOString() })
+        .eq('cluster_id', issue.cluster_id);
+    if (metaError) throw metaError;
+
+    // The empty cohort opened when this one was (wrongly) completed
+    if (!issue.details.active && cluster.active_cohort_id) {
+        await supabase.from('cluster_cohorts').delete().eq('cohort_id', cluster.active_cohort_id);
+    }
+}
+
+async function regenerateVcf(issue) {
+    const { cluster_id, cohort_id, details } = issue;
+
+    if (details.job_status === 'dead') {
+        const retried = await retryDeadJob(details.job_id);
+        if (!retried.success) throw new Error(retried.message || `Job ${details.job_id} could not be retried (${retried.reason}).`);
+        return;
+    }
+
+    // No job (completed before the queue existed) or a finished job whose file is gone: start over
+    const { error } = await supabase
+        .from('cluster_cohorts')
+        .update({ vcf_uploaded: false, vcf_file_name: null })
+        .eq('cohort_id', cohort_id);
+    if (error) throw error;
+
+    await cancelJob(cohortVcfJobKey(cohort_id));
+    const queued = await queueCohortVcf(cluster_id, cohort_id, details.max_members);
+    if (!queued.success) throw new Error(queued.message);
+}
+
+async function repairIssue(issue, state) {
+    switch (issue.repair) {
+        case 'complete_cohort':
+            if (issue.details.active) {
+                await openNextCohort(issue.cluster_id);
+            }
+            await handleCohortCompletion(issue.cluster_id, issue.cohort_id, issue.details.max_members);
+            // As after a completing join: users queued for the full cohort go to the next one
+            await promoteClusterQueue(issue.cluster_id);
+            break;
+        case 'regenerate_vcf':
+            await regenerateVcf(issue);
+            break;
+        case 'reopen_cohort':
+            await reopenCohort(issue, state);
+            break;
+        case 'open_next_cohort':
+            await openNextCohort(issue.cluster_id);
+            break;
+        case 'sync_member_count': {
+            const { error } = await supabase
+                .from('cluster_metadata')
+                .update({ current_members: issue.details.member_count, last_updated: new Date().toISOString() })
+                .eq('cluster_id', issue.cluster_id);
+            if (error) throw error;
+            break;
+        }
+        default:
+            throw new Error(`Unknown repair "${issue.repair}".`);
+    }
+}
+
+/**
+ * Scans for inconsistent cluster/cohort state and, with `repair`, fixes what it can.
+ * @param {Object} [options]
+ * @param {number|null} [options.cluster_id] - Limit to one cluster (default: all clusters).
+ * @param {boolean} [options.repair=false] - Apply the repairs; otherwise only report.
+ * @returns {Promise<{success: boolean, issues?: Array<Object>, message?: string}>}
+ * With repair, each issue gets `status`: 'repaired', 'failed' (with `error`) or 'manual' (no safe repair).
+ */
+async function reconcileCohorts({ cluster_id = null, repair = false } = {}) {
+    let state;
+    let issues;
+    try {
+        state = await loadState(cluster_id);
+        issues = findIssues(state);
+    } catch (error) {
+        logger.error('Reconcile: scan failed', { cluster_id, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    if (!repair) {
+        return { success: true, issues };
+    }
+
+    for (const issue of issues) {
+        if (!issue.repair) {
+            issue.status = 'manual';
+            continue;
+        }
+        try {
+            await repairIssue(issue, state);
+            issue.status = 'repaired';
+            logger.info('Reconcile: repaired', { type: issue.type, repair: issue.repair, cluster_id: issue.cluster_id, cohort_id: issue.cohort_id });
+        } catch (error) {
+            issue.status = 'failed';
+            issue.error = error.message;
+            logger.error('Reconcile: repair failed', { type: issue.type, repair: issue.repair, cluster_id: issue.cluster_id, cohort_id: issue.cohort_id, error: error.message });
+        }
+    }
+
+    return { success: true, issues };
+}
+
+module.exports = {
+    reconcileCohorts,
+};
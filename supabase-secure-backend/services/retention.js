@@ -0,0 +1,286 @@
+// services/retention.js
+// Purges member data and contact files once they are no longer needed.
+// Completed cluster cohorts and completed groups are purged by the rules in config/retention.js
+// (everyone downloaded, or too old): the stored VCF is removed, the member rows are deleted and the
+// cohort/group is marked so it is never processed again. Each purge is written to retention_audit.
+// Permanent records (cohort_history, receipts, the download ledger) are kept. The sweep also deletes
+// old finished job rows.
+
+const { supabaseAdmin } = require('../config/supabase');
+const retentionConfig = require('../config/retention');
+const { getVcfStorage } = require('./storage');
+const { getCohortDownloadCounts } = require('./downloadLedger');
+const { pruneDoneJobs } = require('./jobs/queue');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase columns and table:
+ *
+ *   ALTER TABLE cluster_cohorts
+ *       ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+ *       ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+ *       ADD COLUMN IF NOT EXISTS expired BOOLEAN NOT NULL DEFAULT FALSE;
+ *
+ *   -- Set by routes/groups/joinGroup.js when the group fills
+ *   ALTER TABLE groups ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ *
+ *   CREATE TABLE IF NOT EXISTS retention_audit (
+ *       id BIGSERIAL PRIMARY KEY,
+ *       resource_type TEXT NOT NULL,     -- 'cohort' or 'group'
+ *       resource_id TEXT NOT NULL,       -- cohort_id or group_id
+ *       cluster_id INT,
+ *       rule TEXT NOT NULL,              -- 'cohort', 'general_group' or 'direct_group'
+ *       reason TEXT NOT NULL,            -- 'all_downloaded' or 'max_age'
+ *       members_deleted INT NOT NULL,
+ *       vcf_deleted BOOLEAN NOT NULL,
+ *       purged_at TIMESTAMPTZ NOT NULL
+ *   );
+ */
+
+/**
+ * Returns the rule that applies to a resource.
+ * @param {'cohort'|'general_group'|'direct_group'} kind
+ * @param {Object} [scope]
+ * @param {number} [scope.cluster_id] - Cohorts only: applies the cluster's override, if any.
+ * @param {Object} [config] - Defaults to config/retention.js.
+ * @returns {{allDownloaded: boolean, maxAgeHours: number|null}}
+ */
+function getRetentionRule(kind, { cluster_id = null } = {}, config = retentionConfig) {
+    const base = config.rules[kind];
+    const override = kind === 'cohort' && cluster_id !== null ? config.clusters[cluster_id] : null;
+    return override ? { ...base, ...override } : base;
+}
+
+const isAtOrBefore = (timestamp, now) => !!timestamp && new Date(timestamp).getTime() <= now.getTime();
+
+/**
+ * Removes a stored VCF. A file that is already gone is not an error.
+ * @returns {Promise<boolean>} Whether a file was deleted (false when there was none to delete).
+ */
+async function removeVcf(storageKey) {
+    return getVcfStorage().remove(storageKey);
+}
+
+async function writeAudit(entry) {
+    const { error } = await supabase
+        .from('retention_audit')
+        .insert([entry]);
+
+    if (error) {
+        logger.error('Retention: failed to write audit record', { resource_type: entry.resource_type, resource_id: entry.resource_id, error: error.message });
+    }
+}
+
+// --- Cohorts ---------------------------------------------------------------------------------
+
+async function purgeCohort(cohort, reason, now) {
+    const vcf_deleted = cohort.vcf_file_name ? await removeVcf(cohort.vcf_file_name) : false;
+
+    const { data: deleted, error: membersError } = await supabase
+        .from('cluster_cohort_members')
+        .delete()
+        .eq('cohort_id', cohort.cohort_id)
+        .select('user_id');
+
+    if (membersError) throw membersError;
+
+    // The file is gone from now on, so an early purge also moves the cohort's expiry forward
+    const expires_at = isAtOrBefore(cohort.expires_at, now) ? cohort.expires_at : now.toISOString();
+
+    const { error: cohortError } = await supabase
+        .from('cluster_cohorts')
+        .update({ expired: true, vcf_uploaded: false, expires_at })
+        .eq('cohort_id', cohort.cohort_id);
+
+    if (cohortError) throw cohortError;
+
+    // The purge itself is done; a stale expiry on the permanent record is logged, not retried
+    const { error: historyError } = await supabase
+        .from('cohort_history')
+        .update({ expires_at })
+        .eq('cohort_id', cohort.cohort_id);
+
+    if (historyError) {
+        logger.error('Retention: failed to update cohort history expiry', { cluster_id: cohort.cluster_id, cohort_id: cohort.cohort_id, error: historyError.message });
+    }
+
+    await writeAudit({
+        resource_type: 'cohort',
+        resource_id: cohort.cohort_id,
+        cluster_id: cohort.cluster_id,
+        rule: 'cohort',
+        reason,
+        members_deleted: (deleted || []).length,
+        vcf_deleted,
+        purged_at: now.toISOString(),
+    });
+}
+
+async function sweepCohorts(now, config) {
+    const { data: cohorts, error } = await supabase
+        .from('cluster_cohorts')
+        .select('cohort_id, cluster_id, vcf_file_name, expires_at')
+        .eq('is_full', true)
+        .eq('expired', false);
+
+    if (error) throw error;
+    if (!cohorts || cohorts.length === 0) {
+        return [];
+    }
+
+    const cohortIds = cohorts.map(cohort => cohort.cohort_id);
+    const downloadCounts = await getCohortDownloadCounts(cohortIds);
+
+    const { data: members, error: membersError } = await supabase
+        .from('cluster_cohort_members')
+        .select('cohort_id')
+        .in('cohort_id', cohortIds);
+
+    if (membersError) throw membersError;
+
+    const purged = [];
+    for (const cohort of cohorts) {
+        const rule = getRetentionRule('cohort', { cluster_id: cohort.cluster_id }, config);
+        const memberCount = (members || []).filter(member => member.cohort_id === cohort.cohort_id).length;
+        const allDownloaded = memberCount > 0 && downloadCounts[cohort.cohort_id] >= memberCount;
+
+        // expires_at was set from the cohort rule when the cohort completed
+        let reason = null;
+        if (isAtOrBefore(cohort.expires_at, now)) reason = 'max_age';
+        else if (rule.allDownloaded && allDownloaded) reason = 'all_downloaded';
+        if (!reason) continue;
+
+        try {
+            await purgeCohort(cohort, reason, now);
+            purged.push({ resource_type: 'cohort', resource_id: cohort.cohort_id, reason });
+        } catch (purgeError) {
+            // Left as is; the next run retries
+            logger.error('Retention: failed to purge cohort', { cluster_id: cohort.cluster_id, cohort_id: cohort.cohort_id, error: purgeError.message });
+        }
+    }
+
+    return purged;
+}
+
+// --- Groups ----------------------------------------------------------------------------------
+
+async function purgeGroup(group, kind, reason, now) {
+    const vcf_deleted = kind === 'general_group' && group.vcf_file_name ? await removeVcf(group.vcf_file_name) : false;
+
+    const { data: deleted, error: membersError } = await supabase
+        .from('group_members')
+        .delete()
+        .eq('group_id', group.group_id)
+        .select('user_id');
+
+    if (membersError) throw membersError;
+
+    const { error: groupError } = await supabase
+        .from('groups')
+        .update({ is_completed_and_inactive: true, vcf_uploaded: false })
+        .eq('group_id', group.group_id);
+
+    if (groupError) throw groupError;
+
+    await writeAudit({
+        resource_type: 'group',
+        resource_id: String(group.group_id),
+        cluster_id: null,
+        rule: kind,
+        reason,
+        members_deleted: (deleted || []).length,
+        vcf_deleted,
+        purged_at: now.toISOString(),
+    });
+}
+
+async function sweepGroups(now, config) {
+    const { data: groups, error } = await supabase
+        .from('groups')
+        .select('group_id, vcf_type, vcf_file_name, max_members, completed_at')
+        .lte('completed_at', now.toISOString())
+        .or('is_completed_and_inactive.is.null,is_completed_and_inactive.is.false');
+
+    if (error) throw error;
+    if (!groups || groups.length === 0) {
+        return [];
+    }
+
+    const { data: members, error: membersError } = await supabase
+        .from('group_members')
+        .select('group_id, has_downloaded_vcf')
+        .in('group_id', groups.map(group => group.group_id));
+
+    if (membersError) throw membersError;
+
+    const purged = [];
+    for (const group of groups) {
+        const kind = group.vcf_type === 'general' ? 'general_group' : 'direct_group';
+        const rule = getRetentionRule(kind, {}, config);
+        const groupMembers = (members || []).filter(member => String(member.group_id) === String(group.group_id));
+        const allDownloaded = groupMembers.length >= group.max_members && groupMembers.every(member => member.has_downloaded_vcf);
+        const pastMaxAge = rule.maxAgeHours !== null
+            && new Date(group.completed_at).getTime() + rule.maxAgeHours * HOUR_MS <= now.getTime();
+
+        let reason = null;
+        if (pastMaxAge) reason = 'max_age';
+        else if (rule.allDownloaded && allDownloaded) reason = 'all_downloaded';
+        if (!reason) continue;
+
+        try {
+            await purgeGroup(group, kind, reason, now);
+            purged.push({ resource_type: 'group', resource_id: String(group.group_id), reason });
+        } catch (purgeError) {
+            logger.error('Retention: failed to purge group', { group_id: group.group_id, error: purgeError.message });
+        }
+    }
+
+    return purged;
+}
+
+// --- Job -------------------------------------------------------------------------------------
+
+/**
+ * Runs one retention pass over cohorts and groups.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time).
+ * @param {Object} [options.config] - Defaults to config/retention.js.
+ * @returns {Promise<{success: boolean, purged: Array<{resource_type: string, resource_id: string, reason: string}>, message?: string}>}
+ */
+async function runRetentionSweep({ now = new Date(), config = retentionConfig } = {}) {
+    const purged = [];
+
+    for (const [name, sweep] of [['cohorts', sweepCohorts], ['groups', sweepGroups]]) {
+        try {
+            purged.push(...await sweep(now, config));
+        } catch (error) {
+            logger.error('Retention: sweep failed', { sweep: name, error: error.message });
+            return { success: false, purged, message: error.message };
+        }
+    }
+
+    if (purged.length > 0) {
+        logger.info('Retention: purged member data', { count: purged.length, purged });
+    }
+
+    // Housekeeping only: a failure here does not fail the sweep, the next one tries again
+    try {
+        const pruned = await pruneDoneJobs(new Date(now.getTime() - config.doneJobsMaxAgeHours * HOUR_MS));
+        if (pruned > 0) {
+            logger.info('Retention: pruned finished jobs', { count: pruned });
+        }
+    } catch (error) {
+        logger.error('Retention: failed to prune finished jobs', { error: error.message });
+    }
+
+    return { success: true, purged };
+}
+
+module.exports = {
+    getRetentionRule,
+    runRetentionSweep,
+};
@@ -0,0 +1,121 @@
+// services/roleService.js
+// Server-side user roles. Roles live in the `user_roles` table (never in anything the client can
+// edit), and are checked by requireRole() in middleware/authMiddleware.js.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { logger } = require('../utils/logger');
+
+const supabase = supabaseAdmin;
+
+/**
+ * Known roles:
+ * - admin:       full access to every admin endpoint, including granting and revoking roles.
+ * - moderator:   read-only admin views (VCF status, cluster statistics, cohort history).
+ * - group-owner: may close any DIRECT group, not only their own (POST /api/groups/close).
+ */
+const ROLES = ['admin', 'moderator', 'group-owner'];
+
+// Comma-separated user IDs that are always treated as admins, so the first admin can be bootstrapped.
+const BOOTSTRAP_ADMIN_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+/*
+ * NOTE: For this service to work, you must create the following Supabase table:
+ *
+ *   CREATE TABLE IF NOT EXISTS user_roles (
+ *       user_id UUID NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+ *       role TEXT NOT NULL CHECK (role IN ('admin', 'moderator', 'group-owner')),
+ *       granted_by UUID,
+ *       granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *       PRIMARY KEY (user_id, role)
+ *   );
+ *   -- Only the service role may read or write roles.
+ *   ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+ */
+
+/**
+ * Returns the roles held by a user.
+ * @param {string} user_id
+ * @returns {Promise<Array<string>>}
+ */
+async function getUserRoles(user_id) {
+    const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', user_id);
+
+    if (error) throw error;
+
+    const roles = (data || []).map(row => row.role);
+    if (BOOTSTRAP_ADMIN_IDS.includes(user_id) && !roles.includes('admin')) {
+        roles.push('admin');
+    }
+    return roles;
+}
+
+/**
+ * Grants a role to a user. Granting a role the user already holds is a no-op.
+ * @param {string} user_id
+ * @param {string} role - One of ROLES.
+ * @param {string} granted_by - The admin performing the grant.
+ * @returns {Promise<{success: boolean, roles?: Array<string>, reason?: string, message?: string}>}
+ *   `reason` is 'unknown_role' for a role outside ROLES.
+ */
+async function grantRole(user_id, role, granted_by) {
+    if (!ROLES.includes(role)) {
+        return { success: false, reason: 'unknown_role', message: `Unknown role "${role}". Use one of: ${ROLES.join(', ')}.` };
+    }
+
+    const { error } = await supabase
+        .from('user_roles')
+        .upsert({ user_id, role, granted_by, granted_at: new Date().toISOString() }, { onConflict: 'user_id,role' });
+
+    if (error) {
+        logger.error('Roles: grant failed', { user_id, role, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    logger.info('Roles: granted', { user_id, role, granted_by });
+    return { success: true, roles: await getUserRoles(user_id) };
+}
+
+/**
+ * Revokes a role from a user.
+ * @param {string} user_id
+ * @param {string} role - One of ROLES.
+ * @param {string} revoked_by - The admin performing the revocation.
+ * @returns {Promise<{success: boolean, roles?: Array<string>, reason?: string, message?: string}>}
+ *   `reason` is 'unknown_role' for a role outside ROLES, or 'self_revoke' for an admin revoking their own admin role.
+ */
+async function revokeRole(user_id, role, revoked_by) {
+    if (!ROLES.includes(role)) {
+        return { success: false, reason: 'unknown_role', message: `Unknown role "${role}". Use one of: ${ROLES.join(', ')}.` };
+    }
+    // Prevents an admin from locking themselves out
+    if (role === 'admin' && user_id === revoked_by) {
+        return { success: false, reason: 'self_revoke', message: 'You cannot revoke your own admin role.' };
+    }
+
+    const { error } = await supabase
+        .from('user_roles')
+        .delete()
+        .eq('user_id', user_id)
+        .eq('role', role);
+
+    if (error) {
+        logger.error('Roles: revoke failed', { user_id, role, error: error.message });
+        return { success: false, message: error.message };
+    }
+
+    logger.info('Roles: revoked', { user_id, role, revoked_by });
+    return { success: true, roles: await getUserRoles(user_id) };
+}
+
+module.exports = {
+    ROLES,
+    getUserRoles,
+    grantRole,
+    revokeRole,
+};
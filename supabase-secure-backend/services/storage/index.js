@@ -0,0 +1,70 @@
+// services/storage/index.js
+// Entry point for VCF file storage. Routes call getVcfStorage() and use the adapter interface:
+//   put(key, content, { contentType }), get(key), stream(key), getSignedUrl(key, expiresIn),
+//   getSignedUploadUrl(key), remove(key) (resolves to whether an object was actually deleted)
+// Keys are plain file names (e.g. Cluster_Contacts_C_1_ab12cd34_<random>.vcf) built by createStorageKey();
+// the adapter owns bucket and folder. Keys are never sent to browsers (see services/downloadTickets.js).
+// Missing objects reject with an Error whose code is 'ENOENT' on every adapter.
+
+const crypto = require('crypto');
+const storageConfig = require('../../config/storage');
+const { createLocalDiskStorage } = require('./localDiskAdapter');
+const { createSupabaseStorage } = require('./supabaseAdapter');
+
+let vcfStorage = null;
+
+/**
+ * Builds the adapter selected by config/storage.js.
+ */
+function createVcfStorage(config = storageConfig) {
+    if (config.driver === 'local') {
+        return createLocalDiskStorage({
+            rootDir: config.localDir,
+            prefix: config.prefix,
+            signingSecret: config.signingSecret,
+            publicBaseUrl: config.publicBaseUrl,
+        });
+    }
+
+    if (config.driver === 'supabase') {
+        // Required lazily so the local driver can run without Supabase credentials.
+        const { supabaseAdmin } = require('../../config/supabase');
+        return createSupabaseStorage({ client: supabaseAdmin, bucket: config.bucket, prefix: config.prefix });
+    }
+
+    throw new Error(`Unknown VCF_STORAGE_DRIVER "${config.driver}". Use "supabase" or "local".`);
+}
+
+/**
+ * Builds a new storage key for a VCF. The random suffix keeps keys unguessable even when the
+ * readable part (cluster, cohort or group id) is known.
+ * @param {string} base - Readable part, e.g. 'Cluster_Contacts_C_1_ab12cd34'.
+ * @returns {string}
+ */
+function createStorageKey(base) {
+    return `${base}_${crypto.randomBytes(12).toString('hex')}.vcf`;
+}
+
+/**
+ * Returns the process-wide storage adapter, creating it on first use.
+ */
+function getVcfStorage() {
+    if (!vcfStorage) {
+        vcfStorage = createVcfStorage();
+    }
+    return vcfStorage;
+}
+
+/**
+ * Replaces the process-wide adapter (e.g. with a local-disk adapter in tests).
+ */
+function setVcfStorage(adapter) {
+    vcfStorage = adapter;
+}
+
+module.exports = {
+    createVcfStorage,
+    createStorageKey,
+    getVcfStorage,
+    setVcfStorage,
+};
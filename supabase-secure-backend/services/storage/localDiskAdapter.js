@@ -0,0 +1,101 @@
+// services/storage/localDiskAdapter.js
+// Storage adapter that keeps VCF files on the local filesystem.
+// Used for offline development and tests; signed URLs are served by routes/storage/localFiles.js.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mount point of routes/storage/localFiles.js under /api/v1.
+const LOCAL_FILES_ROUTE = '/api/v1/storage/local';
+
+/**
+ * Creates the local-disk adapter.
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory that holds all stored files.
+ * @param {string} [options.prefix] - Sub-folder mirroring the Supabase bucket folder.
+ * @param {string} options.signingSecret - HMAC secret for signed URLs.
+ * @param {string} [options.publicBaseUrl] - Origin prepended to signed URLs.
+ * @returns {Object} The storage adapter.
+ */
+function createLocalDiskStorage({ rootDir, prefix = '', signingSecret, publicBaseUrl = '' }) {
+    const baseDir = path.resolve(rootDir, prefix || '');
+
+    // Resolves a key to a file path, refusing keys that escape the storage directory.
+    const filePath = key => {
+        const resolved = path.resolve(baseDir, String(key));
+        if (!resolved.startsWith(baseDir + path.sep)) {
+            throw new Error(`Invalid storage key "${key}".`);
+        }
+        return resolved;
+    };
+
+    const sign = (key, method, expires) => crypto
+        .createHmac('sha256', signingSecret)
+        .update(`${method}:${key}:${expires}`)
+        .digest('hex');
+
+    const signedUrl = (key, method, expiresIn) => {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const signature = sign(key, method, expires);
+        return `${publicBaseUrl}${LOCAL_FILES_ROUTE}/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+    };
+
+    return {
+        driver: 'local',
+
+        async put(key, content) {
+            const target = filePath(key);
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+            await fsp.writeFile(target, content);
+        },
+
+        async get(key) {
+            return fsp.readFile(filePath(key));
+        },
+
+        async stream(key) {
+            const target = filePath(key);
+            await fsp.access(target); // Surface ENOENT before any headers are sent
+            return fs.createReadStream(target);
+        },
+
+        async getSignedUrl(key, expiresIn = 60) {
+            return signedUrl(key, 'GET', expiresIn);
+        },
+
+        async getSignedUploadUrl(key, expiresIn = 2 * 60 * 60) {
+            return signedUrl(key, 'PUT', expiresIn);
+        },
+
+        async remove(key) {
+            try {
+                await fsp.unlink(filePath(key));
+                return true;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                return false;
+            }
+        },
+
+        /**
+         * Checks a signature produced by getSignedUrl/getSignedUploadUrl.
+         * @returns {boolean} True when the signature matches and has not expired.
+         */
+        verifySignature(key, method, expires, signature) {
+            const expiresNum = parseInt(expires, 10);
+            if (!signature || isNaN(expiresNum) || expiresNum < Math.floor(Date.now() / 1000)) {
+                return false;
+            }
+            const expected = Buffer.from(sign(key, method, expiresNum));
+            const received = Buffer.from(String(signature));
+            return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+        },
+    };
+}
+
+module.exports = {
+    createLocalDiskStorage,
+    LOCAL_FILES_ROUTE,
+};
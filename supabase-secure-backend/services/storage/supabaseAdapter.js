@@ -0,0 +1,78 @@
+// services/storage/supabaseAdapter.js
+// Storage adapter backed by a Supabase Storage bucket.
+
+const { Readable } = require('stream');
+
+/**
+ * Normalizes a Supabase Storage error into an Error carrying `code = 'ENOENT'` for missing objects,
+ * matching what the local-disk adapter throws.
+ */
+function toStorageError(operation, key, error) {
+    const err = new Error(`Storage ${operation} failed for "${key}": ${error.message || error}`);
+    const status = String(error.statusCode || error.status || '');
+    if (status === '404' || /not found/i.test(error.message || '')) {
+        err.code = 'ENOENT';
+    }
+    return err;
+}
+
+/**
+ * Creates the Supabase Storage adapter.
+ * @param {Object} options
+ * @param {Object} options.client - A Supabase client with storage access (service role).
+ * @param {string} options.bucket - The bucket holding VCF files.
+ * @param {string} [options.prefix] - Folder inside the bucket.
+ * @returns {Object} The storage adapter.
+ */
+function createSupabaseStorage({ client, bucket, prefix }) {
+    const objectPath = key => (prefix ? `${prefix}/${key}` : key);
+    const bucketApi = () => client.storage.from(bucket);
+
+    return {
+        driver: 'supabase',
+
+        async put(key, content, { contentType = 'application/octet-stream', upsert = true } = {}) {
+            const { error } = await bucketApi().upload(objectPath(key), content, { contentType, upsert });
+            if (error) throw toStorageError('put', key, error);
+        },
+
+        async get(key) {
+            const { data, error } = await bucketApi().download(objectPath(key));
+            if (error) throw toStorageError('get', key, error);
+            if (!data) throw toStorageError('get', key, { statusCode: 404, message: 'Object not found' });
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        async stream(key) {
+            const signedUrl = await this.getSignedUrl(key, 60);
+            const response = await fetch(signedUrl);
+            if (!response.ok) {
+                throw toStorageError('stream', key, { statusCode: response.status, message: response.statusText });
+            }
+            return Readable.fromWeb(response.body);
+        },
+
+        async getSignedUrl(key, expiresIn = 60) {
+            const { data, error } = await bucketApi().createSignedUrl(objectPath(key), expiresIn);
+            if (error || !data?.signedUrl) throw toStorageError('sign', key, error || 'No signed URL returned');
+            return data.signedUrl;
+        },
+
+        async getSignedUploadUrl(key) {
+            const { data, error } = await bucketApi().createSignedUploadUrl(objectPath(key));
+            if (error || !data?.signedUrl) throw toStorageError('sign upload', key, error || 'No signed URL returned');
+            return data.signedUrl;
+        },
+
+        async remove(key) {
+            // Storage lists the objects it deleted; a missing one is simply left out
+            const { data, error } = await bucketApi().remove([objectPath(key)]);
+            if (error) throw toStorageError('remove', key, error);
+            return (data || []).length > 0;
+        },
+    };
+}
+
+module.exports = {
+    createSupabaseStorage,
+};
@@ -0,0 +1,68 @@
+// test/adminAccess.test.js
+// Role checks on the admin routes (middleware/authMiddleware.js requireRole): signed-in users
+// without the role get 403 ROLE_REQUIRED and nothing changes.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+
+describe('admin routes', () => {
+    let app, db, createUser, createAdmin;
+
+    beforeEach(() => {
+        ({ app, db, createUser, createAdmin } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 3 }],
+        }));
+    });
+
+    const adminOnly = [
+        ['get', '/api/v1/admin/clusters'],
+        ['post', '/api/v1/admin/clusters', { name: 'Designers', max_members: 5 }],
+        ['get', '/api/v1/cohorts/1/members'],
+        ['get', '/api/v1/cohorts/1/download-vcf'],
+        ['get', '/api/v1/admin/jobs'],
+        ['get', '/api/v1/admin/reconciliation'],
+        ['post', '/api/v1/admin/roles/grant', { role: 'admin' }],
+    ];
+
+    for (const [method, path, body] of adminOnly) {
+        it(`refuses ${method.toUpperCase()} ${path} to a signed-in user without the admin role`, async () => {
+            const alice = await createUser();
+            const before = JSON.stringify(db.rows('dynamic_clusters')) + JSON.stringify(db.rows('user_roles'));
+
+            const res = await request(app)[method](path).set(alice.auth).send(body && { ...body, user_id: alice.id });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'ROLE_REQUIRED');
+            assert.deepEqual(res.body.details.required_roles, ['admin']);
+            assert.equal(JSON.stringify(db.rows('dynamic_clusters')) + JSON.stringify(db.rows('user_roles')), before);
+        });
+    }
+
+    it('requires a bearer token', async () => {
+        const res = await request(app).get('/api/v1/admin/clusters');
+
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'UNAUTHORIZED');
+    });
+
+    it('gives moderators the read-only views but not the admin-only routes', async () => {
+        const moderator = await createAdmin(['moderator']);
+
+        const history = await request(app).get('/api/v1/cohorts/1/history').set(moderator.auth);
+        assert.equal(history.status, 200);
+
+        const clusters = await request(app).get('/api/v1/admin/clusters').set(moderator.auth);
+        assert.equal(clusters.status, 403);
+        assert.equal(clusters.body.code, 'ROLE_REQUIRED');
+    });
+
+    it('serves the admin routes to admins', async () => {
+        const admin = await createAdmin();
+
+        const res = await request(app).get('/api/v1/admin/clusters').set(admin.auth);
+
+        assert.equal(res.status, 200);
+    });
+});
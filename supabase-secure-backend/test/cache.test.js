@@ -0,0 +1,181 @@
+// test/cache.test.js
+// The read cache (services/cache/) and conditional GETs (middleware/conditionalGet.js): ETag and
+// Last-Modified validators, 304 answers, and the cached bodies being dropped by joins, leaves,
+// admin resets, signups and referrals.
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { getCacheStore, clusterListKey, clusterStatsKey, leaderboardKey, invalidateClusterReads } = require('../services/cache');
+
+describe('cached reads', () => {
+    let app, db, createUser, createAdmin;
+    let alice;
+
+    const join = (user, body = {}) => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: 1, ...body });
+    const leave = user => request(app).post('/api/v1/leave-cluster').set(user.auth).send({ cluster_id: 1 });
+    const stats = etag => {
+        const req = request(app).get('/api/v1/cluster-stats').query({ cluster_id: 1 });
+        return etag ? req.set('If-None-Match', etag) : req;
+    };
+    const cached = key => getCacheStore().get(key);
+
+    beforeEach(async () => {
+        ({ app, db, createUser, createAdmin } = createTestApp({
+            dynamic_clusters: [
+                { id: 1, name: 'Developers', max_members: 3 },
+                { id: 2, name: 'Designers', max_members: 3 },
+            ],
+        }));
+        alice = await createUser({ nickname: 'Alice' });
+        await join(alice);
+    });
+
+    describe('conditional GET', () => {
+        it('sends a content-hash ETag, Last-Modified and no-cache', async () => {
+            const res = await request(app).get('/api/v1/secure-data');
+
+            assert.equal(res.status, 200);
+            assert.match(res.headers.etag, /^"[A-Za-z0-9_-]{27}"$/);
+            assert.ok(!isNaN(Date.parse(res.headers['last-modified'])));
+            assert.equal(res.headers['cache-control'], 'no-cache');
+        });
+
+        it('answers 304 without a body while If-None-Match or If-Modified-Since still match', async () => {
+            const first = await stats();
+            const { etag, 'last-modified': lastModified } = first.headers;
+
+            const byEtag = await stats(etag);
+            assert.equal(byEtag.status, 304);
+            assert.equal(byEtag.text, '');
+            assert.equal(byEtag.headers.etag, etag);
+
+            const byDate = await stats().set('If-Modified-Since', lastModified);
+            assert.equal(byDate.status, 304);
+
+            const otherEtag = await stats('"something-else"');
+            assert.equal(otherEtag.status, 200);
+            assert.deepEqual(otherEtag.body, first.body);
+        });
+
+        it('serves a repeated read from the cache without querying', async () => {
+            await stats();
+            const from = mock.method(db, 'from');
+            try {
+                assert.equal((await stats()).status, 200);
+                assert.equal(from.mock.callCount(), 0);
+            } finally {
+                mock.restoreAll();
+            }
+        });
+
+        it('keeps the ETag of an unchanged body across invalidations', async () => {
+            const { etag } = (await stats()).headers;
+
+            // Reloaded from the database, the same body hashes to the same validator
+            await invalidateClusterReads(1);
+
+            assert.equal(await cached(clusterStatsKey(1, 'v1', undefined)), undefined);
+            assert.equal((await stats(etag)).status, 304);
+        });
+
+        it('marks signed-in cluster lists private and caches them per caller', async () => {
+            const bob = await createUser();
+
+            const mine = await request(app).get('/api/v1/clusters').set(alice.auth);
+            const theirs = await request(app).get('/api/v1/clusters').set(bob.auth);
+            const anonymous = await request(app).get('/api/v1/clusters');
+
+            assert.equal(mine.headers['cache-control'], 'private, no-cache');
+            assert.equal(anonymous.headers['cache-control'], 'no-cache');
+            assert.deepEqual(mine.body.clusters.map(cluster => cluster.cluster_id), [1]);
+            assert.deepEqual(theirs.body.clusters, []);
+            assert.notEqual(mine.headers.etag, theirs.headers.etag);
+        });
+    });
+
+    describe('invalidation', () => {
+        it('drops a stale cluster stats entry after a join and after a leave', async () => {
+            const before = await stats();
+            assert.equal(before.body.cohort_members.length, 1);
+            const bob = await createUser({ nickname: 'Bob' });
+
+            await join(bob);
+            const afterJoin = await stats(before.headers.etag);
+            assert.equal(afterJoin.status, 200);
+            assert.deepEqual(afterJoin.body.cohort_members.map(member => member.nickname).sort(), ['Alice', 'Bob']);
+
+            await leave(bob);
+            const afterLeave = await stats(afterJoin.headers.etag);
+            assert.equal(afterLeave.status, 200);
+            assert.deepEqual(afterLeave.body.cohort_members.map(member => member.nickname), ['Alice']);
+        });
+
+        it('drops a stale cluster list after a join and after a leave', async () => {
+            const clusters = etag => request(app).get('/api/v1/clusters').set(etag ? { 'If-None-Match': etag } : {});
+            const before = await clusters();
+            const bob = await createUser();
+
+            await join(bob);
+            const afterJoin = await clusters(before.headers.etag);
+            assert.equal(afterJoin.status, 200);
+            assert.equal(afterJoin.body.clusters.find(cluster => cluster.cluster_id === 1).current_members, 2);
+
+            await leave(bob);
+            const afterLeave = await clusters(afterJoin.headers.etag);
+            assert.equal(afterLeave.status, 200);
+            assert.equal(afterLeave.body.clusters.find(cluster => cluster.cluster_id === 1).current_members, 1);
+        });
+
+        it('drops only the changed cluster on a join', async () => {
+            await stats();
+            await request(app).get('/api/v1/clusters').set(alice.auth);
+            const otherStats = clusterStatsKey(2, 'v1', undefined);
+            await getCacheStore().set(otherStats, { value: {}, etag: '"x"', lastModified: new Date().toUTCString() }, 60);
+
+            await join(await createUser());
+
+            assert.equal(await cached(clusterStatsKey(1, 'v1', undefined)), undefined);
+            assert.equal(await cached(clusterListKey(alice.id)), undefined);
+            assert.notEqual(await cached(otherStats), undefined);
+        });
+
+        it('drops the cluster stats and list after an admin reset', async () => {
+            const admin = await createAdmin();
+            await stats();
+            await request(app).get('/api/v1/clusters');
+            const { active_cohort_id } = db.rows('cluster_metadata')[0];
+
+            const reset = await request(app).post('/api/v1/reset-cluster').set(admin.auth).send({ cluster_id: 1, cohort_id: active_cohort_id });
+
+            assert.equal(reset.status, 200);
+            assert.equal(await cached(clusterStatsKey(1, 'v1', undefined)), undefined);
+            assert.equal(await cached(clusterListKey()), undefined);
+            assert.equal((await stats()).status, 404);
+        });
+
+        it('drops the leaderboard after a signup', async () => {
+            const before = await request(app).get('/api/v1/secure-data');
+
+            const signup = await request(app).post('/api/v1/waitlist').send({
+                email: 'carol@example.com', password: 'secret123', nickname: 'Carol', whatsapp_number: '+15550009999',
+            });
+
+            assert.equal(signup.status, 201);
+            const after = await request(app).get('/api/v1/secure-data').set('If-None-Match', before.headers.etag);
+            assert.equal(after.status, 200);
+            assert.ok(after.body.some(profile => profile.nickname === 'Carol'));
+        });
+
+        it('drops the leaderboard after a join with a referral code, and not after one without', async () => {
+            await request(app).get('/api/v1/secure-data');
+
+            await join(await createUser());
+            assert.notEqual(await cached(leaderboardKey('secure_data')), undefined);
+
+            await join(await createUser(), { p_ref_code: 'ALICE42' });
+            assert.equal(await cached(leaderboardKey('secure_data')), undefined);
+        });
+    });
+});
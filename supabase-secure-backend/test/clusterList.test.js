@@ -0,0 +1,65 @@
+// test/clusterList.test.js
+// GET /api/v1/clusters: the public cluster list and the signed-in caller's memberships.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+
+describe('GET /api/v1/clusters', () => {
+    let app, db, createUser, runJobs;
+
+    beforeEach(() => {
+        ({ app, db, createUser, runJobs } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 2 }, { id: 2, name: 'Designers', max_members: 2 }],
+            cluster_metadata: [
+                { cluster_id: 1, cluster_name: 'Developers', max_members: 2, current_members: 0, active_cohort_id: null },
+                { cluster_id: 2, cluster_name: 'Designers', max_members: 2, current_members: 0, active_cohort_id: null },
+            ],
+        }));
+    });
+
+    it('never exposes the stored contact file', async () => {
+        const members = [await createUser(), await createUser()];
+        for (const member of members) {
+            await request(app).post('/api/v1/join-cluster').set(member.auth).send({ p_cluster_id: 1 });
+        }
+        await runJobs();
+
+        const anonymous = await request(app).get('/api/v1/clusters');
+        const signedIn = await request(app).get('/api/v1/clusters').set(members[0].auth);
+
+        for (const res of [anonymous, signedIn]) {
+            assert.equal(res.status, 200);
+            for (const cluster of res.body.clusters) {
+                assert.equal('vcf_file_name' in cluster, false);
+                assert.equal('vcf_uploaded' in cluster, false);
+            }
+        }
+        assert.deepEqual(anonymous.body.clusters.map(cluster => cluster.cluster_id), [1, 2]);
+        assert.deepEqual(signedIn.body.clusters.map(cluster => cluster.cluster_id), [1]);
+    });
+
+    it('reports user_has_downloaded from the download ledger', async () => {
+        const members = [await createUser(), await createUser()];
+        for (const member of members) {
+            await request(app).post('/api/v1/join-cluster').set(member.auth).send({ p_cluster_id: 1 });
+        }
+        await runJobs();
+
+        // Cached before the download; the download must invalidate it
+        assert.equal((await request(app).get('/api/v1/clusters').set(members[0].auth)).body.clusters[0].user_has_downloaded, false);
+
+        const ticket = await request(app).post('/api/v1/download-tickets').set(members[0].auth).send({ cluster_id: 1 });
+        assert.equal((await request(app).get(ticket.body.download_url)).status, 200);
+
+        // A membership column set by anything other than a served download does not count
+        await db.from('cluster_cohort_members').update({ vcf_downloaded_at: new Date().toISOString() }).eq('user_id', members[1].id);
+
+        const downloaded = await request(app).get('/api/v1/clusters').set(members[0].auth);
+        const notDownloaded = await request(app).get('/api/v1/clusters').set(members[1].auth);
+
+        assert.equal(downloaded.body.clusters[0].user_has_downloaded, true);
+        assert.equal(notDownloaded.body.clusters[0].user_has_downloaded, false);
+    });
+});
@@ -0,0 +1,144 @@
+// test/clusterQueue.test.js
+// The cluster queue (services/clusterQueue.js): only reachable while the open cohort is full
+// without having completed, and drained oldest first when a member leaves or max_members changes.
+// Also how PUT /api/v1/admin/clusters/:id keeps max_members from leaving the open cohort stuck.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { invalidateClusterReads } = require('../services/cache');
+
+describe('cluster queue', () => {
+    let app, db, createUser, createAdmin;
+    let admin, members;
+
+    const join = user => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: 1 });
+    const enqueue = user => request(app).post('/api/v1/cluster-queue/join').set(user.auth).send({ cluster_id: 1, display_profession: true });
+    const setMaxMembers = max_members => request(app).put('/api/v1/admin/clusters/1').set(admin.auth).send({ max_members });
+    const memberIds = () => db.rows('cluster_cohort_members').map(member => member.user_id);
+    // The API no longer lets the open cohort end up full without completing; older data still can
+    const fillWithoutCompleting = async () => {
+        await db.from('cluster_metadata').update({ max_members: 3 }).eq('cluster_id', 1);
+        await invalidateClusterReads(1);
+    };
+
+    beforeEach(async () => {
+        ({ app, db, createUser, createAdmin } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 4 }],
+        }));
+        admin = await createAdmin();
+        members = [await createUser(), await createUser(), await createUser()];
+        for (const member of members) await join(member);
+    });
+
+    it('refuses to queue for a cluster with a free spot', async () => {
+        const res = await enqueue(await createUser());
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'COHORT_NOT_FULL');
+        assert.deepEqual(db.rows('cluster_queue'), []);
+    });
+
+    it('completes the open cohort when max_members drops to its size', async () => {
+        const res = await setMaxMembers(3);
+
+        assert.equal(res.status, 200);
+        const [completed] = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+        assert.equal(db.rows('cluster_cohort_members').filter(member => member.cohort_id === completed.cohort_id).length, 3);
+        assert.equal(db.rows('jobs').filter(job => job.type === 'cohort_vcf').length, 1);
+
+        // Newcomers join the rollover cohort instead of being turned away
+        const dave = await createUser();
+        const joined = await join(dave);
+        assert.equal(joined.status, 200);
+        assert.equal(joined.body.current_members, 1);
+        assert.notEqual(joined.body.cohort_id, completed.cohort_id);
+        assert.equal(db.rows('cluster_metadata')[0].active_cohort_id, joined.body.cohort_id);
+    });
+
+    it('refuses a max_members below the open cohort size', async () => {
+        const res = await setMaxMembers(2);
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'MAX_MEMBERS_BELOW_COHORT_SIZE');
+        assert.equal(res.body.details.current_members, 3);
+        assert.equal(db.rows('cluster_metadata')[0].max_members, 4);
+        assert.deepEqual(db.rows('cluster_cohorts').filter(cohort => cohort.is_full), []);
+    });
+
+    it('queues users while the open cohort is full without having completed', async () => {
+        await fillWithoutCompleting();
+        const dave = await createUser();
+
+        const refused = await join(dave);
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.code, 'COHORT_FULL');
+        assert.equal(refused.body.details.can_enqueue, true);
+
+        const queued = await enqueue(dave);
+        assert.equal(queued.status, 200);
+        assert.equal(queued.body.user_is_member, false);
+        assert.equal(queued.body.queue_position, 1);
+        assert.equal(memberIds().includes(dave.id), false);
+    });
+
+    it('places queued users in the rollover cohort when max_members completes the open one', async () => {
+        await fillWithoutCompleting();
+        const dave = await createUser();
+        await enqueue(dave);
+
+        assert.equal((await setMaxMembers(3)).status, 200);
+
+        const [completed] = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+        const daveCohort = db.rows('cluster_cohort_members').find(member => member.user_id === dave.id).cohort_id;
+        assert.notEqual(daveCohort, completed.cohort_id);
+        assert.equal(db.rows('cluster_metadata')[0].active_cohort_id, daveCohort);
+        assert.deepEqual(db.rows('cluster_queue'), []);
+    });
+
+    it('gives the spot freed by a leave to the oldest queued user', async () => {
+        await fillWithoutCompleting();
+        const [dave, erin] = [await createUser(), await createUser()];
+        await enqueue(dave);
+        await enqueue(erin);
+
+        const left = await request(app).post('/api/v1/leave-cluster').set(members[0].auth).send({ cluster_id: 1 });
+        assert.equal(left.status, 200);
+
+        // Dave takes the freed spot, which completes the cohort; Erin starts the next one
+        const [completed] = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+        const cohortOf = user => db.rows('cluster_cohort_members').find(member => member.user_id === user.id)?.cohort_id;
+        assert.equal(cohortOf(dave), completed.cohort_id);
+        assert.equal(cohortOf(members[1]), completed.cohort_id);
+        assert.notEqual(cohortOf(erin), undefined);
+        assert.notEqual(cohortOf(erin), completed.cohort_id);
+        assert.deepEqual(db.rows('cluster_queue'), []);
+        assert.equal(db.rows('cluster_cohort_members').find(member => member.user_id === dave.id).display_profession, true);
+        assert.equal(db.rows('jobs').filter(job => job.type === 'cohort_vcf').length, 1);
+        assert.equal(left.body.current_members, 1);
+    });
+
+    it('places queued users when max_members is raised', async () => {
+        await fillWithoutCompleting();
+        const dave = await createUser();
+        await enqueue(dave);
+
+        await setMaxMembers(5);
+
+        assert.equal(memberIds().includes(dave.id), true);
+        assert.deepEqual(db.rows('cluster_queue'), []);
+        const status = await request(app).get('/api/v1/cohort-status').query({ cluster_id: 1 }).set(dave.auth);
+        assert.equal(status.body.current_members, 4);
+        assert.equal(status.body.queue_position, null);
+    });
+
+    it('lets a member leave a full cohort that has not completed', async () => {
+        await fillWithoutCompleting();
+
+        const res = await request(app).post('/api/v1/leave-cluster').set(members[0].auth).send({ cluster_id: 1 });
+
+        assert.equal(res.status, 200);
+        assert.equal(memberIds().length, 2);
+    });
+});
@@ -0,0 +1,335 @@
+// test/clusters.test.js
+// Cluster membership: join (with rollover on completion), leave, the admin reset and the
+// deprecated unversioned routes.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { BUILTIN_RPCS } = require('../dev/memorySupabase');
+
+describe('cluster membership', () => {
+    let app, db, createUser, createAdmin, runJobs;
+
+    beforeEach(() => {
+        ({ app, db, createUser, createAdmin, runJobs } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 3 }],
+        }));
+    });
+
+    const join = (user, body = { p_cluster_id: 1 }) => request(app).post('/api/v1/join-cluster').set(user.auth).send(body);
+    const status = user => request(app).get('/api/v1/cohort-status').query({ cluster_id: 1 }).set(user.auth);
+
+    describe('POST /api/v1/join-cluster', () => {
+        it('adds the caller to the open cohort', async () => {
+            const alice = await createUser();
+
+            const res = await join(alice);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.success, true);
+            assert.equal(res.body.user_is_member, true);
+            assert.equal(res.body.current_members, 1);
+            assert.equal(res.body.spots_left, 2);
+            assert.equal(res.body.vcf_file_name, undefined);
+            assert.equal(db.rows('cluster_cohort_members').length, 1);
+        });
+
+        it('reports an existing membership instead of joining twice', async () => {
+            const alice = await createUser();
+            await join(alice);
+
+            const res = await join(alice);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user_is_member, true);
+            assert.equal(db.rows('cluster_cohort_members').length, 1);
+        });
+
+        it('completes the cohort on the last spot and opens the next one', async () => {
+            const users = [await createUser(), await createUser(), await createUser()];
+            for (const user of users.slice(0, 2)) await join(user);
+
+            const res = await join(users[2]);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.is_full, true);
+            assert.equal(res.body.vcf_status, 'generating');
+
+            const [completed] = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+            assert.equal(completed.cohort_id, res.body.cohort_id);
+            assert.notEqual(res.body.active_cohort_id, completed.cohort_id);
+            assert.equal(db.rows('jobs').filter(job => job.type === 'cohort_vcf').length, 1);
+
+            // A newcomer lands in the rollover cohort
+            const dave = await createUser();
+            const next = await join(dave);
+            assert.equal(next.status, 200);
+            assert.equal(next.body.cohort_id, res.body.active_cohort_id);
+            assert.equal(next.body.current_members, 1);
+        });
+
+        it('returns 404 for an unknown cluster', async () => {
+            const alice = await createUser();
+
+            const res = await join(alice, { p_cluster_id: 99 });
+
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'CLUSTER_NOT_FOUND');
+        });
+
+        it('requires a bearer token', async () => {
+            const res = await request(app).post('/api/v1/join-cluster').send({ p_cluster_id: 1 });
+
+            assert.equal(res.status, 401);
+            assert.equal(res.body.code, 'UNAUTHORIZED');
+        });
+
+        it('rejects a user_id that names someone else', async () => {
+            const alice = await createUser();
+            const bob = await createUser();
+
+            const res = await join(alice, { p_cluster_id: 1, p_user_id: bob.id });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'USER_ID_MISMATCH');
+        });
+    });
+
+    describe('parallel joins', () => {
+        it('never overfills a cohort and completes each cohort exactly once', async () => {
+            const users = [];
+            for (let i = 0; i < 10; i++) users.push(await createUser());
+
+            // Both join routes, interleaved: the legacy one must take the same path
+            const responses = await Promise.all(users.map((user, i) => (i % 2
+                ? request(app).post('/api/cohorts/1/join').set(user.auth)
+                : join(user))));
+
+            assert.deepEqual(responses.map(res => res.status), users.map(() => 200));
+
+            const members = db.rows('cluster_cohort_members');
+            assert.equal(members.length, 10);
+            const sizes = {};
+            members.forEach(member => { sizes[member.cohort_id] = (sizes[member.cohort_id] || 0) + 1; });
+            assert.deepEqual(Object.values(sizes).sort(), [1, 3, 3, 3]);
+
+            const completed = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+            assert.equal(completed.length, 3);
+            completed.forEach(cohort => assert.equal(sizes[cohort.cohort_id], 3));
+            assert.equal(db.rows('jobs').filter(job => job.type === 'cohort_vcf').length, 3);
+            assert.equal(db.rows('cohort_history').length, 3);
+        });
+    });
+
+    describe('POST /api/cohorts/:cluster_id/join (legacy)', () => {
+        it('completes the cohort like /api/v1/join-cluster and marks the route deprecated', async () => {
+            const users = [await createUser(), await createUser(), await createUser()];
+            for (const user of users.slice(0, 2)) await join(user);
+
+            const res = await request(app).post('/api/cohorts/1/join').set(users[2].auth);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Successfully joined cluster.');
+            assert.equal(res.body.is_full, true);
+            assert.equal(res.body.current_members, 3);
+            assert.ok(res.headers.deprecation);
+            assert.match(res.headers.link, /<\/api\/v1\/join-cluster>/);
+            assert.equal(db.rows('cluster_cohorts').filter(cohort => cohort.is_full).length, 1);
+            assert.equal(db.rows('jobs').filter(job => job.type === 'cohort_vcf').length, 1);
+            assert.notEqual(db.rows('cluster_metadata')[0].active_cohort_id, db.rows('cluster_cohorts')[0].cohort_id);
+        });
+    });
+
+    describe('POST /api/v1/leave-cluster', () => {
+        const leave = user => request(app).post('/api/v1/leave-cluster').set(user.auth).send({ cluster_id: 1 });
+
+        it('removes the caller and frees the spot', async () => {
+            const alice = await createUser();
+            const bob = await createUser();
+            await join(alice);
+            await join(bob);
+
+            const res = await leave(alice);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Successfully left cluster.');
+            assert.equal(res.body.current_members, 1);
+            assert.equal(res.headers.deprecation, undefined);
+            assert.deepEqual(db.rows('cluster_cohort_members').map(member => member.user_id), [bob.id]);
+            assert.equal((await status(alice)).body.user_is_member, false);
+        });
+
+        it('keeps the stored member count in step', async () => {
+            const [alice, bob] = [await createUser(), await createUser()];
+            await join(alice);
+            await join(bob);
+
+            await leave(alice);
+
+            const [meta] = db.rows('cluster_metadata');
+            assert.equal(meta.current_members, 1);
+        });
+
+        it('refuses a leave that lost the race against the completing join', async () => {
+            const [alice, bob, carol] = [await createUser(), await createUser(), await createUser()];
+            await join(alice);
+            await join(bob);
+            // Carol's join completes the cohort while Alice's leave waits for the cluster lock
+            db.registerRpc('leave_cluster_cohort', (tables, params) => {
+                BUILTIN_RPCS.join_cluster_cohort(tables, { p_cluster_id: 1, p_user_id: carol.id, p_display_profession: false });
+                return BUILTIN_RPCS.leave_cluster_cohort(tables, params);
+            });
+
+            const res = await leave(alice);
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'COHORT_COMPLETED');
+            const [completed] = db.rows('cluster_cohorts').filter(cohort => cohort.is_full);
+            const members = db.rows('cluster_cohort_members').filter(member => member.cohort_id === completed.cohort_id);
+            assert.equal(members.length, 3);
+            assert.equal(db.rows('cluster_metadata')[0].current_members, 0);
+        });
+
+        it('is a no-op for a user who is not a member', async () => {
+            const alice = await createUser();
+
+            const res = await leave(alice);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'User was not a member.');
+        });
+
+        it('keeps a completed cohort frozen so its file can still be built', async () => {
+            const users = [await createUser(), await createUser(), await createUser()];
+            for (const user of users) await join(user);
+
+            const res = await leave(users[0]);
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'COHORT_COMPLETED');
+            assert.equal(db.rows('cluster_cohort_members').length, 3);
+
+            const jobs = await runJobs();
+            assert.deepEqual(jobs.map(job => [job.type, job.outcome]), [['cohort_vcf', 'done']]);
+
+            const afterUpload = await leave(users[0]);
+            assert.equal(afterUpload.status, 403);
+            assert.equal(afterUpload.body.code, 'VCF_ALREADY_GENERATED');
+        });
+
+        it('lets members of the next cohort leave once the previous file is stored', async () => {
+            const users = [await createUser(), await createUser(), await createUser()];
+            for (const user of users) await join(user);
+            await runJobs();
+            const dave = await createUser();
+            await join(dave);
+
+            const res = await leave(dave);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.current_members, 0);
+            assert.equal(db.rows('cluster_cohort_members').length, 3);
+        });
+
+        it('returns 404 for an unknown cluster', async () => {
+            const alice = await createUser();
+
+            const res = await request(app).post('/api/v1/leave-cluster').set(alice.auth).send({ cluster_id: 99 });
+
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'CLUSTER_NOT_FOUND');
+        });
+    });
+
+    describe('POST /api/cohorts/:cluster_id/leave (legacy)', () => {
+        it('leaves like /api/v1/leave-cluster and links to it', async () => {
+            const alice = await createUser();
+            await join(alice);
+
+            const res = await request(app).post('/api/cohorts/1/leave').set(alice.auth);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Successfully left cluster.');
+            assert.ok(res.headers.deprecation);
+            assert.match(res.headers.link, /<\/api\/v1\/leave-cluster>; rel="successor-version"/);
+            assert.equal(db.rows('cluster_cohort_members').length, 0);
+        });
+    });
+
+    describe('unversioned aliases', () => {
+        it('serve the /api/v1 routes with deprecation headers and a link to the versioned path', async () => {
+            const alice = await createUser();
+            await join(alice);
+
+            const res = await request(app).get('/api/cohort-status').query({ cluster_id: 1 }).set(alice.auth);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user_is_member, true);
+            assert.ok(res.headers.deprecation);
+            assert.ok(res.headers.sunset);
+            assert.match(res.headers.link, /<\/api\/v1\/cohort-status\?cluster_id=1>; rel="successor-version"/);
+
+            const versioned = await status(alice);
+            assert.equal(versioned.headers.deprecation, undefined);
+            assert.equal(versioned.headers.link, undefined);
+        });
+
+        it('mark error responses of a matched route too', async () => {
+            const alice = await createUser();
+
+            const res = await request(app).get('/api/cohort-status').query({ cluster_id: 99 }).set(alice.auth);
+
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'CLUSTER_NOT_FOUND');
+            assert.ok(res.headers.deprecation);
+            assert.match(res.headers.link, /<\/api\/v1\/cohort-status\?cluster_id=99>/);
+        });
+
+        it('leave unknown paths unmarked', async () => {
+            const res = await request(app).get('/api/no-such-route');
+
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, 'NOT_FOUND');
+            assert.equal(res.headers.deprecation, undefined);
+            assert.equal(res.headers.sunset, undefined);
+            assert.equal(res.headers.link, undefined);
+        });
+    });
+
+    describe('POST /api/v1/reset-cluster', () => {
+        it('discards the cohort and reopens the cluster', async () => {
+            const admin = await createAdmin();
+            const alice = await createUser();
+            const joined = await join(alice);
+
+            const res = await request(app)
+                .post('/api/v1/reset-cluster')
+                .set(admin.auth)
+                .send({ cluster_id: 1, cohort_id: joined.body.cohort_id });
+
+            assert.equal(res.status, 200);
+            assert.equal(db.rows('cluster_cohort_members').length, 0);
+            assert.equal(db.rows('cluster_cohorts').find(cohort => cohort.cohort_id === joined.body.cohort_id).expired, true);
+            assert.equal(db.rows('cluster_metadata')[0].active_cohort_id, null);
+
+            const rejoined = await join(alice);
+            assert.equal(rejoined.status, 200);
+            assert.notEqual(rejoined.body.cohort_id, joined.body.cohort_id);
+        });
+
+        it('is refused to users without the admin role', async () => {
+            const alice = await createUser();
+            const joined = await join(alice);
+
+            const res = await request(app)
+                .post('/api/v1/reset-cluster')
+                .set(alice.auth)
+                .send({ cluster_id: 1, cohort_id: joined.body.cohort_id });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'ROLE_REQUIRED');
+            assert.equal(db.rows('cluster_cohort_members').length, 1);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// test/cohortStatus.test.js
+// Cohort status reads (single, batch and legacy) only read: whatever state the cluster is in,
+// the database is byte-for-byte the same afterwards. Missing cluster_metadata rows are created
+// by the cluster_sync job (services/clusterSync.js) or the first join, never by a read.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { runRetentionSweep } = require('../services/retention');
+const { syncClusterMetadata } = require('../services/clusterSync');
+
+describe('cohort status reads', () => {
+    let app, db, createUser, runJobs;
+    let members;
+
+    beforeEach(async () => {
+        ({ app, db, createUser, runJobs } = createTestApp({
+            dynamic_clusters: [
+                { id: 1, name: 'Developers', max_members: 2 },
+                { id: 2, name: 'Designers', max_members: 2 },
+            ],
+        }));
+        members = [await createUser(), await createUser()];
+    });
+
+    const join = (user, cluster_id = 1) => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: cluster_id });
+
+    // Makes every status read a client can make, as each user, and checks that nothing was written
+    const assertReadOnly = async (users) => {
+        const before = db.snapshot();
+
+        for (const user of users) {
+            for (const cluster_id of [1, 2]) {
+                const single = await request(app).get('/api/v1/cohort-status').query({ cluster_id }).set(user.auth);
+                assert.equal(single.status, 200);
+                const legacy = await request(app).get(`/api/cohorts/${cluster_id}/status`).set(user.auth);
+                assert.equal(legacy.status, 200);
+            }
+            const batch = await request(app).get('/api/v1/cohorts/status').query({ cluster_ids: '1,2' }).set(user.auth);
+            assert.equal(batch.status, 200);
+        }
+
+        assert.deepEqual(db.snapshot(), before);
+    };
+
+    it('does not touch a full cohort whose file is still being built', async () => {
+        for (const member of members) await join(member);
+        const outsider = await createUser();
+
+        const status = await request(app).get('/api/v1/cohort-status').query({ cluster_id: 1 }).set(members[0].auth);
+        assert.equal(status.body.is_full, true);
+        assert.equal(status.body.vcf_status, 'generating');
+
+        await assertReadOnly([...members, outsider]);
+    });
+
+    it('does not touch a cohort whose retention window has passed', async () => {
+        for (const member of members) await join(member);
+        await runJobs();
+        const cohort = db.rows('cluster_cohorts').find(row => row.is_full);
+        const outsider = await createUser();
+
+        // Past its expiry, but not purged yet: the sweep has not run
+        await db.from('cluster_cohorts').update({ expires_at: new Date(Date.now() - 1000).toISOString() }).eq('cohort_id', cohort.cohort_id);
+
+        await assertReadOnly([...members, outsider]);
+
+        // Once the sweep has purged it, reads still write nothing
+        await runRetentionSweep();
+        await assertReadOnly([...members, outsider]);
+    });
+
+    it('does not create or repair cluster metadata', async () => {
+        await join(members[0]);
+        // A drifted count on the cached row, and cluster 2 has no metadata row at all
+        await db.from('cluster_metadata').update({ current_members: 5 }).eq('cluster_id', 1);
+        assert.equal(db.rows('cluster_metadata').some(row => row.cluster_id === 2), false);
+
+        await assertReadOnly(members);
+
+        // The sync job creates the missing row and leaves the existing one alone
+        const synced = await syncClusterMetadata();
+        assert.deepEqual(synced.created, [2]);
+        assert.equal(db.rows('cluster_metadata').find(row => row.cluster_id === 1).current_members, 5);
+    });
+});
@@ -0,0 +1,94 @@
+// test/cohortStatusBatch.test.js
+// GET /api/v1/cohorts/status (routes/frontend/getCohortStatusBatch.js): one entry per known
+// cluster, matching what /api/v1/cohort-status reports for it, unknown IDs in not_found, and
+// getCohortStatuses() taking the same number of queries however many clusters it is asked for.
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { getCohortStatuses } = require('../services/cohortService');
+
+// Clusters 1-3 and 4-6 are in the same states: alice in an open cohort, alice in a completed
+// cohort, alice queued; 7 and 8 have never been joined
+const CLUSTER_IDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+describe('batch cohort status', () => {
+    let app, db, createUser;
+    let alice;
+
+    const join = (user, cluster_id) => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: cluster_id });
+    const batch = cluster_ids => request(app).get('/api/v1/cohorts/status').query({ cluster_ids }).set(alice.auth);
+
+    beforeEach(async () => {
+        ({ app, db, createUser } = createTestApp({
+            dynamic_clusters: CLUSTER_IDS.map(id => ({ id, name: `Cluster ${id}`, max_members: 2 })),
+        }));
+        alice = await createUser();
+        const bob = await createUser();
+
+        for (const [open, completed, queued] of [[1, 2, 3], [4, 5, 6]]) {
+            await join(alice, open);
+            await join(alice, completed);
+            await join(bob, completed);
+            await join(bob, queued);
+            db.seed('cluster_queue', { cluster_id: queued, user_id: alice.id, display_profession: false, enqueued_at: new Date().toISOString() });
+        }
+    });
+
+    it('returns each known cluster as /api/v1/cohort-status reports it, in request order', async () => {
+        const requested = [8, 5, 1, 3, 7];
+
+        const res = await batch(requested.join(','));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.not_found, []);
+        assert.deepEqual(res.body.statuses.map(status => status.cluster_id), requested);
+        for (const { cluster_id, ...status } of res.body.statuses) {
+            const single = await request(app).get('/api/v1/cohort-status').query({ cluster_id }).set(alice.auth);
+            assert.equal(single.status, 200);
+            for (const [field, value] of Object.entries(status)) {
+                assert.deepEqual(value, single.body[field], `cluster ${cluster_id}: ${field}`);
+            }
+        }
+
+        const [never, completed, open, queued] = res.body.statuses;
+        assert.deepEqual([never.cohort_id, never.current_members, never.user_is_member], ['C_OPEN_8', 0, false]);
+        assert.deepEqual([completed.is_full, completed.user_is_member, completed.vcf_status], [true, true, 'generating']);
+        assert.equal('vcf_file_name' in completed, false);
+        assert.deepEqual([open.is_full, open.current_members, open.spots_left, open.user_is_member], [false, 1, 1, true]);
+        assert.deepEqual([queued.user_is_member, queued.queue_position], [false, 1]);
+    });
+
+    it('lists unknown cluster IDs in not_found', async () => {
+        const res = await batch('1,404,2,999');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.statuses.map(status => status.cluster_id), [1, 2]);
+        assert.deepEqual(res.body.not_found, [404, 999]);
+
+        const onlyUnknown = await batch('404');
+        assert.equal(onlyUnknown.status, 200);
+        assert.deepEqual(onlyUnknown.body, { success: true, statuses: [], not_found: [404] });
+    });
+
+    it('takes the same number of queries for two clusters of each state as for one', async () => {
+        const countQueries = async cluster_ids => {
+            const from = mock.method(db, 'from');
+            const rpc = mock.method(db, 'rpc');
+            try {
+                const result = await getCohortStatuses(cluster_ids, alice.id);
+                assert.equal(result.success, true);
+                return from.mock.callCount() + rpc.mock.callCount();
+            } finally {
+                mock.restoreAll();
+            }
+        };
+
+        const once = await countQueries([1, 2, 3, 7]);
+        const twice = await countQueries([1, 2, 3, 4, 5, 6, 7, 8, 404]);
+
+        assert.equal(twice, once);
+        assert.ok(once <= 10, `${once} queries`);
+    });
+});
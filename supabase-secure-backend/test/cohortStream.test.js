@@ -0,0 +1,156 @@
+// test/cohortStream.test.js
+// The live event stream (routes/frontend/cohortStream.js, services/cohortEvents.js) over a real
+// connection: the opening messages, join and leave events for followed clusters only, replay after
+// a reconnect, and the subscription being dropped when the client goes away.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { countSubscribers } = require('../services/cohortEvents');
+
+/**
+ * Resolves once `check()` is true, polling the event loop.
+ */
+async function eventually(check, attempts = 200) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.fail('condition not met in time');
+}
+
+/**
+ * Parses the Server-Sent Events messages of a chunk stream.
+ */
+function parseMessage(text) {
+    const message = {};
+    for (const line of text.split('\n')) {
+        if (line.startsWith(':')) message.comment = line.slice(1).trim();
+        const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+        if (field === 'data') message.data = JSON.parse(value);
+        else if (field) message[field] = value;
+    }
+    return message;
+}
+
+describe('cohort event stream', () => {
+    let app, createUser, server, baseline;
+    const streams = [];
+
+    const openStream = (query, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path: `/api/v1/cohorts/stream?${query}`, headers }, res => {
+            const stream = { status: res.statusCode, headers: res.headers, messages: [], close: () => req.destroy() };
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                const parts = buffer.split('\n\n');
+                buffer = parts.pop();
+                stream.messages.push(...parts.map(parseMessage));
+            });
+            stream.events = type => stream.messages.filter(message => message.event === type);
+            streams.push(stream);
+            resolve(stream);
+        });
+        req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+
+    beforeEach(async () => {
+        ({ app, createUser } = createTestApp({
+            dynamic_clusters: [
+                { id: 1, name: 'Developers', max_members: 3 },
+                { id: 2, name: 'Designers', max_members: 3 },
+            ],
+        }));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseline = countSubscribers();
+    });
+
+    afterEach(async () => {
+        streams.splice(0).forEach(stream => stream.close());
+        try {
+            await eventually(() => countSubscribers() === baseline);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    const join = (user, clusterId = 1) => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: clusterId });
+
+    it('opens with the retry delay and a ready event naming the subscription', async () => {
+        const stream = await openStream('cluster_ids=1,2&group_ids=7');
+
+        assert.equal(stream.status, 200);
+        assert.match(stream.headers['content-type'], /^text\/event-stream/);
+        assert.equal(stream.headers['cache-control'], 'no-cache, no-transform');
+        await eventually(() => stream.events('ready').length === 1);
+        assert.equal(stream.messages[0].retry, '3000');
+        assert.deepEqual(stream.events('ready')[0].data, { cluster_ids: [1, 2], group_ids: [7] });
+        assert.equal(countSubscribers(), baseline + 1);
+    });
+
+    it('pushes joins and leaves of a followed cluster, and nothing from other clusters', async () => {
+        const followed = await openStream('cluster_ids=1');
+        const other = await openStream('cluster_ids=2');
+        await eventually(() => followed.events('ready').length === 1 && other.events('ready').length === 1);
+        const alice = await createUser();
+
+        await join(alice);
+        await eventually(() => followed.events('member_joined').length === 1);
+        const [joined] = followed.events('member_joined');
+        assert.match(joined.id, /^[0-9a-f]{8}\.\d+$/);
+        assert.equal(joined.data.cluster_id, 1);
+        assert.equal(joined.data.current_members, 1);
+        assert.equal(joined.data.spots_left, 2);
+
+        await request(app).post('/api/v1/leave-cluster').set(alice.auth).send({ cluster_id: 1 });
+        await eventually(() => followed.events('member_left').length === 1);
+        assert.equal(followed.events('member_left')[0].data.current_members, 0);
+        assert.equal(followed.events('member_left')[0].data.spots_left, 3);
+
+        // An event for cluster 2 arrives after anything cluster 1 could have pushed to it
+        await join(await createUser(), 2);
+        await eventually(() => other.events('member_joined').length === 1);
+        assert.deepEqual(other.messages.map(message => message.event).filter(Boolean), ['ready', 'member_joined']);
+        assert.equal(other.events('member_joined')[0].data.cluster_id, 2);
+    });
+
+    it('replays missed events after Last-Event-ID, or asks an unknown ID to resync', async () => {
+        const first = await openStream('cluster_ids=1');
+        await join(await createUser());
+        await eventually(() => first.events('member_joined').length === 1);
+        const lastEventId = first.events('member_joined')[0].id;
+        first.close();
+
+        await join(await createUser());
+        const resumed = await openStream('cluster_ids=1', { 'Last-Event-ID': lastEventId });
+        await eventually(() => resumed.events('member_joined').length === 1);
+        assert.equal(resumed.events('member_joined')[0].data.current_members, 2);
+
+        const unknown = await openStream('cluster_ids=1', { 'Last-Event-ID': 'ffffffff.1' });
+        await eventually(() => unknown.events('resync').length === 1);
+        assert.deepEqual(unknown.events('resync')[0].data, { reason: 'events_unavailable' });
+    });
+
+    it('drops the subscription when the client disconnects', async () => {
+        const stream = await openStream('cluster_ids=1');
+        await eventually(() => countSubscribers() === baseline + 1);
+
+        stream.close();
+
+        await eventually(() => countSubscribers() === baseline);
+        // Publishing afterwards reaches no one and fails nothing
+        assert.equal((await join(await createUser())).status, 200);
+    });
+
+    it('refuses a stream without clusters or groups', async () => {
+        const res = await request(app).get('/api/v1/cohorts/stream');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+    });
+});
@@ -0,0 +1,137 @@
+// test/downloads.test.js
+// Cohort contact files: built by the cohort_vcf job, handed out through single-use tickets that
+// are only used up by a download that got its file.
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { Readable } = require('stream');
+const { createTestApp } = require('./support/testApp');
+const { getVcfStorage } = require('../services/storage');
+
+describe('cohort downloads', () => {
+    let app, db, createUser, runJobs;
+    let members;
+
+    beforeEach(async () => {
+        ({ app, db, createUser, runJobs } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 2 }],
+        }));
+        members = [await createUser({ nickname: 'Ada' }), await createUser({ nickname: 'Grace' })];
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const fillCohort = async () => {
+        for (const member of members) {
+            await request(app).post('/api/v1/join-cluster').set(member.auth).send({ p_cluster_id: 1 });
+        }
+    };
+    const requestTicket = user => request(app).post('/api/v1/download-tickets').set(user.auth).send({ cluster_id: 1 });
+    const download = url => request(app).get(url).buffer(true).parse((res, done) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => done(null, body));
+    });
+
+    it('reports the file as not ready until the job has stored it', async () => {
+        await fillCohort();
+
+        const res = await requestTicket(members[0]);
+
+        assert.equal(res.status, 404);
+        assert.equal(res.body.code, 'VCF_NOT_READY');
+    });
+
+    it('serves the cohort file once per ticket and records the download', async () => {
+        await fillCohort();
+        const jobs = await runJobs();
+        assert.deepEqual(jobs.map(job => [job.type, job.outcome]), [['cohort_vcf', 'done']]);
+
+        const ticket = await requestTicket(members[0]);
+        assert.equal(ticket.status, 201);
+        assert.match(ticket.body.download_url, /^\/api\/v1\/downloads\//);
+        assert.equal(JSON.stringify(ticket.body).includes('Cluster_Contacts_'), false);
+
+        const file = await request(app).get(ticket.body.download_url).buffer(true).parse((res, done) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => done(null, body));
+        });
+        assert.equal(file.status, 200);
+        assert.match(file.headers['content-type'], /^text\/vcard/);
+        assert.equal(file.headers['cache-control'], 'no-store');
+        assert.equal((file.body.match(/BEGIN:VCARD/g) || []).length, 2);
+        assert.match(file.body, /FN:Ada/);
+        assert.match(file.body, /FN:Grace/);
+
+        const reused = await request(app).get(ticket.body.download_url);
+        assert.equal(reused.status, 410);
+        assert.equal(reused.body.code, 'TICKET_ALREADY_USED');
+
+        const ledger = db.rows('vcf_downloads');
+        assert.equal(ledger.length, 1);
+        assert.equal(ledger[0].user_id, members[0].id);
+    });
+
+    it('refuses tickets to users outside the cohort', async () => {
+        await fillCohort();
+        await runJobs();
+        const outsider = await createUser();
+
+        const res = await requestTicket(outsider);
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'NOT_A_MEMBER');
+    });
+
+    it('keeps the ticket usable when the file cannot be opened', async () => {
+        await fillCohort();
+        await runJobs();
+        const ticket = await requestTicket(members[0]);
+        const storage = getVcfStorage();
+        mock.method(storage, 'stream', async () => { throw new Error('storage unavailable'); }, { times: 1 });
+
+        const failed = await request(app).get(ticket.body.download_url);
+        assert.equal(failed.status, 502);
+        assert.equal(db.rows('download_tickets')[0].redeemed_at, null);
+        assert.deepEqual(db.rows('vcf_downloads'), []);
+
+        const retried = await download(ticket.body.download_url);
+        assert.equal(retried.status, 200);
+        assert.match(retried.body, /FN:Ada/);
+        assert.notEqual(db.rows('download_tickets')[0].redeemed_at, null);
+    });
+
+    it('gives the ticket back when the download breaks off', async () => {
+        await fillCohort();
+        await runJobs();
+        const ticket = await requestTicket(members[0]);
+        const storage = getVcfStorage();
+        const broken = () => new Readable({
+            read() {
+                this.push('BEGIN:VCARD\r\n');
+                this.destroy(new Error('read failed'));
+            },
+        });
+        mock.method(storage, 'stream', async () => broken(), { times: 1 });
+
+        await assert.rejects(download(ticket.body.download_url));
+        // The release runs after the connection is dropped
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(db.rows('download_tickets')[0].redeemed_at, null);
+
+        const retried = await download(ticket.body.download_url);
+        assert.equal(retried.status, 200);
+        assert.equal((retried.body.match(/BEGIN:VCARD/g) || []).length, 2);
+    });
+
+    it('rejects a forged ticket', async () => {
+        const res = await request(app).get('/api/v1/downloads/not-a-real-ticket');
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'INVALID_TICKET');
+    });
+});
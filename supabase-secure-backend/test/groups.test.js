@@ -0,0 +1,154 @@
+// test/groups.test.js
+// Groups: create, list, join, download (GENERAL files built by the group_vcf job, DIRECT files
+// built per member) and close.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+
+// Reads a vCard response body as text
+const asText = (res, done) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => done(null, body));
+};
+
+describe('groups', () => {
+    let app, db, createUser, createAdmin, runJobs;
+    let creator;
+
+    beforeEach(async () => {
+        ({ app, db, createUser, createAdmin, runJobs } = createTestApp());
+        creator = await createUser({ nickname: 'Creator' });
+    });
+
+    const createGroup = (fields = {}) => request(app)
+        .post('/api/v1/groups/create')
+        .set(creator.auth)
+        .send({ name: 'Founders', max_members: 2, referral_message_template: 'Join us', ...fields });
+    const joinGroup = (user, group_id) => request(app).post('/api/v1/groups/join').set(user.auth).send({ group_id });
+    const download = async (user, group_id) => {
+        const ticket = await request(app).post('/api/v1/groups/download-ticket').set(user.auth).send({ group_id });
+        assert.equal(ticket.status, 201);
+        return request(app).get(ticket.body.download_url).buffer(true).parse(asText);
+    };
+
+    it('creates a group owned by the caller and lists it', async () => {
+        const created = await createGroup({ description: 'Early members' });
+
+        assert.equal(created.status, 201);
+        assert.equal(created.body.group.creator_nickname, 'Creator');
+        assert.equal(db.rows('groups')[0].creator_user_id, creator.id);
+
+        const list = await request(app).get('/api/v1/groups');
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.groups.map(group => group.name), ['Founders']);
+        assert.equal(list.body.groups[0].spots_left, 2);
+        assert.equal(list.body.groups[0].creator_user_id, undefined);
+        assert.equal(list.body.next_cursor, null);
+    });
+
+    it('rejects an invalid group with a 400', async () => {
+        const res = await createGroup({ max_members: 1, vcf_type: 'everyone' });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        assert.deepEqual(res.body.details.errors.map(error => error.field).sort(), ['body.max_members', 'body.vcf_type']);
+    });
+
+    it('fills a GENERAL group, builds its file in a job and serves it to members', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'general' });
+        const alice = await createUser({ nickname: 'Alice' });
+        const bob = await createUser({ nickname: 'Bob' });
+
+        assert.equal((await joinGroup(alice, group.group_id)).body.is_full, false);
+        const filled = await joinGroup(bob, group.group_id);
+        assert.equal(filled.status, 200);
+        assert.equal(filled.body.is_full, true);
+        assert.equal(filled.body.vcf_status, 'generating');
+
+        const latecomer = await joinGroup(await createUser(), group.group_id);
+        assert.equal(latecomer.status, 409);
+        assert.equal(latecomer.body.code, 'GROUP_FULL');
+
+        const jobs = await runJobs();
+        assert.deepEqual(jobs.map(job => [job.type, job.outcome]), [['group_vcf', 'done']]);
+
+        const file = await download(alice, group.group_id);
+        assert.equal(file.status, 200);
+        assert.match(file.body, /FN:Alice/);
+        assert.match(file.body, /FN:Bob/);
+        assert.equal(db.rows('groups')[0].members_downloaded, 1);
+    });
+
+    it('builds a DIRECT group file with the creator card for each member', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'direct', max_members: 5 });
+        const alice = await createUser({ nickname: 'Alice' });
+        await joinGroup(alice, group.group_id);
+
+        const file = await download(alice, group.group_id);
+
+        assert.equal(file.status, 200);
+        assert.match(file.body, /FN:Creator/);
+        assert.equal(db.rows('jobs').length, 0);
+    });
+
+    it('builds a DIRECT group file in the vCard version asked for', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'direct', max_members: 5 });
+        const alice = await createUser({ nickname: 'Alice' });
+        await joinGroup(alice, group.group_id);
+
+        const ticket = await request(app).post('/api/v1/groups/download-ticket').set(alice.auth).send({ group_id: group.group_id });
+        const rejected = await request(app).get(ticket.body.download_url).query({ vcard_version: '2.1' });
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.body.code, 'VALIDATION_ERROR');
+
+        const file = await request(app).get(ticket.body.download_url).query({ vcard_version: '4.0' }).buffer(true).parse(asText);
+        assert.equal(file.status, 200);
+        assert.match(file.body, /^BEGIN:VCARD\r\nVERSION:4\.0\r\n/);
+    });
+
+    it('refuses download tickets to non-members', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'direct' });
+        const outsider = await createUser();
+
+        const res = await request(app).post('/api/v1/groups/download-ticket').set(outsider.auth).send({ group_id: group.group_id });
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'NOT_A_MEMBER');
+    });
+
+    it('lets only the creator close a DIRECT group', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'direct', max_members: 5 });
+        const alice = await createUser();
+        await joinGroup(alice, group.group_id);
+
+        const denied = await request(app).post('/api/v1/groups/close').set(alice.auth).send({ group_id: group.group_id });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'NOT_GROUP_CREATOR');
+
+        const closed = await request(app).post('/api/v1/groups/close').set(creator.auth).send({ group_id: group.group_id });
+        assert.equal(closed.status, 200);
+        assert.equal(db.rows('group_members').length, 0);
+        assert.equal(db.rows('groups')[0].is_completed_and_inactive, true);
+
+        const list = await request(app).get('/api/v1/groups');
+        assert.deepEqual(list.body.groups, []);
+    });
+
+    it('lets a group owner close a DIRECT group they did not create', async () => {
+        const { body: { group } } = await createGroup({ vcf_type: 'direct', max_members: 5 });
+        await joinGroup(await createUser(), group.group_id);
+        const owner = await createAdmin(['group-owner']);
+        const moderator = await createAdmin(['moderator']);
+
+        const denied = await request(app).post('/api/v1/groups/close').set(moderator.auth).send({ group_id: group.group_id });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'NOT_GROUP_CREATOR');
+
+        const closed = await request(app).post('/api/v1/groups/close').set(owner.auth).send({ group_id: group.group_id });
+        assert.equal(closed.status, 200);
+        assert.equal(db.rows('groups')[0].is_completed_and_inactive, true);
+    });
+});
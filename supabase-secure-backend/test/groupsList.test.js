@@ -0,0 +1,140 @@
+// test/groupsList.test.js
+// GET /api/v1/groups (routes/groups/getAllGroups.js): every sort paged through with cursors,
+// including runs of groups that tie on the sort column, and each filter on its own and combined.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+
+describe('GET /api/v1/groups', () => {
+    let app, db, createUser;
+    let alice, bob;
+
+    const list = query => request(app).get('/api/v1/groups').query(query);
+    const ids = res => res.body.groups.map(group => group.group_id);
+
+    // Follows next_cursor to the last page and returns the group IDs in the order they came
+    const pageThrough = async query => {
+        const seen = [];
+        let cursor;
+        do {
+            const res = await list({ ...query, ...(cursor ? { cursor } : {}) });
+            assert.equal(res.status, 200);
+            assert.ok(res.body.groups.length <= query.limit);
+            seen.push(...ids(res));
+            cursor = res.body.next_cursor;
+        } while (cursor);
+        return seen;
+    };
+
+    beforeEach(async () => {
+        ({ app, db, createUser } = createTestApp());
+        alice = await createUser();
+        bob = await createUser();
+
+        const group = (group_id, name, description, max_members, current_members, flags = {}) => ({
+            group_id, name, description, max_members, current_members,
+            is_full: current_members >= max_members,
+            vcf_type: 'general',
+            creator_user_id: alice.id,
+            referral_message_template: 'Join us',
+            ...flags,
+        });
+        // current_members ties at 2 (groups 1, 2, 4, 5); spots_left ties at 0 (3, 5) and 3 (1, 4).
+        // Unset flags are null, which the filters treat as false.
+        db.seed('groups', [
+            group(1, 'Founders', 'Early members', 5, 2, { is_paid: true }),
+            group(2, 'Designers', 'UI and UX', 4, 2, { is_incentivized: true, vcf_type: 'direct', creator_user_id: bob.id }),
+            group(3, 'Runners', 'Morning runs', 3, 3, { is_paid: false, is_incentivized: false }),
+            group(4, 'Readers', 'Book club for FOUNDERS', 5, 2, { is_paid: false, vcf_type: 'direct', creator_user_id: bob.id }),
+            group(5, 'Chess', null, 2, 2, { is_paid: true, is_incentivized: true }),
+            group(6, 'Archived', 'Old founders', 5, 5, { is_completed_and_inactive: true }),
+            group(7, 'Cooks', '50% off dinners', 6, 1, { is_completed_and_inactive: false }),
+        ]);
+    });
+
+    it('pages through every sort in order, ties broken by group_id, each group once', async () => {
+        const expected = {
+            oldest: [1, 2, 3, 4, 5, 7],
+            newest: [7, 5, 4, 3, 2, 1],
+            fewest_spots: [3, 5, 2, 1, 4, 7],
+            popular: [3, 1, 2, 4, 5, 7],
+        };
+
+        for (const [sort, order] of Object.entries(expected)) {
+            for (const limit of [1, 2, 4, 100]) {
+                assert.deepEqual(await pageThrough({ sort, limit }), order, `${sort}, ${limit} per page`);
+            }
+        }
+    });
+
+    it('returns next_cursor only while more groups follow', async () => {
+        const first = await list({ limit: 3 });
+        assert.deepEqual(ids(first), [1, 2, 3]);
+        assert.equal(typeof first.body.next_cursor, 'string');
+
+        const last = await list({ limit: 3, cursor: first.body.next_cursor });
+        assert.deepEqual(ids(last), [4, 5, 7]);
+        assert.equal(last.body.next_cursor, null);
+    });
+
+    it('keeps a page boundary inside a run of ties stable when a group is added before it', async () => {
+        const first = await list({ sort: 'popular', limit: 2 });
+        assert.deepEqual(ids(first), [3, 1]);
+
+        // Sorts before the cursor position, so it must not shift or repeat the following pages
+        db.seed('groups', { group_id: 8, name: 'Climbers', description: null, max_members: 9, current_members: 9, is_full: true, vcf_type: 'general', creator_user_id: alice.id });
+        const next = await list({ sort: 'popular', limit: 2, cursor: first.body.next_cursor });
+
+        assert.deepEqual(ids(next), [2, 4]);
+    });
+
+    it('filters by status, payment, incentive, file type and creator', async () => {
+        const cases = [
+            [{ status: 'open' }, [1, 2, 4, 7]],
+            [{ status: 'full' }, [3, 5]],
+            [{ is_paid: true }, [1, 5]],
+            [{ is_paid: false }, [2, 3, 4, 7]],
+            [{ is_incentivized: true }, [2, 5]],
+            [{ is_incentivized: false }, [1, 3, 4, 7]],
+            [{ vcf_type: 'direct' }, [2, 4]],
+            [{ vcf_type: 'general' }, [1, 3, 5, 7]],
+            [{ creator_user_id: bob.id }, [2, 4]],
+            [{ include_completed: true }, [1, 2, 3, 4, 5, 6, 7]],
+            [{ status: 'full', include_completed: true, is_paid: false }, [3, 6]],
+        ];
+
+        for (const [query, expected] of cases) {
+            const res = await list(query);
+            assert.equal(res.status, 200);
+            assert.deepEqual(ids(res), expected, JSON.stringify(query));
+        }
+    });
+
+    it('searches name and description case-insensitively, and never as filter syntax', async () => {
+        assert.deepEqual(ids(await list({ q: 'founders' })), [1, 4]);
+        assert.deepEqual(ids(await list({ q: 'founders', include_completed: true })), [1, 4, 6]);
+        assert.deepEqual(ids(await list({ q: 'RUN' })), [3]);
+        assert.deepEqual(ids(await list({ q: '50%' })), [7]);
+        // A lone wildcard is no search at all, and an injected filter matches nothing
+        assert.deepEqual(ids(await list({ q: '%' })), [1, 2, 3, 4, 5, 7]);
+        assert.deepEqual(ids(await list({ q: 'x),name.ilike.*' })), []);
+    });
+
+    it('applies the filters on every page', async () => {
+        assert.deepEqual(await pageThrough({ status: 'open', sort: 'popular', limit: 1 }), [1, 2, 4, 7]);
+        assert.deepEqual(await pageThrough({ is_paid: false, sort: 'fewest_spots', limit: 2 }), [3, 2, 4, 7]);
+    });
+
+    it('rejects a cursor from another sort, or one that does not decode', async () => {
+        const { next_cursor } = (await list({ sort: 'popular', limit: 1 })).body;
+
+        for (const query of [{ sort: 'newest', cursor: next_cursor }, { cursor: 'not-a-cursor' }]) {
+            const res = await list(query);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.equal(res.body.details.errors[0].field, 'query.cursor');
+        }
+    });
+});
@@ -0,0 +1,141 @@
+// test/jobs.test.js
+// The job queue and worker (services/jobs/) on a fake clock: retries with backoff, dead-lettering
+// after the last attempt, claims that outlive their lease, and the pruning of finished jobs.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestApp } = require('./support/testApp');
+const jobsConfig = require('../config/jobs');
+const retentionConfig = require('../config/retention');
+const queue = require('../services/jobs/queue');
+const { createJobWorker } = require('../services/jobs/worker');
+const { runRetentionSweep } = require('../services/retention');
+
+const SECOND_MS = 1000;
+const HOUR_MS = 60 * 60 * SECOND_MS;
+
+const config = { ...jobsConfig, batchSize: 5, leaseSeconds: 60, maxAttempts: 3, backoffBaseSeconds: 10, backoffMaxSeconds: 15 };
+
+describe('job queue', () => {
+    let db, now, attempts;
+
+    const clock = () => new Date(now);
+    const advance = ms => { now += ms; };
+    const failing = async () => {
+        attempts += 1;
+        throw new Error(`attempt ${attempts} failed`);
+    };
+    const worker = handlers => createJobWorker({ handlers, clock, config });
+    const jobRow = id => db.rows('jobs').find(job => job.id === id);
+
+    beforeEach(() => {
+        ({ db } = createTestApp());
+        now = Date.parse('2026-03-01T12:00:00.000Z');
+        attempts = 0;
+    });
+
+    it('retries a failing job after an exponential, capped backoff', async () => {
+        const { job } = await queue.enqueueJob('flaky', {}, { runAt: clock() }, config);
+        const flaky = worker({ flaky: failing });
+
+        assert.deepEqual(await flaky.runOnce(), [{ job_id: job.id, type: 'flaky', outcome: 'retry' }]);
+        let row = jobRow(job.id);
+        assert.equal(row.status, 'pending');
+        assert.equal(row.attempts, 1);
+        assert.equal(row.last_error, 'attempt 1 failed');
+        assert.equal(row.locked_until, null);
+        assert.equal(row.run_at, new Date(now + 10 * SECOND_MS).toISOString());
+
+        // Not due before the backoff has passed
+        advance(10 * SECOND_MS - 1);
+        assert.deepEqual(await flaky.runOnce(), []);
+
+        advance(1);
+        assert.deepEqual((await flaky.runOnce()).map(result => result.outcome), ['retry']);
+        row = jobRow(job.id);
+        assert.equal(row.attempts, 2);
+        // 10 s * 2, capped at backoffMaxSeconds
+        assert.equal(row.run_at, new Date(now + 15 * SECOND_MS).toISOString());
+        assert.equal(queue.backoffSeconds(2, config), 15);
+    });
+
+    it('dead-letters a job after max_attempts and reports it as failed', async () => {
+        const { job } = await queue.enqueueJob('flaky', {}, { dedupeKey: 'flaky:1', runAt: clock() }, config);
+        const flaky = worker({ flaky: failing });
+
+        const outcomes = [];
+        for (let attempt = 0; attempt < config.maxAttempts; attempt++) {
+            outcomes.push(...(await flaky.runOnce()).map(result => result.outcome));
+            advance(config.backoffMaxSeconds * SECOND_MS);
+        }
+
+        assert.deepEqual(outcomes, ['retry', 'retry', 'dead']);
+        const row = jobRow(job.id);
+        assert.equal(row.status, 'dead');
+        assert.equal(row.attempts, 3);
+        assert.equal(row.max_attempts, 3);
+        assert.equal(row.last_error, 'attempt 3 failed');
+        assert.notEqual(row.finished_at, null);
+        assert.deepEqual(await flaky.runOnce(), []);
+        assert.equal(await queue.getVcfStatus('flaky:1', { is_full: true, vcf_uploaded: false }), 'failed');
+
+        const retried = await queue.retryDeadJob(job.id);
+        assert.equal(retried.success, true);
+        assert.equal(jobRow(job.id).status, 'pending');
+        assert.equal(jobRow(job.id).attempts, 0);
+    });
+
+    it('ignores the result of a worker whose lease was taken over', async () => {
+        const { job } = await queue.enqueueJob('slow', {}, { runAt: clock() }, config);
+
+        const [firstClaim] = await queue.claimDueJobs(clock(), config);
+        advance(config.leaseSeconds * SECOND_MS);
+        const [secondClaim] = await queue.claimDueJobs(clock(), config);
+        assert.equal(secondClaim.id, job.id);
+        assert.equal(secondClaim.attempts, 2);
+
+        assert.equal(await queue.completeJob(secondClaim, clock()), true);
+
+        // The first worker finishes late: neither outcome may replace the second claim's
+        assert.equal(await queue.failJob(firstClaim, new Error('timed out'), clock(), config), 'lost');
+        assert.equal(await queue.completeJob(firstClaim, clock()), false);
+        const row = jobRow(job.id);
+        assert.equal(row.status, 'done');
+        assert.equal(row.last_error, null);
+        assert.equal(row.attempts, 2);
+    });
+
+    it('reports a lost lease from the worker without touching the job', async () => {
+        const { job } = await queue.enqueueJob('slow', {}, { runAt: clock() }, config);
+        let secondClaim;
+        const slow = worker({
+            // Runs past its lease; another worker claims and finishes the job meanwhile
+            slow: async () => {
+                advance(config.leaseSeconds * SECOND_MS);
+                [secondClaim] = await queue.claimDueJobs(clock(), config);
+                await queue.completeJob(secondClaim, clock());
+                throw new Error('too slow');
+            },
+        });
+
+        assert.deepEqual(await slow.runOnce(), [{ job_id: job.id, type: 'slow', outcome: 'lost' }]);
+        assert.equal(jobRow(job.id).status, 'done');
+        assert.equal(jobRow(job.id).last_error, null);
+    });
+
+    it('prunes finished jobs past their age in the retention sweep, keeping dead ones', async () => {
+        const finishedAt = hoursAgo => new Date(now - hoursAgo * HOUR_MS).toISOString();
+        const maxAge = retentionConfig.doneJobsMaxAgeHours;
+        db.seed('jobs', [
+            { id: 1, type: 'cluster_sync', status: 'done', attempts: 1, max_attempts: 6, finished_at: finishedAt(maxAge + 1) },
+            { id: 2, type: 'retention_sweep', status: 'done', attempts: 1, max_attempts: 6, finished_at: finishedAt(maxAge - 1) },
+            { id: 3, type: 'cohort_vcf', status: 'dead', attempts: 6, max_attempts: 6, finished_at: finishedAt(maxAge + 1) },
+            { id: 4, type: 'cohort_vcf', status: 'pending', attempts: 0, max_attempts: 6, finished_at: null },
+        ]);
+
+        const sweep = await runRetentionSweep({ now: clock() });
+
+        assert.equal(sweep.success, true);
+        assert.deepEqual(db.rows('jobs').map(job => job.id), [2, 3, 4]);
+    });
+});
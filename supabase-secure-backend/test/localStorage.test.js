@@ -0,0 +1,87 @@
+// test/localStorage.test.js
+// The local-disk storage adapter (services/storage/localDiskAdapter.js) and the signed URLs it
+// issues, served by routes/storage/localFiles.js: upload, read and delete round-trip.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { setVcfStorage } = require('../services/storage');
+const { createLocalDiskStorage } = require('../services/storage/localDiskAdapter');
+
+const KEY = 'Cluster_Contacts_C_1_ab12cd34_0123456789abcdef.vcf';
+
+describe('local-disk storage', () => {
+    let app, rootDir, storage;
+
+    beforeEach(() => {
+        ({ app } = createTestApp());
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vcf-storage-'));
+        storage = createLocalDiskStorage({ rootDir, prefix: 'vcf_exchange', signingSecret: 'test-secret' });
+        setVcfStorage(storage);
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('stores an upload byte for byte, serves it and deletes it', async () => {
+        // A JSON-looking body must not be parsed and re-serialised on the way in
+        const content = '{ "not": "parsed" }\r\nBEGIN:VCARD\r\nEND:VCARD\r\n';
+
+        const uploaded = await request(app)
+            .put(await storage.getSignedUploadUrl(KEY))
+            .set('Content-Type', 'application/json')
+            .send(content);
+        assert.equal(uploaded.status, 200);
+        assert.deepEqual(uploaded.body, { success: true, key: KEY });
+        assert.equal(fs.readFileSync(path.join(rootDir, 'vcf_exchange', KEY), 'utf8'), content);
+
+        const read = await request(app).get(await storage.getSignedUrl(KEY)).buffer(true).parse((res, done) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => done(null, body));
+        });
+        assert.equal(read.status, 200);
+        assert.match(read.headers['content-type'], /^text\/vcard/);
+        assert.equal(read.body, content);
+
+        assert.equal(await storage.remove(KEY), true);
+        assert.equal(await storage.remove(KEY), false);
+        const gone = await request(app).get(await storage.getSignedUrl(KEY));
+        assert.equal(gone.status, 404);
+        assert.equal(gone.body.code, 'NOT_FOUND');
+    });
+
+    it('refuses a URL signed for another method, key or expired', async () => {
+        await storage.put(KEY, 'BEGIN:VCARD\r\nEND:VCARD\r\n');
+
+        const uploadUrl = await storage.getSignedUploadUrl(KEY);
+        const asDownload = await request(app).get(uploadUrl);
+        assert.equal(asDownload.status, 403);
+
+        const otherKey = (await storage.getSignedUrl(KEY)).replace(KEY, `other_${KEY}`);
+        assert.equal((await request(app).get(otherKey)).status, 403);
+
+        const expired = new URL(await storage.getSignedUrl(KEY), 'http://localhost');
+        expired.searchParams.set('expires', String(Math.floor(Date.now() / 1000) - 1));
+        assert.equal((await request(app).get(`${expired.pathname}${expired.search}`)).status, 403);
+    });
+
+    it('rejects keys that escape the storage directory', async () => {
+        await assert.rejects(storage.put('../escape.vcf', 'x'), /Invalid storage key/);
+        assert.equal(fs.existsSync(path.join(rootDir, 'escape.vcf')), false);
+    });
+
+    it('is not served while another adapter is in use', async () => {
+        const url = await storage.getSignedUrl(KEY);
+        ({ app } = createTestApp());
+
+        const res = await request(app).get(url);
+
+        assert.equal(res.status, 404);
+    });
+});
@@ -0,0 +1,123 @@
+// test/logger.test.js
+// The structured logger (utils/logger.js): one JSON object per line, the request context from
+// middleware/requestLogger.js on every line, and user IDs never written in the clear.
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { logger, setLogLevel, redactUserId, runWithContext, addContext } = require('../utils/logger');
+
+const USER_ID = '6f1c2b9e-3d4a-4c1e-9b7a-2f0e8d5c4a31';
+
+describe('logger', () => {
+    let lines;
+
+    // Keeps log lines, passes anything else (the test runner's own output) through
+    const capture = stream => {
+        const write = stream.write.bind(stream);
+        mock.method(stream, 'write', (chunk, ...rest) => {
+            const text = String(chunk);
+            if (!text.startsWith('{"time"')) return write(chunk, ...rest);
+            lines.push({ stream: stream === process.stderr ? 'stderr' : 'stdout', entry: JSON.parse(text) });
+            return true;
+        });
+    };
+
+    beforeEach(() => {
+        lines = [];
+        setLogLevel('info');
+        capture(process.stdout);
+        capture(process.stderr);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setLogLevel('silent');
+    });
+
+    it('writes one JSON object per line, warnings and errors to stderr', () => {
+        logger.info('Cache: hit', { key: 'cluster:1' });
+        logger.warn('Cache: miss', { key: 'cluster:2' });
+        logger.debug('Cache: skipped');
+
+        assert.equal(lines.length, 2);
+        const [info, warn] = lines;
+        assert.equal(info.stream, 'stdout');
+        assert.deepEqual(Object.keys(info.entry), ['time', 'level', 'msg', 'key']);
+        assert.equal(info.entry.level, 'info');
+        assert.equal(info.entry.msg, 'Cache: hit');
+        assert.equal(info.entry.key, 'cluster:1');
+        assert.ok(!isNaN(Date.parse(info.entry.time)));
+        assert.equal(warn.stream, 'stderr');
+        assert.equal(warn.entry.level, 'warn');
+    });
+
+    it('turns an Error argument into error and error_code fields', () => {
+        const error = Object.assign(new Error('connection reset'), { code: 'ECONNRESET' });
+
+        logger.error('Jobs: claim failed', error);
+
+        assert.equal(lines[0].entry.error, 'connection reset');
+        assert.equal(lines[0].entry.error_code, 'ECONNRESET');
+    });
+
+    it('adds the request context to every line written inside it', async () => {
+        await runWithContext({ request_id: 'req-00000001', method: 'POST' }, async () => {
+            logger.info('before auth');
+            addContext({ route: '/api/v1/join-cluster' });
+            await Promise.resolve();
+            logger.info('after auth', { cluster_id: 1 });
+        });
+        logger.info('outside');
+
+        const [before, after, outside] = lines.map(line => line.entry);
+        assert.equal(before.request_id, 'req-00000001');
+        assert.equal(before.route, undefined);
+        assert.equal(after.request_id, 'req-00000001');
+        assert.equal(after.method, 'POST');
+        assert.equal(after.route, '/api/v1/join-cluster');
+        assert.equal(after.cluster_id, 1);
+        assert.equal(outside.request_id, undefined);
+    });
+
+    it('redacts every user ID field to the same stable token', () => {
+        logger.info('Roles: granted', { user_id: USER_ID, role: 'admin', granted_by: USER_ID });
+        logger.info('Roles: revoked', { user_id: USER_ID, role: 'admin', revoked_by: USER_ID });
+
+        const token = redactUserId(USER_ID);
+        assert.match(token, /^u_[0-9a-f]{12}$/);
+        const [granted, revoked] = lines.map(line => line.entry);
+        assert.equal(granted.user_id, token);
+        assert.equal(granted.granted_by, token);
+        assert.equal(revoked.revoked_by, token);
+        assert.equal(lines.some(line => JSON.stringify(line.entry).includes(USER_ID)), false);
+    });
+
+    it('logs each request with its ID, route, redacted user and outcome', async () => {
+        const { app, createUser } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 3 }],
+        });
+        setLogLevel('info');
+        const alice = await createUser();
+
+        const res = await request(app)
+            .get('/api/v1/cohort-status')
+            .query({ cluster_id: 1 })
+            .set(alice.auth)
+            .set('X-Request-Id', 'req-00000002');
+
+        assert.equal(res.headers['x-request-id'], 'req-00000002');
+        const completed = lines.map(line => line.entry).find(entry => entry.msg === 'request completed');
+        assert.equal(completed.request_id, 'req-00000002');
+        assert.equal(completed.method, 'GET');
+        assert.equal(completed.path, '/api/v1/cohort-status');
+        assert.equal(completed.route, '/api/v1/cohort-status');
+        assert.equal(completed.user_id, redactUserId(alice.id));
+        assert.equal(completed.cluster_id, '1');
+        assert.equal(completed.status, 200);
+        assert.equal(completed.outcome, 'success');
+        assert.equal(typeof completed.latency_ms, 'number');
+        assert.equal(lines.some(line => JSON.stringify(line.entry).includes(alice.id)), false);
+    });
+});
@@ -0,0 +1,120 @@
+// test/rateLimit.test.js
+// Request budgets (middleware/rateLimit.js) on the memory store with a fake clock: bursts over
+// the budget get 429 RATE_LIMITED with Retry-After, until the window resets.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { setRateLimitStore } = require('../services/rateLimit');
+const { createMemoryRateLimitStore } = require('../services/rateLimit/memoryStore');
+const { rateLimit } = require('../middleware/rateLimit');
+const { errorHandler } = require('../middleware/errorHandler');
+const rateLimitConfig = require('../config/rateLimit');
+
+describe('rate limits', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = Date.now();
+    });
+
+    describe('on the API', () => {
+        let app, createUser;
+
+        beforeEach(() => {
+            ({ app, createUser } = createTestApp({
+                dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 3 }],
+            }));
+            setRateLimitStore(createMemoryRateLimitStore({ now: () => clock }));
+        });
+
+        const join = user => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: 1 });
+
+        it('refuses a burst of joins past the budget with 429 and Retry-After', async () => {
+            const { max, windowSeconds } = rateLimitConfig.budgets.join;
+            const alice = await createUser();
+
+            for (let i = 0; i < max; i++) {
+                assert.equal((await join(alice)).status, 200);
+            }
+            const limited = await join(alice);
+
+            assert.equal(limited.status, 429);
+            assert.equal(limited.body.code, 'RATE_LIMITED');
+            const retryAfter = Number(limited.headers['retry-after']);
+            assert.ok(retryAfter > windowSeconds - 5 && retryAfter <= windowSeconds, `Retry-After ${retryAfter}`);
+            assert.equal(limited.body.details.retry_after_seconds, retryAfter);
+
+            // Counted per user: someone else still gets in
+            assert.equal((await join(await createUser())).status, 200);
+
+            // A new window opens once the old one has passed
+            clock += windowSeconds * 1000;
+            assert.equal((await join(alice)).status, 200);
+        });
+
+        it('counts anonymous callers by IP', async () => {
+            const { max } = rateLimitConfig.budgets.download;
+
+            for (let i = 0; i < max; i++) {
+                assert.equal((await request(app).get('/api/v1/downloads/not-a-real-ticket')).status, 403);
+            }
+            const limited = await request(app).get('/api/v1/downloads/not-a-real-ticket');
+
+            assert.equal(limited.status, 429);
+            assert.ok(Number(limited.headers['retry-after']) >= 1);
+        });
+    });
+
+    describe('middleware', () => {
+        const config = { enabled: true, budgets: { burst: { max: 2, windowSeconds: 30 } } };
+
+        const buildApp = limiterConfig => {
+            const app = express();
+            app.get('/limited', rateLimit('burst', limiterConfig), (req, res) => res.json({ success: true }));
+            app.use(errorHandler);
+            return app;
+        };
+
+        it('keeps refusing until the window ends', async () => {
+            setRateLimitStore(createMemoryRateLimitStore({ now: () => clock }));
+            const app = buildApp(config);
+
+            assert.equal((await request(app).get('/limited')).status, 200);
+            assert.equal((await request(app).get('/limited')).status, 200);
+            const limited = await request(app).get('/limited');
+            assert.equal(limited.status, 429);
+            assert.equal(limited.headers['retry-after'], '30');
+
+            clock += 29 * 1000;
+            assert.equal((await request(app).get('/limited')).status, 429);
+
+            clock += 1000;
+            assert.equal((await request(app).get('/limited')).status, 200);
+        });
+
+        it('lets requests through when disabled', async () => {
+            setRateLimitStore(createMemoryRateLimitStore({ now: () => clock }));
+            const app = buildApp({ ...config, enabled: false });
+
+            for (let i = 0; i < 5; i++) {
+                assert.equal((await request(app).get('/limited')).status, 200);
+            }
+        });
+
+        it('lets requests through when the store fails', async () => {
+            setRateLimitStore({ hit: async () => { throw new Error('store down'); } });
+            const app = buildApp(config);
+
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await request(app).get('/limited')).status, 200);
+            }
+        });
+
+        it('rejects an unknown budget when the route is built', () => {
+            assert.throws(() => rateLimit('nope', config), /Unknown rate limit budget "nope"/);
+        });
+    });
+});
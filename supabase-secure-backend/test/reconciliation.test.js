@@ -0,0 +1,157 @@
+// test/reconciliation.test.js
+// Reconciliation (services/reconciliation.js) through GET /api/v1/admin/reconciliation and
+// POST /api/v1/admin/reconciliation/repair: each issue type is reported without writing anything,
+// then repaired.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { invalidateClusterReads } = require('../services/cache');
+
+describe('cohort reconciliation', () => {
+    let app, db, createUser, createAdmin, runJobs;
+    let admin, members;
+
+    const join = user => request(app).post('/api/v1/join-cluster').set(user.auth).send({ p_cluster_id: 1 });
+    const meta = () => db.rows('cluster_metadata')[0];
+    const cohort = cohortId => db.rows('cluster_cohorts').find(row => row.cohort_id === cohortId);
+
+    // Reports the issues and checks that the scan wrote nothing, then repairs them
+    const reportThenRepair = async () => {
+        const before = db.snapshot();
+        const report = await request(app).get('/api/v1/admin/reconciliation').query({ cluster_id: 1 }).set(admin.auth);
+        assert.equal(report.status, 200);
+        assert.deepEqual(db.snapshot(), before);
+        assert.ok(report.body.issues.every(issue => issue.status === undefined));
+
+        const repair = await request(app).post('/api/v1/admin/reconciliation/repair').set(admin.auth).send({ cluster_id: 1 });
+        assert.equal(repair.status, 200);
+        await invalidateClusterReads(1);
+        return { reported: report.body.issues, repaired: repair.body.issues };
+    };
+    const completeCohort = async () => {
+        for (const member of members) await join(member);
+        const [completed] = db.rows('cluster_cohorts').filter(row => row.is_full);
+        return completed;
+    };
+
+    beforeEach(async () => {
+        ({ app, db, createUser, createAdmin, runJobs } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 2 }],
+        }));
+        admin = await createAdmin();
+        members = [await createUser(), await createUser()];
+    });
+
+    it('finds nothing in a consistent cluster', async () => {
+        await completeCohort();
+        await runJobs();
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported, []);
+        assert.deepEqual(repaired, []);
+    });
+
+    it('completes a cohort that reached max_members unrecorded and places the queue', async () => {
+        await join(members[0]);
+        const openCohortId = meta().active_cohort_id;
+        // The second membership was written without the completion that should have followed it
+        db.seed('cluster_cohort_members', { cluster_id: 1, cohort_id: openCohortId, user_id: members[1].id, display_profession: false });
+        const dave = await createUser();
+        assert.equal((await request(app).post('/api/v1/cluster-queue/join').set(dave.auth).send({ cluster_id: 1 })).status, 200);
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair, issue.cohort_id]), [['completion_not_recorded', 'complete_cohort', openCohortId]]);
+        assert.equal(reported[0].details.active, true);
+        assert.equal(repaired[0].status, 'repaired');
+        assert.equal(cohort(openCohortId).is_full, true);
+        assert.notEqual(meta().active_cohort_id, openCohortId);
+        assert.equal(db.rows('cohort_history').length, 1);
+        assert.deepEqual(db.rows('jobs').map(job => job.dedupe_key), [`cohort_vcf:${openCohortId}`]);
+        // Dave was waiting for the full cohort and now starts the next one
+        assert.deepEqual(db.rows('cluster_queue'), []);
+        const daveMembership = db.rows('cluster_cohort_members').find(member => member.user_id === dave.id);
+        assert.equal(daveMembership.cohort_id, meta().active_cohort_id);
+
+        const jobs = await runJobs();
+        assert.deepEqual(jobs.map(job => job.outcome), ['done']);
+    });
+
+    it('queues a new VCF job for a full cohort whose job is gone', async () => {
+        const completed = await completeCohort();
+        await db.from('jobs').delete().eq('dedupe_key', `cohort_vcf:${completed.cohort_id}`);
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair]), [['vcf_missing', 'regenerate_vcf']]);
+        assert.equal(reported[0].details.job_id, null);
+        assert.equal(repaired[0].status, 'repaired');
+        assert.equal(db.rows('jobs').length, 1);
+        await runJobs();
+        assert.equal(cohort(completed.cohort_id).vcf_uploaded, true);
+    });
+
+    it('retries a dead-lettered VCF job', async () => {
+        const completed = await completeCohort();
+        await db.from('jobs').update({ status: 'dead', attempts: 6, last_error: 'storage down' }).eq('dedupe_key', `cohort_vcf:${completed.cohort_id}`);
+        const [deadJob] = db.rows('jobs');
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair]), [['vcf_missing', 'regenerate_vcf']]);
+        assert.deepEqual([reported[0].details.job_id, reported[0].details.job_status], [deadJob.id, 'dead']);
+        assert.equal(repaired[0].status, 'repaired');
+        const [job] = db.rows('jobs');
+        assert.deepEqual([job.id, job.status, job.attempts], [deadJob.id, 'pending', 0]);
+    });
+
+    it('reopens a cohort marked full with fewer than max_members', async () => {
+        const completed = await completeCohort();
+        const replacementId = meta().active_cohort_id;
+        await db.from('cluster_cohort_members').delete().eq('user_id', members[1].id);
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair, issue.cohort_id]), [['underfilled_full_cohort', 'reopen_cohort', completed.cohort_id]]);
+        assert.equal(repaired[0].status, 'repaired');
+        assert.equal(cohort(completed.cohort_id).is_full, false);
+        assert.equal(meta().active_cohort_id, completed.cohort_id);
+        assert.equal(meta().current_members, 1);
+        assert.equal(cohort(replacementId), undefined);
+        assert.deepEqual(db.rows('jobs'), []);
+        assert.deepEqual(db.rows('cohort_history'), []);
+
+        // The cohort fills (and completes) again with the next join
+        const erin = await createUser();
+        assert.equal((await join(erin)).body.cohort_id, completed.cohort_id);
+        assert.equal(cohort(completed.cohort_id).is_full, true);
+    });
+
+    it('opens a new cohort when the active one is missing', async () => {
+        await join(members[0]);
+        await db.from('cluster_metadata').update({ active_cohort_id: 'C_1_deadbeef' }).eq('cluster_id', 1);
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair, issue.details.reason]), [['active_cohort_unusable', 'open_next_cohort', 'missing']]);
+        assert.equal(repaired[0].status, 'repaired');
+        assert.notEqual(meta().active_cohort_id, 'C_1_deadbeef');
+        assert.notEqual(cohort(meta().active_cohort_id), undefined);
+        assert.equal((await join(await createUser())).status, 200);
+    });
+
+    it('resyncs a drifted current_members count', async () => {
+        await join(members[0]);
+        await db.from('cluster_metadata').update({ current_members: 5 }).eq('cluster_id', 1);
+
+        const { reported, repaired } = await reportThenRepair();
+
+        assert.deepEqual(reported.map(issue => [issue.type, issue.repair]), [['member_count_drift', 'sync_member_count']]);
+        assert.deepEqual(reported[0].details, { current_members: 5, member_count: 1 });
+        assert.equal(repaired[0].status, 'repaired');
+        assert.equal(meta().current_members, 1);
+    });
+});
@@ -0,0 +1,153 @@
+// test/retention.test.js
+// The retention sweep (services/retention.js) on a fake clock: completed cohorts and groups are
+// purged once everyone has downloaded or the age limit has passed, and never before.
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestApp } = require('./support/testApp');
+const { runRetentionSweep } = require('../services/retention');
+const { getVcfStorage } = require('../services/storage');
+const retentionConfig = require('../config/retention');
+const { logger } = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('retention sweep', () => {
+    let app, db, createUser, runJobs;
+    let members;
+
+    beforeEach(async () => {
+        ({ app, db, createUser, runJobs } = createTestApp({
+            dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 2 }],
+        }));
+        members = [await createUser(), await createUser()];
+    });
+
+    const completeCohort = async () => {
+        for (const member of members) {
+            await request(app).post('/api/v1/join-cluster').set(member.auth).send({ p_cluster_id: 1 });
+        }
+        await runJobs();
+        return db.rows('cluster_cohorts').find(cohort => cohort.is_full);
+    };
+    const download = async member => {
+        const ticket = await request(app).post('/api/v1/download-tickets').set(member.auth).send({ cluster_id: 1 });
+        await request(app).get(ticket.body.download_url);
+    };
+    const fileExists = key => getVcfStorage().stream(key).then(() => true, () => false);
+
+    it('keeps a cohort until its age limit, then purges members and file', async () => {
+        const cohort = await completeCohort();
+        const expiresAt = new Date(cohort.expires_at);
+        assert.equal(expiresAt.getTime() - new Date(cohort.completed_at).getTime(), retentionConfig.rules.cohort.maxAgeHours * HOUR_MS);
+
+        const early = await runRetentionSweep({ now: new Date(expiresAt.getTime() - 1) });
+        assert.deepEqual(early, { success: true, purged: [] });
+        assert.equal(db.rows('cluster_cohort_members').length, 2);
+
+        const due = await runRetentionSweep({ now: expiresAt });
+
+        assert.deepEqual(due.purged, [{ resource_type: 'cohort', resource_id: cohort.cohort_id, reason: 'max_age' }]);
+        assert.equal(db.rows('cluster_cohort_members').length, 0);
+        const purgedCohort = db.rows('cluster_cohorts').find(row => row.cohort_id === cohort.cohort_id);
+        assert.equal(purgedCohort.expired, true);
+        assert.equal(purgedCohort.vcf_uploaded, false);
+        assert.equal(await fileExists(cohort.vcf_file_name), false);
+        assert.equal(db.rows('cohort_history')[0].expires_at, cohort.expires_at);
+
+        const [audit] = db.rows('retention_audit');
+        assert.equal(audit.reason, 'max_age');
+        assert.equal(audit.members_deleted, 2);
+        assert.equal(audit.vcf_deleted, true);
+        assert.equal(audit.purged_at, expiresAt.toISOString());
+
+        // Purged cohorts are never processed again
+        const again = await runRetentionSweep({ now: new Date(expiresAt.getTime() + HOUR_MS) });
+        assert.deepEqual(again.purged, []);
+    });
+
+    it('records in the audit that there was no file to delete', async () => {
+        const cohort = await completeCohort();
+        assert.equal(await getVcfStorage().remove(cohort.vcf_file_name), true);
+
+        const due = await runRetentionSweep({ now: new Date(cohort.expires_at) });
+
+        assert.equal(due.purged.length, 1);
+        const [audit] = db.rows('retention_audit');
+        assert.equal(audit.vcf_deleted, false);
+        assert.equal(audit.members_deleted, 2);
+    });
+
+    it('purges a cohort early once every member has downloaded, moving its expiry forward', async () => {
+        const cohort = await completeCohort();
+        const now = new Date(new Date(cohort.completed_at).getTime() + HOUR_MS);
+
+        await download(members[0]);
+        assert.deepEqual((await runRetentionSweep({ now })).purged, []);
+
+        await download(members[1]);
+        const result = await runRetentionSweep({ now });
+
+        assert.deepEqual(result.purged.map(entry => entry.reason), ['all_downloaded']);
+        assert.equal(db.rows('cluster_cohorts').find(row => row.cohort_id === cohort.cohort_id).expires_at, now.toISOString());
+        assert.equal(db.rows('cohort_history')[0].expires_at, now.toISOString());
+        assert.equal(db.rows('vcf_downloads').length, 2);
+    });
+
+    it('applies per-cluster overrides of the cohort rule', async () => {
+        const cohort = await completeCohort();
+        for (const member of members) await download(member);
+        const config = { ...retentionConfig, clusters: { 1: { allDownloaded: false } } };
+
+        const result = await runRetentionSweep({ now: new Date(new Date(cohort.completed_at).getTime() + HOUR_MS), config });
+
+        assert.deepEqual(result.purged, []);
+    });
+
+    it('purges groups by their own rules', async () => {
+        const creator = await createUser();
+        const createGroup = vcf_type => request(app).post('/api/v1/groups/create').set(creator.auth)
+            .send({ name: `Group ${vcf_type}`, max_members: 2, vcf_type, referral_message_template: 'Join us' });
+        const general = (await createGroup('general')).body.group;
+        const direct = (await createGroup('direct')).body.group;
+        for (const member of members) {
+            await request(app).post('/api/v1/groups/join').set(member.auth).send({ group_id: general.group_id });
+            await request(app).post('/api/v1/groups/join').set(member.auth).send({ group_id: direct.group_id });
+        }
+        await runJobs();
+        const completedAt = new Date(db.rows('groups').find(group => group.group_id === general.group_id).completed_at);
+        const maxAge = retentionConfig.rules.general_group.maxAgeHours * HOUR_MS;
+
+        const early = await runRetentionSweep({ now: new Date(completedAt.getTime() + maxAge - 1) });
+        assert.deepEqual(early.purged.filter(entry => entry.resource_type === 'group'), []);
+
+        const due = await runRetentionSweep({ now: new Date(completedAt.getTime() + maxAge + HOUR_MS) });
+
+        assert.deepEqual(due.purged.filter(entry => entry.resource_type === 'group').map(entry => [entry.resource_id, entry.reason]).sort(),
+            [[String(general.group_id), 'max_age'], [String(direct.group_id), 'max_age']].sort());
+        assert.deepEqual(db.rows('group_members'), []);
+        assert.deepEqual(db.rows('retention_audit').filter(row => row.resource_type === 'group').map(row => row.rule).sort(), ['direct_group', 'general_group']);
+    });
+
+    it('logs a failed cohort history update without undoing the purge', async (t) => {
+        const cohort = await completeCohort();
+        const from = db.from;
+        t.after(() => { db.from = from; });
+        db.from = table => (table === 'cohort_history'
+            ? { update: () => ({ eq: async () => ({ data: null, error: { message: 'history offline' } }) }) }
+            : from.call(db, table));
+        const logged = mock.method(logger, 'error', () => {});
+        t.after(() => logged.mock.restore());
+
+        const result = await runRetentionSweep({ now: new Date(cohort.expires_at) });
+
+        assert.equal(result.purged.length, 1);
+        assert.equal(db.rows('cluster_cohort_members').length, 0);
+        assert.equal(db.rows('retention_audit').length, 1);
+        const [message, fields] = logged.mock.calls[0].arguments;
+        assert.equal(message, 'Retention: failed to update cohort history expiry');
+        assert.equal(fields.cohort_id, cohort.cohort_id);
+        assert.equal(fields.error, 'history offline');
+    });
+});
@@ -0,0 +1,86 @@
+// test/support/testApp.js
+// Builds the app from createApp() on a fresh in-memory Supabase (dev/memorySupabase.js),
+// with fresh rate limit, cache and storage state, so every test starts from an empty world.
+//
+//   const { app, db, createUser, runJobs } = createTestApp({ dynamic_clusters: [{ id: 1, name: 'Devs', max_members: 3 }] });
+//   const alice = await createUser({ nickname: 'Alice' });
+//   await request(app).post('/api/v1/join-cluster').set(alice.auth).send({ p_cluster_id: 1 });
+
+const storageConfig = require('../../config/storage');
+const { setSupabaseClients } = require('../../config/supabase');
+const { createApp } = require('../../app');
+const { createCacheStore, setCacheStore } = require('../../services/cache');
+const { createRateLimitStore, setRateLimitStore } = require('../../services/rateLimit');
+const { createVcfStorage, setVcfStorage } = require('../../services/storage');
+const { handlers } = require('../../services/jobs');
+const { createJobWorker } = require('../../services/jobs/worker');
+const { setLogLevel } = require('../../utils/logger');
+const { createMemorySupabase } = require('../../dev/memorySupabase');
+
+// Request logs would drown the test report; LOG_LEVEL=debug brings them back when debugging a test
+setLogLevel(process.env.LOG_LEVEL || 'silent');
+
+let nextPhone = 1000;
+
+/**
+ * Creates the app and its in-memory backend.
+ * @param {Object} [seed] - Initial rows keyed by table name (see createMemorySupabase()).
+ * @returns {{app: import('express').Express, db: Object, createUser: Function, createAdmin: Function, runJobs: Function}}
+ */
+function createTestApp(seed = {}) {
+    const db = createMemorySupabase(seed);
+    setSupabaseClients({ admin: db });
+    setCacheStore(createCacheStore({ driver: 'memory' }));
+    setRateLimitStore(createRateLimitStore({ driver: 'memory' }));
+    // Files go to the in-memory client's storage, whatever VCF_STORAGE_DRIVER says
+    setVcfStorage(createVcfStorage({ ...storageConfig, driver: 'supabase' }));
+
+    const app = createApp({ serveFrontend: false });
+
+    /**
+     * Creates a signed-in user with a profile.
+     * @param {Object} [profile] - user_profiles fields to override.
+     * @returns {Promise<{id: string, token: string, auth: Object}>} `auth` is the Authorization header, for .set().
+     */
+    async function createUser(profile = {}) {
+        const { user, access_token } = db.createSession();
+        nextPhone += 1;
+        db.seed('user_profiles', {
+            user_id: user.id,
+            nickname: `User ${nextPhone}`,
+            profession: 'Engineer',
+            whatsapp_number: `+1555000${nextPhone}`,
+            ...profile,
+        });
+        return { id: user.id, token: access_token, auth: { Authorization: `Bearer ${access_token}` } };
+    }
+
+    /**
+     * Creates a signed-in user holding the given roles (services/roleService.js).
+     */
+    async function createAdmin(roles = ['admin']) {
+        const user = await createUser();
+        roles.forEach(role => db.seed('user_roles', { user_id: user.id, role }));
+        return user;
+    }
+
+    /**
+     * Runs the job worker until no job is due. The clock runs a little ahead so that jobs
+     * queued during the test are due right away.
+     * @returns {Promise<Array<{job_id: number, type: string, outcome: string}>>} Every attempt made.
+     */
+    async function runJobs() {
+        const worker = createJobWorker({ handlers, clock: () => new Date(Date.now() + 1000) });
+        const results = [];
+        for (let batch = await worker.runOnce(); batch.length > 0; batch = await worker.runOnce()) {
+            results.push(...batch);
+        }
+        return results;
+    }
+
+    return { app, db, createUser, createAdmin, runJobs };
+}
+
+module.exports = {
+    createTestApp,
+};
@@ -0,0 +1,174 @@
+// test/validation.test.js
+// Schemas (utils/validation.js) and their enforcement on routes (middleware/validate.js):
+// coercion of query-string values, defaults, whitelisting, limits and the 400 response.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { rules, validateObject, MAX_INT_ID } = require('../utils/validation');
+const { validate } = require('../middleware/validate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createTestApp } = require('./support/testApp');
+
+describe('validateObject', () => {
+    it('coerces query-string values to the rule type', () => {
+        const schema = {
+            limit: { type: 'integer' },
+            ratio: { type: 'number' },
+            active: { type: 'boolean' },
+            hidden: { type: 'boolean' },
+            ids: { type: 'array', items: rules.clusterId },
+            name: { type: 'string' },
+        };
+
+        const { value, errors } = validateObject(schema, {
+            limit: ' 5 ', ratio: '0.25', active: 'true', hidden: 'false', ids: '1, 2,3,', name: 42,
+        });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { limit: 5, ratio: 0.25, active: true, hidden: false, ids: [1, 2, 3], name: '42' });
+    });
+
+    it('applies defaults to missing and empty fields only', () => {
+        const schema = { limit: { type: 'integer', default: 20 }, sort: { type: 'string', enum: ['new', 'old'], default: 'new' } };
+
+        assert.deepEqual(validateObject(schema, {}).value, { limit: 20, sort: 'new' });
+        assert.deepEqual(validateObject(schema, { limit: '', sort: null }).value, { limit: 20, sort: 'new' });
+        assert.deepEqual(validateObject(schema, { limit: '0', sort: 'old' }).value, { limit: 0, sort: 'old' });
+    });
+
+    it('drops fields that are not in the schema', () => {
+        const { value } = validateObject({ cluster_id: rules.clusterId }, { cluster_id: '3', user_id: 'someone-else', is_admin: true });
+
+        assert.deepEqual(value, { cluster_id: 3 });
+    });
+
+    it('trims strings unless told not to', () => {
+        assert.equal(validateObject({ name: { type: 'string' } }, { name: '  Ada  ' }).value.name, 'Ada');
+        assert.equal(validateObject({ name: { type: 'string', trim: false } }, { name: '  Ada  ' }).value.name, '  Ada  ');
+    });
+
+    it('keeps null for nullable fields', () => {
+        const schema = { description: { type: 'string', nullable: true } };
+
+        assert.deepEqual(validateObject(schema, { description: null }).value, { description: null });
+    });
+
+    it('enforces minItems and maxItems, and checks every item', () => {
+        const schema = { ids: { type: 'array', items: rules.clusterId, minItems: 1, maxItems: 3 } };
+
+        assert.deepEqual(validateObject(schema, { ids: [] }).errors, [{ field: 'ids', message: 'must have at least 1 items' }]);
+        assert.deepEqual(validateObject(schema, { ids: '1,2,3,4' }).errors, [{ field: 'ids', message: 'must have at most 3 items' }]);
+        assert.deepEqual(validateObject(schema, { ids: ['1', 'x'] }).errors, [{ field: 'ids', message: 'item 1 must be an integer' }]);
+        assert.deepEqual(validateObject(schema, { ids: { 0: 1 } }).errors, [{ field: 'ids', message: 'must be an array' }]);
+    });
+
+    it('rejects values of the wrong type or out of range', () => {
+        const cases = [
+            [rules.clusterId, '1.5', 'must be an integer'],
+            [rules.clusterId, 'abc', 'must be an integer'],
+            [rules.clusterId, '0', 'must be at least 1'],
+            [rules.clusterId, String(MAX_INT_ID + 1), `must be at most ${MAX_INT_ID}`],
+            [{ type: 'number' }, 'Infinity', 'must be a number'],
+            [rules.displayProfession, 'yes', 'must be true or false'],
+            [rules.userId, 'not-a-uuid', 'must be a UUID'],
+            [rules.fileName, '../etc/passwd', 'must be a plain file name'],
+            [rules.refCode, 'x'.repeat(65), 'must be at most 64 characters'],
+            [{ type: 'string', minLength: 2 }, ' a ', 'must be at least 2 characters'],
+            [{ type: 'string' }, { nested: true }, 'must be a string'],
+            [rules.vcardVersion, '2.1', 'must be one of: 3.0, 4.0'],
+        ];
+
+        for (const [rule, input, message] of cases) {
+            assert.deepEqual(validateObject({ field: rule }, { field: input }).errors, [{ field: 'field', message }], `input ${JSON.stringify(input)}`);
+        }
+    });
+
+    it('reports every missing required field', () => {
+        const schema = { cluster_id: { ...rules.clusterId, required: true }, user_id: { ...rules.userId, required: true } };
+
+        const { errors } = validateObject(schema, { cluster_id: '', user_id: null });
+
+        assert.deepEqual(errors, [{ field: 'cluster_id', message: 'is required' }, { field: 'user_id', message: 'is required' }]);
+    });
+
+    it('treats a missing or non-object input as empty', () => {
+        const schema = { limit: { type: 'integer', default: 10 } };
+
+        assert.deepEqual(validateObject(schema, undefined), { value: { limit: 10 }, errors: [] });
+        assert.deepEqual(validateObject(schema, ['limit']), { value: { limit: 10 }, errors: [] });
+    });
+
+    it('refuses a rule with an unknown type', () => {
+        assert.throws(() => validateObject({ field: { type: 'date' } }, { field: '2024-01-01' }), /Unknown validation type "date"/);
+    });
+});
+
+describe('validate middleware', () => {
+    const buildApp = () => {
+        const app = express();
+        app.use(express.json());
+        app.post('/clusters/:cluster_id', validate({
+            params: { cluster_id: { ...rules.clusterId, required: true } },
+            query: { limit: { type: 'integer', min: 1, max: 50, default: 20 } },
+            body: { tags: { type: 'array', items: { type: 'string', maxLength: 10 }, maxItems: 2 } },
+        }), (req, res) => res.json({ params: req.params, query: req.query, body: req.body }));
+        app.use(errorHandler);
+        return app;
+    };
+
+    it('replaces params, query and body with their cleaned copies', async () => {
+        const res = await request(buildApp()).post('/clusters/7?extra=1').send({ tags: ['a', ' b '], role: 'admin' });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { params: { cluster_id: 7 }, query: { limit: 20 }, body: { tags: ['a', 'b'] } });
+    });
+
+    it('rejects bad input with 400 VALIDATION_ERROR listing every problem', async () => {
+        const res = await request(buildApp()).post('/clusters/x?limit=500').send({ tags: ['a', 'b', 'c'] });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.code, 'VALIDATION_ERROR');
+        assert.equal(res.body.message, 'params.cluster_id must be an integer.');
+        assert.deepEqual(res.body.details.errors, [
+            { field: 'params.cluster_id', message: 'must be an integer' },
+            { field: 'query.limit', message: 'must be at most 50' },
+            { field: 'body.tags', message: 'must have at most 2 items' },
+        ]);
+    });
+
+    it('rejects an over-long item inside an array', async () => {
+        const res = await request(buildApp()).post('/clusters/1').send({ tags: ['way-too-long-tag'] });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.details.errors, [{ field: 'body.tags', message: 'item 0 must be at most 10 characters' }]);
+    });
+});
+
+describe('route schemas', () => {
+    it('caps the batch status request at its maxItems', async () => {
+        const { app, createUser } = createTestApp({ dynamic_clusters: [{ id: 1, name: 'Developers', max_members: 3 }] });
+        const alice = await createUser();
+        const tooMany = Array.from({ length: 101 }, (_, i) => i + 1).join(',');
+
+        const rejected = await request(app).get('/api/v1/cohorts/status').query({ cluster_ids: tooMany }).set(alice.auth);
+        assert.equal(rejected.status, 400);
+        assert.deepEqual(rejected.body.details.errors, [{ field: 'query.cluster_ids', message: 'must have at most 100 items' }]);
+
+        const accepted = await request(app).get('/api/v1/cohorts/status').query({ cluster_ids: ' 1 ' }).set(alice.auth);
+        assert.equal(accepted.status, 200);
+    });
+
+    it('accepts coerced filters and rejects unknown values on the group list', async () => {
+        const { app } = createTestApp();
+
+        const listed = await request(app).get('/api/v1/groups').query({ is_paid: 'false', limit: '5' });
+        assert.equal(listed.status, 200);
+
+        const res = await request(app).get('/api/v1/groups').query({ status: 'closed', sort: 'random', limit: '0' });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.details.errors.map(error => error.field), ['query.status', 'query.sort', 'query.limit']);
+    });
+});
@@ -0,0 +1,84 @@
+// test/vcardBuilder.test.js
+// The vCard builder against golden files in test/fixtures/vcard (escaping, 75-octet folding,
+// CRLF line endings, 3.0 and 4.0). The fixtures are compared byte for byte.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildVCard, generateVcfContent, escapeText, foldLine } = require('../utils/vcardBuilder');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'vcard', name), 'utf8');
+
+const members = [
+    { user_id: 'a1', nickname: 'Ada Lovelace', profession: 'Engineer', whatsapp_number: '+44 20 7946 0018', display_profession: true },
+    { user_id: 'b2', nickname: 'Grace', profession: 'Admiral', whatsapp_number: '(555) 010-0199', display_profession: false },
+    { user_id: 'c3d4e5f6-0000-4000-8000-000000000000', nickname: null, whatsapp_number: null },
+];
+
+describe('vcardBuilder', () => {
+    it('builds 3.0 cards', () => {
+        assert.equal(generateVcfContent(members, { version: '3.0' }), fixture('members-3.0.vcf'));
+    });
+
+    it('builds 4.0 cards', () => {
+        assert.equal(generateVcfContent(members, { version: '4.0' }), fixture('members-4.0.vcf'));
+    });
+
+    it('defaults to 3.0 when VCARD_VERSION is not set', { skip: process.env.VCARD_VERSION && 'VCARD_VERSION is set' }, () => {
+        assert.equal(generateVcfContent(members), fixture('members-3.0.vcf'));
+    });
+
+    it('escapes backslashes, commas, semicolons and newlines in every text value', () => {
+        const contact = {
+            user_id: 'd4',
+            nickname: 'Jean-Luc, Jr; Picard\\Q',
+            profession: 'Captain; USS Enterprise,\nNCC-1701',
+            display_profession: true,
+            whatsapp_number: '+15550100',
+        };
+
+        assert.equal(buildVCard(contact, { version: '3.0' }), fixture('escaping.vcf'));
+        assert.equal(escapeText('a\r\nb\rc'), 'a\\nb\\nc');
+    });
+
+    it('folds long lines at 75 octets without splitting a character', () => {
+        const contacts = [
+            {
+                user_id: 'e5',
+                nickname: 'Zoë Ångström-Øresund',
+                profession: 'Chief Executive Officer and Founding Partner of the Nordic Ventures Group Ltd',
+                display_profession: true,
+                whatsapp_number: '+4712345678',
+            },
+            { user_id: 'f6', nickname: `Łukasz ${'Ø'.repeat(30)}${'😀'.repeat(12)}`, whatsapp_number: '+48123456789' },
+        ];
+
+        const content = generateVcfContent(contacts, { version: '4.0' });
+
+        assert.equal(content, fixture('folding.vcf'));
+        for (const line of content.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line over 75 octets: ${line}`);
+            assert.equal(line.includes('�'), false);
+        }
+        // Unfolding restores the original line
+        assert.equal(foldLine(`TITLE:${'x'.repeat(200)}`).replace(/\r\n /g, ''), `TITLE:${'x'.repeat(200)}`);
+    });
+
+    it('ends every line with CRLF', () => {
+        const content = generateVcfContent(members);
+
+        assert.equal(content.endsWith('\r\n'), true);
+        assert.equal(/[^\r]\n/.test(content), false);
+        assert.equal(content.includes('\r\r'), false);
+    });
+
+    it('rejects an unsupported version', () => {
+        assert.throws(() => buildVCard(members[0], { version: '2.1' }), /Unsupported vCard version "2.1"/);
+    });
+
+    it('returns an empty file for no contacts', () => {
+        assert.equal(generateVcfContent([]), '');
+        assert.equal(generateVcfContent(null), '');
+    });
+});
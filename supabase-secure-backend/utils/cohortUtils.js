@@ -8,38 +8,9 @@ const { supabaseUrl, supabaseAnonKey } = require('../config/supabase');
 
 // --- 1. VCF Generation Utility ---
 
-// (CONTENT IS UNCHANGED)
-function generateVcfContent(contacts) {
-    let vcfString = '';
-
-    contacts.forEach(contact => {
-        const nickname = contact.nickname || 'Unknown';
-        const profession = contact.profession || ''; 
-        const whatsapp = contact.whatsapp_number || 'N/A';
-        const displayProfession = contact.display_profession;
-
-        let formattedName;
-        if (displayProfession && profession) {
-            formattedName = `${nickname} (${profession})`;
-        } else {
-            formattedName = `${nickname} NEARR`;
-        }
-
-        vcfString += 'BEGIN:VCARD\n';
-        vcfString += 'VERSION:3.0\n';
-        vcfString += `FN:${formattedName}\n`;
-        vcfString += `N:;${formattedName};;; \n`; 
-        vcfString += `TEL;TYPE=cell;TYPE=VOICE;X-WAID:${whatsapp}\n`; 
-        
-        if (displayProfession && profession) {
-             vcfString += `ORG:${profession}\n`;
-        }
-        
-        vcfString += 'END:VCARD\n';
-    });
-
-    return vcfString.trim();
-}
+// Re-exported from the shared builder so existing callers keep working.
+const { generateVcfContent } = require('./vcardBuilder');
+const { logger } = require('./logger');
 
 
 // --- 2. Cluster Stats Calculation Utility ---
@@ -240,8 +211,7 @@ function injectSupabaseConfig(templatePath, res, projectRoot) {
     
     fs.readFile(filePathFull, 'utf8', (err, html) => {
         if (err) {
-            console.error(`File Read Error for ${templatePath}:`, err);
-            console.error(`Expected path: ${filePathFull}`); 
+            logger.error('Page: template read failed', { path: templatePath, full_path: filePathFull, error: err.message });
             return res.status(500).send(`Internal Server Error: Could not read HTML template file: ${templatePath}.`);
         }
         
@@ -258,7 +228,7 @@ function injectSupabaseConfig(templatePath, res, projectRoot) {
             // Inject the REDIRECT script right before the closing head tag
             injectedHtml = injectedHtml.replace(headCloseTag, `${REDIRECT_SAVE_SCRIPT}${headCloseTag}`);
         } else {
-             console.warn('Could not find </head> tag for script injection in:', templatePath);
+             logger.warn('Page: no </head> tag for script injection', { path: templatePath });
         }
 
         // 3. Send the final, corrected HTML
@@ -318,7 +288,7 @@ async function getClusterCohortStatus(supabase, clusterId, userId) {
         .single();
 
     if (clusterError) {
-        console.error(`DB Error fetching cluster metadata ${clusterId} config:`, clusterError);
+        logger.error('Cohort status: cluster metadata read failed', { cluster_id: clusterId, error: clusterError.message, error_code: clusterError.code });
     } else if (clusterData) {
         status.max_members = clusterData.max_members || status.max_members;
         status.vcf_uploaded = clusterData.vcf_uploaded || false;
@@ -348,7 +318,7 @@ async function getClusterCohortStatus(supabase, clusterId, userId) {
             .eq('cohort_id', status.cohort_id);
             
         if (countError) {
-            console.error("DB Error counting cohort members:", countError);
+            logger.error('Cohort status: member count failed', { cluster_id: clusterId, cohort_id: status.cohort_id, error: countError.message, error_code: countError.code });
         } else {
             status.current_members = currentMembersCount;
             status.is_full = currentMembersCount >= status.max_members;
@@ -357,7 +327,7 @@ async function getClusterCohortStatus(supabase, clusterId, userId) {
         // Note: VCF status fetching (Step 4 in original) is now handled in Step 1 using cluster_metadata
         
     } else if (membershipError && membershipError.code !== 'PGRST116') { // PGRST116 = No Rows Found (Expected when not a member)
-         console.error("DB Error checking membership (not expected, but logged):", membershipError);
+         logger.error('Cohort status: membership read failed', { cluster_id: clusterId, user_id: userId, error: membershipError.message, error_code: membershipError.code });
     }
     
     // CRITICAL FIX 5: Calculate spots_left before returning
@@ -0,0 +1,168 @@
+// utils/errors.js
+// Typed application errors. Routes throw (or pass to next()) one of these; the error handler in
+// middleware/errorHandler.js renders every one of them as
+//   { success: false, code, message, details?, request_id }
+// `code` is stable and machine-readable, so frontends switch on it instead of parsing `message`.
+
+/**
+ * Stable error codes. Generic codes come from the error class; routes pass a more specific one
+ * where the frontend needs to react to it.
+ */
+const ERROR_CODES = {
+    // Generic
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    GONE: 'GONE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+
+    // Auth
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    USER_ID_MISMATCH: 'USER_ID_MISMATCH',
+    ROLE_REQUIRED: 'ROLE_REQUIRED',
+    UNKNOWN_ROLE: 'UNKNOWN_ROLE',
+    SELF_REVOKE: 'SELF_REVOKE',
+
+    // Clusters and cohorts
+    CLUSTER_NOT_FOUND: 'CLUSTER_NOT_FOUND',
+    NO_ACTIVE_COHORT: 'NO_ACTIVE_COHORT',
+    COHORT_EMPTY: 'COHORT_EMPTY',
+    COHORT_FULL: 'COHORT_FULL',
+    COHORT_NOT_FULL: 'COHORT_NOT_FULL',
+    NOT_A_MEMBER: 'NOT_A_MEMBER',
+    ALREADY_MEMBER: 'ALREADY_MEMBER',
+    NOT_QUEUED: 'NOT_QUEUED',
+    FILE_NOT_IN_COHORT: 'FILE_NOT_IN_COHORT',
+    VCF_NOT_READY: 'VCF_NOT_READY',
+    COHORT_EXPIRED: 'COHORT_EXPIRED',
+    VCF_ALREADY_GENERATED: 'VCF_ALREADY_GENERATED',
+    COHORT_COMPLETED: 'COHORT_COMPLETED',
+    MAX_MEMBERS_BELOW_COHORT_SIZE: 'MAX_MEMBERS_BELOW_COHORT_SIZE',
+
+    // Download tickets
+    INVALID_TICKET: 'INVALID_TICKET',
+    TICKET_EXPIRED: 'TICKET_EXPIRED',
+    TICKET_ALREADY_USED: 'TICKET_ALREADY_USED',
+
+    // Groups
+    GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+    GROUP_FULL: 'GROUP_FULL',
+    GROUP_CLOSED: 'GROUP_CLOSED',
+    ALREADY_IN_GROUP: 'ALREADY_IN_GROUP',
+    NOT_GROUP_CREATOR: 'NOT_GROUP_CREATOR',
+    UNSUPPORTED_GROUP_TYPE: 'UNSUPPORTED_GROUP_TYPE',
+
+    // Profiles and registration
+    PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+    EMAIL_ALREADY_REGISTERED: 'EMAIL_ALREADY_REGISTERED',
+
+    // Background jobs
+    JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+    JOB_NOT_DEAD: 'JOB_NOT_DEAD',
+};
+
+/**
+ * Base class for errors that are safe to show to the client.
+ * @param {number} status - HTTP status.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {string} message - Human-readable message sent to the client.
+ * @param {Object} [details] - Extra machine-readable fields sent to the client.
+ */
+class AppError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message = 'The request is invalid.', { code = ERROR_CODES.VALIDATION_ERROR, details } = {}) {
+        super(400, code, message, details);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required.', { code = ERROR_CODES.UNAUTHORIZED, details } = {}) {
+        super(401, code, message, details);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'You do not have access to this resource.', { code = ERROR_CODES.FORBIDDEN, details } = {}) {
+        super(403, code, message, details);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found.', { code = ERROR_CODES.NOT_FOUND, details } = {}) {
+        super(404, code, message, details);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'The request conflicts with the current state.', { code = ERROR_CODES.CONFLICT, details } = {}) {
+        super(409, code, message, details);
+    }
+}
+
+class GoneError extends AppError {
+    constructor(message = 'This resource is no longer available.', { code = ERROR_CODES.GONE, details } = {}) {
+        super(410, code, message, details);
+    }
+}
+
+/**
+ * The caller used up a rate limit budget. middleware/rateLimit.js sets the Retry-After header.
+ */
+class RateLimitError extends AppError {
+    constructor(message = 'Too many requests. Please try again later.', { code = ERROR_CODES.RATE_LIMITED, details } = {}) {
+        super(429, code, message, details);
+    }
+}
+
+/**
+ * A database, storage or auth provider call failed. The client only sees a generic message;
+ * the underlying error is kept on `cause` and logged by the error handler.
+ * @param {string} operation - What was being attempted, e.g. 'fetch cohort status'. Logged, not sent.
+ * @param {Error|Object} [cause] - The original error (Supabase error objects are accepted).
+ */
+class UpstreamError extends AppError {
+    constructor(operation, cause, { code = ERROR_CODES.UPSTREAM_ERROR, details } = {}) {
+        super(502, code, 'A backend service failed. Please try again later.', details);
+        this.operation = operation;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Returns the error unchanged if it is already an AppError, otherwise wraps it in an UpstreamError.
+ * Use in catch blocks around service calls so raw DB messages never reach the client.
+ * @param {string} operation
+ * @param {*} error
+ * @returns {AppError}
+ */
+function toAppError(operation, error) {
+    return error instanceof AppError ? error : new UpstreamError(operation, error);
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    GoneError,
+    RateLimitError,
+    UpstreamError,
+    toAppError,
+};
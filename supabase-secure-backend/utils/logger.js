@@ -0,0 +1,124 @@
+// utils/logger.js
+// Structured JSON-lines logger.
+// Every line carries the request context set by middleware/requestLogger.js (request_id, method,
+// route, redacted user_id), so one request can be traced across routes and services without
+// passing the request object around. LOG_LEVEL selects the minimum level (default: info).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Fields that hold a user ID. write() redacts them, so call sites always pass the raw ID.
+const USER_ID_FIELDS = ['user_id', 'granted_by', 'revoked_by'];
+
+let minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * Changes the minimum level at runtime ('debug', 'info', 'warn', 'error' or 'silent').
+ * @param {string} level
+ */
+function setLogLevel(level) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS).join(', ')}.`);
+    }
+    minLevel = LEVELS[level];
+}
+
+/**
+ * Replaces a user ID with a stable, non-reversible token so log lines for the same user can be
+ * correlated without storing the ID itself.
+ * @param {string|null|undefined} userId
+ * @returns {string|null}
+ */
+function redactUserId(userId) {
+    if (!userId) return null;
+    return `u_${crypto.createHash('sha256').update(String(userId)).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Runs `fn` with `context` attached to every log line written while it (and anything it awaits) runs.
+ * @param {Object} context
+ * @param {Function} fn
+ */
+function runWithContext(context, fn) {
+    return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Adds fields to the current request context (e.g. the user once authentication has run).
+ * No-op outside a request.
+ * @param {Object} fields
+ */
+function addContext(fields) {
+    const store = requestContext.getStore();
+    if (store) Object.assign(store, fields);
+}
+
+/**
+ * Returns the current request context, or an empty object outside a request.
+ * @returns {Object}
+ */
+function getContext() {
+    return requestContext.getStore() || {};
+}
+
+/**
+ * Normalizes the optional second argument: a fields object, or (for call sites migrated from
+ * console.*) an Error or a plain detail value.
+ */
+function toFields(extra) {
+    if (extra === undefined || extra === null) return {};
+    if (extra instanceof Error) return { error: extra.message, error_code: extra.code };
+    if (typeof extra === 'object' && !Array.isArray(extra)) {
+        if (typeof extra.message === 'string' && ('code' in extra || 'details' in extra)) {
+            // Supabase/PostgREST error objects
+            return { error: extra.message, error_code: extra.code };
+        }
+        return extra;
+    }
+    return { detail: extra };
+}
+
+function write(level, message, extra) {
+    if (LEVELS[level] < minLevel) return;
+
+    const fields = { ...toFields(extra) };
+    for (const field of USER_ID_FIELDS) {
+        if (field in fields) fields[field] = redactUserId(fields[field]);
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...getContext(),
+        ...fields,
+    };
+
+    const line = JSON.stringify(entry, (key, value) => (value === undefined ? undefined : value));
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(line + '\n');
+    } else {
+        process.stdout.write(line + '\n');
+    }
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = {
+    logger,
+    LEVELS,
+    setLogLevel,
+    redactUserId,
+    runWithContext,
+    addContext,
+    getContext,
+};
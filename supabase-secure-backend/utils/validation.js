@@ -0,0 +1,157 @@
+// utils/validation.js
+// Declarative input validation. A schema maps each accepted field to a rule:
+//
+//   { type: 'integer' | 'number' | 'boolean' | 'string' | 'array',
+//     required, nullable, default,
+//     min, max,                         // integer / number
+//     minLength, maxLength, pattern,    // string (values are trimmed first unless trim: false)
+//     enum,                             // string
+//     items, minItems, maxItems }       // array (`items` is the rule for each element)
+//
+// Query strings and form posts only carry strings, so '5' is accepted as an integer,
+// 'true'/'false' as booleans and '1,2,3' as an array. Fields that are not in the schema are dropped: handlers only ever
+// see whitelisted input. Enforced per route by middleware/validate.js.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Deliberately loose: the auth provider does the real check, this only rejects obvious garbage.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Storage keys the app generates, e.g. Cluster_Contacts_C_1_ab12cd34_<random>.vcf
+const FILE_NAME_PATTERN = /^[\w.-]+$/;
+
+const { SUPPORTED_VERSIONS: VCARD_VERSIONS } = require('./vcardBuilder');
+
+// Largest value of a Postgres INT column
+const MAX_INT_ID = 2147483647;
+
+/**
+ * Reusable rules for fields that appear on many routes. Spread them and add `required` as needed:
+ *   { cluster_id: { ...rules.clusterId, required: true } }
+ */
+const rules = {
+    clusterId: { type: 'integer', min: 1, max: MAX_INT_ID },
+    groupId: { type: 'integer', min: 1, max: MAX_INT_ID },
+    userId: { type: 'string', pattern: UUID_PATTERN, patternMessage: 'must be a UUID' },
+    displayProfession: { type: 'boolean' },
+    fileName: { type: 'string', minLength: 1, maxLength: 200, pattern: FILE_NAME_PATTERN, patternMessage: 'must be a plain file name' },
+    country: { type: 'string', maxLength: 64 },
+    refCode: { type: 'string', maxLength: 64 },
+    vcardVersion: { type: 'string', enum: VCARD_VERSIONS },
+};
+
+function isEmpty(value) {
+    return value === undefined || value === '';
+}
+
+/**
+ * Validates and coerces a single value. Returns `{ value }` or `{ error }`.
+ */
+function checkValue(rule, raw) {
+    let value = raw;
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            if (typeof value === 'string' && value.trim() !== '') value = Number(value.trim());
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+            if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+            if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+            return { value };
+        }
+
+        case 'boolean': {
+            if (value === 'true') value = true;
+            if (value === 'false') value = false;
+            if (typeof value !== 'boolean') return { error: 'must be true or false' };
+            return { value };
+        }
+
+        case 'string': {
+            if (typeof value === 'number') value = String(value);
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            if (rule.trim !== false) value = value.trim();
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: `must be at least ${rule.minLength} characters` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `must be at most ${rule.maxLength} characters` };
+            }
+            if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+            if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || 'has an invalid format' };
+            return { value };
+        }
+
+        case 'array': {
+            if (typeof value === 'string') value = value.split(',').map(item => item.trim()).filter(Boolean);
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { error: `must have at least ${rule.minItems} items` };
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return { error: `must have at most ${rule.maxItems} items` };
+            }
+            if (!rule.items) return { value };
+
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const result = checkValue(rule.items, value[i]);
+                if (result.error) return { error: `item ${i} ${result.error}` };
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+
+        default:
+            throw new Error(`Unknown validation type "${rule.type}"`);
+    }
+}
+
+/**
+ * Validates an object (a request body, query or params) against a schema.
+ * @param {Object} schema - Field name -> rule.
+ * @param {Object} input
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ *   `value` holds only the schema's fields, coerced and with defaults applied.
+ */
+function validateObject(schema, input) {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+
+        if (raw === null && rule.nullable) {
+            value[field] = null;
+            continue;
+        }
+        if (isEmpty(raw) || raw === null) {
+            if (rule.required) {
+                errors.push({ field, message: 'is required' });
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            continue;
+        }
+
+        const result = checkValue(rule, raw);
+        if (result.error) {
+            errors.push({ field, message: result.error });
+        } else {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    UUID_PATTERN,
+    EMAIL_PATTERN,
+    FILE_NAME_PATTERN,
+    MAX_INT_ID,
+    rules,
+    validateObject,
+};
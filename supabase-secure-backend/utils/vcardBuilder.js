@@ -0,0 +1,168 @@
+// utils/vcardBuilder.js
+// The single vCard (VCF) builder used by every cohort and group export.
+// Output follows RFC 6350 (4.0) / RFC 2426 (3.0): escaped text values, lines folded at 75 octets
+// and CRLF line endings, so the same contacts import identically on every phone.
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+// Deployments can opt into 4.0 output globally with VCARD_VERSION=4.0; a single export can pass { version }.
+const DEFAULT_VERSION = SUPPORTED_VERSIONS.includes(process.env.VCARD_VERSION) ? process.env.VCARD_VERSION : '3.0';
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a text property value (RFC 6350 section 3.4).
+ * Backslashes, commas and semicolons are backslash-escaped and any newline becomes "\n".
+ * @param {*} value - The raw value (null/undefined become an empty string).
+ * @returns {string} The escaped value.
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so that no physical line exceeds 75 octets (RFC 6350 section 3.2).
+ * Splits only between code points, so multi-byte UTF-8 characters are never cut in half.
+ * @param {string} line - A single unfolded content line.
+ * @returns {string} The folded line (continuation lines start with a single space).
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    // The first line may hold 75 octets; continuation lines lose one octet to the leading space.
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+        const charOctets = Buffer.byteLength(char, 'utf8');
+        if (currentOctets + charOctets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += charOctets;
+    }
+    parts.push(current);
+
+    return parts.join(`${CRLF} `);
+}
+
+/**
+ * Resolves the profession label printed on a card.
+ * `display_profession` is normally the member's opt-in flag (cluster cohorts), in which case the
+ * profile's profession is used. Group members may store the label itself as a string.
+ * @param {Object} contact - A contact row.
+ * @returns {string|null} The label, or null when the member hides their profession.
+ */
+function resolveProfession(contact) {
+    const flag = contact.display_profession;
+
+    if (flag === true || flag === 'true') {
+        return contact.profession ? String(contact.profession) : null;
+    }
+    if (typeof flag === 'string' && flag.trim() && flag !== 'false') {
+        return flag.trim();
+    }
+    return null;
+}
+
+/**
+ * Splits a nickname into the structured name (N) components: the last word is the family name,
+ * the words before it the given name. A single word is a given name.
+ * @param {string} nickname
+ * @returns {{family: string, given: string}}
+ */
+function splitName(nickname) {
+    const words = String(nickname).trim().split(/\s+/).filter(Boolean);
+    if (words.length < 2) {
+        return { family: '', given: words.join('') };
+    }
+    return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+}
+
+/**
+ * Normalizes the raw contact rows used across the app into the fields printed on the card.
+ * The profession label (or NEARR) is part of the formatted name only; the structured name
+ * holds the nickname alone, and is left empty for members without one.
+ * @param {Object} contact - { user_id, nickname, profession, whatsapp_number, display_profession }
+ * @returns {{fullName: string, name: {family: string, given: string}, profession: string|null, phone: string}}
+ */
+function formatContact(contact) {
+    const nickname = contact.nickname
+        || (contact.user_id ? `User ${String(contact.user_id).substring(0, 8)}` : 'Unknown');
+    const profession = resolveProfession(contact);
+
+    return {
+        fullName: profession ? `${nickname} (${profession})` : `${nickname} NEARR`,
+        name: contact.nickname ? splitName(contact.nickname) : { family: '', given: '' },
+        profession,
+        phone: String(contact.whatsapp_number || '').replace(/[^0-9+]/g, ''),
+    };
+}
+
+/**
+ * Builds a single vCard for one contact.
+ * @param {Object} contact - A contact row (see formatContact).
+ * @param {Object} [options]
+ * @param {string} [options.version] - '3.0' or '4.0' (defaults to VCARD_VERSION, else '3.0').
+ * @returns {string} The vCard, CRLF-terminated.
+ */
+function buildVCard(contact, { version = DEFAULT_VERSION } = {}) {
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported vCard version "${version}". Use one of: ${SUPPORTED_VERSIONS.join(', ')}.`);
+    }
+
+    const { fullName, name, profession, phone } = formatContact(contact);
+    const lines = [
+        'BEGIN:VCARD',
+        `VERSION:${version}`,
+        `FN:${escapeText(fullName)}`,
+        // Family;Given;Additional;Prefixes;Suffixes
+        `N:${escapeText(name.family)};${escapeText(name.given)};;;`,
+    ];
+
+    if (profession) {
+        lines.push(`TITLE:${escapeText(profession)}`);
+    }
+
+    if (phone) {
+        lines.push(version === '4.0'
+            ? `TEL;VALUE=uri;TYPE=cell:tel:${phone}`
+            : `TEL;TYPE=CELL:${phone}`);
+    }
+
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * Builds a complete VCF file from a list of contacts.
+ * @param {Array<Object>} contacts - Contact rows (user_id, nickname, profession, whatsapp_number, display_profession).
+ * @param {Object} [options]
+ * @param {string} [options.version] - '3.0' or '4.0' (defaults to VCARD_VERSION, else '3.0').
+ * @returns {string} The VCF content (empty string for an empty list).
+ */
+function generateVcfContent(contacts, options = {}) {
+    return (contacts || [])
+        .filter(Boolean)
+        .map(contact => buildVCard(contact, options))
+        .join('');
+}
+
+module.exports = {
+    SUPPORTED_VERSIONS,
+    escapeText,
+    foldLine,
+    buildVCard,
+    generateVcfContent,
+};